@@ -5,29 +5,280 @@ const axios = require('axios');
 const { Client } = require('@notionhq/client');
 const OpenAI = require('openai');
 const cron = require('node-cron');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const path = require('path');
 require('dotenv').config();
+const { createMailer } = require('./lib/mailer');
+const { createStore } = require('./lib/kvStore');
+const { createEventQueue } = require('./lib/eventQueue');
+const { buildOrderCard, buildOrderSelectionCarousel, buildMenuQuickReply } = require('./lib/flexMessages');
+const { INPUT_RECORD_STATUS, appendTurn, getTranscript } = require('./lib/transcript');
+const { createRedactionSession, getRedactionOptions } = require('./lib/redact');
+const { createKnowledgeBase, loadMarkdownEntries, loadNotionEntries } = require('./lib/knowledgeBase');
+const { compileTemplate, renderTemplate } = require('./lib/templateEngine');
+const { createShopProfileProvider, loadShopProfileFile, loadNotionShopProfile } = require('./lib/shopProfile');
+const {
+  createIntentClassifier,
+  createIntentRulesProvider,
+  classifyWithLlm,
+  loadIntentRulesFile,
+  loadNotionIntentCategories
+} = require('./lib/intentClassifier');
+const { createBusinessCalendar } = require('./lib/businessCalendar');
+const { createCarrierTracker } = require('./lib/carrierTracking');
+const {
+  LIFECYCLE_EVENTS,
+  ALL_EVENTS_LABEL,
+  notificationKey,
+  legacyNotificationKeys,
+  isNotifiedByLegacyTag,
+  getShipmentEvent,
+  getDeliveryEvent,
+  isAwaitingPayment,
+  isOptedOut,
+  parseNotificationCommand,
+  updateOptOuts
+} = require('./lib/lifecycleNotifications');
+const {
+  getSurveyDueAt,
+  classifyRating,
+  getRatingLabel,
+  isNoFeedbackReply,
+  isNewRequestAfterSurvey,
+  buildFeedbackQuickReply,
+  buildSurveyMessage,
+  summarizeSurveys
+} = require('./lib/survey');
+const {
+  normalizeOrder,
+  normalizeFulfillment,
+  normalizeRefund,
+  getOrderEmail,
+  getShippedFulfillments
+} = require('./lib/orderModel');
+const { formatOrderName, extractOrderNumber, resolveOrderNumberConfirmation } = require('./lib/orderNumber');
+const { scoreEscalation, formatEscalationReasons } = require('./lib/escalation');
 
 // 各サービスの初期設定
 const app = express();
-const notion = new Client({ auth: process.env.NOTION_TOKEN });
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
-// LINE設定
-const lineConfig = {
-  channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN,
-  channelSecret: process.env.LINE_CHANNEL_SECRET
+// 外部サービスのクライアント（configure() で設定する。require しただけでは作らない）
+let notion = null;
+let openai = null;
+let lineClient = null;
+let lineBlobClient = null;
+let shopifyAxios = null;
+let mailer = null;
+let carrierTracker = null;
+
+// 環境変数から本番用のクライアントを作る
+const clientFactories = {
+  notion: () => new Client({ auth: process.env.NOTION_TOKEN }),
+  openai: () => new OpenAI({ apiKey: process.env.OPENAI_API_KEY }),
+  lineClient: () => new line.Client({
+    channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN,
+    channelSecret: process.env.LINE_CHANNEL_SECRET
+  }),
+  // 画像などのコンテンツの取得（Content-Typeを返すのはこちらのAPIだけ）
+  lineBlobClient: () => new line.messagingApi.MessagingApiBlobClient({
+    channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN
+  }),
+  shopifyAxios: () => axios.create({
+    baseURL: `https://${process.env.SHOPIFY_STORE_URL}/admin/api/2024-01`,
+    headers: {
+      'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
+      'Content-Type': 'application/json'
+    }
+  }),
+  // MAILER_TYPE が未設定の場合は null（メールでのアカウント連携を止める）
+  mailer: () => createMailer(),
+  // 配送業者の追跡（ヤマト運輸・佐川急便・日本郵便）
+  carrierTracker: () => createCarrierTracker({
+    httpGet: async url => {
+      const response = await axios.get(url, { timeout: 10000, responseType: 'text' });
+      return response.data;
+    }
+  })
 };
-const lineClient = new line.Client(lineConfig);
 
-// Shopify設定
-const shopifyAxios = axios.create({
-  baseURL: `https://${process.env.SHOPIFY_STORE_URL}/admin/api/2024-01`,
-  headers: {
-    'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-    'Content-Type': 'application/json'
+// クライアントを設定する（渡さなかったものは環境変数から作る。テストではフェイクを渡す）
+// mailer は null を渡すと「未設定」として扱う
+function configure(clients = {}) {
+  const use = name => (clients[name] !== undefined ? clients[name] : clientFactories[name]());
+  notion = use('notion');
+  openai = use('openai');
+  lineClient = use('lineClient');
+  lineBlobClient = use('lineBlobClient');
+  shopifyAxios = use('shopifyAxios');
+  mailer = use('mailer');
+  carrierTracker = use('carrierTracker');
+}
+
+// 定期実行する処理（start() でcronに登録する。テストからは runScheduledJob() で直接実行する）
+const scheduledJobs = new Map();
+
+function defineScheduledJob(name, expression, task, options = {}) {
+  scheduledJobs.set(name, { expression, task, options });
+}
+
+async function runScheduledJob(name) {
+  const job = scheduledJobs.get(name);
+  if (!job) {
+    throw new Error(`未登録の定期実行です: ${name}`);
   }
+  return job.task();
+}
+
+// 処理中のイベントの進み具合（会話の状態・Notionの記録・返信など、取り消せない処理を始めたか）
+// 失敗したイベントを処理し直すと、すでに行った記録や状態の変更が重複するため、その判断に使う
+const eventProgress = new AsyncLocalStorage();
+
+function markEventSideEffect() {
+  const progress = eventProgress.getStore();
+  if (progress) {
+    progress.sideEffects = true;
+  }
+}
+
+// イベントの処理中に書き込んだら、取り消せない処理を始めたものとして記録するストア
+function createEventStore(name) {
+  const store = createStore(name);
+  return {
+    ...store,
+    set: async (key, value, options) => {
+      markEventSideEffect();
+      return store.set(key, value, options);
+    },
+    delete: async key => {
+      markEventSideEffect();
+      return store.delete(key);
+    }
+  };
+}
+
+// 受け付けたLINEのイベント（webhookEventId ごと。再送されたイベントを二重に処理しない）
+const webhookEventStore = createStore('webhook-events');
+
+// 通知済みの記録（注文タグではなく自前のストアで重複送信を防ぐ）
+const notificationStore = createEventStore('notifications');
+
+// 通知済みの記録の保存期間（取りこぼし確認の24時間・配達状況の確認の14日より長く残す）
+const NOTIFICATION_RECORD_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// 会話の状態（STORE_TYPE=file なら再起動しても残る）
+const conversationStore = createEventStore('conversations');
+
+// 再入荷通知の登録（バリエーションごと）
+const restockStore = createEventStore('restock-subscriptions');
+
+// 担当者が対応中の会話
+const handoffStore = createEventStore('handoffs');
+
+// キャンセル・返品の申請（担当者の承認待ち）
+const returnRequestStore = createEventStore('return-requests');
+
+// ChatGPTに渡す直近の会話履歴
+const transcriptStore = createEventStore('transcripts');
+
+// 通知を控える時間帯に送らなかったプッシュ通知（朝にまとめて送る）
+const deferredNotificationStore = createEventStore('deferred-notifications');
+
+// 連携の確認コードを送った時刻（LINEユーザーごと・メールアドレスごとの送信回数の制限用）
+const linkCodeSendStore = createEventStore('link-code-sends');
+
+// 本人確認の失敗回数（再起動しても制限が外れないよう、LINEユーザーごとに保存する）
+const verificationFailureStore = createEventStore('verification-failures');
+
+// お届け後の満足度アンケート（注文ごと。回答の推移を見るため期限なしで残す）
+const surveyStore = createEventStore('surveys');
+
+// FAQナレッジベース（NOTION_FAQ_DB_ID があればNotion、なければ faq/ のMarkdown）
+const knowledgeBase = createKnowledgeBase({
+  loadEntries: async () => {
+    const faqDir = process.env.FAQ_DIR || path.join(__dirname, 'faq');
+    if (!process.env.NOTION_FAQ_DB_ID) {
+      return loadMarkdownEntries(faqDir);
+    }
+    try {
+      return await loadNotionEntries(notion, process.env.NOTION_FAQ_DB_ID);
+    } catch (error) {
+      console.error('FAQ読み込みエラー（Markdownで代用）:', error.message);
+      return loadMarkdownEntries(faqDir);
+    }
+  },
+  embed: process.env.FAQ_EMBEDDINGS === 'true'
+    ? async texts => {
+      const response = await openai.embeddings.create({ model: 'text-embedding-3-small', input: texts });
+      return response.data.map(item => item.embedding);
+    }
+    : null
+});
+
+// ショップ情報（NOTION_SHOP_PROFILE_PAGE_ID があればNotion、なければ SHOP_PROFILE_PATH または config/shop.json）
+const shopProfilePath = process.env.SHOP_PROFILE_PATH || path.join(__dirname, 'config', 'shop.json');
+const shopProfile = createShopProfileProvider({
+  load: async () => {
+    if (!process.env.NOTION_SHOP_PROFILE_PAGE_ID) {
+      return loadShopProfileFile(shopProfilePath);
+    }
+    return await loadNotionShopProfile(notion, process.env.NOTION_SHOP_PROFILE_PAGE_ID);
+  },
+  fallback: async () => loadShopProfileFile(shopProfilePath)
+});
+
+// 問い合わせの意図の分類ルール（INTENT_RULES_PATH または config/intents.json。
+// NOTION_INTENT_RULES_DB_ID があれば、カテゴリーはNotionのデータベースで編集したものを使う）
+const intentRulesPath = process.env.INTENT_RULES_PATH || path.join(__dirname, 'config', 'intents.json');
+const intentRules = createIntentRulesProvider({
+  load: async () => {
+    const rules = loadIntentRulesFile(intentRulesPath);
+    if (!process.env.NOTION_INTENT_RULES_DB_ID) {
+      return rules;
+    }
+    return { ...rules, categories: await loadNotionIntentCategories(notion, process.env.NOTION_INTENT_RULES_DB_ID) };
+  },
+  fallback: async () => loadIntentRulesFile(intentRulesPath)
 });
 
+// 意図の分類（INTENT_CLASSIFIER=llm ならChatGPTで分類し、確信度が INTENT_LLM_CONFIDENCE 未満ならルールの結果を使う）
+const intentClassifier = createIntentClassifier({
+  getRules: () => intentRules.get(),
+  llm: process.env.INTENT_CLASSIFIER === 'llm'
+    ? (message, rules) => classifyWithLlm(openai, message, rules, {
+      model: process.env.INTENT_LLM_MODEL,
+      redact: text => createRedactionSession(getRedactionOptions()).redact(text)
+    })
+    : null,
+  confidenceThreshold: Number(process.env.INTENT_LLM_CONFIDENCE) || 0.7
+});
+
+// 営業日カレンダー（ショップ情報が変わったら作り直す）
+let businessCalendar = null;
+let businessCalendarProfile = null;
+async function getBusinessCalendar() {
+  const shop = await shopProfile.get();
+  if (shop !== businessCalendarProfile) {
+    businessCalendar = createBusinessCalendar({
+      ...shop.hours,
+      holidays: shop.holidays,
+      quietHours: shop.notifications.quietHours
+    });
+    businessCalendarProfile = shop;
+  }
+  return businessCalendar;
+}
+
+// 担当者が対応する時期（「本日中に」「明日9:00以降に」など）
+async function describeStaffResponseTime() {
+  try {
+    return (await getBusinessCalendar()).describeResponseTime(new Date());
+  } catch (error) {
+    console.error('営業日カレンダーエラー:', error.message);
+    return '営業時間内に';
+  }
+}
+
 // テンプレートキャッシュ
 let responseTemplates = null;
 let templateLastUpdated = null;
@@ -35,273 +286,866 @@ let templateLastUpdated = null;
 // =====================================
 // LINEメッセージ受信部分
 // =====================================
-app.post('/webhook', line.middleware(lineConfig), async (req, res) => {
+// 受け付けたことだけ先に応答し、処理はキューで行う
+// （処理に時間がかかったり一部のイベントが失敗しても、LINEからまとめて再送されないように）
+// イベントは受付の記録と一緒にストアに保存し、処理が終わる前に停止した場合は起動時に、
+// 失敗した場合は定期実行で処理し直す
+app.post('/webhook', verifyLineSignature, async (req, res) => {
+  await receiveWebhookEvents(req.body.events);
+  res.json({ status: 'success' });
+});
+
+// 受け取ったイベントを記録してキューに入れる（受付済みのイベントの再送・重複は入れない）
+async function receiveWebhookEvents(events) {
+  for (const event of events) {
+    try {
+      if (await markEventReceived(event)) {
+        eventQueue.push(event);
+      }
+    } catch (error) {
+      // 記録できなくても取りこぼさないよう処理は行う
+      console.error('イベント受付の記録エラー（続行）:', error.message);
+      eventQueue.push(event);
+    }
+  }
+}
+
+// LINEの署名を検証（チャネルシークレットは受信時に読む）
+function verifyLineSignature(req, res, next) {
+  return line.middleware({ channelSecret: process.env.LINE_CHANNEL_SECRET })(req, res, next);
+}
+
+// 受け付けたイベントの記録の保存期間（この間に再送されたものは処理しない）
+const WEBHOOK_EVENT_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+
+// 失敗したイベントを処理し直す回数の上限と、処理し直す期間（古いメッセージに今さら返信しない）
+const WEBHOOK_EVENT_MAX_ATTEMPTS = 3;
+const WEBHOOK_EVENT_RETRY_WINDOW_MS = 60 * 60 * 1000;
+
+// 同じユーザーのイベントは受け取った順に1つずつ処理する
+const eventQueue = createEventQueue({
+  handler: processWebhookEvent,
+  keyOf: event => event.source?.userId || event.source?.groupId || event.source?.roomId || 'unknown',
+  concurrency: Number(process.env.EVENT_QUEUE_CONCURRENCY) || 4
+});
+
+// 受付中のイベント（同じイベントが同時に届いた場合の二重処理を防ぐ）
+const receivingEvents = new Set();
+
+// 初めて受け取ったイベントなら記録してtrue（処理済みのイベントの再送・重複ならfalse）
+async function markEventReceived(event) {
+  const eventId = event.webhookEventId;
+  const isRedelivery = event.deliveryContext?.isRedelivery === true;
+  if (!eventId) {
+    return true;
+  }
+  
+  const key = `event:${eventId}`;
+  if (receivingEvents.has(key)) {
+    console.log('重複したイベントを無視:', eventId);
+    return false;
+  }
+  
+  receivingEvents.add(key);
   try {
-    await Promise.all(req.body.events.map(handleEvent));
-    res.json({ status: 'success' });
-  } catch (err) {
-    console.error('エラー発生:', err);
-    res.status(500).end();
+    if (await webhookEventStore.has(key)) {
+      console.log(isRedelivery ? '再送されたイベント（受付済み）を無視:' : '重複したイベントを無視:', eventId);
+      return false;
+    }
+    
+    // 再送されたものでも、まだ受け付けていなければ処理する
+    if (isRedelivery) {
+      console.log('再送されたイベントを処理:', eventId);
+    }
+    // 処理し直せるよう、処理が終わるまではイベントそのものも保存しておく
+    await webhookEventStore.set(key, {
+      type: event.type,
+      status: 'queued',
+      isRedelivery,
+      attempts: 0,
+      event,
+      receivedAt: new Date().toISOString()
+    }, { ttlMs: WEBHOOK_EVENT_TTL_MS });
+    return true;
+  } finally {
+    receivingEvents.delete(key);
+  }
+}
+
+// キューから1件ずつ処理する（失敗しても他のイベントの処理は続ける）
+// 記録や状態の変更を始めたあとで失敗したイベントは、処理し直すと重複するため、
+// 送れなかった返信があればそれだけを送り直す
+async function processWebhookEvent(event) {
+  const record = event.webhookEventId ? await getEventRecord(event) : null;
+  if (record?.undeliveredReply) {
+    return resendUndeliveredReply(event, record.undeliveredReply);
+  }
+  
+  const progress = { sideEffects: false, undeliveredReply: null };
+  await recordEventStatus(event, current => ({ ...current, status: 'processing' }));
+  try {
+    await eventProgress.run(progress, () => handleEvent(event));
+    // 処理が終わったイベントの内容（お客様のメッセージ）は残さない
+    await recordEventStatus(event, current => ({ ...current, status: 'done', event: null, error: null }));
+  } catch (error) {
+    console.error('イベント処理エラー:', event.type, event.webhookEventId, error);
+    // 返信も済んだあとで失敗したものは、処理し直さない
+    const abandoned = progress.sideEffects && !progress.undeliveredReply;
+    await recordEventStatus(event, current => ({
+      ...current,
+      status: abandoned ? 'abandoned' : 'failed',
+      attempts: (current.attempts || 0) + 1,
+      event: abandoned ? null : current.event,
+      undeliveredReply: progress.sideEffects ? progress.undeliveredReply : null,
+      error: error.message
+    }));
+  }
+}
+
+// 処理は済んだが送れなかった返信を送り直す（返信トークンは使えなくなっているためプッシュで送る）
+async function resendUndeliveredReply(event, { userId, messages }) {
+  try {
+    await lineClient.pushMessage(userId, messages);
+    await recordEventStatus(event, current => ({
+      ...current,
+      status: 'done',
+      event: null,
+      undeliveredReply: null,
+      error: null
+    }));
+  } catch (error) {
+    console.error('返信の再送エラー:', event.webhookEventId, error.message);
+    await recordEventStatus(event, current => ({
+      ...current,
+      status: 'failed',
+      attempts: (current.attempts || 0) + 1,
+      error: error.message
+    }));
+  }
+}
+
+async function getEventRecord(event) {
+  try {
+    return await webhookEventStore.get(`event:${event.webhookEventId}`);
+  } catch (error) {
+    console.error('イベント受付の記録の取得エラー（続行）:', error.message);
+    return null;
+  }
+}
+
+async function recordEventStatus(event, update) {
+  if (!event.webhookEventId) {
+    return;
+  }
+  
+  try {
+    const key = `event:${event.webhookEventId}`;
+    const record = (await webhookEventStore.get(key)) || { type: event.type };
+    await webhookEventStore.set(key, { ...update(record), processedAt: new Date().toISOString() }, {
+      ttlMs: WEBHOOK_EVENT_TTL_MS
+    });
+  } catch (error) {
+    console.error('イベント処理結果の記録エラー（続行）:', error.message);
+  }
+}
+
+// 保存しておいたイベントをキューに入れ直す
+// （失敗したもののうち、記録や状態の変更を始める前に失敗したものと、返信だけが送れなかったもの）
+// includeQueued: 受け付けたまま処理を始めなかったイベントも入れる（起動時だけ。動作中はキューに入っている）
+// 処理の途中で停止したイベントは、どこまで済んだか分からないため処理し直さない
+async function redriveWebhookEvents({ includeQueued = false } = {}) {
+  const now = Date.now();
+  let count = 0;
+  
+  for (const key of await webhookEventStore.keys('event:')) {
+    const record = await webhookEventStore.get(key);
+    if (!record?.event) {
+      continue;
+    }
+    
+    if (includeQueued && record.status === 'processing') {
+      console.warn('処理の途中で停止したイベントは処理し直しません:', record.event.webhookEventId);
+      await webhookEventStore.set(key, { ...record, status: 'interrupted', event: null }, {
+        ttlMs: WEBHOOK_EVENT_TTL_MS
+      });
+      continue;
+    }
+    
+    const retryable = record.status === 'failed' &&
+      record.attempts < WEBHOOK_EVENT_MAX_ATTEMPTS &&
+      now - new Date(record.receivedAt).getTime() < WEBHOOK_EVENT_RETRY_WINDOW_MS;
+    if (!retryable && !(includeQueued && record.status === 'queued')) {
+      continue;
+    }
+    
+    await webhookEventStore.set(key, { ...record, status: 'queued' }, { ttlMs: WEBHOOK_EVENT_TTL_MS });
+    eventQueue.push(record.event);
+    count += 1;
+  }
+  
+  if (count > 0) {
+    console.log(`保存しておいたイベントを処理し直します: ${count}件`);
   }
+  return count;
+}
+
+// 失敗したイベントを処理し直す
+defineScheduledJob('retry-webhook-events', '*/10 * * * *', async () => {
+  await redriveWebhookEvents();
 });
 
-// メッセージを処理する関数
+// イベントに返信する（キューで待つ間や再送で返信トークンが使えなくなっていた場合はプッシュで送る）
+// 送れなかった場合は、処理し直すときに返信だけを送り直せるよう内容を残しておく
+async function replyToEvent(event, messages) {
+  const progress = eventProgress.getStore();
+  if (progress) {
+    progress.undeliveredReply = { userId: event.source?.userId || null, messages };
+  }
+  
+  let result;
+  try {
+    result = await lineClient.replyMessage(event.replyToken, messages);
+  } catch (error) {
+    if (!isInvalidReplyTokenError(error) || !event.source?.userId) {
+      throw error;
+    }
+    console.log('返信トークンが無効のためプッシュで送信:', event.webhookEventId || event.source.userId);
+    result = await lineClient.pushMessage(event.source.userId, messages);
+  }
+  
+  if (progress) {
+    progress.undeliveredReply = null;
+    progress.sideEffects = true;
+  }
+  return result;
+}
+
+function isInvalidReplyTokenError(error) {
+  const message = error.originalError?.response?.data?.message || '';
+  return error.statusCode === 400 && /reply token/i.test(message);
+}
+
+// イベントの種類ごとに振り分ける
 async function handleEvent(event) {
-  // メッセージイベント以外は無視
-  if (event.type !== 'message' || event.message.type !== 'text') {
-    return null;
+  switch (event.type) {
+    case 'message':
+      return handleMessageEvent(event);
+    case 'postback':
+      return handlePostbackEvent(event);
+    case 'follow':
+      return handleFollowEvent(event);
+    case 'unfollow':
+      return handleUnfollowEvent(event);
+    default:
+      return null;
   }
+}
+
+// メッセージの種類ごとに振り分ける
+async function handleMessageEvent(event) {
+  switch (event.message.type) {
+    case 'text':
+      return handleTextMessage(event, event.message.text);
+    case 'image':
+      return handleImageMessage(event);
+    default:
+      return handleUnsupportedMessage(event);
+  }
+}
 
+// テキストメッセージを処理する関数
+async function handleTextMessage(event, userMessage) {
   const userId = event.source.userId;
-  const userMessage = event.message.text;
   
   console.log(`受信: ${userMessage}`);
   
   // ユーザー情報を取得
-  let userName = '顧客';
-  try {
-    const profile = await lineClient.getProfile(userId);
-    userName = profile.displayName;
-  } catch (error) {
-    console.log('プロフィール取得エラー:', error);
+  const userName = await getUserName(userId);
+  
+  // 担当者が対応中の場合はボットは返信しない
+  const handoff = await getHandoff(userId);
+  if (handoff) {
+    return handleMessageDuringHandoff(event, userMessage, userName, handoff);
   }
   
   // メッセージを分析してコンテキストを準備（userIdを追加）
   const context = await analyzeMessage(userMessage, userId);
   context.userId = userId; // userIdをcontextに追加
+  context.userName = userName;
+  
+  // ChatGPTで返答を生成（文字列、またはクイックリプライ付きのメッセージ）
+  // 注文番号の確認に答えた場合は、確認前のメッセージへの返答を作る
+  const reply = await generateAIResponse(context.resumedMessage || userMessage, context);
+  let replyMessage = typeof reply === 'string' ? { type: 'text', text: reply } : reply;
+  
+  // 担当者に引き継ぐ場合は、決まった応答にも担当者から連絡することを添える（ChatGPTの応答には添えてある）
+  if (context.requiresHumanReview && !getMessageText(replyMessage).includes('改めてご連絡')) {
+    replyMessage = appendText(replyMessage, `\n\n※こちらの件は担当者より${await describeStaffResponseTime()}改めてご連絡させていただきます。`);
+  }
   
-  // ChatGPTで返答を生成
-  let replyMessage = await generateAIResponse(userMessage, context);
+  // 入力を待っている段階で届いたメッセージ（本人確認の答え・確認コードなど）は会話の履歴に含めない
+  const isInputReply = INPUT_STAGES.includes(context.conversationState.stage);
   
   // Notionに会話を記録（エラーハンドリング改善）
+  // 入力内容はステータスで見分け、Notionから会話の履歴を作る場合にも含めない
+  let status = isInputReply ? INPUT_RECORD_STATUS : '対応済み';
+  if (context.requiresHumanReview || context.escalation?.level) {
+    status = '要確認';
+  }
   try {
     await saveToNotion({
       userId: userId,
       userName: userName,
       userMessage: userMessage,
-      aiReply: replyMessage,
+      aiReply: getMessageText(replyMessage),
       orderNumber: context.orderNumber,
-      status: context.requiresHumanReview ? '要確認' : '対応済み',
-      category: context.category
+      status: status,
+      category: context.category,
+      faq: context.faq,
+      escalation: context.requiresHumanReview || context.escalation?.level ? context.escalation : null
     });
   } catch (notionError) {
     console.error('Notion保存エラー（続行）:', notionError.message);
     // Notionエラーでも返信は続行
   }
   
-  // LINEに返信
-  return lineClient.replyMessage(event.replyToken, {
-    type: 'text',
-    text: replyMessage
-  });
-}
-
-// =====================================
-// メッセージ分析とコンテキスト作成
-// =====================================
-async function analyzeMessage(message, userId) {
-  const context = {
-    orderNumber: null,
-    orderInfo: null,
-    category: null,
-    requiresHumanReview: false,
-    customerHistory: null,
-    customerName: null,
-    possibleOrders: null,
-    conversationState: null
-  };
-  
-  // 顧客履歴を取得（会話の状態も確認）
-  context.customerHistory = await getCustomerHistory(userId);
-  context.conversationState = await getConversationState(userId);
-  
-  // 注文番号の抽出（複数パターンに対応）
-  const orderPatterns = [
-    /#(\d+)/,                    // #1234
-    /注文番号[\s:：]*(\d+)/,     // 注文番号：1234
-    /オーダー[\s:：]*(\d+)/,     // オーダー：1234
-    /(\d{4,})/                   // 4桁以上の数字
-  ];
-  
-  for (const pattern of orderPatterns) {
-    const match = message.match(pattern);
-    if (match) {
-      context.orderNumber = match[1];
-      break;
+  // 会話履歴に追加（次回以降のChatGPTの文脈に使う）
+  if (!isInputReply) {
+    try {
+      await appendTurn(transcriptStore, userId, 'user', userMessage);
+      await appendTurn(transcriptStore, userId, 'assistant', getMessageText(replyMessage));
+    } catch (error) {
+      console.error('会話履歴保存エラー（続行）:', error.message);
     }
   }
   
-  // 名前の抽出を試みる
-  context.customerName = extractCustomerName(message);
-  
-  // 注文情報を取得
-  if (context.orderNumber) {
-    context.orderInfo = await getOrderDetails(context.orderNumber);
-  } else if (context.customerName) {
-    // 名前から注文を検索
-    context.possibleOrders = await searchOrdersByCustomerName(context.customerName);
+  // 担当者に引き継ぎ
+  if (context.requiresHumanReview) {
+    await startHandoff(userId, {
+      reason: context.escalation?.reasons.length ? formatEscalationReasons(context.escalation) : context.category,
+      priority: context.escalation?.level || null,
+      userName: userName
+    });
   }
   
-  // カテゴリー分類
-  context.category = categorizeMessage(message);
-  
-  // 人間の確認が必要か判定
-  context.requiresHumanReview = shouldEscalateToHuman(message, context);
+  emitConversationTurn({
+    userId,
+    message: userMessage,
+    category: context.category,
+    intents: context.intents,
+    requiresHumanReview: context.requiresHumanReview,
+    escalation: context.escalation,
+    orderNumber: context.orderNumber,
+    reply: replyMessage
+  });
   
-  return context;
+  // LINEに返信
+  return replyToEvent(event, replyMessage);
 }
 
-// 会話の状態を管理
-const conversationStates = new Map();
-
-async function getConversationState(userId) {
-  return conversationStates.get(userId) || { stage: 'initial' };
-}
+// 1往復ごとの判定結果（カテゴリー・担当者への引き継ぎ）を受け取る処理（会話シミュレーターで表示する）
+const conversationTurnListeners = new Set();
 
-async function updateConversationState(userId, state) {
-  conversationStates.set(userId, { ...state, updatedAt: new Date() });
-  
-  // 30分後に自動クリア
-  setTimeout(() => {
-    conversationStates.delete(userId);
-  }, 30 * 60 * 1000);
+function onConversationTurn(listener) {
+  conversationTurnListeners.add(listener);
+  return () => conversationTurnListeners.delete(listener);
 }
 
-// 名前を抽出する関数
-function extractCustomerName(message) {
-  // 「〇〇です」「〇〇と申します」などのパターン
-  const namePatterns = [
-    /私?は?(.{2,10})(?:です|と申します|といいます)/,
-    /名前は(.{2,10})(?:です|と申します)/,
-    /(.{2,10})(?:です|と申します|といいます)$/
-  ];
-  
-  for (const pattern of namePatterns) {
-    const match = message.match(pattern);
-    if (match) {
-      return match[1].trim();
+function emitConversationTurn(turn) {
+  for (const listener of conversationTurnListeners) {
+    try {
+      listener(turn);
+    } catch (error) {
+      console.error('会話の判定結果の通知エラー（続行）:', error.message);
     }
   }
-  
-  // 単独の名前（2-4文字の漢字・ひらがな・カタカナ）
-  if (/^[ぁ-んァ-ヶー一-龯]{2,4}$/.test(message.trim())) {
-    return message.trim();
-  }
-  
-  return null;
 }
 
-// 名前から注文を検索
-async function searchOrdersByCustomerName(customerName) {
+// LINEの表示名を取得
+async function getUserName(userId) {
   try {
-    // 名前の部分一致で検索（姓または名で検索）
-    const searchQueries = [
-      customerName,
-      customerName.slice(0, -1), // 名前の最後の1文字を除く（「様」などを考慮）
-      customerName.slice(1)       // 名前の最初の1文字を除く
-    ];
-    
-    const allOrders = [];
-    
-    for (const query of searchQueries) {
-      const response = await shopifyAxios.get(`/customers/search.json?query=${encodeURIComponent(query)}`);
-      
-      for (const customer of response.data.customers) {
-        // 顧客の注文を取得
-        const ordersResponse = await shopifyAxios.get(`/orders.json?customer_id=${customer.id}&status=any&limit=10`);
-        allOrders.push(...ordersResponse.data.orders);
-      }
-    }
-    
-    // 重複を除去して最新の注文順にソート
-    const uniqueOrders = Array.from(
-      new Map(allOrders.map(order => [order.id, order])).values()
-    ).sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-    
-    return uniqueOrders.slice(0, 5); // 最新5件まで
-    
+    const profile = await lineClient.getProfile(userId);
+    return profile.displayName;
   } catch (error) {
-    console.error('顧客名での注文検索エラー:', error);
-    return [];
+    console.log('プロフィール取得エラー:', error);
+    return '顧客';
   }
 }
 
-// メッセージのカテゴリー分類
-function categorizeMessage(message) {
-  const categories = {
-    '配送・発送': ['発送', '配送', '届', 'いつ', '到着', '追跡'],
-    '注文確認': ['注文', '確認', '状況', 'ステータス'],
-    'キャンセル・返品': ['キャンセル', '返品', '返金', '交換'],
-    '在庫': ['在庫', '入荷', '売り切れ', '再入荷'],
-    '商品': ['商品', 'サイズ', '色', '詳細'],
-    '支払い': ['支払', '決済', '振込', 'クレジット'],
-    '営業・その他': ['営業時間', '休み', '問い合わせ']
-  };
+// ボタン操作（ポストバック）はテキストに置き換えて同じ流れで処理する
+async function handlePostbackEvent(event) {
+  const params = new URLSearchParams(event.postback.data);
   
-  for (const [category, keywords] of Object.entries(categories)) {
-    if (keywords.some(keyword => message.includes(keyword))) {
-      return category;
-    }
+  // アンケートの回答は会話の流れとは別に受け付ける
+  if (params.get('action') === 'survey') {
+    return handleSurveyResponse(event, params);
   }
   
-  return 'その他';
-}
-
-// 人間の対応が必要か判定
-function shouldEscalateToHuman(message, context) {
-  // エスカレーション条件
-  const escalationKeywords = ['クレーム', '怒', '最悪', '詐欺', '訴訟', '弁護士'];
-  const hasEscalationKeyword = escalationKeywords.some(keyword => message.includes(keyword));
+  const text = postbackToText(params);
   
-  // キャンセル・返品は人間が確認
-  const needsHumanCategories = ['キャンセル・返品'];
-  const needsHumanReview = needsHumanCategories.includes(context.category);
+  if (!text) {
+    console.log('未対応のポストバック:', event.postback.data);
+    return null;
+  }
   
-  return hasEscalationKeyword || needsHumanReview;
+  return handleTextMessage(event, text);
 }
 
-// =====================================
-// Shopify連携（詳細版）
-// =====================================
-async function getOrderDetails(orderNumber) {
-  try {
-    // 注文番号で検索
-    const response = await shopifyAxios.get(`/orders.json?name=${orderNumber}&status=any`);
-    
-    if (response.data.orders.length === 0) {
+// ポストバックのデータを同じ意味のテキストに変換
+function postbackToText(params) {
+  switch (params.get('action')) {
+    case 'message':
+      return params.get('text');
+    case 'select_order':
+      return params.get('index');
+    case 'link':
+      return 'アカウント連携';
+    case 'unlink':
+      return '連携解除';
+    case 'restock':
+      return params.get('label') ? `再入荷通知を希望：${params.get('label')}` : '再入荷通知を希望';
+    default:
       return null;
-    }
-    
-    const order = response.data.orders[0];
-    
-    // 詳細情報を整理
-    return {
-      orderNumber: order.order_number,
-      status: order.financial_status,
-      fulfillmentStatus: order.fulfillment_status,
-      createdAt: order.created_at,
-      totalPrice: order.total_price,
-      currency: order.currency,
-      items: order.line_items.map(item => ({
-        name: item.name,
-        quantity: item.quantity,
-        price: item.price
-      })),
-      customer: {
-        name: `${order.customer.first_name} ${order.customer.last_name}`,
-        email: order.customer.email
-      },
-      shippingAddress: order.shipping_address,
-      trackingInfo: order.fulfillments.map(f => ({
-        trackingNumber: f.tracking_number,
-        trackingCompany: f.tracking_company,
-        trackingUrl: f.tracking_url,
-        status: f.status
-      }))
-    };
-  } catch (error) {
-    console.error('Shopify注文取得エラー:', error);
-    return null;
+  }
+}
+
+// 友だち追加：ウェルカムメッセージと連携の案内
+async function handleFollowEvent(event) {
+  const userId = event.source.userId;
+  const userName = await getUserName(userId);
+  const linkedCustomer = await findLinkedCustomer(userId);
+  const shop = await shopProfile.get();
+  
+  const welcome = `${userName}様、友だち追加ありがとうございます！
+${shop.name}です😊
+
+ご注文の確認、発送状況、商品についてのご質問など、こちらのLINEでお気軽にお問い合わせください。`;
+  
+  const messages = [{ type: 'text', text: welcome }];
+  
+  // クイックリプライは最後のメッセージにだけ表示される
+  if (linkedCustomer || !mailer || process.env.LINK_PROMPT_ON_FOLLOW === 'false') {
+    messages[0].quickReply = buildMenuQuickReply();
+  } else {
+    messages.push({
+      type: 'text',
+      text: 'ショップのお客様情報とLINEを連携すると、注文番号を入力しなくても発送状況を確認でき、発送時にはLINEでお知らせが届きます。',
+      quickReply: {
+        items: [
+          {
+            type: 'action',
+            action: { type: 'postback', label: '連携する', data: 'action=link', displayText: 'アカウント連携' }
+          },
+          {
+            type: 'action',
+            action: { type: 'message', label: 'あとで', text: 'こんにちは' }
+          }
+        ]
+      }
+    });
+  }
+  
+  try {
+    await saveToNotion({
+      userId: userId,
+      userName: userName,
+      userMessage: '（友だち追加）',
+      aiReply: welcome,
+      status: '対応済み',
+      category: '友だち追加'
+    });
+  } catch (notionError) {
+    console.error('Notion保存エラー（続行）:', notionError.message);
+  }
+  
+  return replyToEvent(event, messages);
+}
+
+// ブロック：連携と再入荷通知の登録を解除（返信はできない）
+async function handleUnfollowEvent(event) {
+  const userId = event.source.userId;
+  console.log('ブロックされました:', userId);
+  
+  try {
+    await unlinkLineUser(userId);
+  } catch (error) {
+    console.error('ブロック時の連携解除エラー:', error);
+  }
+  
+  try {
+    await removeRestockSubscriptions(userId);
+  } catch (error) {
+    console.error('ブロック時の再入荷通知の解除エラー（続行）:', error);
+  }
+  
+  try {
+    await conversationStore.delete(userId);
+  } catch (error) {
+    console.error('ブロック時の会話の状態の削除エラー（続行）:', error);
+  }
+  return null;
+}
+
+// 画像：Notionに添付して担当者の確認に回す
+async function handleImageMessage(event) {
+  const userId = event.source.userId;
+  const userName = await getUserName(userId);
+  
+  let attachment = null;
+  try {
+    attachment = await uploadLineContentToNotion(event.message.id, `line-${event.message.id}`);
+  } catch (error) {
+    console.error('画像の添付エラー（続行）:', error.message);
+  }
+  
+  const reply = `画像をお送りいただきありがとうございます📷
+
+担当者が内容を確認のうえ、${await describeStaffResponseTime()}ご連絡させていただきます。
+商品の破損や不具合の場合は、ご注文番号と状況もあわせてお知らせください。`;
+  
+  try {
+    await saveToNotion({
+      userId: userId,
+      userName: userName,
+      userMessage: attachment ? '（画像）' : '（画像・添付失敗）',
+      aiReply: reply,
+      status: '要確認',
+      category: '画像',
+      attachments: attachment ? [attachment] : []
+    });
+  } catch (notionError) {
+    console.error('Notion保存エラー（続行）:', notionError.message);
+  }
+  
+  await startHandoff(userId, { reason: '画像', userName: userName });
+  
+  return replyToEvent(event, { type: 'text', text: reply });
+}
+
+// コンテンツの種類ごとのファイルの拡張子（Notionは拡張子と種類が合わないファイルを受け付けない）
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/heic': 'heic'
+};
+
+// LINEのコンテンツをNotionにアップロード（ファイルプロパティ用の値を返す）
+// 種類はLINEが返すContent-Typeに合わせる（PNGなどもJPEGとして送るとNotionに拒否される）
+async function uploadLineContentToNotion(messageId, basename) {
+  const { httpResponse, body } = await lineBlobClient.getMessageContentWithHttpInfo(messageId);
+  const contentType = (httpResponse.headers.get('content-type') || 'image/jpeg').split(';')[0].trim();
+  const filename = `${basename}.${CONTENT_TYPE_EXTENSIONS[contentType] || 'jpg'}`;
+  
+  const chunks = [];
+  for await (const chunk of body) {
+    chunks.push(chunk);
+  }
+  
+  const upload = await notion.fileUploads.create({
+    mode: 'single_part',
+    filename: filename,
+    content_type: contentType
+  });
+  
+  await notion.fileUploads.send({
+    file_upload_id: upload.id,
+    file: {
+      filename: filename,
+      data: new Blob([Buffer.concat(chunks)], { type: contentType })
+    }
+  });
+  
+  return {
+    type: 'file_upload',
+    file_upload: { id: upload.id },
+    name: filename
+  };
+}
+
+// スタンプ・位置情報・音声などへの定型返信
+async function handleUnsupportedMessage(event) {
+  const replies = {
+    'sticker': 'スタンプありがとうございます😊\nご用件がございましたら、メッセージでお気軽にお送りください。',
+    'location': '位置情報をお送りいただきありがとうございます。\n恐れ入りますが、お問い合わせ内容をメッセージでお知らせいただけますでしょうか。',
+    'audio': '恐れ入りますが、音声メッセージには対応しておりません。\nお手数ですが、お問い合わせ内容をテキストでお送りください。'
+  };
+  
+  const reply = replies[event.message.type] ||
+    '恐れ入りますが、こちらの形式のメッセージには対応しておりません。\nお問い合わせ内容をテキストでお送りください。';
+  
+  return replyToEvent(event, { type: 'text', text: reply });
+}
+
+// =====================================
+// メッセージ分析とコンテキスト作成
+// =====================================
+// orderNumber: 確認済みの注文番号（指定した場合はメッセージから探さない）
+async function analyzeMessage(message, userId, { orderNumber } = {}) {
+  const context = {
+    orderNumber: null,
+    orderNumberCandidates: [],
+    resumedMessage: null,
+    orderInfo: null,
+    category: null,
+    intents: [],
+    requiresHumanReview: false,
+    escalation: null,
+    customerHistory: null,
+    customerName: null,
+    possibleOrders: null,
+    conversationState: null,
+    linkedCustomer: null
+  };
+  
+  // 顧客履歴を取得（会話の状態も確認）
+  context.customerHistory = await getCustomerHistory(userId);
+  context.conversationState = await getConversationState(userId);
+  context.linkedCustomer = await findLinkedCustomer(userId);
+  
+  // 注文番号の確認への返信（答えがわかれば、確認前のメッセージの処理を続ける）
+  if (context.conversationState.stage === 'confirming_order_number') {
+    const state = context.conversationState;
+    const confirmed = resolveOrderNumberConfirmation(message, state.candidates);
+    await updateConversationState(userId, state.previousState || { stage: 'initial' });
+    
+    if (confirmed !== undefined) {
+      const resumed = await analyzeMessage(state.originalMessage, userId, { orderNumber: confirmed });
+      resumed.resumedMessage = state.originalMessage;
+      return resumed;
+    }
+    
+    // 確認と関係のない返信は、確認をやめて通常どおり処理する
+    context.conversationState = await getConversationState(userId);
+  }
+  
+  // 低評価のアンケートのあとの新しいお問い合わせは、ご意見として扱わず通常どおり処理する
+  if (context.conversationState.stage === 'survey_feedback') {
+    await classifyIntent(message, context);
+    if (!isNewRequestAfterSurvey(message, context.category)) {
+      return context;
+    }
+    await updateConversationState(userId, { stage: 'initial' });
+    context.conversationState = await getConversationState(userId);
+  }
+  
+  // 本人確認・連携コード入力中は、数字を注文番号として扱わない
+  if (INPUT_STAGES.includes(context.conversationState.stage)) {
+    await classifyIntent(message, context);
+    return context;
+  }
+  
+  // 注文番号の抽出（ショップの注文番号の形式に合うもの。はっきりしない数字は候補として確認する）
+  if (orderNumber !== undefined) {
+    context.orderNumber = orderNumber;
+  } else {
+    const expected = ORDER_NUMBER_EXPECTED_STAGES.includes(context.conversationState.stage);
+    const extracted = extractOrderNumber(message, (await shopProfile.get()).orders, { expected });
+    context.orderNumber = extracted.orderNumber;
+    context.orderNumberCandidates = extracted.candidates;
+  }
+  
+  // 名前の抽出を試みる
+  context.customerName = extractCustomerName(message);
+  
+  // 注文情報を取得
+  if (context.orderNumber) {
+    context.orderInfo = await findOrderByNumber(context.orderNumber);
+  } else if (context.linkedCustomer?.shopifyCustomerId) {
+    // 連携済みの場合は連携先の顧客の注文を使う
+    context.possibleOrders = await getOrdersByCustomerId(context.linkedCustomer.shopifyCustomerId);
+  } else if (context.customerName) {
+    // 名前から注文を検索
+    context.possibleOrders = await searchOrdersByCustomerName(context.customerName);
+  }
+  
+  // カテゴリー分類（アンケートのあとで分類済みの場合はそのまま使う）
+  if (!context.category) {
+    await classifyIntent(message, context);
+  }
+  
+  // 人間の確認が必要か判定
+  await assessEscalation(message, userId, context);
+  
+  return context;
+}
+
+// 会話の状態を管理（最後の更新から30分で期限切れ）
+const CONVERSATION_TTL_MS = 30 * 60 * 1000;
+
+// 注文番号を尋ねている段階（付記のない数字も注文番号として扱う）
+const ORDER_NUMBER_EXPECTED_STAGES = ['waiting_for_name', 'name_not_found'];
+
+// 注文番号かどうかをお客様に確認するカテゴリー（商品・在庫などの質問に含まれる数字は確認しない）
+const ORDER_RELATED_CATEGORIES = ['配送・発送', '注文確認', 'キャンセル・返品', 'その他'];
+
+// 自由入力を待っている段階（この間は注文番号・名前の抽出をしない）
+const INPUT_STAGES = [
+  'waiting_for_verification',
+  'waiting_for_link_identifier',
+  'waiting_for_link_code',
+  'waiting_for_product_name',
+  'cancel_select_order',
+  'cancel_verify',
+  'cancel_select_items',
+  'cancel_reason',
+  'cancel_confirm',
+  'survey_feedback'
+];
+
+async function getConversationState(userId) {
+  try {
+    return (await conversationStore.get(userId)) || { stage: 'initial' };
+  } catch (error) {
+    console.error('会話状態取得エラー:', error);
+    return { stage: 'initial' };
+  }
+}
+
+async function updateConversationState(userId, state) {
+  await conversationStore.set(userId, { ...state, updatedAt: new Date().toISOString() }, {
+    ttlMs: CONVERSATION_TTL_MS
+  });
+}
+
+// 名前を抽出する関数
+function extractCustomerName(message) {
+  // 「〇〇です」「〇〇と申します」などのパターン（「送料は無料ですか」のような質問の「ですか」は除く）
+  const namePatterns = [
+    /私?は?(.{2,10})(?:です(?!か)|と申します|といいます)/,
+    /名前は(.{2,10})(?:です(?!か)|と申します)/,
+    /(.{2,10})(?:です|と申します|といいます)$/
+  ];
+  
+  for (const pattern of namePatterns) {
+    const match = message.match(pattern);
+    if (match) {
+      return match[1].trim();
+    }
+  }
+  
+  // 単独の名前（2-4文字の漢字・ひらがな・カタカナ）
+  if (/^[ぁ-んァ-ヶー一-龯]{2,4}$/.test(message.trim())) {
+    return message.trim();
+  }
+  
+  return null;
+}
+
+// 名前から注文を検索
+async function searchOrdersByCustomerName(customerName) {
+  try {
+    // 名前の部分一致で検索（姓または名で検索）
+    const searchQueries = [
+      customerName,
+      customerName.slice(0, -1), // 名前の最後の1文字を除く（「様」などを考慮）
+      customerName.slice(1)       // 名前の最初の1文字を除く
+    ];
+    
+    const allOrders = [];
+    
+    for (const query of searchQueries) {
+      const response = await shopifyAxios.get(`/customers/search.json?query=${encodeURIComponent(query)}`);
+      
+      for (const customer of response.data.customers) {
+        // 顧客の注文を取得
+        const ordersResponse = await shopifyAxios.get(`/orders.json?customer_id=${customer.id}&status=any&limit=10`);
+        allOrders.push(...ordersResponse.data.orders);
+      }
+    }
+    
+    // 重複を除去して最新の注文順にソート
+    const uniqueOrders = Array.from(
+      new Map(allOrders.map(order => [order.id, order])).values()
+    ).sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    
+    return uniqueOrders.slice(0, 5).map(normalizeOrder); // 最新5件まで
+    
+  } catch (error) {
+    console.error('顧客名での注文検索エラー:', error);
+    return [];
+  }
+}
+
+// メッセージのカテゴリー分類（lib/intentClassifier）
+// category: いちばん当てはまるカテゴリー / intents: 当てはまったカテゴリーすべて（当てはまる順）
+async function classifyIntent(message, context) {
+  const result = await intentClassifier.classify(message);
+  context.category = result.category;
+  context.intents = result.intents.map(intent => intent.category);
+}
+
+// 人間の対応が必要か判定（lib/escalation。点数・優先度・理由を context.escalation に設定）
+// キャンセル・返品は申請フローで担当者が承認するため、カテゴリーだけでは引き継がない
+async function assessEscalation(message, userId, context) {
+  const shop = await shopProfile.get();
+  
+  // 直近のやり取り（同じ内容の繰り返し・聞き返しの検出用）
+  let turns = [];
+  try {
+    turns = (await transcriptStore.get(userId)) || [];
+  } catch (error) {
+    console.error('会話履歴取得エラー（続行）:', error.message);
+  }
+  const lastReply = [...turns].reverse().find(turn => turn.role === 'assistant');
+  
+  // お客様が指定した注文か、配送の問い合わせなら最新の注文を対象にする（関係のない質問では注文を見ない）
+  const order = context.orderInfo ||
+    (context.intents?.includes('配送・発送') ? context.possibleOrders?.[0] : null) ||
+    null;
+  
+  context.escalation = scoreEscalation({
+    message,
+    history: context.customerHistory || [],
+    order,
+    trackingStatuses: order ? await getTrackingStatuses(order) : {},
+    orderNumber: context.orderNumber,
+    recentMessages: turns.filter(turn => turn.role === 'user').slice(-3).map(turn => turn.content),
+    lastReply: lastReply?.content || null,
+    now: new Date()
+  }, shop.escalation);
+  // 引き継ぐのは緊急・高など handoff の優先度だけ（通常はボットが答え、会話記録を「要確認」にする）
+  context.requiresHumanReview = context.escalation.handoff;
+}
+
+// =====================================
+// Shopify連携（詳細版）
+// =====================================
+// Shopifyの注文はすべて注文モデル（lib/orderModel）に変換してから使う
+
+// 注文番号から注文を取得（ショップの注文番号の形式で検索する）
+async function findOrderByNumber(orderNumber) {
+  try {
+    const name = formatOrderName(orderNumber, (await shopProfile.get()).orders);
+    const response = await shopifyAxios.get(`/orders.json?name=${encodeURIComponent(name)}&status=any`);
+    const order = response.data.orders.find(candidate => String(candidate.order_number) === String(orderNumber));
+    return order ? normalizeOrder(order) : null;
+  } catch (error) {
+    console.error('Shopify注文取得エラー:', error);
+    return null;
+  }
+}
+
+// 注文IDから注文を取得
+async function getOrderById(orderId) {
+  try {
+    const response = await shopifyAxios.get(`/orders/${orderId}.json`);
+    return normalizeOrder(response.data.order);
+  } catch (error) {
+    console.error('Shopify注文取得エラー:', orderId, error.message);
+    return null;
+  }
+}
+
+// 顧客IDから最近の注文を取得
+async function getOrdersByCustomerId(customerId) {
+  try {
+    const response = await shopifyAxios.get(`/orders.json?customer_id=${customerId}&status=any&limit=5`);
+    return response.data.orders.map(normalizeOrder);
+  } catch (error) {
+    console.error('顧客IDでの注文取得エラー:', error);
+    return [];
   }
 }
 
@@ -322,7 +1166,8 @@ async function getCustomerHistory(userId) {
           direction: 'descending'
         }
       ],
-      page_size: 5
+      // 繰り返しの問い合わせの判定に使うため、1回の会話の複数の記録を含めて多めに取得
+      page_size: 20
     });
     
     return response.results;
@@ -350,27 +1195,46 @@ async function loadResponseTemplates() {
       return getDefaultTemplates();
     }
     
-    // Notionからテンプレートを取得
-    const response = await notion.blocks.children.list({
-      block_id: templatePageId,
-      page_size: 100
-    });
+    // Notionからテンプレートを取得（100件を超える場合も全件）
+    const blocks = [];
+    let cursor;
+    do {
+      const response = await notion.blocks.children.list({
+        block_id: templatePageId,
+        start_cursor: cursor,
+        page_size: 100
+      });
+      blocks.push(...response.results);
+      cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
     
-    // テンプレートを解析
+    // テンプレートを解析（装飾で分かれた文字列もすべてつなげる）
     const templates = {};
     let currentCategory = null;
     
-    for (const block of response.results) {
+    for (const block of blocks) {
       if (block.type === 'heading_2') {
-        currentCategory = block.heading_2.rich_text[0]?.plain_text;
+        currentCategory = richTextToPlainText(block.heading_2.rich_text) || null;
       } else if (block.type === 'paragraph' && currentCategory) {
-        const text = block.paragraph.rich_text[0]?.plain_text;
-        if (text) {
-          if (!templates[currentCategory]) {
-            templates[currentCategory] = [];
-          }
-          templates[currentCategory].push(text);
+        const text = richTextToPlainText(block.paragraph.rich_text);
+        if (!templates[currentCategory]) {
+          templates[currentCategory] = [];
         }
+        // 空の段落は空行として残す
+        templates[currentCategory].push(text);
+      }
+    }
+    
+    // 前後の空行を除き、構文エラーのあるテンプレートはデフォルトを使う
+    for (const [name, lines] of Object.entries(templates)) {
+      while (lines.length > 0 && !lines[0]) lines.shift();
+      while (lines.length > 0 && !lines[lines.length - 1]) lines.pop();
+      
+      try {
+        compileTemplate(lines.join('\n'));
+      } catch (error) {
+        console.error(`テンプレート「${name}」の構文エラー（デフォルトを使用）:`, error.message);
+        delete templates[name];
       }
     }
     
@@ -386,6 +1250,76 @@ async function loadResponseTemplates() {
   }
 }
 
+function richTextToPlainText(richText = []) {
+  return richText.map(span => span.plain_text).join('');
+}
+
+// テンプレートに値を差し込む（Notionにない場合はデフォルトを使う）
+function renderResponseTemplate(name, variables) {
+  const defaults = getDefaultTemplates();
+  const lines = (responseTemplates && responseTemplates[name]) || defaults[name];
+  
+  if (!lines) {
+    console.error('テンプレートが見つかりません:', name);
+    return '';
+  }
+  
+  // どのテンプレートでも {shop.contact.phone} のようにショップ情報を使える
+  const data = { shop: shopProfile.current(), ...variables };
+  
+  let result;
+  try {
+    result = renderTemplate(lines.join('\n'), data);
+  } catch (error) {
+    console.error(`テンプレート「${name}」の差し込みエラー（デフォルトを使用）:`, error.message);
+    result = renderTemplate(defaults[name].join('\n'), data);
+  }
+  
+  if (result.missing.length > 0) {
+    console.warn(`テンプレート「${name}」の未設定の変数:`, result.missing.join(', '));
+  }
+  
+  return result.text.trim();
+}
+
+// 注文からテンプレート用の変数を作る（tracking は配送業者の追跡結果）
+function buildOrderTemplateVariables(order, fulfillment = order.fulfillments[0], tracking = null) {
+  const items = fulfillment?.items.length ? fulfillment.items : order.items;
+  
+  return {
+    orderNumber: order.orderNumber,
+    orderName: order.name,
+    orderDate: new Date(order.createdAt).toLocaleDateString('ja-JP'),
+    totalPrice: order.totalPrice,
+    customerName: `${order.customer?.firstName || ''} ${order.customer?.lastName || ''}`.trim(),
+    firstName: order.customer?.firstName || '',
+    status: getStatusInJapanese(order.fulfillmentStatus),
+    isPreparing: !fulfillment && !order.fulfillmentStatus,
+    items: items.map(item => ({ name: item.name, quantity: item.quantity, price: item.price })),
+    fulfillment: fulfillment
+      ? {
+        trackingCompany: fulfillment.trackingCompany || '確認中',
+        trackingNumber: fulfillment.trackingNumber || '準備中',
+        trackingUrl: fulfillment.trackingUrl,
+        shippedDate: new Date(fulfillment.createdAt).toLocaleDateString('ja-JP')
+      }
+      : null,
+    trackingNumber: fulfillment?.trackingNumber || '準備中',
+    deliveryEstimate: shopProfile.current()?.shipping.deliveryEstimate,
+    tracking: tracking && {
+      statusLabel: tracking.statusLabel,
+      isDelivered: tracking.status === 'delivered',
+      isOutForDelivery: tracking.status === 'out_for_delivery',
+      isHeld: tracking.status === 'held_at_depot',
+      latest: tracking.latest && {
+        time: formatCheckpointTime(tracking.latest.time),
+        description: tracking.latest.description,
+        location: tracking.latest.location
+      }
+    }
+  };
+}
+
 // デフォルトテンプレート
 function getDefaultTemplates() {
   return {
@@ -413,9 +1347,260 @@ function getDefaultTemplates() {
     '挨拶': [
       'いらっしゃいませ！本日はどのようなご用件でしょうか？',
       'お問い合わせありがとうございます。'
-    ]
-  };
-}
+    ],
+    '発送状況': [
+      '📦 発送状況のご確認',
+      '',
+      '【ご注文情報】',
+      '注文番号: #{orderNumber}',
+      '注文日: {orderDate}',
+      'お客様名: {customerName} 様',
+      '',
+      '【配送状況】',
+      'ステータス: {status}',
+      '{#if fulfillment}',
+      '',
+      '【配送詳細】',
+      '配送業者: {fulfillment.trackingCompany}',
+      '追跡番号: {fulfillment.trackingNumber}',
+      '{#if fulfillment.trackingUrl}',
+      '追跡URL: {fulfillment.trackingUrl}',
+      '{/if}',
+      '発送日: {fulfillment.shippedDate}',
+      '{#if tracking.latest}',
+      '',
+      '【最新の配送状況】',
+      '{tracking.statusLabel}',
+      '{tracking.latest.time} {tracking.latest.description}{#if tracking.latest.location}（{tracking.latest.location}）{/if}',
+      '{/if}',
+      '{#if tracking.isHeld}',
+      '保管期間内に、配送業者へ再配達のご依頼をお願いいたします。',
+      '{/if}',
+      '{#if tracking.isOutForDelivery}',
+      'お届け予定: 本日',
+      '{/if}',
+      '{#unless tracking.isDelivered}',
+      '{#unless tracking.isOutForDelivery}',
+      'お届け予定: 発送から{deliveryEstimate}',
+      '{/unless}',
+      '{/unless}',
+      '{/if}',
+      '{#if isPreparing}',
+      '',
+      '現在、発送準備中です。',
+      '発送が完了しましたら、追跡番号と共にお知らせいたします。',
+      '{/if}',
+      '',
+      'ご不明な点がございましたら、お気軽にお問い合わせください😊'
+    ],
+    '発送完了通知': [
+      '📦 発送完了のお知らせ',
+      '',
+      '{firstName} 様',
+      '',
+      'お待たせいたしました！',
+      'ご注文いただいた商品を発送いたしました。',
+      '',
+      '【ご注文内容】',
+      '注文番号: #{orderNumber}',
+      '{#each items}',
+      '・{name} × {quantity}',
+      '{/each}',
+      '',
+      '【配送情報】',
+      '{fulfillment.trackingCompany}',
+      '追跡番号: {fulfillment.trackingNumber}',
+      '{#if fulfillment.trackingUrl}',
+      '追跡URL: {fulfillment.trackingUrl}',
+      '{/if}',
+      '',
+      'お届け予定: {deliveryEstimate}',
+      '',
+      '商品の到着まで今しばらくお待ちください。',
+      'ご不明な点がございましたら、お気軽にお問い合わせください😊'
+    ],
+    '注文確認通知': [
+      '🛒 ご注文ありがとうございます',
+      '',
+      '{firstName} 様',
+      '',
+      'ご注文を承りました。',
+      '',
+      '【ご注文内容】',
+      '注文番号: #{orderNumber}',
+      'ご注文日: {orderDate}',
+      '{#each items}',
+      '・{name} × {quantity}',
+      '{/each}',
+      '合計金額: ¥{totalPrice}',
+      '',
+      '発送の準備が整いましたら、あらためてお知らせいたします。'
+    ],
+    '入金待ち通知': [
+      '💳 お支払いのお願い',
+      '',
+      '{firstName} 様',
+      '',
+      'ご注文番号 #{orderNumber}（{orderDate}ご注文）のお支払いがまだ確認できておりません。',
+      '',
+      'お支払い方法: {paymentMethod}',
+      '合計金額: ¥{totalPrice}',
+      '',
+      'お支払いの確認後、商品を発送いたします。',
+      'すでにお支払い済みの場合は、行き違いとなりますのでご容赦ください。'
+    ],
+    '一部発送通知': [
+      '📦 一部発送のお知らせ',
+      '',
+      '{firstName} 様',
+      '',
+      'ご注文いただいた商品の一部を発送いたしました。',
+      '残りの商品は、準備が整い次第お送りいたします。',
+      '',
+      '【今回発送した商品】',
+      '注文番号: #{orderNumber}',
+      '{#each items}',
+      '・{name} × {quantity}',
+      '{/each}',
+      '',
+      '【配送情報】',
+      '{fulfillment.trackingCompany}',
+      '追跡番号: {fulfillment.trackingNumber}',
+      '{#if fulfillment.trackingUrl}',
+      '追跡URL: {fulfillment.trackingUrl}',
+      '{/if}',
+      '',
+      'お届け予定: {deliveryEstimate}'
+    ],
+    '配達中通知': [
+      '🚚 本日お届け予定です',
+      '',
+      'ご注文番号 #{orderNumber} の商品は、本日配達予定です。',
+      '{#if fulfillment}',
+      '配送業者: {fulfillment.trackingCompany}',
+      '追跡番号: {fulfillment.trackingNumber}',
+      '{/if}',
+      '{#if tracking.latest}',
+      '最新の状況: {tracking.latest.time} {tracking.latest.description}{#if tracking.latest.location}（{tracking.latest.location}）{/if}',
+      '{/if}',
+      '',
+      'ご不在の場合は、不在連絡票から再配達をご依頼ください。'
+    ],
+    '配達完了通知': [
+      '🎁 お届け完了のお知らせ',
+      '',
+      'ご注文番号 #{orderNumber} の商品のお届けが完了しました。',
+      'ご利用いただき、ありがとうございます😊',
+      '',
+      '商品に不備がございましたら、到着後{shop.returns.windowDays}日以内にお知らせください。'
+    ],
+    'キャンセル通知': [
+      'ご注文キャンセルのお知らせ',
+      '',
+      'ご注文番号 #{orderNumber} のキャンセル手続きが完了いたしました。',
+      '',
+      'お支払い済みの場合は、ご利用の決済方法にて返金させていただきます。',
+      'ご不明な点がございましたら、お気軽にお問い合わせください。'
+    ],
+    '返金通知': [
+      '💴 返金手続きのお知らせ',
+      '',
+      'ご注文番号 #{orderNumber} の返金手続きを行いました。',
+      '{#if refundAmount}',
+      '',
+      '返金額: ¥{refundAmount}',
+      '{/if}',
+      '',
+      'ご利用の決済方法によっては、反映までにお時間がかかる場合がございます。',
+      'ご不明な点がございましたら、お気軽にお問い合わせください。'
+    ],
+    'アンケート': [
+      '📝 お買い物はいかがでしたか？',
+      '',
+      'ご注文番号 #{orderNumber} の商品がお手元に届いてから数日が経ちました。',
+      '今回のお買い物の満足度を、下のボタンからお選びください。',
+      '（ボタンを1回押すだけで回答できます）'
+    ],
+    'アンケート（高評価）': [
+      'ご回答ありがとうございます😊',
+      '{#if reviews}',
+      '',
+      'よろしければ、商品ページにレビューをお寄せいただけると励みになります。',
+      '{#each reviews}',
+      '・{name}',
+      '{url}',
+      '{/each}',
+      '{/if}'
+    ],
+    'アンケート（ふつう）': [
+      'ご回答ありがとうございます😊',
+      '',
+      'いただいたご意見は、今後のサービス向上に活かしてまいります。',
+      'お気づきの点がございましたら、いつでもこちらのLINEでお知らせください。'
+    ],
+    'アンケート（低評価）': [
+      'ご回答ありがとうございます。',
+      'ご期待に沿えず、大変申し訳ございません。',
+      '',
+      'よろしければ、気になった点を教えていただけますでしょうか？',
+      'いただいた内容は担当者が確認し、改善に努めてまいります。'
+    ],
+    'アンケート（ご意見なし）': [
+      '承知いたしました。ご回答いただき、ありがとうございました。',
+      'お気づきの点がございましたら、いつでもこちらのLINEでお知らせください。'
+    ],
+    'アンケート（ご意見受付）': [
+      '詳しく教えていただき、ありがとうございます。',
+      '',
+      '担当者が内容を確認し、{responseTime}改めてご連絡させていただきます。'
+    ],
+    '発送状況の案内': [
+      '{#if orderNumber}',
+      '注文番号 #{orderNumber} の配送状況を確認いたします。少々お待ちください。',
+      '{else}',
+      '発送状況を確認させていただきます📦',
+      '',
+      'ご注文番号、またはご注文時のお名前を教えていただけますでしょうか？',
+      '{/if}'
+    ],
+    '営業時間の案内': [
+      '【営業時間のご案内】',
+      '平日：{shop.hours.open}-{shop.hours.close}',
+      '{#if shop.hours.closedDays}',
+      '{shop.hours.closedDays}：お休み',
+      '{/if}',
+      '',
+      'お電話でのお問い合わせ：',
+      '{shop.contact.phone}',
+      '',
+      'メールでのお問い合わせ：',
+      '{shop.contact.email}',
+      '',
+      'お急ぎの場合は、お電話でのお問い合わせをお勧めいたします。'
+    ],
+    '支払い方法の案内': [
+      'お支払いについてのご案内です💳',
+      '',
+      '【ご利用可能な決済方法】',
+      '{#each shop.payment.methods}',
+      '・{name}{#if detail}（{detail}）{/if}{#if fee}（手数料{fee}円）{/if}',
+      '{/each}',
+      '',
+      'お支払いに関してご不明な点がございましたら、詳しくお聞かせください。'
+    ],
+    '商品の案内': [
+      '商品についてのお問い合わせありがとうございます。',
+      '',
+      'どちらの商品についてお知りになりたいでしょうか？',
+      '・商品名',
+      '・サイズや仕様',
+      '・価格',
+      '・在庫状況',
+      '',
+      '具体的な商品名を教えていただければ、詳しくご案内させていただきます。'
+    ]
+  };
+}
 
 // =====================================
 // ChatGPT応答生成（改善版）
@@ -425,11 +1610,57 @@ async function generateAIResponse(message, context) {
     // 会話の状態を取得
     const conversationState = await getConversationState(context.userId);
     
-    // テンプレートを読み込み
+    // テンプレートとショップ情報を読み込み
     const templates = await loadResponseTemplates();
+    const shop = await shopProfile.get();
+    
+    // 挨拶だけのメッセージにはメニューを表示
+    if (conversationState.stage === 'initial' && /^(?:こんにち[はわ]|おはよう(?:ございます)?|こんばん[はわ]|はじめまして)[!！。\s]*$/.test(message.trim())) {
+      return buildGreetingReply(shop);
+    }
+    
+    // 低評価のアンケートに続くご意見
+    if (conversationState.stage === 'survey_feedback') {
+      return await handleSurveyFeedback(message, context, conversationState);
+    }
+    
+    // アカウント連携・連携解除
+    const linkReply = await handleAccountLinkFlow(message, context, conversationState);
+    if (linkReply) {
+      return linkReply;
+    }
+    
+    // 注文のお知らせの停止・再開
+    const notificationReply = await handleNotificationSettings(message, context);
+    if (notificationReply) {
+      return notificationReply;
+    }
+    
+    // 注文番号かどうかはっきりしない数字は、お客様に確認する
+    const isOrderRelated = [context.category, ...context.intents].some(category => ORDER_RELATED_CATEGORIES.includes(category));
+    if (context.orderNumberCandidates.length > 0 && isOrderRelated) {
+      return await askOrderNumberConfirmation(message, context, conversationState, shop);
+    }
+    
+    // キャンセル・返品の申請
+    if (CANCEL_STAGES.includes(conversationState.stage) || context.category === 'キャンセル・返品') {
+      return await handleCancellationFlow(message, context, conversationState);
+    }
+    
+    // 本人確認待ちの返信はカテゴリーに関係なく処理
+    if (conversationState.stage === 'waiting_for_verification') {
+      return await handleVerificationReply(message, context, conversationState);
+    }
     
     // 発送状況の問い合わせで注文番号がない場合
-    if (context.category === '配送・発送' && !context.orderNumber && !context.orderInfo) {
+    const isShippingFlow = context.category === '配送・発送' || conversationState.intent === 'shipping_inquiry';
+    if (isShippingFlow && !context.orderNumber && !context.orderInfo) {
+      
+      // 連携済みのお客様は名前を聞かずに注文を表示
+      if (context.linkedCustomer && conversationState.stage !== 'waiting_for_order_selection' &&
+          context.possibleOrders && context.possibleOrders.length > 0) {
+        return await respondWithOrders(context.userId, context.possibleOrders, context.linkedCustomer.name || context.userName);
+      }
       
       // ステップ1: 名前を聞く
       if (conversationState.stage === 'initial') {
@@ -446,39 +1677,41 @@ async function generateAIResponse(message, context) {
       }
       
       // ステップ2: 名前から注文を検索
-      if (conversationState.stage === 'waiting_for_name' && context.customerName) {
+      if ((conversationState.stage === 'waiting_for_name' || conversationState.stage === 'name_not_found') &&
+          context.customerName) {
         if (context.possibleOrders && context.possibleOrders.length > 0) {
+          // 連携済みのLINEユーザーであれば本人確認を省略
+          const linkedOrders = filterOrdersLinkedToUser(context.possibleOrders, context.linkedCustomer);
+          if (linkedOrders.length > 0) {
+            return await respondWithOrders(context.userId, linkedOrders, context.customerName);
+          }
           
-          if (context.possibleOrders.length === 1) {
-            // 注文が1件のみの場合
-            const order = context.possibleOrders[0];
+          // ステップ2.5: 本人確認（注文内容を表示する前に必ず確認）
+          if (await isVerificationLocked(context.userId)) {
             await updateConversationState(context.userId, { stage: 'initial' });
-            
-            return formatOrderStatusMessage(order);
-          } else {
-            // 複数の注文がある場合
-            await updateConversationState(context.userId, { 
-              stage: 'waiting_for_order_selection',
-              possibleOrders: context.possibleOrders,
-              customerName: context.customerName
-            });
-            
-            return `${context.customerName}様のご注文が複数見つかりました。
-
-どちらの注文についてお調べしましょうか？
+            return getVerificationLockedMessage();
+          }
+          
+          // 注文の内容（住所・電話番号など）は会話の状態に保存せず、注文IDだけを残す
+          await updateConversationState(context.userId, {
+            stage: 'waiting_for_verification',
+            intent: 'shipping_inquiry',
+            candidateOrderIds: context.possibleOrders.map(order => order.id),
+            customerName: context.customerName
+          });
+          
+          return `ご本人様確認のため、ご注文時にご登録いただいた以下のいずれかを教えていただけますでしょうか？
 
-${context.possibleOrders.map((order, index) => 
-  `${index + 1}. 注文番号 #${order.order_number}
-   注文日: ${new Date(order.created_at).toLocaleDateString('ja-JP')}
-   商品: ${order.line_items[0].name}${order.line_items.length > 1 ? ` 他${order.line_items.length - 1}点` : ''}`
-).join('\n\n')}
+・メールアドレス
+・電話番号の下4桁
+・お届け先の郵便番号
 
-番号でお答えいただくか、注文番号を教えてください。`;
-          }
+（例：1234）`;
         } else {
           // 注文が見つからない場合
           await updateConversationState(context.userId, { 
             stage: 'name_not_found',
+            intent: 'shipping_inquiry',
             attemptedName: context.customerName
           });
           
@@ -495,105 +1728,60 @@ ${context.possibleOrders.map((order, index) =>
       // ステップ3: 注文選択待ち
       if (conversationState.stage === 'waiting_for_order_selection') {
         const selection = parseInt(message.trim());
-        if (selection && conversationState.possibleOrders && conversationState.possibleOrders[selection - 1]) {
-          const selectedOrder = conversationState.possibleOrders[selection - 1];
+        const selectedOrderId = selection ? conversationState.possibleOrderIds?.[selection - 1] : null;
+        const selectedOrder = selectedOrderId ? await getOrderById(selectedOrderId) : null;
+        if (selectedOrder) {
           await updateConversationState(context.userId, { stage: 'initial' });
           
-          return formatOrderStatusMessage(selectedOrder);
+          return await buildOrderStatusReply(selectedOrder);
         }
       }
     }
     
+    // 再入荷通知の登録
+    if (conversationState.stage === 'offering_restock' && /再入荷通知/.test(message)) {
+      return await handleRestockSubscription(message, context, conversationState);
+    }
+    
+    // 在庫確認（商品名の返信待ちも含む）
+    const isStockFollowUp = conversationState.stage === 'waiting_for_product_name' &&
+      ['在庫', '商品', 'その他'].includes(context.category);
+    if (context.category === '在庫' || isStockFollowUp) {
+      return await handleStockInquiry(message, context, conversationState);
+    }
+    
     // 注文番号がある場合の処理
     if (context.orderInfo) {
-      return formatOrderStatusMessage(context.orderInfo);
+      return await buildOrderStatusReply(context.orderInfo);
     }
     
     // カテゴリー別の応答を生成
     const categoryResponses = {
       '配送・発送': () => {
-        if (!context.orderNumber) {
-          return `発送状況を確認させていただきます📦
-
-ご注文番号、またはご注文時のお名前を教えていただけますでしょうか？`;
-        }
-        return `注文番号 #${context.orderNumber} の配送状況を確認いたします。少々お待ちください。`;
-      },
-      
-      '在庫': () => {
-        return `在庫確認を承りました。
-
-どちらの商品の在庫をお調べいたしましょうか？
-商品名またはURLを教えていただけますでしょうか。`;
+        return renderResponseTemplate('発送状況の案内', { orderNumber: context.orderNumber });
       },
       
       '営業・その他': () => {
-        const businessInfo = `【営業時間のご案内】
-平日：9:00-18:00
-土日祝：お休み
-
-お電話でのお問い合わせ：
-03-1234-5678
-
-メールでのお問い合わせ：
-support@hirunegao.com
-
-お急ぎの場合は、お電話でのお問い合わせをお勧めいたします。`;
+        const businessInfo = renderResponseTemplate('営業時間の案内', {});
         
         if (message.includes('営業時間')) {
           return businessInfo;
         }
         
         // 一般的な挨拶への応答
-        if (message.match(/こんにち[はわ]|おはよう|こんばん[はわ]|はじめまして/)) {
-          return `こんにちは！昼寝のソムリエshop HIRUNEGAOです😊
-
-本日はどのようなご用件でしょうか？
-・ご注文の確認
-・商品について
-・発送状況の確認
-・その他のお問い合わせ
-
-お気軽にお申し付けください。`;
+        if (isGreetingMessage(message)) {
+          return buildGreetingReply(shop);
         }
         
         return businessInfo;
       },
       
-      'キャンセル・返品': () => {
-        return `キャンセル・返品についてのお問い合わせですね。
-
-大変恐れ入りますが、キャンセル・返品については担当者が詳細を確認させていただく必要がございます。
-
-以下の情報を教えていただけますでしょうか：
-・ご注文番号
-・キャンセル/返品の理由
-
-担当者より1営業日以内にご連絡させていただきます。`;
-      },
-      
       '支払い': () => {
-        return `お支払いについてのご案内です💳
-
-【ご利用可能な決済方法】
-・クレジットカード（VISA/Master/JCB/AMEX）
-・銀行振込
-・代金引換（手数料330円）
-・コンビニ決済
-
-お支払いに関してご不明な点がございましたら、詳しくお聞かせください。`;
+        return renderResponseTemplate('支払い方法の案内', {});
       },
       
       '商品': () => {
-        return `商品についてのお問い合わせありがとうございます。
-
-どちらの商品についてお知りになりたいでしょうか？
-・商品名
-・サイズや仕様
-・価格
-・在庫状況
-
-具体的な商品名を教えていただければ、詳しくご案内させていただきます。`;
+        return renderResponseTemplate('商品の案内', {});
       }
     };
     
@@ -603,14 +1791,28 @@ support@hirunegao.com
       
       // 顧客履歴がある場合は追加情報
       if (context.customerHistory && context.customerHistory.length > 0) {
-        return response + `\n\n※過去にもお問い合わせいただいているお客様ですね。いつもご利用ありがとうございます。`;
+        return appendText(response, `\n\n※過去にもお問い合わせいただいているお客様ですね。いつもご利用ありがとうございます。`);
       }
       
       return response;
     }
     
+    // 個人情報をプレースホルダーに置き換えてから送る
+    const redaction = createRedactionSession({
+      ...getRedactionOptions(),
+      knownNames: [
+        context.linkedCustomer?.name,
+        context.customerName,
+        context.userName !== '顧客' ? context.userName : null
+      ]
+    });
+    
+    // 質問に関連するFAQを検索
+    const faqResults = await retrieveFaq(redaction.redact(message));
+    context.faq = { entries: faqResults.map(result => result.entry), citedIds: [], uncovered: faqResults.length === 0 };
+    
     // 通常のChatGPT応答（テンプレートとコンテキストを活用）
-    let systemPrompt = `あなたは「昼寝のソムリエshop HIRUNEGAO」の親切で丁寧なカスタマーサポートAIです。
+    let systemPrompt = `あなたは「${shop.name}」の親切で丁寧なカスタマーサポートAIです。
 
 重要：必ず具体的で役立つ情報を提供してください。「担当者より連絡」という回答は最終手段です。
 
@@ -621,7 +1823,7 @@ support@hirunegao.com
 4. 本当に回答できない場合のみ「担当者確認」とする
 
 対応例：
-- 「送料は？」→ 具体的な送料を案内
+- 「送料は？」→ 参考FAQに記載があれば具体的な送料を案内
 - 「返品したい」→ 返品ポリシーを説明し、必要な情報を聞く
 - 「在庫ある？」→ どの商品か聞く
 - 「いつ届く？」→ 注文番号か名前を聞く
@@ -629,27 +1831,53 @@ support@hirunegao.com
 利用可能なテンプレート：
 ${JSON.stringify(templates, null, 2)}
 
-カテゴリー: ${context.category}
+カテゴリー: ${context.category}${context.intents.length > 1 ? `（ほかに当てはまる意図: ${context.intents.slice(1).join('、')}）` : ''}
+
+ショップ情報（営業時間・連絡先・決済方法・お届け日数・返品期間はここに書かれている内容で案内する）：
+${formatShopProfileForPrompt(shop)}
+
+参考FAQ（金額・日数・ポリシーはここに書かれている内容だけを案内し、書かれていないことは推測で答えない）：
+${formatFaqForPrompt(context.faq.entries)}
+FAQを使って回答した場合は、回答の最後に使ったFAQのIDを [FAQ:ID] の形式で付けてください。
+
+お客様に関する情報（回答に必要な場合のみ使用）：
+${buildContextFacts(context, conversationState)}
 `;
     
+    // 直近の会話履歴（トークン数の上限内）
+    const transcript = await getTranscript(transcriptStore, context.userId, {
+      tokenBudget: parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET || '1500'),
+      notionHistory: context.customerHistory || []
+    });
+    
     // ChatGPT APIを呼び出し
     const completion = await openai.chat.completions.create({
       model: "gpt-3.5-turbo",
       messages: [
         {
           role: "system",
-          content: systemPrompt
+          content: redaction.redact(systemPrompt)
         },
+        ...transcript.map(turn => ({ role: turn.role, content: redaction.redact(turn.content) })),
         {
           role: "user",
-          content: message
+          content: redaction.redact(message)
         }
       ],
       temperature: 0.7,
       max_tokens: 300
     });
     
-    let response = completion.choices[0].message.content;
+    let response = redaction.restore(completion.choices[0].message.content);
+    
+    // 引用されたFAQを記録し、出典として表示
+    const cited = extractFaqCitations(response, context.faq.entries);
+    response = cited.text;
+    context.faq.citedIds = cited.entries.map(entry => entry.id);
+    context.faq.uncovered = cited.entries.length === 0;
+    if (cited.entries.length > 0) {
+      response += `\n\n📖 参考：${cited.entries.map(entry => entry.question).join('／')}`;
+    }
     
     // デフォルト応答を避ける
     if (response.includes('担当者よりご連絡') && !context.requiresHumanReview) {
@@ -667,7 +1895,7 @@ ${JSON.stringify(templates, null, 2)}
     
     // 人間の確認が必要な場合は注記を追加
     if (context.requiresHumanReview) {
-      response += '\n\n※こちらの件は担当者からも改めてご連絡させていただきます。';
+      response += `\n\n※こちらの件は担当者より${await describeStaffResponseTime()}改めてご連絡させていただきます。`;
     }
     
     return response;
@@ -675,13 +1903,14 @@ ${JSON.stringify(templates, null, 2)}
   } catch (error) {
     console.error('応答生成エラー:', error);
     
-    // エラー時でも役立つ応答を返す
+    // エラー時でも役立つ応答を返す（ショップ情報が読めていない場合は一般的な応答）
+    const shop = shopProfile.current();
     const fallbackResponses = {
       '配送・発送': '発送状況の確認には注文番号が必要です。注文番号をお教えいただけますでしょうか？',
       '在庫': '在庫確認をいたします。商品名を教えていただけますでしょうか？',
-      '営業・その他': `営業時間：平日9:00-18:00\nお電話：03-1234-5678\nメール：support@hirunegao.com`,
-      'キャンセル・返品': '返品は商品到着後7日以内に承っております。注文番号と理由をお教えください。',
-      '支払い': 'クレジットカード、銀行振込、代引き、コンビニ決済がご利用いただけます。',
+      '営業・その他': shop && `営業時間：平日${shop.hours.open}-${shop.hours.close}\nお電話：${shop.contact.phone}\nメール：${shop.contact.email}`,
+      'キャンセル・返品': shop && `返品は商品到着後${shop.returns.windowDays}日以内に承っております。注文番号と理由をお教えください。`,
+      '支払い': shop && `${shop.payment.summary}がご利用いただけます。`,
       '商品': 'どちらの商品についてお知りになりたいでしょうか？'
     };
     
@@ -690,219 +1919,2890 @@ ${JSON.stringify(templates, null, 2)}
   }
 }
 
-// 注文状況メッセージのフォーマット
-function formatOrderStatusMessage(order) {
-  let message = `📦 発送状況のご確認
-
-【ご注文情報】
-注文番号: #${order.order_number || order.name}
-注文日: ${new Date(order.created_at).toLocaleDateString('ja-JP')}
-お客様名: ${order.customer?.first_name} ${order.customer?.last_name} 様
+// ショップ情報をChatGPT向けの箇条書きにする
+function formatShopProfileForPrompt(shop) {
+  const payments = shop.payment.methods.map(method => {
+    const notes = [method.detail, method.fee ? `手数料${method.fee}円` : null].filter(Boolean);
+    return notes.length > 0 ? `${method.name}（${notes.join('、')}）` : method.name;
+  });
+  
+  return [
+    `- 営業時間: 平日${shop.hours.open}-${shop.hours.close}${shop.hours.closedDays ? `（${shop.hours.closedDays}はお休み）` : ''}`,
+    ...(shop.holidays.length > 0
+      ? [`- 休業期間: ${shop.holidays.map(holiday => `${holiday.name}（${holiday.from}〜${holiday.to}）`).join('、')}`]
+      : []),
+    `- 電話: ${shop.contact.phone}`,
+    `- メール: ${shop.contact.email}`,
+    `- 決済方法: ${payments.join('、')}`,
+    `- お届け予定: 発送から${shop.shipping.deliveryEstimate}`,
+    ...(shop.shipping.fee !== null ? [`- 送料: ${shop.shipping.fee === 0 ? '無料' : `${shop.shipping.fee}円`}`] : []),
+    ...(shop.shipping.freeShippingThreshold !== null ? [`- 送料無料: ${shop.shipping.freeShippingThreshold}円以上のご注文`] : []),
+    `- 返品: 商品到着後${shop.returns.windowDays}日以内`
+  ].join('\n');
+}
 
-【配送状況】
-ステータス: ${getStatusInJapanese(order.fulfillment_status)}
-`;
+// FAQを検索（失敗しても回答は続ける）
+async function retrieveFaq(query) {
+  try {
+    const results = await knowledgeBase.retrieve(query, { limit: 3 });
+    const shop = await shopProfile.get();
+    return results.map(result => ({ ...result, entry: { ...result.entry, answer: renderFaqAnswer(result.entry, shop) } }));
+  } catch (error) {
+    console.error('FAQ検索エラー:', error);
+    return [];
+  }
+}
 
-  if (order.fulfillments && order.fulfillments.length > 0) {
-    const fulfillment = order.fulfillments[0];
-    message += `
-【配送詳細】
-配送業者: ${fulfillment.tracking_company || '確認中'}
-追跡番号: ${fulfillment.tracking_number || '準備中'}`;
-    
-    if (fulfillment.tracking_url) {
-      message += `
-追跡URL: ${fulfillment.tracking_url}`;
+// FAQの回答に {shop.returns.windowDays} のようにショップ情報を差し込む（電話番号や日数をFAQに重ねて書かない）
+function renderFaqAnswer(entry, shop) {
+  try {
+    const result = renderTemplate(entry.answer, { shop });
+    if (result.missing.length > 0) {
+      console.warn(`FAQ「${entry.question}」の未設定の変数:`, result.missing.join(', '));
     }
-    
-    message += `
-発送日: ${new Date(fulfillment.created_at).toLocaleDateString('ja-JP')}
-お届け予定: 発送から2-3営業日`;
-  } else if (order.fulfillment_status === null) {
-    message += `
-現在、発送準備中です。
-発送が完了しましたら、追跡番号と共にお知らせいたします。`;
+    return result.text.trim();
+  } catch (error) {
+    console.error(`FAQ「${entry.question}」の差し込みエラー（そのまま使用）:`, error.message);
+    return entry.answer;
   }
+}
 
-  message += `
+function formatFaqForPrompt(entries) {
+  if (entries.length === 0) {
+    return '（該当するFAQはありません）';
+  }
+  return entries.map(entry => `[FAQ:${entry.id}]\nQ: ${entry.question}\nA: ${entry.answer}`).join('\n\n');
+}
 
-ご不明な点がございましたら、お気軽にお問い合わせください😊`;
+// 返答から [FAQ:ID] を取り除き、引用されたFAQを返す
+function extractFaqCitations(text, entries) {
+  const citedIds = new Set();
+  const cleaned = text.replace(/\s*\[FAQ:([^\]]+)\]/g, (match, id) => {
+    citedIds.add(id.trim());
+    return '';
+  }).trim();
+  
+  return {
+    text: cleaned,
+    entries: entries.filter(entry => citedIds.has(entry.id))
+  };
+}
 
-  return message;
+// ChatGPTに渡すお客様の情報（連携情報・最近の注文・会話の段階）
+function buildContextFacts(context, conversationState) {
+  const facts = [];
+  
+  if (context.linkedCustomer) {
+    facts.push(`- LINE連携済みのお客様: ${context.linkedCustomer.name || '（お名前未登録）'}`);
+  } else {
+    facts.push('- LINE連携なし（注文情報は本人確認後にのみ案内できる）');
+  }
+  
+  // 注文情報は連携済み（本人確認済み）の場合のみ渡す
+  if (context.linkedCustomer && context.possibleOrders && context.possibleOrders.length > 0) {
+    facts.push('- 最近のご注文:');
+    for (const order of context.possibleOrders.slice(0, 3)) {
+      const fulfillment = order.fulfillments[0];
+      facts.push(`  - #${order.orderNumber}（${new Date(order.createdAt).toLocaleDateString('ja-JP')}注文）` +
+        ` 状況: ${getStatusInJapanese(order.fulfillmentStatus)}` +
+        ` 商品: ${order.items.map(item => item.name).join('、')}` +
+        (fulfillment ? ` 発送日: ${new Date(fulfillment.createdAt).toLocaleDateString('ja-JP')}` +
+          ` 配送業者: ${fulfillment.trackingCompany || '確認中'} 追跡番号: ${fulfillment.trackingNumber || '準備中'}` : ''));
+    }
+  }
+  
+  if (conversationState.stage && conversationState.stage !== 'initial') {
+    facts.push(`- 現在の会話の段階: ${conversationState.stage}${conversationState.intent ? `（${conversationState.intent}）` : ''}`);
+  }
+  
+  if (context.customerHistory && context.customerHistory.length > 0) {
+    facts.push(`- 過去のお問い合わせ件数: ${context.customerHistory.length}件以上`);
+  }
+  
+  return facts.join('\n');
 }
 
-// =====================================
-// Notion保存（改善版）
-// =====================================
-async function saveToNotion(data) {
-  try {
-    // IDフィールドの自動生成
-    const autoId = Date.now().toString();
-    
-    const properties = {
-      'ID': { 
-        title: [{ 
-          text: { 
-            content: autoId
-          } 
-        }] 
-      },
-      '顧客名': { 
-        rich_text: [{ 
-          text: { content: data.userName || '不明' } 
-        }] 
-      },
-      '顧客LINE_ID': { 
-        rich_text: [{ 
-          text: { content: data.userId } 
-        }] 
-      },
-      '問い合わせ': { 
-        rich_text: [{ 
-          text: { content: data.userMessage || '' } 
-        }] 
-      },
-      '作成文章': { 
-        rich_text: [{ 
-          text: { content: data.aiReply || '' } 
-        }] 
-      },
-      'ステータス': { 
-        select: { name: data.status || '対応済み' }
-      },
-      'プラットフォーム': { 
-        select: { name: 'LINE' }
-      },
-      '作成日時': { 
-        rich_text: [{ 
-          text: { content: new Date().toLocaleString('ja-JP') } 
-        }] 
+// 「1234はご注文番号でしょうか？」と確認する（答えは analyzeMessage で読む）
+async function askOrderNumberConfirmation(message, context, conversationState, shop) {
+  const { updatedAt, ...previousState } = conversationState;
+  const candidates = context.orderNumberCandidates.slice(0, 5);
+  
+  await updateConversationState(context.userId, {
+    stage: 'confirming_order_number',
+    candidates,
+    originalMessage: message,
+    previousState
+  });
+  
+  const names = candidates.map(candidate => formatOrderName(candidate, shop.orders));
+  if (candidates.length === 1) {
+    return {
+      type: 'text',
+      text: `ご注文番号は「${names[0]}」でよろしいでしょうか？`,
+      quickReply: {
+        items: [
+          { type: 'action', action: { type: 'message', label: 'はい', text: 'はい' } },
+          { type: 'action', action: { type: 'message', label: 'いいえ', text: 'いいえ' } }
+        ]
       }
     };
-    
-    // 注文番号がある場合のみ追加
-    if (data.orderNumber) {
-      properties['注文番号'] = { 
-        number: parseInt(data.orderNumber)
-      };
+  }
+  
+  return {
+    type: 'text',
+    text: `ご注文番号は次のどれでしょうか？\n\n${names.map(name => `・${name}`).join('\n')}`,
+    quickReply: {
+      items: names.map(name => ({ type: 'action', action: { type: 'message', label: name, text: name } })).concat([
+        { type: 'action', action: { type: 'message', label: 'どれでもない', text: '注文番号ではありません' } }
+      ])
     }
-    
-    await notion.pages.create({
-      parent: { database_id: process.env.NOTION_DATABASE_ID },
-      properties: properties
-    });
-    
-    console.log('Notionに保存しました:', autoId);
-    
-  } catch (error) {
-    console.error('Notion保存エラー:', error.message);
-    throw error; // エラーを上位に伝播
+  };
+}
+
+// 注文状況の返信（Flexの注文カード、無効時はテキスト）
+async function buildOrderStatusReply(order) {
+  const tracking = await getTrackingStatus(order.fulfillments[0]);
+  const text = formatOrderStatusMessage(order, tracking);
+  
+  if (!isFlexEnabled()) {
+    return text;
   }
+  
+  return buildOrderCard(order, {
+    title: '📦 発送状況のご確認',
+    statusLabel: getStatusInJapanese(order.fulfillmentStatus),
+    altText: text
+  });
 }
 
-// =====================================
-// 自動通知機能（改善版）
-// =====================================
+// 注文状況メッセージのフォーマット
+function formatOrderStatusMessage(order, tracking = null) {
+  return renderResponseTemplate('発送状況', buildOrderTemplateVariables(order, order.fulfillments[0], tracking));
+}
 
-// 発送通知をチェック（5分ごと）
-cron.schedule('*/5 * * * *', async () => {
-  console.log('発送状況をチェック中...');
+// 配送業者の最新の追跡結果（対応していない業者・取得できない場合はnull）
+async function getTrackingStatus(fulfillment) {
+  if (!fulfillment || !fulfillment.trackingNumber) {
+    return null;
+  }
   
   try {
-    // 過去24時間の注文を取得
-    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-    const response = await shopifyAxios.get(`/orders.json?updated_at_min=${yesterday}&status=any&limit=50`);
-    
-    for (const order of response.data.orders) {
-      // 新しく発送された注文をチェック
-      if (order.fulfillment_status === 'fulfilled' && 
-          order.tags && 
-          !order.tags.includes('line_notified')) {
-        
-        // 顧客のLINE IDを検索
-        const lineUserId = await findLineUserIdByEmail(order.customer.email);
-        if (lineUserId) {
-          await sendShippingNotification(lineUserId, order);
-          
-          // 通知済みタグを追加
-          await shopifyAxios.put(`/orders/${order.id}.json`, {
-            order: { 
-              tags: order.tags ? `${order.tags},line_notified` : 'line_notified'
-            }
-          });
-        }
-      }
-    }
+    return await carrierTracker.track(fulfillment.trackingCompany, fulfillment.trackingNumber);
   } catch (error) {
-    console.error('発送チェックエラー:', error);
+    console.error('配送追跡エラー:', fulfillment.trackingCompany, error.message);
+    return null;
   }
-});
+}
 
-// メールアドレスからLINE IDを検索
-async function findLineUserIdByEmail(email) {
-  try {
-    // Notionで顧客メールアドレスを検索
-    const response = await notion.databases.query({
-      database_id: process.env.NOTION_CUSTOMER_DB_ID, // 顧客マスターDB
-      filter: {
-        property: 'メールアドレス',
-        email: {
-          equals: email
-        }
-      }
-    });
-    
-    if (response.results.length > 0) {
-      return response.results[0].properties['LINE_ID']?.rich_text[0]?.plain_text;
+// 発送済みで配達完了になっていない荷物の追跡の状況（{ 発送ID: 状況 }。追跡できない荷物は含めない）
+async function getTrackingStatuses(order) {
+  const statuses = {};
+  for (const fulfillment of getShippedFulfillments(order)) {
+    if (fulfillment.shipmentStatus === 'delivered') {
+      continue;
+    }
+    const tracking = await getTrackingStatus(fulfillment);
+    if (tracking) {
+      statuses[fulfillment.id] = tracking.status;
     }
-    
-    return null;
-  } catch (error) {
-    console.error('LINE ID検索エラー:', error);
-    return null;
   }
+  return statuses;
 }
 
-// 発送完了通知を送信
-async function sendShippingNotification(userId, order) {
-  const tracking = order.fulfillments[0];
-  const message = `📦 発送完了のお知らせ
-
-${order.customer.first_name} 様
-
-お待たせいたしました！
-ご注文いただいた商品を発送いたしました。
+// 追跡の日時を「10/19 14:02」の形にする（日本時間）
+function formatCheckpointTime(isoTime) {
+  if (!isoTime) {
+    return '';
+  }
+  return new Date(isoTime).toLocaleString('ja-JP', {
+    timeZone: 'Asia/Tokyo',
+    month: 'numeric',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
 
-【ご注文内容】
-注文番号: #${order.order_number}
-${order.line_items.map(item => 
-  `・${item.name} × ${item.quantity}`
-).join('\n')}
+// =====================================
+// 在庫確認
+// =====================================
 
-【配送情報】
-${tracking?.tracking_company || '配送業者確認中'}
-追跡番号: ${tracking?.tracking_number || '準備中'}
-${tracking?.tracking_url ? `追跡URL: ${tracking.tracking_url}` : ''}
+// 残りわずかと案内する在庫数
+const LOW_STOCK_THRESHOLD = 5;
 
-お届け予定: 2-3営業日
+// 在庫の問い合わせに回答
+async function handleStockInquiry(message, context, state) {
+  const userId = context.userId;
+  const isFollowUp = state.stage === 'waiting_for_product_name';
+  const query = extractProductQuery(message, isFollowUp);
+  
+  if (!query) {
+    await updateConversationState(userId, { stage: 'waiting_for_product_name', intent: 'stock_inquiry' });
+    return `在庫確認を承りました。
 
-商品の到着まで今しばらくお待ちください。
-ご不明な点がございましたら、お気軽にお問い合わせください😊`;
+どちらの商品の在庫をお調べいたしましょうか？
+商品名またはURLを教えていただけますでしょうか。`;
+  }
   
-  try {
-    await lineClient.pushMessage(userId, {
-      type: 'text',
-      text: message
-    });
-    console.log('発送通知送信完了:', order.order_number);
-  } catch (error) {
-    console.error('発送通知送信エラー:', error);
+  const products = await findProducts(query);
+  
+  if (products.length === 0) {
+    await updateConversationState(userId, { stage: 'waiting_for_product_name', intent: 'stock_inquiry' });
+    return `申し訳ございません。「${query}」に該当する商品が見つかりませんでした。
+
+商品名をもう一度ご確認いただくか、商品ページのURLを送っていただけますでしょうか。`;
   }
-}
+  
+  if (products.length > 1) {
+    await updateConversationState(userId, { stage: 'waiting_for_product_name', intent: 'stock_inquiry' });
+    return `「${query}」に該当する商品が複数ございます。
 
-// =====================================
-// ヘルパー関数
-// =====================================
+${products.slice(0, 5).map(product => `・${product.title}`).join('\n')}
+
+どちらの商品かお知らせいただけますでしょうか。`;
+  }
+  
+  const product = products[0];
+  const availability = await getVariantAvailability(product);
+  const text = renderStockMessage(product, availability);
+  
+  const soldOutVariants = availability.filter(variant => variant.status === '売り切れ');
+  if (soldOutVariants.length === 0) {
+    await updateConversationState(userId, { stage: 'initial' });
+    return text;
+  }
+  
+  // 売り切れのバリエーションは再入荷通知を受け付ける
+  await updateConversationState(userId, {
+    stage: 'offering_restock',
+    intent: 'stock_inquiry',
+    product: { id: product.id, title: product.title, handle: product.handle },
+    soldOutVariants: soldOutVariants
+  });
+  
+  return {
+    type: 'text',
+    text: `${text}\n\n再入荷時にLINEでお知らせすることもできます。ご希望の場合は下のボタンをタップしてください。`,
+    quickReply: {
+      items: soldOutVariants.slice(0, 13).map(variant => ({
+        type: 'action',
+        action: {
+          type: 'message',
+          label: `🔔 ${variant.label || '再入荷通知'}`.slice(0, 20),
+          text: variant.label ? `再入荷通知を希望：${variant.label}` : '再入荷通知を希望'
+        }
+      }))
+    }
+  };
+}
+
+// メッセージから商品名・ハンドル・URLを取り出す
+function extractProductQuery(message, isFollowUp) {
+  const text = message.normalize('NFKC').trim();
+  
+  const urlMatch = text.match(/https?:\/\/\S+/);
+  if (urlMatch) {
+    return urlMatch[0];
+  }
+  
+  const phraseMatch = text.match(/[「『]?(.+?)[」』]?\s*の\s*(?:在庫|入荷|再入荷)/);
+  if (phraseMatch) {
+    return phraseMatch[1].trim();
+  }
+  
+  // 商品名だけが送られてきた場合
+  if (isFollowUp) {
+    return text.replace(/[「」『』]/g, '').replace(/(?:です|でお願いします|をお願いします)[。！!]*$/, '').trim() || null;
+  }
+  
+  return null;
+}
+
+// URLまたはハンドル、商品名から商品を検索
+async function findProducts(query) {
+  try {
+    const handleMatch = query.match(/\/products\/([^/?#]+)/);
+    const handle = handleMatch ? decodeURIComponent(handleMatch[1]) : query;
+    
+    // ハンドルで完全一致
+    if (/^[\w-]+$/.test(handle)) {
+      const byHandle = await shopifyAxios.get(`/products.json?handle=${encodeURIComponent(handle)}`);
+      if (byHandle.data.products.length > 0) {
+        return byHandle.data.products;
+      }
+    }
+    
+    if (handleMatch) {
+      return [];
+    }
+    
+    // 商品名で検索（完全一致がなければ部分一致）
+    const byTitle = await shopifyAxios.get(`/products.json?title=${encodeURIComponent(query)}`);
+    if (byTitle.data.products.length > 0) {
+      return byTitle.data.products;
+    }
+    
+    const products = await loadProductCatalog();
+    const normalizedQuery = normalizeProductName(query);
+    const matches = products.filter(product =>
+      normalizeProductName(product.title).includes(normalizedQuery)
+    );
+    
+    const exact = matches.find(product => normalizeProductName(product.title) === normalizedQuery);
+    return exact ? [exact] : matches;
+  } catch (error) {
+    console.error('商品検索エラー:', error);
+    return [];
+  }
+}
+
+function normalizeProductName(name) {
+  return name.normalize('NFKC').toLowerCase().replace(/\s+/g, '');
+}
+
+// 部分一致の検索に使う販売中の商品の一覧（5分間キャッシュ）
+let productCatalog = null;
+let productCatalogLoadedAt = null;
+
+async function loadProductCatalog() {
+  if (productCatalog && Date.now() - productCatalogLoadedAt < 5 * 60 * 1000) {
+    return productCatalog;
+  }
+  
+  // 250件を超える場合も全件（Linkヘッダーで次のページをたどる）
+  const products = [];
+  let url = '/products.json?status=active&limit=250';
+  while (url) {
+    const response = await shopifyAxios.get(url);
+    products.push(...response.data.products);
+    url = getNextPageUrl(response.headers.link);
+  }
+  
+  productCatalog = products;
+  productCatalogLoadedAt = Date.now();
+  return products;
+}
+
+// バリエーションごとの在庫数を取得（全ロケーションの合計）
+async function getVariantAvailability(product) {
+  const trackedVariants = product.variants.filter(variant => variant.inventory_management);
+  let inventoryByItem = new Map();
+  
+  if (trackedVariants.length > 0) {
+    try {
+      inventoryByItem = await fetchAvailableInventory(trackedVariants.map(variant => variant.inventory_item_id));
+    } catch (error) {
+      console.error('在庫数取得エラー（バリエーションの在庫数で代用）:', error.message);
+    }
+  }
+  
+  return product.variants.map(variant => {
+    const tracked = Boolean(variant.inventory_management);
+    const quantity = tracked
+      ? (inventoryByItem.has(variant.inventory_item_id)
+        ? inventoryByItem.get(variant.inventory_item_id)
+        : variant.inventory_quantity)
+      : null;
+    
+    return {
+      variantId: variant.id,
+      inventoryItemId: variant.inventory_item_id,
+      label: variant.title === 'Default Title' ? null : variant.title,
+      quantity: quantity,
+      status: getStockStatus(tracked, quantity, variant.inventory_policy)
+    };
+  });
+}
+
+// Shopifyの inventory_levels に一度に指定できる在庫アイテムの数
+const INVENTORY_ITEM_IDS_PER_REQUEST = 50;
+
+// 在庫アイテムごとの在庫数（全ロケーションの合計。指定できる数ずつに分け、ロケーションが多い場合は次のページもたどる）
+async function fetchAvailableInventory(inventoryItemIds) {
+  const available = new Map();
+  
+  for (let i = 0; i < inventoryItemIds.length; i += INVENTORY_ITEM_IDS_PER_REQUEST) {
+    const ids = inventoryItemIds.slice(i, i + INVENTORY_ITEM_IDS_PER_REQUEST).join(',');
+    let url = `/inventory_levels.json?inventory_item_ids=${ids}&limit=250`;
+    while (url) {
+      const response = await shopifyAxios.get(url);
+      for (const level of response.data.inventory_levels) {
+        available.set(level.inventory_item_id, (available.get(level.inventory_item_id) || 0) + (level.available || 0));
+      }
+      url = getNextPageUrl(response.headers.link);
+    }
+  }
+  
+  return available;
+}
+
+// 在庫数を案内用の表現に変換
+function getStockStatus(tracked, quantity, inventoryPolicy) {
+  if (!tracked) {
+    return '在庫あり';
+  }
+  if (quantity > LOW_STOCK_THRESHOLD) {
+    return '在庫あり';
+  }
+  if (quantity > 0) {
+    return `残りわずか（${quantity}点）`;
+  }
+  return inventoryPolicy === 'continue' ? 'お取り寄せ（発送までお時間をいただきます）' : '売り切れ';
+}
+
+// 在庫確認テンプレートに商品名と在庫状況を埋め込む
+function renderStockMessage(product, availability) {
+  const stockStatus = availability.length === 1 && !availability[0].label
+    ? availability[0].status
+    : '\n' + availability.map(variant => `・${variant.label}：${variant.status}`).join('\n');
+  
+  return renderResponseTemplate('在庫確認', {
+    productName: product.title,
+    stockStatus: stockStatus,
+    variants: availability
+  });
+}
+
+// =====================================
+// 再入荷通知
+// =====================================
+
+// 再入荷通知の登録
+async function handleRestockSubscription(message, context, state) {
+  const userId = context.userId;
+  const requestedLabel = message.normalize('NFKC').split(/[：:]/)[1]?.trim();
+  const variants = requestedLabel
+    ? state.soldOutVariants.filter(variant => variant.label && variant.label.normalize('NFKC') === requestedLabel)
+    : state.soldOutVariants;
+  
+  if (variants.length === 0) {
+    return 'お手数ですが、ご希望のサイズ・カラーをボタンから選択していただけますでしょうか。';
+  }
+  
+  for (const variant of variants) {
+    await subscribeRestock(userId, state.product, variant);
+  }
+  
+  await updateConversationState(userId, { stage: 'initial' });
+  
+  const names = variants.map(variant => variant.label ? `${state.product.title}（${variant.label}）` : state.product.title);
+  return `再入荷通知を登録しました🔔
+
+${names.map(name => `・${name}`).join('\n')}
+
+入荷しましたらLINEでお知らせいたします。`;
+}
+
+// 再入荷通知に登録（同じユーザーの重複登録はしない）
+async function subscribeRestock(userId, product, variant) {
+  const key = `variant:${variant.variantId}`;
+  const subscription = (await restockStore.get(key)) || {
+    productId: product.id,
+    productTitle: product.title,
+    productHandle: product.handle,
+    variantId: variant.variantId,
+    variantLabel: variant.label,
+    inventoryItemId: variant.inventoryItemId,
+    subscribers: [],
+    totalRequests: 0
+  };
+  
+  if (!subscription.subscribers.includes(userId)) {
+    subscription.subscribers.push(userId);
+    subscription.totalRequests += 1;
+  }
+  
+  await restockStore.set(key, subscription);
+}
+
+// 在庫が戻ったバリエーションの登録者に通知し、登録を解除する
+async function checkRestockSubscriptions(inventoryItemIds = null) {
+  const keys = await restockStore.keys('variant:');
+  const subscriptions = [];
+  
+  for (const key of keys) {
+    const subscription = await restockStore.get(key);
+    if (subscription && subscription.subscribers.length > 0 &&
+        (!inventoryItemIds || inventoryItemIds.includes(subscription.inventoryItemId))) {
+      subscriptions.push(subscription);
+    }
+  }
+  
+  if (subscriptions.length === 0) {
+    return;
+  }
+  
+  const available = await fetchAvailableInventory(subscriptions.map(subscription => subscription.inventoryItemId));
+  
+  for (const subscription of subscriptions) {
+    if ((available.get(subscription.inventoryItemId) || 0) > 0) {
+      await sendRestockNotifications(subscription);
+    }
+  }
+}
+
+// 続けて送信に失敗したユーザーの登録を解除する回数（ブロックされている場合など）
+const RESTOCK_MAX_FAILURES = 3;
+
+// 送信中のバリエーション（定期実行と在庫のWebhookが重なっても二重に送らない）
+const notifyingRestocks = new Set();
+
+// 登録者全員に一度だけ通知
+async function sendRestockNotifications(subscription) {
+  const key = `variant:${subscription.variantId}`;
+  if (notifyingRestocks.has(key)) {
+    return;
+  }
+  
+  notifyingRestocks.add(key);
+  try {
+    // 直前に別の送信が終わっている場合があるため、登録者は読み直す
+    const current = await restockStore.get(key);
+    if (!current || current.subscribers.length === 0) {
+      return;
+    }
+    
+    const name = current.variantLabel
+      ? `${current.productTitle}（${current.variantLabel}）`
+      : current.productTitle;
+    const productUrl = process.env.SHOP_PUBLIC_URL && current.productHandle
+      ? `\n${process.env.SHOP_PUBLIC_URL.replace(/\/$/, '')}/products/${current.productHandle}`
+      : '';
+    
+    const finished = new Set();
+    const failures = { ...current.failures };
+    for (const userId of current.subscribers) {
+      const sent = await pushNotification(userId, `🔔 再入荷のお知らせ
+
+お待たせいたしました！
+ご登録いただいていた「${name}」が再入荷いたしました。${productUrl}
+
+数に限りがございますので、お早めにお求めください。`, `再入荷通知 ${current.variantId}`);
+      
+      if (sent) {
+        finished.add(userId);
+        delete failures[userId];
+      } else {
+        failures[userId] = (failures[userId] || 0) + 1;
+        if (failures[userId] >= RESTOCK_MAX_FAILURES) {
+          console.log('再入荷通知の送信に続けて失敗したため登録を解除:', current.variantId);
+          finished.add(userId);
+          delete failures[userId];
+        }
+      }
+    }
+    
+    // 送信中に登録したユーザーを消さないよう、読み直してから送信済み・解除したユーザーだけ外す
+    const latest = (await restockStore.get(key)) || current;
+    await restockStore.set(key, {
+      ...latest,
+      subscribers: latest.subscribers.filter(userId => !finished.has(userId)),
+      failures,
+      lastNotifiedAt: new Date().toISOString()
+    });
+  } finally {
+    notifyingRestocks.delete(key);
+  }
+}
+
+// ユーザーの再入荷通知をすべて解除
+async function removeRestockSubscriptions(userId) {
+  const keys = await restockStore.keys('variant:');
+  
+  for (const key of keys) {
+    const subscription = await restockStore.get(key);
+    if (subscription && subscription.subscribers.includes(userId)) {
+      await restockStore.set(key, {
+        ...subscription,
+        subscribers: subscription.subscribers.filter(subscriber => subscriber !== userId)
+      });
+    }
+  }
+}
+
+// バリエーションごとの再入荷希望数
+async function getRestockDemand() {
+  const keys = await restockStore.keys('variant:');
+  const demand = [];
+  
+  for (const key of keys) {
+    const subscription = await restockStore.get(key);
+    if (subscription) {
+      demand.push({
+        productTitle: subscription.productTitle,
+        variantLabel: subscription.variantLabel,
+        variantId: subscription.variantId,
+        waiting: subscription.subscribers.length,
+        totalRequests: subscription.totalRequests,
+        lastNotifiedAt: subscription.lastNotifiedAt || null
+      });
+    }
+  }
+  
+  return demand.sort((a, b) => b.waiting - a.waiting || b.totalRequests - a.totalRequests);
+}
+
+// =====================================
+// 有人対応（ハンドオフ）
+// =====================================
+
+// 担当者が解決にしないまま放置された場合の有効期限（最後のやり取りから3営業日、休業日は数えない）
+const HANDOFF_TTL_BUSINESS_DAYS = 3;
+
+async function getHandoff(userId) {
+  try {
+    return await handoffStore.get(userId);
+  } catch (error) {
+    console.error('有人対応状態取得エラー:', error);
+    return null;
+  }
+}
+
+async function saveHandoff(userId, handoff) {
+  const now = new Date();
+  const calendar = await getBusinessCalendar();
+  const expiresAt = calendar.addBusinessDays(now, HANDOFF_TTL_BUSINESS_DAYS);
+  await handoffStore.set(userId, { ...handoff, updatedAt: now.toISOString() }, { ttlMs: expiresAt - now });
+}
+
+// 担当者対応を開始
+async function startHandoff(userId, { reason, priority = null, userName }) {
+  if (await getHandoff(userId)) {
+    return;
+  }
+  
+  // 営業時間外は次の営業開始を対応予定として記録する
+  const calendar = await getBusinessCalendar();
+  const now = new Date();
+  
+  await saveHandoff(userId, {
+    status: 'waiting',
+    reason: reason || null,
+    priority,
+    userName: userName || null,
+    startedAt: now.toISOString(),
+    expectedResponseAt: calendar.nextOpening(now).toISOString(),
+    acknowledged: false
+  });
+  console.log('担当者対応を開始:', userId, priority || '', reason);
+}
+
+// 担当者対応中のメッセージ：記録のみ行い、最初の1回だけ受付の返信をする
+async function handleMessageDuringHandoff(event, userMessage, userName, handoff) {
+  const userId = event.source.userId;
+  const reply = handoff.acknowledged
+    ? null
+    : `メッセージを承りました。
+担当者より${await describeStaffResponseTime()}ご返信いたします。今しばらくお待ちください🙇`;
+  
+  try {
+    await saveToNotion({
+      userId: userId,
+      userName: userName,
+      userMessage: userMessage,
+      aiReply: reply || '（担当者対応中のため自動返信なし）',
+      status: '要確認',
+      category: '担当者対応'
+    });
+  } catch (notionError) {
+    console.error('Notion保存エラー（続行）:', notionError.message);
+  }
+  
+  await saveHandoff(userId, { ...handoff, acknowledged: true });
+  
+  emitConversationTurn({
+    userId,
+    message: userMessage,
+    category: '担当者対応',
+    intents: [],
+    requiresHumanReview: true,
+    orderNumber: null,
+    reply: reply && { type: 'text', text: reply }
+  });
+  
+  if (!reply) {
+    return null;
+  }
+  return replyToEvent(event, { type: 'text', text: reply });
+}
+
+// 担当者からの返信をお客様に送る
+async function sendOperatorReply(userId, text, operator) {
+  const handoff = (await getHandoff(userId)) || {
+    status: 'waiting',
+    reason: '担当者から連絡',
+    startedAt: new Date().toISOString(),
+    acknowledged: true
+  };
+  
+  await lineClient.pushMessage(userId, { type: 'text', text: text });
+  await saveHandoff(userId, { ...handoff, status: 'active', operator: operator || handoff.operator || null });
+  
+  try {
+    await saveToNotion({
+      userId: userId,
+      userName: handoff.userName,
+      userMessage: `（担当者${operator ? ` ${operator}` : ''}からの返信）`,
+      aiReply: text,
+      status: '要確認',
+      category: '担当者対応'
+    });
+  } catch (notionError) {
+    console.error('Notion保存エラー（続行）:', notionError.message);
+  }
+}
+
+// 担当者対応を終了し、ボットに戻す
+async function resolveHandoff(userId, { operator, message } = {}) {
+  const handoff = await getHandoff(userId);
+  if (!handoff) {
+    return false;
+  }
+  
+  await handoffStore.delete(userId);
+  await updateConversationState(userId, { stage: 'initial' });
+  
+  if (message) {
+    await lineClient.pushMessage(userId, { type: 'text', text: message });
+  }
+  
+  try {
+    await saveToNotion({
+      userId: userId,
+      userName: handoff.userName,
+      userMessage: `（担当者${operator ? ` ${operator}` : ''}が対応完了）`,
+      aiReply: message || '',
+      status: '対応済み',
+      category: '担当者対応'
+    });
+  } catch (notionError) {
+    console.error('Notion保存エラー（続行）:', notionError.message);
+  }
+  
+  console.log('担当者対応を終了:', userId);
+  return true;
+}
+
+// 対応中の会話一覧
+async function listHandoffs() {
+  const userIds = await handoffStore.keys();
+  const handoffs = [];
+  
+  for (const userId of userIds) {
+    const handoff = await handoffStore.get(userId);
+    if (handoff) {
+      handoffs.push({ userId, ...handoff });
+    }
+  }
+  
+  // 優先度の高い順、同じなら対応予定の早い順（同じなら受付順）
+  const levels = (await shopProfile.get()).escalation.levels.map(level => level.name);
+  const rank = handoff => levels.includes(handoff.priority) ? levels.indexOf(handoff.priority) : levels.length;
+  return handoffs.sort((a, b) =>
+    rank(a) - rank(b) ||
+    new Date(a.expectedResponseAt || a.startedAt) - new Date(b.expectedResponseAt || b.startedAt) ||
+    new Date(a.startedAt) - new Date(b.startedAt)
+  );
+}
+
+// 担当者用APIの認証（Authorization: Bearer <OPERATOR_API_TOKEN>）
+function requireOperatorAuth(req, res, next) {
+  const token = process.env.OPERATOR_API_TOKEN;
+  if (!token) {
+    return res.status(503).json({ error: 'OPERATOR_API_TOKEN が設定されていません' });
+  }
+  
+  const received = Buffer.from((req.get('Authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+  
+  next();
+}
+
+// =====================================
+// キャンセル・返品
+// =====================================
+
+const CANCEL_STAGES = ['cancel_select_order', 'cancel_verify', 'cancel_select_items', 'cancel_reason', 'cancel_confirm'];
+
+const RETURN_REASONS = ['サイズが合わない', 'イメージと違う', '破損・不良', '注文間違い', 'その他'];
+
+// キャンセル・返品の申請フロー
+async function handleCancellationFlow(message, context, state) {
+  const userId = context.userId;
+  const text = message.normalize('NFKC').trim();
+  
+  if (CANCEL_STAGES.includes(state.stage) && /^(?:やめる|やめます|中止)$/.test(text)) {
+    await updateConversationState(userId, { stage: 'initial' });
+    return '申請を中止しました。ほかにご用件がございましたら、お気軽にお申し付けください。';
+  }
+  
+  switch (state.stage) {
+    case 'cancel_select_order':
+      return selectCancellationOrder(text, context, state);
+    case 'cancel_verify':
+      return verifyCancellationOrder(text, context, state);
+    case 'cancel_select_items':
+      return selectReturnItems(text, context, state);
+    case 'cancel_reason':
+      return collectCancellationReason(text, context, state);
+    case 'cancel_confirm':
+      return confirmCancellationRequest(text, context, state);
+    default:
+      return startCancellationFlow(text, context);
+  }
+}
+
+// 申請の開始：キャンセルか返品かを判定して注文を選んでもらう
+async function startCancellationFlow(text, context) {
+  const requestType = /返品|返金|交換/.test(text) ? 'return' : 'cancel';
+  const nextState = { stage: 'cancel_select_order', intent: 'cancellation', requestType };
+  
+  if (context.orderNumber) {
+    return selectCancellationOrder(context.orderNumber, context, nextState);
+  }
+  
+  await updateConversationState(context.userId, nextState);
+  const label = getRequestTypeLabel(requestType);
+  
+  // 連携済みなら最近の注文から選んでもらう
+  if (context.linkedCustomer && context.possibleOrders && context.possibleOrders.length > 0) {
+    return {
+      type: 'text',
+      text: `${label}のお手続きですね。\n\n対象のご注文を選択してください。`,
+      quickReply: {
+        items: context.possibleOrders.slice(0, 13).map(order => ({
+          type: 'action',
+          action: { type: 'message', label: `#${order.orderNumber}`, text: `#${order.orderNumber}` }
+        }))
+      }
+    };
+  }
+  
+  return `${label}のお手続きですね。
+
+対象のご注文番号を教えていただけますでしょうか？
+（例：#1001）`;
+}
+
+// 注文番号から注文を特定
+async function selectCancellationOrder(text, context, state) {
+  const userId = context.userId;
+  const { orderNumber } = extractOrderNumber(String(text), (await shopProfile.get()).orders, { expected: true });
+  
+  if (!orderNumber) {
+    await updateConversationState(userId, state);
+    return 'ご注文番号（例：#1001）を教えていただけますでしょうか？\n申請をやめる場合は「やめる」とお送りください。';
+  }
+  
+  const order = await findOrderByNumber(orderNumber);
+  if (!order) {
+    await updateConversationState(userId, state);
+    return `申し訳ございません。注文番号 #${orderNumber} のご注文が見つかりませんでした。\nもう一度ご確認いただけますでしょうか。`;
+  }
+  
+  // 連携済みのお客様の注文であれば本人確認を省略
+  if (filterOrdersLinkedToUser([order], context.linkedCustomer).length > 0) {
+    return checkCancellationEligibility(order, context, state);
+  }
+  
+  if (await isVerificationLocked(userId)) {
+    await updateConversationState(userId, { stage: 'initial' });
+    return getVerificationLockedMessage();
+  }
+  
+  await updateConversationState(userId, { ...state, stage: 'cancel_verify', orderId: order.id, orderNumber: order.orderNumber });
+  return `ご本人様確認のため、ご注文時にご登録いただいた以下のいずれかを教えていただけますでしょうか？
+
+・メールアドレス
+・電話番号の下4桁
+・お届け先の郵便番号`;
+}
+
+// 本人確認
+async function verifyCancellationOrder(text, context, state) {
+  const userId = context.userId;
+  
+  if (await isVerificationLocked(userId)) {
+    await updateConversationState(userId, { stage: 'initial' });
+    return getVerificationLockedMessage();
+  }
+  
+  // 会話の状態には注文IDだけを保存しているため、注文を取得し直す
+  const order = await getOrderById(state.orderId);
+  if (!order) {
+    await updateConversationState(userId, { stage: 'initial' });
+    return `申し訳ございません。ご注文 #${state.orderNumber} の情報を取得できませんでした。お手数ですが、しばらくしてから再度お試しください。`;
+  }
+  
+  if (matchesSecondFactor(order, text)) {
+    await clearVerificationFailures(userId);
+    return checkCancellationEligibility(order, context, state);
+  }
+  
+  const attempts = await recordVerificationFailure(userId);
+  if (attempts >= VERIFICATION_MAX_ATTEMPTS) {
+    await updateConversationState(userId, { stage: 'initial' });
+    return getVerificationLockedMessage();
+  }
+  
+  return `申し訳ございません。ご登録の情報と一致しませんでした。
+もう一度お確かめください。（あと${VERIFICATION_MAX_ATTEMPTS - attempts}回お試しいただけます）`;
+}
+
+// ポリシーに沿って申請できるか確認し、次の段階へ進む
+async function checkCancellationEligibility(order, context, state) {
+  const userId = context.userId;
+  const eligibility = await getCancellationEligibility(order, state.requestType);
+  
+  if (!eligibility.eligible) {
+    await updateConversationState(userId, { stage: 'initial' });
+    return eligibility.message;
+  }
+  
+  if (eligibility.deliveryUnconfirmed) {
+    state = { ...state, deliveryUnconfirmed: true };
+  }
+  
+  const pending = await findPendingRequestForOrder(order.id);
+  if (pending) {
+    await updateConversationState(userId, { stage: 'initial' });
+    return `ご注文 #${order.orderNumber} はすでに${getRequestTypeLabel(pending.type)}の申請を受け付けております。\n担当者の確認まで今しばらくお待ちください。`;
+  }
+  
+  const items = order.items.map(item => ({ lineItemId: item.id, name: item.name, quantity: item.quantity }));
+  
+  // 返品で商品が複数ある場合は対象の商品を選んでもらう
+  if (state.requestType === 'return' && items.length > 1) {
+    await updateConversationState(userId, { ...state, stage: 'cancel_select_items', orderId: order.id, orderNumber: order.orderNumber, items });
+    return {
+      type: 'text',
+      text: `ご注文 #${order.orderNumber} の返品対象の商品を選択してください。\n\n${items.map(item => `・${item.name} × ${item.quantity}`).join('\n')}`,
+      quickReply: {
+        items: [{ type: 'action', action: { type: 'message', label: 'すべて', text: 'すべて' } }].concat(
+          items.slice(0, 12).map(item => ({
+            type: 'action',
+            action: { type: 'message', label: item.name.slice(0, 20), text: item.name }
+          }))
+        )
+      }
+    };
+  }
+  
+  await updateConversationState(userId, {
+    ...state,
+    stage: 'cancel_reason',
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    items,
+    selectedItems: items
+  });
+  return buildReasonQuestion(state.requestType);
+}
+
+// 返品対象の商品を選択
+async function selectReturnItems(text, context, state) {
+  const selectedItems = text === 'すべて'
+    ? state.items
+    : state.items.filter(item => item.name.normalize('NFKC').includes(text) || text.includes(item.name.normalize('NFKC')));
+  
+  if (selectedItems.length === 0) {
+    return '対象の商品をボタンから選択していただけますでしょうか。';
+  }
+  
+  await updateConversationState(context.userId, { ...state, stage: 'cancel_reason', selectedItems });
+  return buildReasonQuestion(state.requestType);
+}
+
+function buildReasonQuestion(requestType) {
+  return {
+    type: 'text',
+    text: `${getRequestTypeLabel(requestType)}の理由を教えていただけますでしょうか？`,
+    quickReply: {
+      items: RETURN_REASONS.map(reason => ({
+        type: 'action',
+        action: { type: 'message', label: reason, text: reason }
+      }))
+    }
+  };
+}
+
+// 理由を受け取り、確認内容を表示
+async function collectCancellationReason(text, context, state) {
+  const nextState = { ...state, stage: 'cancel_confirm', reason: text };
+  await updateConversationState(context.userId, nextState);
+  
+  return {
+    type: 'text',
+    text: `以下の内容で${getRequestTypeLabel(state.requestType)}を申請します。よろしいですか？
+
+${formatRequestSummary(nextState)}`,
+    quickReply: {
+      items: [
+        { type: 'action', action: { type: 'message', label: '申請する', text: '申請する' } },
+        { type: 'action', action: { type: 'message', label: 'やめる', text: 'やめる' } }
+      ]
+    }
+  };
+}
+
+// 申請を確定して担当者の承認待ちにする
+async function confirmCancellationRequest(text, context, state) {
+  if (!/申請|はい|お願い/.test(text)) {
+    return {
+      type: 'text',
+      text: '申請する場合は「申請する」、やめる場合は「やめる」とお送りください。',
+      quickReply: {
+        items: [
+          { type: 'action', action: { type: 'message', label: '申請する', text: '申請する' } },
+          { type: 'action', action: { type: 'message', label: 'やめる', text: 'やめる' } }
+        ]
+      }
+    };
+  }
+  
+  const request = await createReturnRequest(context, state);
+  await updateConversationState(context.userId, { stage: 'initial' });
+  
+  return `${getRequestTypeLabel(request.type)}の申請を受け付けました（受付番号：${request.id}）。
+
+担当者が内容を確認のうえ、${await describeStaffResponseTime()}結果をLINEでお知らせいたします。今しばらくお待ちください。`;
+}
+
+// 申請内容の要約
+function formatRequestSummary(request) {
+  const items = request.selectedItems || request.items || [];
+  return `【申請内容】
+種類: ${getRequestTypeLabel(request.requestType || request.type)}
+注文番号: #${request.orderNumber}
+対象商品:
+${items.map(item => `・${item.name} × ${item.quantity}`).join('\n')}
+理由: ${request.reason}`;
+}
+
+function getRequestTypeLabel(requestType) {
+  return requestType === 'return' ? '返品' : 'キャンセル';
+}
+
+// ポリシーの確認（未発送ならキャンセル可、返品はお届けからショップ情報の日数以内）
+async function getCancellationEligibility(order, requestType) {
+  const returnWindowDays = (await shopProfile.get()).returns.windowDays;
+  
+  if (order.cancelledAt) {
+    return { eligible: false, message: `ご注文 #${order.orderNumber} はすでにキャンセル済みです。` };
+  }
+  
+  if (requestType === 'cancel') {
+    if (!order.fulfillmentStatus || order.fulfillmentStatus === 'unfulfilled') {
+      return { eligible: true };
+    }
+    return {
+      eligible: false,
+      message: `ご注文 #${order.orderNumber} はすでに発送済みのため、キャンセルを承ることができません。
+
+商品到着後${returnWindowDays}日以内であれば返品を承っております。返品をご希望の場合は「返品したい」とお送りください。`
+    };
+  }
+  
+  if (order.financialStatus === 'refunded') {
+    return { eligible: false, message: `ご注文 #${order.orderNumber} はすでに返金済みです。` };
+  }
+  
+  if (!['fulfilled', 'partial'].includes(order.fulfillmentStatus)) {
+    return {
+      eligible: false,
+      message: `ご注文 #${order.orderNumber} はまだ発送前のため、返品ではなくキャンセルとして承ります。キャンセルをご希望の場合は「キャンセルしたい」とお送りください。`
+    };
+  }
+  
+  // お届けの記録がなければ、まだ届いていないとみなして受け付け、担当者にお届け日の確認を任せる
+  const deliveredAt = await getDeliveredAt(order);
+  if (!deliveredAt) {
+    return { eligible: true, deliveryUnconfirmed: true };
+  }
+  
+  const daysSinceDelivery = (Date.now() - deliveredAt.getTime()) / (24 * 60 * 60 * 1000);
+  if (daysSinceDelivery > returnWindowDays) {
+    return {
+      eligible: false,
+      message: `申し訳ございません。返品は商品到着後${returnWindowDays}日以内に承っております。
+ご注文 #${order.orderNumber} は期間を過ぎているため、返品の申請を承ることができません。
+
+商品の不良などの場合は、お手数ですが詳しい状況をお知らせください。`
+    };
+  }
+  
+  return { eligible: true };
+}
+
+// お届け日（配送イベントがなければ配送業者の追跡結果、なければ配達完了の更新日時）
+// どの荷物にもお届けの記録がなければnull（発送日をお届け日とはみなさない）
+async function getDeliveredAt(order) {
+  let latest = null;
+  
+  for (const fulfillment of order.fulfillments) {
+    let deliveredAt = null;
+    try {
+      const response = await shopifyAxios.get(`/orders/${order.id}/fulfillments/${fulfillment.id}/events.json`);
+      const delivered = response.data.fulfillment_events.find(event => event.status === 'delivered');
+      deliveredAt = delivered ? new Date(delivered.happened_at) : null;
+    } catch (error) {
+      console.error('配送イベント取得エラー:', error.message);
+    }
+    
+    // Shopifyに記録がなければ配送業者の追跡結果を使う
+    if (!deliveredAt) {
+      const tracking = await getTrackingStatus(fulfillment);
+      deliveredAt = tracking?.deliveredAt ? new Date(tracking.deliveredAt) : null;
+    }
+    if (!deliveredAt && fulfillment.shipmentStatus === 'delivered') {
+      deliveredAt = new Date(fulfillment.updatedAt);
+    }
+    if (deliveredAt && (!latest || deliveredAt > latest)) {
+      latest = deliveredAt;
+    }
+  }
+  
+  return latest;
+}
+
+// 申請を保存し、Notionに記録
+async function createReturnRequest(context, state) {
+  const request = {
+    id: `R${Date.now()}`,
+    type: state.requestType,
+    status: 'pending',
+    userId: context.userId,
+    userName: context.userName,
+    orderId: state.orderId,
+    orderNumber: state.orderNumber,
+    items: state.selectedItems,
+    reason: state.reason,
+    deliveryUnconfirmed: state.deliveryUnconfirmed === true,
+    createdAt: new Date().toISOString()
+  };
+  
+  await returnRequestStore.set(`request:${request.id}`, request);
+  
+  try {
+    await saveToNotion({
+      userId: context.userId,
+      userName: context.userName,
+      userMessage: `${getRequestTypeLabel(request.type)}申請（受付番号：${request.id}）\n${formatRequestSummary(request)}`,
+      aiReply: request.deliveryUnconfirmed ? '担当者の承認待ち（お届けの記録がないため、お届け日をご確認ください）' : '担当者の承認待ち',
+      orderNumber: request.orderNumber,
+      status: '要確認',
+      category: 'キャンセル・返品'
+    });
+  } catch (notionError) {
+    console.error('Notion保存エラー（続行）:', notionError.message);
+  }
+  
+  console.log('キャンセル・返品申請を受付:', request.id);
+  return request;
+}
+
+async function findPendingRequestForOrder(orderId) {
+  const requests = await listReturnRequests();
+  return requests.find(request => request.orderId === orderId && ['pending', 'processing'].includes(request.status)) || null;
+}
+
+async function listReturnRequests(status = null) {
+  const keys = await returnRequestStore.keys('request:');
+  const requests = [];
+  
+  for (const key of keys) {
+    const request = await returnRequestStore.get(key);
+    if (request && (!status || request.status === status)) {
+      requests.push(request);
+    }
+  }
+  
+  return requests.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+// 処理中の申請（承認ボタンの二度押し・再試行による二重のキャンセル・返金を防ぐ）
+const processingRequests = new Set();
+
+// 担当者が承認：Shopifyでキャンセル・返金を行い、お客様に結果を通知
+// Shopifyを呼ぶ前に「処理中」にし、終わった手順（cancelledAt・refundId）を申請に記録する。
+// 途中で失敗した申請をもう一度承認すると、終わっていない手順だけを行う
+async function approveReturnRequest(requestId, operator) {
+  const key = `request:${requestId}`;
+  if (processingRequests.has(key)) {
+    return null;
+  }
+  
+  processingRequests.add(key);
+  try {
+    const request = await returnRequestStore.get(key);
+    if (!request || !['pending', 'processing'].includes(request.status)) {
+      return null;
+    }
+    
+    let current = {
+      ...request,
+      status: 'processing',
+      operator: operator || request.operator || null,
+      processingStartedAt: request.processingStartedAt || new Date().toISOString()
+    };
+    await returnRequestStore.set(key, current);
+    
+    const order = await getOrderById(request.orderId);
+    if (!order) {
+      throw new Error(`注文が見つかりません: ${request.orderId}`);
+    }
+    
+    let refundShipping = false;
+    let needsRefund = true;
+    if (request.type === 'cancel') {
+      if (!current.cancelledAt && !order.cancelledAt) {
+        await shopifyAxios.post(`/orders/${order.id}/cancel.json`, { reason: 'customer', email: true, restock: true });
+        // Webhookからのキャンセル通知と重複しないよう送信済みにしておく
+        await markNotificationSent(notificationKey(order, 'cancelled'));
+      }
+      if (!current.cancelledAt) {
+        current = { ...current, cancelledAt: order.cancelledAt || new Date().toISOString() };
+        await returnRequestStore.set(key, current);
+      }
+      refundShipping = true;
+      needsRefund = ['paid', 'partially_paid', 'partially_refunded'].includes(order.financialStatus);
+    }
+    
+    if (needsRefund && !current.refundId) {
+      const refund = await createShopifyRefund(order, request.items, { restockType: 'no_restock', refundShipping });
+      current = { ...current, refundId: refund.id, refundAmount: refund.amount };
+      await returnRequestStore.set(key, current);
+    }
+    
+    const updated = {
+      ...current,
+      status: 'approved',
+      refundId: current.refundId || null,
+      resolvedAt: new Date().toISOString()
+    };
+    await returnRequestStore.set(key, updated);
+    
+    const amount = updated.refundAmount || 0;
+    await pushNotification(request.userId, `${getRequestTypeLabel(request.type)}申請の結果のお知らせ
+
+受付番号：${request.id}
+ご注文番号 #${request.orderNumber} の${getRequestTypeLabel(request.type)}を承りました。
+${amount > 0 ? `\n返金額: ¥${amount.toLocaleString('ja-JP')}\nご利用の決済方法によっては、反映までにお時間がかかる場合がございます。\n` : ''}
+ご利用いただきありがとうございました。`, `申請承認 ${request.id}`);
+    
+    await logRequestResolution(updated, '承認');
+    return updated;
+  } finally {
+    processingRequests.delete(key);
+  }
+}
+
+// 担当者が却下：お客様に結果を通知（承認の処理中・処理済みの申請は却下できない）
+async function rejectReturnRequest(requestId, operator, note) {
+  const key = `request:${requestId}`;
+  if (processingRequests.has(key)) {
+    return null;
+  }
+  
+  processingRequests.add(key);
+  try {
+    const request = await returnRequestStore.get(key);
+    if (!request || request.status !== 'pending') {
+      return null;
+    }
+    
+    const updated = {
+      ...request,
+      status: 'rejected',
+      operator: operator || null,
+      note: note || null,
+      resolvedAt: new Date().toISOString()
+    };
+    await returnRequestStore.set(key, updated);
+    
+    await pushNotification(request.userId, `${getRequestTypeLabel(request.type)}申請の結果のお知らせ
+
+受付番号：${request.id}
+大変申し訳ございませんが、ご注文番号 #${request.orderNumber} の${getRequestTypeLabel(request.type)}を承ることができませんでした。
+${note ? `\n理由: ${note}\n` : ''}
+ご不明な点がございましたら、お気軽にお問い合わせください。`, `申請却下 ${request.id}`);
+    
+    await logRequestResolution(updated, '却下');
+    return updated;
+  } finally {
+    processingRequests.delete(key);
+  }
+}
+
+async function logRequestResolution(request, result) {
+  try {
+    await saveToNotion({
+      userId: request.userId,
+      userName: request.userName,
+      userMessage: `（${getRequestTypeLabel(request.type)}申請 ${request.id} を${result}${request.operator ? `：${request.operator}` : ''}）`,
+      aiReply: request.note || '',
+      orderNumber: request.orderNumber,
+      status: '対応済み',
+      category: 'キャンセル・返品'
+    });
+  } catch (notionError) {
+    console.error('Notion保存エラー（続行）:', notionError.message);
+  }
+}
+
+// Shopifyで返金（金額はShopifyに計算させる）
+async function createShopifyRefund(order, items, { restockType, refundShipping }) {
+  const refundLineItems = items.map(item => ({
+    line_item_id: item.lineItemId,
+    quantity: item.quantity,
+    restock_type: restockType
+  }));
+  
+  const calculated = await shopifyAxios.post(`/orders/${order.id}/refunds/calculate.json`, {
+    refund: {
+      shipping: { full_refund: refundShipping },
+      refund_line_items: refundLineItems
+    }
+  });
+  
+  const transactions = calculated.data.refund.transactions.map(transaction => ({
+    parent_id: transaction.parent_id,
+    amount: transaction.amount,
+    kind: 'refund',
+    gateway: transaction.gateway
+  }));
+  
+  const response = await shopifyAxios.post(`/orders/${order.id}/refunds.json`, {
+    refund: {
+      notify: true,
+      shipping: { full_refund: refundShipping },
+      refund_line_items: refundLineItems,
+      transactions: transactions
+    }
+  });
+  
+  // Webhookからの返金通知と重複しないよう送信済みにしておく
+  await markNotificationSent(notificationKey(order, 'refunded'));
+  return normalizeRefund(response.data.refund);
+}
+
+// =====================================
+// 本人確認
+// =====================================
+
+// 本人確認の失敗回数制限（30分間に5回まで）
+const VERIFICATION_MAX_ATTEMPTS = 5;
+const VERIFICATION_WINDOW_MS = 30 * 60 * 1000;
+
+// 確認済みの注文を表示（1件なら詳細、複数なら選択肢）
+async function respondWithOrders(userId, orders, customerName) {
+  if (orders.length === 1) {
+    await updateConversationState(userId, { stage: 'initial' });
+    return await buildOrderStatusReply(orders[0]);
+  }
+  
+  await updateConversationState(userId, { 
+    stage: 'waiting_for_order_selection',
+    intent: 'shipping_inquiry',
+    possibleOrderIds: orders.map(order => order.id),
+    customerName: customerName
+  });
+  
+  const text = `${customerName}様のご注文が複数見つかりました。
+
+どちらの注文についてお調べしましょうか？
+
+${orders.map((order, index) => 
+  `${index + 1}. 注文番号 #${order.orderNumber}
+   注文日: ${new Date(order.createdAt).toLocaleDateString('ja-JP')}
+   商品: ${order.items[0].name}${order.items.length > 1 ? ` 他${order.items.length - 1}点` : ''}`
+).join('\n\n')}
+
+番号でお答えいただくか、注文番号を教えてください。`;
+  
+  if (!isFlexEnabled()) {
+    return text;
+  }
+  
+  return buildOrderSelectionCarousel(orders, {
+    altText: text,
+    getStatusLabel: order => getStatusInJapanese(order.fulfillmentStatus)
+  });
+}
+
+// 本人確認の返信を処理
+async function handleVerificationReply(message, context, state) {
+  const userId = context.userId;
+  
+  if (await isVerificationLocked(userId)) {
+    await updateConversationState(userId, { stage: 'initial' });
+    return getVerificationLockedMessage();
+  }
+  
+  const candidateOrders = [];
+  for (const orderId of state.candidateOrderIds || []) {
+    const order = await getOrderById(orderId);
+    if (order) {
+      candidateOrders.push(order);
+    }
+  }
+  const verifiedOrders = candidateOrders.filter(order => matchesSecondFactor(order, message));
+  
+  if (verifiedOrders.length > 0) {
+    await clearVerificationFailures(userId);
+    return await respondWithOrders(userId, verifiedOrders, state.customerName);
+  }
+  
+  const attempts = await recordVerificationFailure(userId);
+  const locked = attempts >= VERIFICATION_MAX_ATTEMPTS;
+  
+  // 失敗をNotionに記録（エラーでも返信は続行）
+  try {
+    await saveToNotion({
+      userId: userId,
+      userName: context.userName,
+      userMessage: `本人確認失敗（${attempts}回目） 検索名: ${state.customerName}`,
+      aiReply: locked ? '試行回数の上限に達したためロックしました' : '',
+      status: locked ? '要確認' : '本人確認失敗',
+      category: '本人確認'
+    });
+  } catch (notionError) {
+    console.error('本人確認ログ保存エラー（続行）:', notionError.message);
+  }
+  
+  if (locked) {
+    await updateConversationState(userId, { stage: 'initial' });
+    return getVerificationLockedMessage();
+  }
+  
+  return `申し訳ございません。ご登録の情報と一致しませんでした。
+
+ご注文時のメールアドレス、電話番号の下4桁、またはお届け先の郵便番号をもう一度お確かめください。
+（あと${VERIFICATION_MAX_ATTEMPTS - attempts}回お試しいただけます）`;
+}
+
+// 失敗回数を記録して現在の回数を返す（記録は最初の失敗から30分で消える）
+async function recordVerificationFailure(userId) {
+  const now = Date.now();
+  const entry = await verificationFailureStore.get(userId);
+  const updated = entry && now - entry.firstFailedAt <= VERIFICATION_WINDOW_MS
+    ? { ...entry, count: entry.count + 1 }
+    : { count: 1, firstFailedAt: now };
+  
+  await verificationFailureStore.set(userId, updated, { ttlMs: updated.firstFailedAt + VERIFICATION_WINDOW_MS - now });
+  return updated.count;
+}
+
+async function isVerificationLocked(userId) {
+  const entry = await verificationFailureStore.get(userId);
+  return Boolean(entry) && entry.count >= VERIFICATION_MAX_ATTEMPTS;
+}
+
+async function clearVerificationFailures(userId) {
+  await verificationFailureStore.delete(userId);
+}
+
+function getVerificationLockedMessage() {
+  return `本人確認の試行回数が上限に達しました。
+
+セキュリティ保護のため、しばらく時間をおいてから再度お試しいただくか、注文確認メールに記載の注文番号をお知らせください。
+担当者が確認のうえご連絡させていただきます。`;
+}
+
+// 入力された情報（メール・電話番号下4桁・郵便番号）が注文と一致するか
+function matchesSecondFactor(order, message) {
+  const input = message.normalize('NFKC').trim();
+  
+  const emailMatch = input.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/);
+  if (emailMatch) {
+    const email = emailMatch[0].toLowerCase();
+    return [order.email, order.customer?.email]
+      .filter(Boolean)
+      .some(orderEmail => orderEmail.toLowerCase() === email);
+  }
+  
+  const digits = input.replace(/\D/g, '');
+  const phones = [
+    order.phone,
+    order.customer?.phone,
+    order.shippingAddress?.phone,
+    order.billingAddress?.phone
+  ].filter(Boolean).map(normalizePhoneNumber);
+  
+  // 郵便番号（7桁）
+  if (digits.length === 7) {
+    return [order.shippingAddress?.zip, order.billingAddress?.zip]
+      .filter(Boolean)
+      .some(zip => zip.normalize('NFKC').replace(/\D/g, '') === digits);
+  }
+  
+  // 電話番号の下4桁
+  if (digits.length === 4) {
+    return phones.some(phone => phone.length >= 4 && phone.endsWith(digits));
+  }
+  
+  // 電話番号（全桁）
+  if (digits.length >= 10) {
+    return phones.includes(normalizePhoneNumber(digits));
+  }
+  
+  return false;
+}
+
+// +81形式を国内形式に揃えて数字のみにする
+function normalizePhoneNumber(phone) {
+  const digits = phone.normalize('NFKC').replace(/\D/g, '');
+  if (digits.startsWith('81') && digits.length >= 11) {
+    return '0' + digits.slice(2);
+  }
+  return digits;
+}
+
+// すでにこのLINEユーザーと連携済みの顧客の注文だけを返す
+function filterOrdersLinkedToUser(orders, linkedCustomer) {
+  if (!linkedCustomer) {
+    return [];
+  }
+  
+  return orders.filter(order => {
+    if (linkedCustomer.shopifyCustomerId && order.customer?.id) {
+      return String(order.customer.id) === String(linkedCustomer.shopifyCustomerId);
+    }
+    const email = getOrderEmail(order);
+    return Boolean(email && linkedCustomer.email && email.toLowerCase() === linkedCustomer.email.toLowerCase());
+  });
+}
+
+// =====================================
+// アカウント連携（LINE ID ⇔ Shopify顧客）
+// =====================================
+
+// 確認コードの有効期限と入力回数の上限
+const LINK_CODE_TTL_MS = 10 * 60 * 1000;
+const LINK_CODE_MAX_ATTEMPTS = 5;
+
+// 確認コードの送信の制限（同じLINEユーザー・同じメールアドレスに、1分あけて1時間に5回まで）
+const LINK_CODE_SEND_COOLDOWN_MS = 60 * 1000;
+const LINK_CODE_SEND_WINDOW_MS = 60 * 60 * 1000;
+const LINK_CODE_SEND_MAX = 5;
+
+// メールの送信が設定されていない（MAILER_TYPE が未設定の）場合の案内
+const LINK_UNAVAILABLE_MESSAGE = `申し訳ございません。現在、LINEアカウントの連携はご利用いただけません。
+
+発送状況の確認は、ご注文番号またはご注文時のお名前をお送りください。`;
+
+// 連携・連携解除の会話を処理（該当しない場合はnullを返す）
+async function handleAccountLinkFlow(message, context, state) {
+  const userId = context.userId;
+  const text = message.trim();
+  
+  if (/連携(を)?解除/.test(text)) {
+    const unlinked = await unlinkLineUser(userId);
+    await updateConversationState(userId, { stage: 'initial' });
+    return unlinked
+      ? 'LINEアカウントとの連携を解除しました。\n再度連携される場合は「アカウント連携」とお送りください。'
+      : '現在、連携されているアカウントはございません。';
+  }
+  
+  if (/アカウント連携|LINE連携|連携したい|再連携/.test(text)) {
+    // メールを送れない設定では確認コードを届けられないため、連携を受け付けない
+    if (!mailer) {
+      await updateConversationState(userId, { stage: 'initial' });
+      return LINK_UNAVAILABLE_MESSAGE;
+    }
+    
+    await updateConversationState(userId, { stage: 'waiting_for_link_identifier', intent: 'account_link' });
+    
+    const relinkNote = context.linkedCustomer
+      ? '\n\n※すでに連携済みのアカウントがあります。新しく連携すると、以前の連携は解除されます。'
+      : '';
+    
+    return `LINEアカウントとショップのお客様情報を連携します🔗
+
+ご注文時のメールアドレス、またはご注文番号を教えていただけますでしょうか？
+ご登録のメールアドレス宛に確認コードをお送りします。${relinkNote}`;
+  }
+  
+  if (state.stage === 'waiting_for_link_identifier') {
+    return await startLinkVerification(userId, text);
+  }
+  
+  if (state.stage === 'waiting_for_link_code') {
+    return await confirmLinkCode(context, state, text);
+  }
+  
+  return null;
+}
+
+// メールアドレスまたは注文番号から顧客を特定し、確認コードを送る
+async function startLinkVerification(userId, text) {
+  const input = text.normalize('NFKC');
+  const emailMatch = input.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/);
+  const orderNumber = emailMatch
+    ? null
+    : extractOrderNumber(input, (await shopProfile.get()).orders, { expected: true }).orderNumber;
+  
+  if (!emailMatch && !orderNumber) {
+    return 'メールアドレス（例：taro@example.com）またはご注文番号（例：#1001）を教えていただけますでしょうか？';
+  }
+  
+  // 登録の有無に関係なく、LINEユーザーごとの回数を数える
+  const wait = await recordLinkCodeSend(`user:${userId}`);
+  if (wait > 0) {
+    await updateConversationState(userId, { stage: 'initial' });
+    return `確認コードは続けてお送りできません。申し訳ございませんが、${Math.ceil(wait / 60000)}分ほどたってから「アカウント連携」と再度お送りください。`;
+  }
+  
+  const customer = emailMatch
+    ? await findShopifyCustomerByEmail(emailMatch[0])
+    : await findShopifyCustomerByOrderNumber(orderNumber);
+  
+  // 登録の有無がわからないよう、見つからない場合も同じ案内にする
+  const reply = `ご登録が確認できたメールアドレス宛に、6桁の確認コードをお送りしました📩
+
+メールに記載のコードをこちらに入力してください。（有効期限：10分）`;
+  
+  // 同じメールアドレスへの送信が続く場合も、登録の有無がわからないよう同じ案内にして送らない
+  if (!customer || !customer.email || await recordLinkCodeSend(`email:${hashLinkCode(customer.email.toLowerCase())}`) > 0) {
+    await updateConversationState(userId, { stage: 'waiting_for_link_code', intent: 'account_link', customer: null });
+    return reply;
+  }
+  
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  
+  try {
+    markEventSideEffect();
+    await mailer.send({
+      to: customer.email,
+      subject: `【${(await shopProfile.get()).name}】LINE連携の確認コード`,
+      text: `LINE連携の確認コード: ${code}\n\nこのコードは10分間有効です。お心当たりのない場合は、このメールを破棄してください。`
+    });
+  } catch (error) {
+    console.error('確認コード送信エラー:', error);
+    await updateConversationState(userId, { stage: 'initial' });
+    return '申し訳ございません。確認コードの送信に失敗しました。しばらくしてから再度お試しください。';
+  }
+  
+  await updateConversationState(userId, {
+    stage: 'waiting_for_link_code',
+    intent: 'account_link',
+    customer: {
+      id: customer.id,
+      email: customer.email,
+      name: `${customer.last_name || ''}${customer.first_name || ''}`.trim()
+    },
+    codeHash: hashLinkCode(code),
+    codeExpiresAt: Date.now() + LINK_CODE_TTL_MS,
+    attempts: 0
+  });
+  
+  return reply;
+}
+
+// 確認コードの送信を記録する
+// 返り値: 次に送れるまでのミリ秒（制限内なら記録して0）
+async function recordLinkCodeSend(key) {
+  const now = Date.now();
+  const sentAt = ((await linkCodeSendStore.get(key)) || []).filter(time => now - time < LINK_CODE_SEND_WINDOW_MS);
+  const waits = [];
+  if (sentAt.length > 0) {
+    waits.push(sentAt[sentAt.length - 1] + LINK_CODE_SEND_COOLDOWN_MS - now);
+  }
+  if (sentAt.length >= LINK_CODE_SEND_MAX) {
+    waits.push(sentAt[sentAt.length - LINK_CODE_SEND_MAX] + LINK_CODE_SEND_WINDOW_MS - now);
+  }
+  const wait = Math.max(0, ...waits);
+  if (wait > 0) {
+    console.log('確認コードの送信を制限:', key.split(':')[0]);
+    return wait;
+  }
+  
+  await linkCodeSendStore.set(key, [...sentAt, now], { ttlMs: LINK_CODE_SEND_WINDOW_MS });
+  return 0;
+}
+
+// 入力された確認コードを照合し、一致すれば連携する
+async function confirmLinkCode(context, state, text) {
+  const userId = context.userId;
+  const code = text.normalize('NFKC').replace(/\D/g, '');
+  
+  if (!state.customer || Date.now() > state.codeExpiresAt) {
+    await updateConversationState(userId, { stage: 'initial' });
+    return '確認コードが無効、または有効期限が切れています。\nお手数ですが「アカウント連携」から再度お試しください。';
+  }
+  
+  if (hashLinkCode(code) !== state.codeHash) {
+    const attempts = state.attempts + 1;
+    if (attempts >= LINK_CODE_MAX_ATTEMPTS) {
+      await updateConversationState(userId, { stage: 'initial' });
+      return '確認コードの入力回数が上限に達しました。\nお手数ですが「アカウント連携」から再度お試しください。';
+    }
+    await updateConversationState(userId, { ...state, attempts });
+    return `確認コードが一致しませんでした。もう一度ご確認ください。（あと${LINK_CODE_MAX_ATTEMPTS - attempts}回）`;
+  }
+  
+  try {
+    await linkLineUser(userId, state.customer);
+  } catch (error) {
+    console.error('アカウント連携保存エラー:', error);
+    return '申し訳ございません。連携の保存に失敗しました。しばらくしてから再度お試しください。';
+  }
+  
+  await updateConversationState(userId, { stage: 'initial' });
+  
+  return `連携が完了しました🎉
+
+これからは注文番号やお名前を入力しなくても、「発送状況を教えて」とお送りいただくだけでご注文を確認できます。
+連携を解除する場合は「連携解除」とお送りください。`;
+}
+
+function hashLinkCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+// Shopify顧客をメールアドレスで検索
+async function findShopifyCustomerByEmail(email) {
+  try {
+    const response = await shopifyAxios.get(`/customers/search.json?query=${encodeURIComponent(`email:${email}`)}`);
+    return response.data.customers.find(customer =>
+      customer.email && customer.email.toLowerCase() === email.toLowerCase()
+    ) || null;
+  } catch (error) {
+    console.error('Shopify顧客検索エラー:', error);
+    return null;
+  }
+}
+
+// 注文番号から注文した顧客を取得（メールアドレスで検索した場合と同じ形で返す）
+async function findShopifyCustomerByOrderNumber(orderNumber) {
+  const order = await findOrderByNumber(orderNumber);
+  if (!order || !order.customer) {
+    return null;
+  }
+  return {
+    id: order.customer.id,
+    email: getOrderEmail(order),
+    first_name: order.customer.firstName,
+    last_name: order.customer.lastName
+  };
+}
+
+// 顧客マスターDBのページを連携情報の形に変換
+function toLinkedCustomer(page) {
+  const props = page.properties;
+  return {
+    pageId: page.id,
+    name: props['顧客名']?.title?.[0]?.plain_text || null,
+    email: props['メールアドレス']?.email || null,
+    shopifyCustomerId: props['Shopify顧客ID']?.rich_text?.[0]?.plain_text || null,
+    lineUserId: props['LINE_ID']?.rich_text?.[0]?.plain_text || null,
+    notificationOptOuts: (props['通知停止']?.multi_select || []).map(option => option.name)
+  };
+}
+
+// LINE IDから連携済みの顧客を取得
+async function findLinkedCustomer(userId) {
+  if (!process.env.NOTION_CUSTOMER_DB_ID) {
+    return null;
+  }
+  
+  try {
+    const response = await notion.databases.query({
+      database_id: process.env.NOTION_CUSTOMER_DB_ID,
+      filter: {
+        property: 'LINE_ID',
+        rich_text: {
+          equals: userId
+        }
+      },
+      page_size: 1
+    });
+    
+    return response.results.length > 0 ? toLinkedCustomer(response.results[0]) : null;
+  } catch (error) {
+    console.error('連携顧客取得エラー:', error);
+    return null;
+  }
+}
+
+// LINE IDとShopify顧客を連携（既存の連携は置き換える）
+async function linkLineUser(userId, customer) {
+  const existing = await findLinkedCustomer(userId);
+  
+  const response = await notion.databases.query({
+    database_id: process.env.NOTION_CUSTOMER_DB_ID,
+    filter: {
+      property: 'メールアドレス',
+      email: {
+        equals: customer.email
+      }
+    },
+    page_size: 1
+  });
+  
+  const linkProperties = {
+    'LINE_ID': { rich_text: [{ text: { content: userId } }] },
+    'Shopify顧客ID': { rich_text: [{ text: { content: String(customer.id) } }] }
+  };
+  
+  markEventSideEffect();
+  let pageId;
+  if (response.results.length > 0) {
+    pageId = response.results[0].id;
+    await notion.pages.update({ page_id: pageId, properties: linkProperties });
+  } else {
+    const page = await notion.pages.create({
+      parent: { database_id: process.env.NOTION_CUSTOMER_DB_ID },
+      properties: {
+        '顧客名': { title: [{ text: { content: customer.name || customer.email } }] },
+        'メールアドレス': { email: customer.email },
+        ...linkProperties
+      }
+    });
+    pageId = page.id;
+  }
+  
+  // 別の顧客と連携していた場合はそちらを解除
+  if (existing && existing.pageId !== pageId) {
+    await clearLineId(existing.pageId);
+  }
+  
+  console.log('アカウント連携完了:', customer.id);
+}
+
+// 連携を解除（解除した場合はtrue）
+async function unlinkLineUser(userId) {
+  const linked = await findLinkedCustomer(userId);
+  if (!linked) {
+    return false;
+  }
+  
+  await clearLineId(linked.pageId);
+  console.log('アカウント連携解除:', linked.shopifyCustomerId);
+  return true;
+}
+
+async function clearLineId(pageId) {
+  markEventSideEffect();
+  await notion.pages.update({
+    page_id: pageId,
+    properties: {
+      'LINE_ID': { rich_text: [] }
+    }
+  });
+}
+
+// =====================================
+// Notion保存（改善版）
+// =====================================
+async function saveToNotion(data) {
+  markEventSideEffect();
+  try {
+    // IDフィールドの自動生成
+    const autoId = Date.now().toString();
+    
+    const properties = {
+      'ID': { 
+        title: [{ 
+          text: { 
+            content: autoId
+          } 
+        }] 
+      },
+      '顧客名': { 
+        rich_text: [{ 
+          text: { content: data.userName || '不明' } 
+        }] 
+      },
+      '顧客LINE_ID': { 
+        rich_text: [{ 
+          text: { content: data.userId } 
+        }] 
+      },
+      '問い合わせ': { 
+        rich_text: [{ 
+          text: { content: data.userMessage || '' } 
+        }] 
+      },
+      '作成文章': { 
+        rich_text: [{ 
+          text: { content: data.aiReply || '' } 
+        }] 
+      },
+      'ステータス': { 
+        select: { name: data.status || '対応済み' }
+      },
+      'プラットフォーム': { 
+        select: { name: 'LINE' }
+      },
+      '作成日時': { 
+        rich_text: [{ 
+          text: { content: new Date().toLocaleString('ja-JP') } 
+        }] 
+      }
+    };
+    
+    // ChatGPTで回答した場合の参照FAQ（FAQで答えられなかった質問は追加の検討用に記録）
+    if (data.faq) {
+      properties['FAQ'] = {
+        rich_text: [{
+          text: {
+            content: data.faq.uncovered
+              ? 'FAQ未登録'
+              : data.faq.entries.filter(entry => data.faq.citedIds.includes(entry.id)).map(entry => entry.question).join('／')
+          }
+        }]
+      };
+    }
+    
+    // 添付ファイル（画像など）
+    if (data.attachments && data.attachments.length > 0) {
+      properties['添付ファイル'] = {
+        files: data.attachments
+      };
+    }
+    
+    // 担当者の確認が必要な場合の優先度と理由
+    if (data.escalation?.level) {
+      properties['優先度'] = {
+        select: { name: data.escalation.level }
+      };
+    }
+    if (data.escalation?.reasons.length) {
+      properties['引き継ぎ理由'] = {
+        rich_text: [{
+          text: { content: formatEscalationReasons(data.escalation) }
+        }]
+      };
+    }
+    
+    // アンケートの評価（1〜5）
+    if (data.rating) {
+      properties['評価'] = {
+        number: data.rating
+      };
+    }
+    
+    // 注文番号がある場合のみ追加
+    if (data.orderNumber) {
+      properties['注文番号'] = { 
+        number: parseInt(data.orderNumber)
+      };
+    }
+    
+    await notion.pages.create({
+      parent: { database_id: process.env.NOTION_DATABASE_ID },
+      properties: properties
+    });
+    
+    console.log('Notionに保存しました:', autoId);
+    
+  } catch (error) {
+    console.error('Notion保存エラー:', error.message);
+    if (/is not a property that exists/.test(error.message)) {
+      console.error('会話記録DBに項目が足りません。npm run migrate:notion -- --apply で追加してください');
+    }
+    throw error; // エラーを上位に伝播
+  }
+}
+
+// =====================================
+// 自動通知機能（改善版）
+// =====================================
+
+// Shopify Webhook受信（HMAC検証のため生のボディを受け取る）
+app.post('/shopify/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+  if (!verifyShopifyWebhook(req.body, req.get('X-Shopify-Hmac-Sha256'))) {
+    console.error('Shopify Webhook署名エラー');
+    return res.status(401).end();
+  }
+  
+  const topic = req.get('X-Shopify-Topic');
+  
+  try {
+    const payload = JSON.parse(req.body.toString('utf8'));
+    await handleShopifyWebhook(topic, payload);
+    res.status(200).end();
+  } catch (err) {
+    console.error('Shopify Webhook処理エラー:', topic, err);
+    res.status(500).end();
+  }
+});
+
+// X-Shopify-Hmac-Sha256 ヘッダーを検証
+function verifyShopifyWebhook(rawBody, hmacHeader) {
+  const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+  if (!secret || !hmacHeader || !Buffer.isBuffer(rawBody)) {
+    return false;
+  }
+  
+  const digest = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+  
+  return received.length === digest.length && crypto.timingSafeEqual(received, digest);
+}
+
+// トピックごとに通知を振り分け（注文・出荷・返金は注文モデルに変換して渡す）
+async function handleShopifyWebhook(topic, payload) {
+  console.log('Shopify Webhook受信:', topic);
+  
+  switch (topic) {
+    case 'orders/create':
+      await notifyLifecycleEvent(normalizeOrder(payload), 'order_confirmed');
+      break;
+    case 'fulfillments/create': {
+      const order = await getOrderById(payload.order_id);
+      if (order) {
+        await notifyLifecycleEvent(order, getShipmentEvent(order), { fulfillment: normalizeFulfillment(payload) });
+      }
+      break;
+    }
+    case 'fulfillments/update': {
+      const order = await getOrderById(payload.order_id);
+      if (order) {
+        await notifyFulfillmentUpdate(order, normalizeFulfillment(payload));
+      }
+      break;
+    }
+    case 'orders/cancelled':
+      await notifyLifecycleEvent(normalizeOrder(payload), 'cancelled');
+      break;
+    case 'refunds/create': {
+      const order = await getOrderById(payload.order_id);
+      if (order) {
+        await notifyLifecycleEvent(order, 'refunded', { refund: normalizeRefund(payload) });
+      }
+      break;
+    }
+    case 'inventory_levels/update':
+      if (payload.available > 0) {
+        await checkRestockSubscriptions([payload.inventory_item_id]);
+      }
+      break;
+    default:
+      console.log('未対応のWebhookトピック:', topic);
+  }
+}
+
+// 送信中の通知（Webhookとポーリングの同時実行による二重送信を防ぐ）
+const inFlightNotifications = new Set();
+
+// 同じキーの通知は一度だけ送る（送信に失敗した場合は記録しない）
+// alsoSentAs: 以前の形式のキー。いずれかが記録済みなら送信済みとみなす
+async function deliverOnce(key, send, { alsoSentAs = [] } = {}) {
+  if (inFlightNotifications.has(key) || await notificationStore.has(key)) {
+    return false;
+  }
+  for (const legacyKey of alsoSentAs) {
+    if (await notificationStore.has(legacyKey)) {
+      return false;
+    }
+  }
+  
+  inFlightNotifications.add(key);
+  try {
+    const sent = await send();
+    if (sent) {
+      await markNotificationSent(key);
+    }
+    return sent;
+  } finally {
+    inFlightNotifications.delete(key);
+  }
+}
+
+async function markNotificationSent(key) {
+  await notificationStore.set(key, { sentAt: new Date().toISOString() }, { ttlMs: NOTIFICATION_RECORD_TTL_MS });
+}
+
+// 注文に紐づく顧客（顧客マスターDBの記録）を取得
+async function findCustomerForOrder(order) {
+  const email = getOrderEmail(order);
+  return email ? await findCustomerByEmail(email) : null;
+}
+
+// 注文のお知らせを送る（設定で無効・お客様が停止中・送信済みの場合は送らない）
+// details: { fulfillment, refund, tracking, customer }
+async function notifyLifecycleEvent(order, event, details = {}) {
+  const shop = await shopProfile.get();
+  if (!shop.notifications.events[event].enabled) {
+    return false;
+  }
+  
+  const customer = details.customer || await findCustomerForOrder(order);
+  if (!customer?.lineUserId) {
+    return false;
+  }
+  if (isOptedOut(customer.notificationOptOuts, event)) {
+    console.log('お客様が通知を停止中:', LIFECYCLE_EVENTS[event].label, order.orderNumber);
+    return false;
+  }
+  if (isNotifiedByLegacyTag(order, event)) {
+    return false;
+  }
+  
+  const label = `${LIFECYCLE_EVENTS[event].label}通知 #${order.orderNumber}`;
+  
+  return deliverOnce(notificationKey(order, event), async () => {
+    const message = await buildLifecycleMessage(event, order, details);
+    const sent = await pushNotification(customer.lineUserId, message, label, { urgent: event === 'out_for_delivery' });
+    if (sent) {
+      await recordNotificationOnCustomer(customer, label);
+    }
+    return sent;
+  }, { alsoSentAs: legacyNotificationKeys(event, details) });
+}
+
+// 注文のお知らせを送信済みか
+async function isLifecycleEventSent(order, event, details = {}) {
+  if (isNotifiedByLegacyTag(order, event)) {
+    return true;
+  }
+  for (const key of [notificationKey(order, event), ...legacyNotificationKeys(event, details)]) {
+    if (await notificationStore.has(key)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// 通知ごとのテンプレートでメッセージを作る（発送のお知らせはFlexの注文カード）
+async function buildLifecycleMessage(event, order, { fulfillment, refund, tracking } = {}) {
+  // 通知はメッセージ受信と関係なく送るため、ここでもテンプレートを最新にする
+  await loadResponseTemplates();
+  
+  const shipment = fulfillment || order.fulfillments[order.fulfillments.length - 1];
+  const refundAmount = refund ? refund.amount : 0;
+  const text = renderResponseTemplate(LIFECYCLE_EVENTS[event].template, {
+    ...buildOrderTemplateVariables(order, shipment, tracking),
+    paymentMethod: order.paymentGateways.join('、'),
+    refundAmount: refundAmount > 0 ? refundAmount.toLocaleString('ja-JP') : null
+  });
+  
+  if (!['shipped', 'partially_shipped'].includes(event) || !isFlexEnabled()) {
+    return text;
+  }
+  
+  return buildOrderCard(order, {
+    title: event === 'shipped' ? '📦 発送完了のお知らせ' : '📦 一部発送のお知らせ',
+    statusLabel: event === 'shipped' ? '発送済み' : '一部発送',
+    fulfillment: shipment,
+    altText: text
+  });
+}
+
+// 送った通知を顧客マスターDBのページに追記
+async function recordNotificationOnCustomer(customer, label) {
+  try {
+    const sentAt = new Date().toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' });
+    await notion.blocks.children.append({
+      block_id: customer.pageId,
+      children: [
+        {
+          object: 'block',
+          type: 'bulleted_list_item',
+          bulleted_list_item: {
+            rich_text: [{ type: 'text', text: { content: `${sentAt} ${label}` } }]
+          }
+        }
+      ]
+    });
+  } catch (error) {
+    console.error('通知の記録エラー（続行）:', error.message);
+  }
+}
+
+// 「通知設定」「〇〇の通知を停止」「通知を再開」への返信（該当しなければnull）
+async function handleNotificationSettings(message, context) {
+  const command = parseNotificationCommand(message);
+  if (!command) {
+    return null;
+  }
+  
+  const customer = context.linkedCustomer;
+  if (!customer) {
+    return `注文のお知らせは、LINE連携済みのお客様にお送りしています。
+連携をご希望の場合は「アカウント連携」とお送りください。`;
+  }
+  
+  if (command.action === 'unknown') {
+    return `「${command.label}」というお知らせはございません。
+「通知設定」とお送りいただくと、お知らせの一覧をご案内します。`;
+  }
+  
+  let notice = '';
+  if (command.action !== 'settings') {
+    const optOuts = updateOptOuts(customer.notificationOptOuts, command);
+    markEventSideEffect();
+    await notion.pages.update({
+      page_id: customer.pageId,
+      properties: {
+        '通知停止': { multi_select: optOuts.map(name => ({ name })) }
+      }
+    });
+    customer.notificationOptOuts = optOuts;
+    notice = `${command.label === ALL_EVENTS_LABEL ? 'すべてのお知らせ' : `「${command.label}」のお知らせ`}を${command.action === 'stop' ? '停止' : '再開'}しました。\n\n`;
+  }
+  
+  const events = Object.keys(LIFECYCLE_EVENTS);
+  const lines = events.map(event =>
+    `${isOptedOut(customer.notificationOptOuts, event) ? '🔕' : '🔔'} ${LIFECYCLE_EVENTS[event].label}`
+  );
+  const allStopped = customer.notificationOptOuts.includes(ALL_EVENTS_LABEL);
+  
+  return {
+    type: 'text',
+    text: `${notice}【注文のお知らせの設定】
+${lines.join('\n')}
+
+停止・再開したいお知らせを選んでください。`,
+    quickReply: {
+      items: [
+        ...events.map(event => {
+          const action = isOptedOut(customer.notificationOptOuts, event) ? '再開' : '停止';
+          const text = `${LIFECYCLE_EVENTS[event].label}の通知を${action}`;
+          return { type: 'action', action: { type: 'message', label: text, text } };
+        }),
+        {
+          type: 'action',
+          action: {
+            type: 'message',
+            label: allStopped ? 'すべて再開' : 'すべて停止',
+            text: allStopped ? 'すべての通知を再開' : 'すべての通知を停止'
+          }
+        }
+      ]
+    }
+  };
+}
+
+// 配送情報の更新（発送・配達中・配達完了のお知らせ、その他の配送状況や追跡番号の変更）
+async function notifyFulfillmentUpdate(order, fulfillment) {
+  // 発送のお知らせがまだなら、発送のお知らせとして送る
+  // （設定で無効・お客様が停止中で送らなかった場合も、配送状況のお知らせで代わりに送らない）
+  const shipmentEvent = getShipmentEvent(order);
+  if (!await isLifecycleEventSent(order, shipmentEvent, { fulfillment })) {
+    return notifyLifecycleEvent(order, shipmentEvent, { fulfillment });
+  }
+  
+  const deliveryEvent = getDeliveryEvent(fulfillment.shipmentStatus);
+  if (deliveryEvent) {
+    return notifyLifecycleEvent(order, deliveryEvent, { fulfillment });
+  }
+  
+  const customer = await findCustomerForOrder(order);
+  if (!customer?.lineUserId || customer.notificationOptOuts.includes(ALL_EVENTS_LABEL)) {
+    return false;
+  }
+  
+  const updateKey = fulfillment.shipmentStatus
+    ? `fulfillment:${fulfillment.id}:status:${fulfillment.shipmentStatus}`
+    : `fulfillment:${fulfillment.id}:tracking:${fulfillment.trackingNumber || ''}`;
+  
+  return deliverOnce(updateKey, async () => {
+    const sent = await sendFulfillmentUpdateNotification(customer.lineUserId, order, fulfillment);
+    if (sent) {
+      await recordNotificationOnCustomer(customer, `配送更新通知 #${order.orderNumber}`);
+    }
+    return sent;
+  });
+}
+
+// 取りこぼし確認（Webhookが届かなかった場合の補完）
+async function reconcileNotifications() {
+  // 過去24時間に更新された注文を全件取得
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const orders = await fetchOrdersUpdatedSince(since.toISOString());
+  
+  for (const order of orders) {
+    if (order.cancelledAt) {
+      await notifyLifecycleEvent(order, 'cancelled');
+      continue;
+    }
+    
+    if (new Date(order.createdAt) >= since) {
+      await notifyLifecycleEvent(order, 'order_confirmed');
+    }
+    
+    const shipped = getShippedFulfillments(order);
+    if (shipped.length > 0) {
+      await notifyLifecycleEvent(order, getShipmentEvent(order), { fulfillment: shipped[shipped.length - 1] });
+    }
+    
+    const refund = order.refunds[order.refunds.length - 1];
+    if (refund) {
+      await notifyLifecycleEvent(order, 'refunded', { refund });
+    }
+  }
+}
+
+// 1時間ごと
+defineScheduledJob('reconcile-notifications', '0 * * * *', async () => {
+  console.log('通知の取りこぼしを確認中...');
+  
+  try {
+    await reconcileNotifications();
+  } catch (error) {
+    console.error('取りこぼし確認エラー:', error);
+  }
+});
+
+// 配達状況を追跡する期間（発送からこの日数まで）
+const DELIVERY_TRACKING_DAYS = 14;
+
+// 配送業者の追跡結果から、配達中・配達完了をお知らせ（1時間ごと）
+// 配達完了になった荷物は、お知らせを送ったかどうかに関係なく追跡を終える
+async function checkDeliveryProgress() {
+  const since = new Date(Date.now() - DELIVERY_TRACKING_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const orders = [];
+  for (const fulfillmentStatus of ['shipped', 'partial']) {
+    orders.push(...await fetchOrders({ updated_at_min: since, status: 'any', fulfillment_status: fulfillmentStatus }));
+  }
+  
+  // 同じお客様の注文が続いても顧客マスターDBを何度も検索しない
+  const customers = new Map();
+  
+  for (const order of orders) {
+    if (order.cancelledAt) {
+      continue;
+    }
+    
+    const fulfillments = [];
+    for (const fulfillment of getShippedFulfillments(order)) {
+      if (!await notificationStore.has(trackingFinishedKey(fulfillment))) {
+        fulfillments.push(fulfillment);
+      }
+    }
+    if (fulfillments.length === 0) {
+      continue;
+    }
+    
+    // LINE連携のないお客様の荷物は追跡しない
+    const email = getOrderEmail(order)?.toLowerCase() || null;
+    if (!customers.has(email)) {
+      customers.set(email, await findCustomerForOrder(order));
+    }
+    const customer = customers.get(email);
+    if (!customer?.lineUserId) {
+      continue;
+    }
+    
+    for (const fulfillment of fulfillments) {
+      const tracking = await getTrackingStatus(fulfillment);
+      const event = tracking && getDeliveryEvent(tracking.status);
+      if (event) {
+        await notifyLifecycleEvent(order, event, { fulfillment, tracking, customer });
+      }
+      if (tracking?.status === 'delivered') {
+        await notificationStore.set(trackingFinishedKey(fulfillment), { finishedAt: new Date().toISOString() }, {
+          ttlMs: (DELIVERY_TRACKING_DAYS + 1) * 24 * 60 * 60 * 1000
+        });
+      }
+    }
+  }
+}
+
+function trackingFinishedKey(fulfillment) {
+  return `fulfillment:${fulfillment.id}:tracking-finished`;
+}
+
+defineScheduledJob('delivery-progress', '30 * * * *', async () => {
+  try {
+    await checkDeliveryProgress();
+  } catch (error) {
+    console.error('配達状況の確認エラー:', error);
+  }
+});
+
+// 入金待ちを確認する注文の期間（注文からこの日数まで）
+const PAYMENT_PENDING_LOOKBACK_DAYS = 30;
+
+// 銀行振込・コンビニ決済で、一定日数入金が確認できない注文にお知らせ
+async function checkPendingPayments() {
+  const settings = (await shopProfile.get()).notifications.events.payment_pending;
+  if (!settings.enabled) {
+    return;
+  }
+  
+  const since = new Date(Date.now() - PAYMENT_PENDING_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const orders = await fetchOrders({ financial_status: 'pending', status: 'open', created_at_min: since });
+  
+  for (const order of orders) {
+    if (isAwaitingPayment(order, settings)) {
+      await notifyLifecycleEvent(order, 'payment_pending');
+    }
+  }
+}
+
+// 入金待ちの確認（毎日10時）
+defineScheduledJob('pending-payments', '0 10 * * *', async () => {
+  try {
+    await checkPendingPayments();
+  } catch (error) {
+    console.error('入金待ち確認エラー:', error);
+  }
+}, { timezone: 'Asia/Tokyo' });
+
+// 夜間に控えた通知の送信（10分ごと）
+defineScheduledJob('deferred-notifications', '*/10 * * * *', async () => {
+  try {
+    await sendDeferredNotifications();
+  } catch (error) {
+    console.error('予約通知の送信エラー:', error);
+  }
+});
+
+// 再入荷の確認（Webhookが届かなかった場合の補完、30分ごと）
+defineScheduledJob('restock-check', '*/30 * * * *', async () => {
+  try {
+    await checkRestockSubscriptions();
+  } catch (error) {
+    console.error('再入荷確認エラー:', error);
+  }
+});
+
+// 指定日時以降に更新された注文をページングしながら取得
+async function fetchOrdersUpdatedSince(since) {
+  return fetchOrders({ updated_at_min: since, status: 'any' });
+}
+
+// 条件に合う注文をページングしながら取得
+async function fetchOrders(params) {
+  const orders = [];
+  let url = `/orders.json?${new URLSearchParams({ ...params, limit: '250' })}`;
+  
+  while (url) {
+    const response = await shopifyAxios.get(url);
+    orders.push(...response.data.orders.map(normalizeOrder));
+    url = getNextPageUrl(response.headers.link);
+  }
+  
+  return orders;
+}
+
+// Linkヘッダーから次ページのURLを取り出す
+function getNextPageUrl(linkHeader) {
+  if (!linkHeader) {
+    return null;
+  }
+  
+  const next = linkHeader.split(',').find(part => part.includes('rel="next"'));
+  if (!next) {
+    return null;
+  }
+  
+  // baseURLからの相対パスにする
+  const url = new URL(next.match(/<([^>]+)>/)[1]);
+  return url.pathname.replace(/^.*\/admin\/api\/[^/]+/, '') + url.search;
+}
+
+// メールアドレスから顧客マスターDBの記録を検索
+async function findCustomerByEmail(email) {
+  try {
+    const response = await notion.databases.query({
+      database_id: process.env.NOTION_CUSTOMER_DB_ID, // 顧客マスターDB
+      filter: {
+        property: 'メールアドレス',
+        email: {
+          equals: email
+        }
+      },
+      page_size: 1
+    });
+    
+    return response.results.length > 0 ? toLinkedCustomer(response.results[0]) : null;
+  } catch (error) {
+    console.error('顧客検索エラー:', error);
+    return null;
+  }
+}
+
+// 配送情報の更新通知を送信
+async function sendFulfillmentUpdateNotification(userId, order, fulfillment) {
+  const shipmentStatusMap = {
+    'in_transit': '輸送中',
+    'out_for_delivery': '配達中',
+    'attempted_delivery': 'ご不在のため持ち戻り',
+    'ready_for_pickup': '営業所でお預かり中',
+    'delivered': '配達完了',
+    'failure': '配達できませんでした'
+  };
+  const shipmentStatus = shipmentStatusMap[fulfillment.shipmentStatus] || '更新';
+  
+  // 配送業者の最新の履歴があれば添える
+  const tracking = await getTrackingStatus(fulfillment);
+  const latest = tracking?.latest
+    ? `\n最新の状況: ${formatCheckpointTime(tracking.latest.time)} ${tracking.latest.description}${tracking.latest.location ? `（${tracking.latest.location}）` : ''}`
+    : '';
+  
+  const message = `🚚 配送状況のお知らせ
+
+ご注文番号 #${order.orderNumber} の配送状況が更新されました。
+
+配送状況: ${shipmentStatus}${latest}
+配送業者: ${fulfillment.trackingCompany || '確認中'}
+追跡番号: ${fulfillment.trackingNumber || '準備中'}
+${fulfillment.trackingUrl ? `追跡URL: ${fulfillment.trackingUrl}` : ''}
+
+ご不明な点がございましたら、お気軽にお問い合わせください😊`;
+  
+  return pushNotification(userId, message, `配送更新通知 #${order.orderNumber}`);
+}
+
+// LINEにプッシュ通知を送信（成功時、または朝に送る予約ができた場合true）
+// urgent でない通知は、通知を控える時間帯（夜間）なら時間帯が明けるまで送らない
+async function pushNotification(userId, message, label, { urgent = false } = {}) {
+  const lineMessage = typeof message === 'string' ? { type: 'text', text: message } : message;
+  
+  try {
+    if (!urgent) {
+      const calendar = await getBusinessCalendar();
+      const now = new Date();
+      if (calendar.isQuietHours(now)) {
+        return await deferNotification(userId, lineMessage, label, calendar.quietHoursEnd(now));
+      }
+    }
+  } catch (error) {
+    console.error('通知時間帯の確認エラー（すぐに送信）:', error.message);
+  }
+  
+  try {
+    await lineClient.pushMessage(userId, lineMessage);
+    console.log('通知送信完了:', label);
+    return true;
+  } catch (error) {
+    console.error('通知送信エラー:', label, error);
+    return false;
+  }
+}
+
+// 送らなかった通知の保存期間と再送の上限
+const DEFERRED_NOTIFICATION_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+const DEFERRED_NOTIFICATION_MAX_ATTEMPTS = 3;
+
+async function deferNotification(userId, message, label, sendAt) {
+  try {
+    await deferredNotificationStore.set(`${sendAt.toISOString()}:${crypto.randomUUID()}`, {
+      userId,
+      message,
+      label,
+      sendAt: sendAt.toISOString(),
+      attempts: 0
+    }, { ttlMs: DEFERRED_NOTIFICATION_TTL_MS });
+    console.log('通知を控える時間帯のため送信を予約:', label, sendAt.toISOString());
+    return true;
+  } catch (error) {
+    console.error('通知の予約エラー:', label, error);
+    return false;
+  }
+}
+
+// 送信時刻になった予約済みの通知を送る
+async function sendDeferredNotifications() {
+  const now = new Date();
+  
+  for (const key of await deferredNotificationStore.keys()) {
+    const notification = await deferredNotificationStore.get(key);
+    if (!notification || new Date(notification.sendAt) > now) {
+      continue;
+    }
+    
+    try {
+      await lineClient.pushMessage(notification.userId, notification.message);
+      await deferredNotificationStore.delete(key);
+      console.log('予約していた通知を送信:', notification.label);
+    } catch (error) {
+      console.error('予約していた通知の送信エラー:', notification.label, error.message);
+      const attempts = notification.attempts + 1;
+      if (attempts >= DEFERRED_NOTIFICATION_MAX_ATTEMPTS) {
+        await deferredNotificationStore.delete(key);
+      } else {
+        await deferredNotificationStore.set(key, { ...notification, attempts }, { ttlMs: DEFERRED_NOTIFICATION_TTL_MS });
+      }
+    }
+  }
+}
+
+// =====================================
+// 満足度アンケート
+// =====================================
+
+// アンケートの対象にする注文の期間（更新からこの日数まで）
+const SURVEY_LOOKBACK_DAYS = 30;
+// 送る時期からこの日数を過ぎた注文には送らない（導入前の注文にまとめて送らないため）
+const SURVEY_EXPIRY_DAYS = 7;
+
+function surveyKey(orderId) {
+  return `order:${orderId}`;
+}
+
+// お届けから数日たった注文に、満足度アンケートを送る
+async function sendSurveyRequests() {
+  const settings = (await shopProfile.get()).survey;
+  if (!settings.enabled) {
+    return;
+  }
+  
+  const now = new Date();
+  const since = new Date(now.getTime() - SURVEY_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const orders = await fetchOrders({ updated_at_min: since, status: 'any', fulfillment_status: 'shipped' });
+  
+  for (const order of orders) {
+    // キャンセル・返金のあった注文には送らない
+    if (order.cancelledAt || order.refunds.length > 0 || await surveyStore.has(surveyKey(order.id))) {
+      continue;
+    }
+    
+    const customer = await findCustomerForOrder(order);
+    if (!customer?.lineUserId || customer.notificationOptOuts.includes(ALL_EVENTS_LABEL)) {
+      continue;
+    }
+    
+    const dueAt = getSurveyDueAt(await getOrderDeliveryDates(order), settings);
+    if (!dueAt || dueAt > now || now - dueAt > SURVEY_EXPIRY_DAYS * 24 * 60 * 60 * 1000) {
+      continue;
+    }
+    
+    await sendSurvey(order, customer);
+  }
+}
+
+// 最後の発送の日時と配達完了の日時（配達完了はShopifyの配送状況、なければ配送業者の追跡から）
+async function getOrderDeliveryDates(order) {
+  const shipped = getShippedFulfillments(order);
+  const fulfillment = shipped[shipped.length - 1];
+  if (!fulfillment) {
+    return { deliveredAt: null, shippedAt: null };
+  }
+  
+  if (fulfillment.shipmentStatus === 'delivered') {
+    return { deliveredAt: fulfillment.updatedAt, shippedAt: fulfillment.createdAt };
+  }
+  
+  const tracking = await getTrackingStatus(fulfillment);
+  return { deliveredAt: tracking?.deliveredAt || null, shippedAt: fulfillment.createdAt };
+}
+
+async function sendSurvey(order, customer) {
+  await loadResponseTemplates();
+  
+  const label = `満足度アンケート #${order.orderNumber}`;
+  const text = renderResponseTemplate('アンケート', buildOrderTemplateVariables(order));
+  const sent = await pushNotification(customer.lineUserId, buildSurveyMessage(order.id, text), label);
+  if (!sent) {
+    return false;
+  }
+  
+  // 同じ商品の色違いなどは1つにまとめる
+  const products = new Map();
+  for (const item of order.items) {
+    if (item.productId && !products.has(item.productId)) {
+      products.set(item.productId, { productId: item.productId, name: item.title });
+    }
+  }
+  
+  await surveyStore.set(surveyKey(order.id), {
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    userId: customer.lineUserId,
+    products: [...products.values()],
+    sentAt: new Date().toISOString(),
+    rating: null,
+    respondedAt: null,
+    comment: null
+  });
+  await recordNotificationOnCustomer(customer, label);
+  return true;
+}
+
+// 評価ボタンへの返信（高評価はレビューのお願い、低評価は詳しい内容を伺う）
+async function handleSurveyResponse(event, params) {
+  const userId = event.source.userId;
+  const rating = Number(params.get('rating'));
+  const survey = await surveyStore.get(surveyKey(params.get('order')));
+  
+  if (!survey || survey.userId !== userId || !getRatingLabel(rating)) {
+    console.log('不明なアンケート回答:', event.postback.data);
+    return null;
+  }
+  
+  if (survey.rating) {
+    return replyToEvent(event, {
+      type: 'text',
+      text: 'こちらのアンケートには回答済みです。ご協力ありがとうございました😊'
+    });
+  }
+  
+  await surveyStore.set(surveyKey(survey.orderId), { ...survey, rating, respondedAt: new Date().toISOString() });
+  console.log('アンケート回答:', survey.orderNumber, rating);
+  
+  await loadResponseTemplates();
+  const result = classifyRating(rating);
+  let reply;
+  let quickReply;
+  if (result === 'good') {
+    reply = renderResponseTemplate('アンケート（高評価）', {
+      orderNumber: survey.orderNumber,
+      reviews: await getReviewLinks(survey.products)
+    });
+  } else if (result === 'poor') {
+    await updateConversationState(userId, { stage: 'survey_feedback', surveyOrderId: survey.orderId });
+    reply = renderResponseTemplate('アンケート（低評価）', { orderNumber: survey.orderNumber });
+    quickReply = buildFeedbackQuickReply();
+  } else {
+    reply = renderResponseTemplate('アンケート（ふつう）', { orderNumber: survey.orderNumber });
+  }
+  
+  const userMessage = `満足度アンケート：${'★'.repeat(rating)}（${getRatingLabel(rating)}）`;
+  
+  try {
+    await saveToNotion({
+      userId: userId,
+      userName: await getUserName(userId),
+      userMessage: userMessage,
+      aiReply: reply,
+      orderNumber: survey.orderNumber,
+      status: result === 'poor' ? '要確認' : '対応済み',
+      category: 'アンケート',
+      rating: rating
+    });
+  } catch (notionError) {
+    console.error('Notion保存エラー（続行）:', notionError.message);
+  }
+  
+  try {
+    await appendTurn(transcriptStore, userId, 'user', userMessage);
+    await appendTurn(transcriptStore, userId, 'assistant', reply);
+  } catch (error) {
+    console.error('会話履歴保存エラー（続行）:', error.message);
+  }
+  
+  return replyToEvent(event, quickReply ? { type: 'text', text: reply, quickReply } : { type: 'text', text: reply });
+}
+
+// 低評価のあとに届いたご意見：記録して担当者に引き継ぐ（「特にない」の場合はお礼だけ）
+async function handleSurveyFeedback(message, context, conversationState) {
+  const survey = await surveyStore.get(surveyKey(conversationState.surveyOrderId));
+  await updateConversationState(context.userId, { stage: 'initial' });
+  context.category = 'アンケート';
+  
+  if (isNoFeedbackReply(message)) {
+    return renderResponseTemplate('アンケート（ご意見なし）', {});
+  }
+  
+  if (survey) {
+    await surveyStore.set(surveyKey(survey.orderId), { ...survey, comment: message });
+    context.orderNumber = survey.orderNumber;
+  }
+  
+  // handleTextMessage で「要確認」として保存し、担当者に引き継ぐ
+  context.requiresHumanReview = true;
+  context.escalation = {
+    score: null,
+    level: context.escalation?.level || null,
+    reasons: [...(context.escalation?.reasons || []), { signal: 'survey', points: 0, detail: 'アンケートで低い評価のあとのご意見' }]
+  };
+  
+  return renderResponseTemplate('アンケート（ご意見受付）', {
+    orderNumber: survey?.orderNumber,
+    responseTime: await describeStaffResponseTime()
+  });
+}
+
+// レビューを書いてもらう商品ページのURL（URLの設定がない場合は空）
+async function getReviewLinks(products) {
+  const settings = (await shopProfile.get()).survey;
+  const urlTemplate = settings.reviewUrl ||
+    (process.env.SHOP_PUBLIC_URL ? `${process.env.SHOP_PUBLIC_URL.replace(/\/$/, '')}/products/{handle}` : null);
+  if (!urlTemplate || products.length === 0) {
+    return [];
+  }
+  
+  try {
+    const ids = products.map(product => product.productId).join(',');
+    const response = await shopifyAxios.get(`/products.json?ids=${ids}&fields=id,handle`);
+    const handles = new Map(response.data.products.map(product => [product.id, product.handle]));
+    
+    return products
+      .filter(product => handles.has(product.productId))
+      .map(product => ({ name: product.name, url: urlTemplate.replace('{handle}', handles.get(product.productId)) }));
+  } catch (error) {
+    console.error('商品ページの取得エラー（レビューの案内なし）:', error.message);
+    return [];
+  }
+}
+
+async function listSurveys() {
+  const surveys = [];
+  for (const key of await surveyStore.keys('order:')) {
+    const survey = await surveyStore.get(key);
+    if (survey) {
+      surveys.push(survey);
+    }
+  }
+  return surveys.sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt));
+}
+
+// 満足度アンケートの送信（毎日11時）
+defineScheduledJob('survey-requests', '0 11 * * *', async () => {
+  try {
+    await sendSurveyRequests();
+  } catch (error) {
+    console.error('アンケート送信エラー:', error);
+  }
+}, { timezone: 'Asia/Tokyo' });
+
+// =====================================
+// ヘルパー関数
+// =====================================
+
+// Flexメッセージを使うか（LINE_FLEX_ENABLED=false でテキストのみ）
+function isFlexEnabled() {
+  return process.env.LINE_FLEX_ENABLED !== 'false';
+}
+
+// 挨拶への返信（メニューのクイックリプライ付き）
+function isGreetingMessage(message) {
+  return /こんにち[はわ]|おはよう|こんばん[はわ]|はじめまして/.test(message);
+}
+
+function buildGreetingReply(shop) {
+  return {
+    type: 'text',
+    text: `こんにちは！${shop.name}です😊
+
+本日はどのようなご用件でしょうか？
+・ご注文の確認
+・商品について
+・発送状況の確認
+・その他のお問い合わせ
+
+お気軽にお申し付けください。`,
+    quickReply: buildMenuQuickReply()
+  };
+}
+
+// 返信（文字列またはテキストメッセージ）に文章を追加
+function appendText(reply, extra) {
+  if (typeof reply === 'string') {
+    return reply + extra;
+  }
+  if (reply.type === 'text') {
+    return { ...reply, text: reply.text + extra };
+  }
+  return reply;
+}
+
+// 記録用に返信メッセージの本文を取り出す
+function getMessageText(message) {
+  if (typeof message === 'string') {
+    return message;
+  }
+  return message.text || message.altText || '';
+}
 
 // ステータスを日本語に変換
 function getStatusInJapanese(status) {
@@ -921,27 +4821,179 @@ function getStatusInJapanese(status) {
 }
 
 // =====================================
-// サーバー起動
+// エンドポイント
 // =====================================
-const port = process.env.PORT || 3000;
-app.listen(port, () => {
-  console.log(`サーバーが起動しました！ポート: ${port}`);
-  console.log('Webhookを待機中...');
-  
-  // 起動時にテンプレートを読み込み
-  loadResponseTemplates().then(() => {
-    console.log('初期テンプレート読み込み完了');
-  });
-});
 
 // ヘルスチェック用エンドポイント
 app.get('/', (req, res) => {
   res.send('LINE Bot is running! 🤖');
 });
 
+// 担当者用API：対応中の会話一覧
+app.get('/operator/handoffs', requireOperatorAuth, async (req, res) => {
+  res.json({ handoffs: await listHandoffs() });
+});
+
+// 担当者用API：お客様に返信
+app.post('/operator/messages', requireOperatorAuth, express.json(), async (req, res) => {
+  const { userId, text, operator } = req.body || {};
+  if (!userId || !text) {
+    return res.status(400).json({ error: 'userId と text は必須です' });
+  }
+  
+  try {
+    await sendOperatorReply(userId, text, operator);
+    res.json({ status: 'sent' });
+  } catch (error) {
+    console.error('担当者返信エラー:', error);
+    res.status(502).json({ error: 'LINEへの送信に失敗しました' });
+  }
+});
+
+// 担当者用API：対応完了（ボットに戻す）
+app.post('/operator/resolve', requireOperatorAuth, express.json(), async (req, res) => {
+  const { userId, operator, message } = req.body || {};
+  if (!userId) {
+    return res.status(400).json({ error: 'userId は必須です' });
+  }
+  
+  try {
+    const resolved = await resolveHandoff(userId, { operator, message });
+    res.status(resolved ? 200 : 404).json({ status: resolved ? 'resolved' : 'not_found' });
+  } catch (error) {
+    console.error('対応完了エラー:', error);
+    res.status(500).json({ error: '対応完了の処理に失敗しました' });
+  }
+});
+
+// 担当者用API：キャンセル・返品申請の一覧
+app.get('/operator/requests', requireOperatorAuth, async (req, res) => {
+  res.json({ requests: await listReturnRequests(req.query.status || null) });
+});
+
+// 担当者用API：申請を承認（Shopifyでキャンセル・返金を実行）
+app.post('/operator/requests/:id/approve', requireOperatorAuth, express.json(), async (req, res) => {
+  try {
+    const request = await approveReturnRequest(req.params.id, req.body?.operator);
+    if (!request) {
+      return res.status(404).json({ error: '承認待ちの申請が見つからないか、処理中です' });
+    }
+    res.json({ request });
+  } catch (error) {
+    console.error('申請承認エラー:', error.response?.data || error);
+    res.status(502).json({ error: 'Shopifyでの処理に失敗しました（もう一度承認すると、終わっていない手順から処理します）' });
+  }
+});
+
+// 担当者用API：申請を却下
+app.post('/operator/requests/:id/reject', requireOperatorAuth, express.json(), async (req, res) => {
+  try {
+    const request = await rejectReturnRequest(req.params.id, req.body?.operator, req.body?.note);
+    if (!request) {
+      return res.status(404).json({ error: '承認待ちの申請が見つかりません' });
+    }
+    res.json({ request });
+  } catch (error) {
+    console.error('申請却下エラー:', error);
+    res.status(500).json({ error: '却下の処理に失敗しました' });
+  }
+});
+
+// 担当者用API：満足度アンケートの結果と集計
+app.get('/operator/surveys', requireOperatorAuth, async (req, res) => {
+  const surveys = await listSurveys();
+  res.json({ summary: summarizeSurveys(surveys), surveys });
+});
+
+// 担当者用API：再入荷通知の希望数（在庫切れ商品の需要確認用）
+app.get('/restock-demand', requireOperatorAuth, async (req, res) => {
+  res.json({ variants: await getRestockDemand() });
+});
+
+// 手動でFAQをリロード
+app.get('/reload-faq', async (req, res) => {
+  const count = await knowledgeBase.reload();
+  res.json({ message: 'FAQ reloaded', entries: count });
+});
+
+// 手動でショップ情報をリロード（不正な内容なら反映せずに理由を返す）
+app.get('/reload-shop-profile', async (req, res) => {
+  try {
+    const shop = await shopProfile.reload();
+    res.json({ message: 'Shop profile reloaded', shop: shop.name });
+  } catch (error) {
+    console.error('ショップ情報リロードエラー:', error.message);
+    res.status(error.issues ? 400 : 502).json({ error: error.message, issues: error.issues || [] });
+  }
+});
+
+// 手動で意図の分類ルールをリロード（不正な内容なら反映せずに理由を返す）
+app.get('/reload-intents', async (req, res) => {
+  try {
+    const rules = await intentRules.reload();
+    res.json({ message: 'Intent rules reloaded', categories: rules.categories.map(category => category.name) });
+  } catch (error) {
+    console.error('意図の分類ルールのリロードエラー:', error.message);
+    res.status(error.issues ? 400 : 502).json({ error: error.message, issues: error.issues || [] });
+  }
+});
+
 // 手動でテンプレートをリロード
 app.get('/reload-templates', async (req, res) => {
   responseTemplates = null;
   await loadResponseTemplates();
   res.json({ message: 'Templates reloaded', templates: Object.keys(responseTemplates || {}) });
-});
\ No newline at end of file
+});
+
+// =====================================
+// サーバー起動
+// =====================================
+// require しただけではクライアントの作成・定期実行の登録・サーバーの起動を行わない
+// （テストでは configure() でフェイクのクライアントを渡し、ハンドラーを直接呼び出す）
+function start({ port = process.env.PORT || 3000 } = {}) {
+  if (!lineClient) {
+    configure();
+  }
+  
+  for (const job of scheduledJobs.values()) {
+    cron.schedule(job.expression, job.task, job.options);
+  }
+  
+  return app.listen(port, () => {
+    console.log(`サーバーが起動しました！ポート: ${port}`);
+    console.log('Webhookを待機中...');
+    
+    // 起動時にテンプレートとショップ情報を読み込み
+    loadResponseTemplates().then(() => {
+      console.log('初期テンプレート読み込み完了');
+    });
+    shopProfile.get().then(shop => {
+      console.log('ショップ情報読み込み完了:', shop?.name);
+    }).catch(error => {
+      console.error('ショップ情報の初期読み込みエラー:', error.message);
+    });
+    
+    // 前回停止したときに処理が終わっていなかったイベント
+    redriveWebhookEvents({ includeQueued: true }).catch(error => {
+      console.error('イベントの再処理エラー:', error.message);
+    });
+  });
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = {
+  app,
+  configure,
+  start,
+  handleEvent,
+  receiveWebhookEvents,
+  handleShopifyWebhook,
+  runScheduledJob,
+  getConversationState,
+  onConversationTurn,
+  // キューに入れたLINEのイベントの処理がすべて終わったら解決する
+  waitForQueuedEvents: () => eventQueue.onIdle()
+};
@@ -0,0 +1,257 @@
+// =====================================
+// 営業日カレンダー
+// =====================================
+// 営業時間・日本の祝日・ショップ独自の休業日（お盆、年末年始など）から、
+// 担当者がいつ対応できるか、通知を送ってよい時間帯かを判断する。
+// 時刻はすべて日本時間で扱う（サーバーのタイムゾーンには依存しない）。
+// 祝日は現行の祝日法で計算する（2019〜2021年の特例による移動には対応していない）。
+
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+// 日付が固定の祝日（月-日）
+const FIXED_HOLIDAYS = {
+  '01-01': '元日',
+  '02-11': '建国記念の日',
+  '02-23': '天皇誕生日',
+  '04-29': '昭和の日',
+  '05-03': '憲法記念日',
+  '05-04': 'みどりの日',
+  '05-05': 'こどもの日',
+  '08-11': '山の日',
+  '11-03': '文化の日',
+  '11-23': '勤労感謝の日'
+};
+
+// 第n月曜日の祝日（ハッピーマンデー）
+const HAPPY_MONDAYS = [
+  { month: 1, week: 2, name: '成人の日' },
+  { month: 7, week: 3, name: '海の日' },
+  { month: 9, week: 3, name: '敬老の日' },
+  { month: 10, week: 2, name: 'スポーツの日' }
+];
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function toDateKey(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// 日本時間の年月日・曜日・0時からの分数
+function toJst(date) {
+  const jst = new Date(date.getTime() + JST_OFFSET_MS);
+  return {
+    year: jst.getUTCFullYear(),
+    month: jst.getUTCMonth() + 1,
+    day: jst.getUTCDate(),
+    weekday: jst.getUTCDay(),
+    minutes: jst.getUTCHours() * 60 + jst.getUTCMinutes(),
+    key: toDateKey(jst.getUTCFullYear(), jst.getUTCMonth() + 1, jst.getUTCDate())
+  };
+}
+
+// 日本時間の年月日＋分数から Date を作る
+function fromJst(year, month, day, minutes = 0) {
+  return new Date(Date.UTC(year, month - 1, day, 0, minutes) - JST_OFFSET_MS);
+}
+
+// "9:00" → 540
+function parseTime(text) {
+  const [hours, minutes] = text.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function formatTime(minutes) {
+  return `${Math.floor(minutes / 60)}:${pad(minutes % 60)}`;
+}
+
+// 春分日・秋分日（1980〜2099年の近似式）
+function equinoxDay(year, base) {
+  return Math.floor(base + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+}
+
+// その年の祝日（"YYYY-MM-DD" → 祝日名）
+const holidayCache = new Map();
+function getJapaneseHolidays(year) {
+  if (holidayCache.has(year)) {
+    return holidayCache.get(year);
+  }
+
+  const holidays = new Map();
+  for (const [monthDay, name] of Object.entries(FIXED_HOLIDAYS)) {
+    holidays.set(`${year}-${monthDay}`, name);
+  }
+  for (const { month, week, name } of HAPPY_MONDAYS) {
+    const firstWeekday = toJst(fromJst(year, month, 1)).weekday;
+    const firstMonday = 1 + ((8 - firstWeekday) % 7);
+    holidays.set(toDateKey(year, month, firstMonday + (week - 1) * 7), name);
+  }
+  holidays.set(toDateKey(year, 3, equinoxDay(year, 20.8431)), '春分の日');
+  holidays.set(toDateKey(year, 9, equinoxDay(year, 23.2488)), '秋分の日');
+
+  const sorted = [...holidays.keys()].sort();
+  for (const key of sorted) {
+    const [y, m, d] = key.split('-').map(Number);
+
+    // 振替休日：日曜と重なった場合、次の祝日でない日
+    if (toJst(fromJst(y, m, d)).weekday === 0) {
+      let next = fromJst(y, m, d + 1);
+      while (holidays.has(toJst(next).key)) {
+        next = new Date(next.getTime() + DAY_MS);
+      }
+      holidays.set(toJst(next).key, '振替休日');
+    }
+
+    // 国民の休日：祝日に挟まれた平日
+    const nextDay = toJst(fromJst(y, m, d + 1));
+    const dayAfter = toJst(fromJst(y, m, d + 2));
+    if (!holidays.has(nextDay.key) && holidays.has(dayAfter.key) && nextDay.weekday !== 0) {
+      holidays.set(nextDay.key, '国民の休日');
+    }
+  }
+
+  holidayCache.set(year, holidays);
+  return holidays;
+}
+
+// ショップの休業日に含まれるか（"MM-DD" は毎年、"YYYY-MM-DD" はその日だけ。年をまたぐ期間も可）
+function matchShopHoliday(holiday, jst) {
+  const monthDay = jst.key.slice(5);
+  const isYearly = holiday.from.length === 5;
+  const target = isYearly ? monthDay : jst.key;
+
+  if (holiday.from <= holiday.to) {
+    return target >= holiday.from && target <= holiday.to;
+  }
+  return target >= holiday.from || target <= holiday.to;
+}
+
+// open/close: "9:00" 形式 / businessDays: 営業する曜日（0=日曜）
+// closedOnPublicHolidays: 祝日を休みにするか / holidays: [{ name, from, to }]
+// quietHours: { start: "21:00", end: "8:00" } 通知を控える時間帯
+function createBusinessCalendar({
+  open,
+  close,
+  businessDays = [1, 2, 3, 4, 5],
+  closedOnPublicHolidays = true,
+  holidays = [],
+  quietHours = null
+}) {
+  const openMinutes = parseTime(open);
+  const closeMinutes = parseTime(close);
+
+  // 休業日の名前（営業日ならnull）
+  function getHolidayName(date) {
+    const jst = toJst(date);
+    const shopHoliday = holidays.find(holiday => matchShopHoliday(holiday, jst));
+    if (shopHoliday) {
+      return shopHoliday.name;
+    }
+    if (closedOnPublicHolidays) {
+      return getJapaneseHolidays(jst.year).get(jst.key) || null;
+    }
+    return null;
+  }
+
+  function isBusinessDay(date) {
+    return businessDays.includes(toJst(date).weekday) && !getHolidayName(date);
+  }
+
+  function isOpen(date) {
+    const { minutes } = toJst(date);
+    return isBusinessDay(date) && minutes >= openMinutes && minutes < closeMinutes;
+  }
+
+  // 次に担当者が対応できる時刻（営業中ならその時刻のまま）
+  function nextOpening(date) {
+    if (isOpen(date)) {
+      return date;
+    }
+
+    const jst = toJst(date);
+    let dayOffset = jst.minutes < openMinutes ? 0 : 1;
+    for (; dayOffset <= 366; dayOffset++) {
+      const candidate = fromJst(jst.year, jst.month, jst.day + dayOffset, openMinutes);
+      if (isBusinessDay(candidate)) {
+        return candidate;
+      }
+    }
+    throw new Error('1年以内に営業日がありません');
+  }
+
+  // 次の営業開始から数えてn営業日目の終業時刻
+  function addBusinessDays(date, days) {
+    let current = nextOpening(date);
+    for (let count = 1; count < days; count++) {
+      const jst = toJst(current);
+      current = nextOpening(fromJst(jst.year, jst.month, jst.day + 1, 0));
+    }
+    const jst = toJst(current);
+    return fromJst(jst.year, jst.month, jst.day, closeMinutes);
+  }
+
+  // 担当者が対応する時期の案内（「本日中に」「明日9:00以降に」など）
+  function describeResponseTime(date) {
+    if (isOpen(date)) {
+      return '本日中に';
+    }
+
+    const opening = nextOpening(date);
+    const from = toJst(date);
+    const to = toJst(opening);
+    const days = Math.round((fromJst(to.year, to.month, to.day) - fromJst(from.year, from.month, from.day)) / DAY_MS);
+    const time = formatTime(openMinutes);
+
+    if (days === 0) {
+      return `本日${time}以降に`;
+    }
+    if (days === 1) {
+      return `明日${time}以降に`;
+    }
+    return `${to.month}月${to.day}日（${WEEKDAY_LABELS[to.weekday]}）${time}以降に`;
+  }
+
+  function isQuietHours(date) {
+    if (!quietHours) {
+      return false;
+    }
+    const { minutes } = toJst(date);
+    const start = parseTime(quietHours.start);
+    const end = parseTime(quietHours.end);
+    return start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  // 通知を控える時間帯が終わる時刻（時間帯の外ならその時刻のまま）
+  function quietHoursEnd(date) {
+    if (!isQuietHours(date)) {
+      return date;
+    }
+    const jst = toJst(date);
+    const end = parseTime(quietHours.end);
+    const dayOffset = jst.minutes < end ? 0 : 1;
+    return fromJst(jst.year, jst.month, jst.day + dayOffset, end);
+  }
+
+  return {
+    getHolidayName,
+    isBusinessDay,
+    isOpen,
+    nextOpening,
+    addBusinessDays,
+    describeResponseTime,
+    isQuietHours,
+    quietHoursEnd
+  };
+}
+
+module.exports = {
+  WEEKDAY_LABELS,
+  getJapaneseHolidays,
+  createBusinessCalendar
+};
@@ -0,0 +1,238 @@
+// =====================================
+// 配送業者の追跡
+// =====================================
+// Shopifyの tracking_company と tracking_number から配送業者の追跡ページを取得し、
+// 業者ごとの表記を共通の配送状況にそろえる。
+//
+//   in_transit        輸送中
+//   out_for_delivery  配達中
+//   delivered         配達完了
+//   held_at_depot     営業所・郵便局で保管中（不在の持ち戻りなど）
+//
+// 業者ごとのアダプターは、追跡ページのURLと、ページの内容から履歴を取り出す parse を持つ。
+// 取得（httpGet）は外から渡すので、テストでは業者のページをまねて書いたHTMLを使える。
+
+// 同じ荷物の問い合わせが続いても業者のページを何度も取りに行かない
+const CACHE_TTL_MS = 30 * 60 * 1000;
+// キャッシュしておく荷物の数の上限（超えたら古く取得したものから捨てる）
+const MAX_CACHE_ENTRIES = 1000;
+
+const STATUS_LABELS = {
+  in_transit: '輸送中',
+  out_for_delivery: '配達中',
+  delivered: '配達完了',
+  held_at_depot: '営業所・郵便局で保管中',
+  unknown: '確認中'
+};
+
+// 業者の表記から共通の状況へ（上から順に判定）
+const STATUS_RULES = [
+  { status: 'delivered', pattern: /配達完了|配達済|お届け済|お届け完了|お渡し済/ },
+  { status: 'held_at_depot', pattern: /保管|持戻|持ち戻|ご不在|不在|窓口|お預かり中/ },
+  { status: 'out_for_delivery', pattern: /配達中|持出|持ち出し|配達に出/ },
+  { status: 'in_transit', pattern: /受付|引受|発送|輸送中|通過|到着|作業中|中継|出荷|集荷/ }
+];
+
+function normalizeStatus(description) {
+  const rule = STATUS_RULES.find(({ pattern }) => pattern.test(description));
+  return rule ? rule.status : 'unknown';
+}
+
+// タグを除いてテキストにする
+function stripTags(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/[↑↓⇒]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// class に marker を含むテーブル（複数あればすべて）の行をセルのテキストの配列で返す
+function extractTableRows(html, marker) {
+  const tablePattern = new RegExp(`<table[^>]*class="[^"]*${marker}[^"]*"[^>]*>([\\s\\S]*?)</table>`, 'g');
+  const rows = [];
+
+  for (const [, table] of html.matchAll(tablePattern)) {
+    for (const [, row] of table.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/g)) {
+      const cells = [...row.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/g)].map(([, cell]) => stripTags(cell));
+      if (cells.length > 0) {
+        rows.push(cells);
+      }
+    }
+  }
+  return rows;
+}
+
+// 日本時間の日時をISO形式にする（年がない表記は、未来にならないよう直近の年とみなす）
+function toIsoTime({ year, month, day, hour = 0, minute = 0 }, now) {
+  let resolvedYear = year;
+  if (!resolvedYear) {
+    resolvedYear = new Date(now.getTime() + 9 * 60 * 60 * 1000).getUTCFullYear();
+    if (Date.UTC(resolvedYear, month - 1, day, hour, minute) - 9 * 60 * 60 * 1000 > now.getTime() + 24 * 60 * 60 * 1000) {
+      resolvedYear -= 1;
+    }
+  }
+  return new Date(Date.UTC(resolvedYear, month - 1, day, hour, minute) - 9 * 60 * 60 * 1000).toISOString();
+}
+
+// "2026年10月20日 10:15" "2026/10/19 15:30" "10月19日 14:02" などを読む
+function parseJapaneseDateTime(text, now) {
+  const match = text.match(/(?:(\d{4})[年/])?(\d{1,2})[月/](\d{1,2})日?\s*(?:(\d{1,2}):(\d{2}))?/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour, minute] = match;
+  return toIsoTime({
+    year: year && Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: hour ? Number(hour) : 0,
+    minute: minute ? Number(minute) : 0
+  }, now);
+}
+
+// ヤマト運輸（荷物お問い合わせシステム）
+const yamato = {
+  id: 'yamato',
+  name: 'ヤマト運輸',
+  pattern: /yamato|ヤマト|クロネコ|kuroneko/i,
+  buildUrl: trackingNumber =>
+    `https://toi.kuronekoyamato.co.jp/cgi-bin/tneko?number01=${encodeURIComponent(trackingNumber)}`,
+  parse(html, now) {
+    const detail = html.match(/<div class="tracking-invoice-block-detail">([\s\S]*?)<\/ol>/);
+    if (!detail) {
+      return [];
+    }
+    return [...detail[1].matchAll(/<li[^>]*>([\s\S]*?)<\/li>/g)].map(([, item]) => {
+      const field = name => stripTags(item.match(new RegExp(`<div class="${name}">([\\s\\S]*?)</div>`))?.[1] || '');
+      return {
+        time: parseJapaneseDateTime(field('date'), now),
+        description: field('item'),
+        location: field('name')
+      };
+    });
+  }
+};
+
+// 佐川急便（お問い合せサービス）
+const sagawa = {
+  id: 'sagawa',
+  name: '佐川急便',
+  pattern: /sagawa|佐川/i,
+  buildUrl: trackingNumber =>
+    `https://k2k.sagawa-exp.co.jp/p/web/okurijosearch.do?okurijoNo=${encodeURIComponent(trackingNumber)}`,
+  parse(html, now) {
+    return extractTableRows(html, 'table_okurijo_detail2')
+      .filter(cells => cells.length >= 3 && /\d/.test(cells[1]))
+      .map(([description, date, location]) => ({
+        time: parseJapaneseDateTime(date, now),
+        description,
+        location
+      }));
+  }
+};
+
+// 日本郵便（郵便追跡サービス）
+const japanPost = {
+  id: 'japan_post',
+  name: '日本郵便',
+  pattern: /japan ?post|日本郵便|ゆうパック|ゆうパケット|郵便/i,
+  buildUrl: trackingNumber =>
+    `https://trackings.post.japanpost.jp/services/srv/search/direct?reqCodeNo1=${encodeURIComponent(trackingNumber)}&locale=ja`,
+  parse(html, now) {
+    return extractTableRows(html, 'tableType01')
+      .filter(cells => cells.length >= 4 && /\d{4}\/\d{1,2}\/\d{1,2}/.test(cells[0]))
+      .map(([date, description, detail, office]) => ({
+        time: parseJapaneseDateTime(date, now),
+        description: detail ? `${description}（${detail}）` : description,
+        location: office
+      }));
+  }
+};
+
+const DEFAULT_ADAPTERS = [yamato, sagawa, japanPost];
+
+// tracking_company から業者のアダプターを選ぶ（対応していなければnull）
+function findCarrierAdapter(trackingCompany, adapters = DEFAULT_ADAPTERS) {
+  if (!trackingCompany) {
+    return null;
+  }
+  return adapters.find(adapter => adapter.pattern.test(trackingCompany)) || null;
+}
+
+// 履歴から共通の追跡結果を作る
+function buildTrackingResult(adapter, trackingNumber, checkpoints) {
+  const normalized = checkpoints
+    .filter(checkpoint => checkpoint.description)
+    .map(checkpoint => ({ ...checkpoint, status: normalizeStatus(checkpoint.description) }))
+    .sort((a, b) => (a.time || '').localeCompare(b.time || ''));
+
+  const latest = normalized[normalized.length - 1] || null;
+  const status = latest ? latest.status : 'unknown';
+  const delivered = normalized.find(checkpoint => checkpoint.status === 'delivered');
+
+  return {
+    carrier: adapter.id,
+    carrierName: adapter.name,
+    trackingNumber,
+    trackingUrl: adapter.buildUrl(trackingNumber),
+    status,
+    statusLabel: STATUS_LABELS[status],
+    latest,
+    deliveredAt: delivered ? delivered.time : null,
+    checkpoints: normalized
+  };
+}
+
+// httpGet: URLを受け取り本文の文字列を返す関数
+function createCarrierTracker({ httpGet, adapters = DEFAULT_ADAPTERS, now = () => new Date(), maxCacheEntries = MAX_CACHE_ENTRIES }) {
+  // 取得した順に並ぶ（同じ荷物を取り直したら後ろに移す）
+  const cache = new Map();
+
+  function saveToCache(key, result) {
+    cache.delete(key);
+    cache.set(key, { result, fetchedAt: Date.now() });
+
+    for (const [oldKey, entry] of cache) {
+      if (cache.size <= maxCacheEntries && Date.now() - entry.fetchedAt < CACHE_TTL_MS) {
+        break;
+      }
+      cache.delete(oldKey);
+    }
+  }
+
+  // 対応していない業者・追跡番号がない場合はnull
+  async function track(trackingCompany, trackingNumber) {
+    const adapter = findCarrierAdapter(trackingCompany, adapters);
+    const number = String(trackingNumber || '').replace(/[^0-9A-Za-z]/g, '');
+    if (!adapter || !number) {
+      return null;
+    }
+
+    const cacheKey = `${adapter.id}:${number}`;
+    const cached = cache.get(cacheKey);
+    if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+      return cached.result;
+    }
+
+    const body = await httpGet(adapter.buildUrl(number));
+    const result = buildTrackingResult(adapter, number, adapter.parse(body, now()));
+    saveToCache(cacheKey, result);
+    return result;
+  }
+
+  return { track };
+}
+
+module.exports = {
+  STATUS_LABELS,
+  normalizeStatus,
+  findCarrierAdapter,
+  createCarrierTracker
+};
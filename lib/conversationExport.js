@@ -0,0 +1,159 @@
+// =====================================
+// Notionの会話記録の読み込み
+// =====================================
+// 会話記録DBをエクスポートしたファイル（NotionのCSV、または databases.query の結果のJSON）を
+// やり取りの一覧にする。会話シミュレーターで、お客様から報告のあった会話を再現するために使う。
+
+// ボットが操作を記録した行（お客様が送ったメッセージではない）
+const SYSTEM_ROW_PATTERNS = [
+  /^（[\s\S]*）$/,
+  /^本人確認失敗（/,
+  /^(?:キャンセル|返品)申請（受付番号/,
+  /^満足度アンケート：/
+];
+
+// 友だち追加の記録はフォローイベントとして再現する
+const FOLLOW_MESSAGE = '（友だち追加）';
+
+// RFC 4180 のCSV（ダブルクォート内の改行・"" に対応。先頭のBOMは除く）
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell !== ''));
+}
+
+// CSVの行を { 列名: 値 } にする
+function csvToRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+  return rows.map(cells => Object.fromEntries(header.map((name, index) => [name.trim(), cells[index] ?? ''])));
+}
+
+function propertyToText(property) {
+  if (!property) {
+    return '';
+  }
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return property[property.type].map(span => span.plain_text).join('');
+    case 'select':
+      return property.select?.name || '';
+    case 'number':
+      return property.number === null ? '' : String(property.number);
+    default:
+      return '';
+  }
+}
+
+// databases.query の結果のページを { 列名: 値 } にする
+function pageToRecord(page) {
+  const record = { created_time: page.created_time || '' };
+  for (const [name, property] of Object.entries(page.properties || {})) {
+    record[name] = propertyToText(property);
+  }
+  return record;
+}
+
+// 記録の順番（IDは記録した時刻のミリ秒。なければNotionの作成日時）
+function getRecordTime(record) {
+  if (/^\d{12,}$/.test(record['ID'] || '')) {
+    return Number(record['ID']);
+  }
+  const time = Date.parse(record.created_time || '');
+  return Number.isNaN(time) ? null : time;
+}
+
+function toTurn(record) {
+  const message = record['問い合わせ'] || '';
+  let type = 'message';
+  if (message === FOLLOW_MESSAGE) {
+    type = 'follow';
+  } else if (!message.trim() || SYSTEM_ROW_PATTERNS.some(pattern => pattern.test(message))) {
+    type = 'skip';
+  }
+
+  return {
+    type,
+    userId: record['顧客LINE_ID'] || null,
+    userName: record['顧客名'] || null,
+    message,
+    reply: record['作成文章'] || '',
+    status: record['ステータス'] || null,
+    orderNumber: record['注文番号'] || null,
+    recordedAt: record['作成日時'] || record.created_time || null,
+    time: getRecordTime(record)
+  };
+}
+
+// エクスポートしたファイルの内容を、記録した順のやり取りにする
+// format: 'csv' / 'json'（省略時は内容から判断）
+// 返り値: [{ type: 'message' | 'follow' | 'skip', userId, userName, message, reply, status, orderNumber, recordedAt }]
+function loadConversationExport(text, { format, userId = null } = {}) {
+  const input = text.replace(/^\uFEFF/, '');
+  const isJson = format ? format === 'json' : /^\s*[[{]/.test(input);
+  let records;
+  if (isJson) {
+    const parsed = JSON.parse(input);
+    records = (Array.isArray(parsed) ? parsed : parsed.results || []).map(pageToRecord);
+  } else {
+    records = csvToRecords(input);
+  }
+
+  const turns = records.map(toTurn).filter(turn => !userId || turn.userId === userId);
+
+  // 時刻のわからない行はファイルの順のまま
+  if (turns.every(turn => turn.time !== null)) {
+    turns.sort((a, b) => a.time - b.time);
+  }
+  return turns.map(({ time, ...turn }) => turn);
+}
+
+module.exports = {
+  parseCsv,
+  loadConversationExport
+};
@@ -0,0 +1,297 @@
+// =====================================
+// 担当者への引き継ぎの判定
+// =====================================
+// メッセージの感情・繰り返しの問い合わせ・注文の金額・発送後に届いていない日数・
+// ボットが答えられていない様子（同じ内容を繰り返している）を点数にして合計し、
+// ショップ情報の基準で優先度を決める。どの基準にも届かなければ引き継がない。
+// 担当者に引き継いでボットを止めるのは handoff の優先度（緊急・高）だけで、
+// 通常はボットが答え続け、会話記録で担当者に確認を求めるだけにする。
+const { getShippedFulfillments } = require('./orderModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 同じ会話とみなす間隔（会話の状態の有効期限と同じ30分）
+const SESSION_GAP_MS = 30 * 60 * 1000;
+
+const SIGNALS = ['sentiment', 'repeatContact', 'orderValue', 'shippingDelay', 'botFailure'];
+
+// 優先度の基準（点数の高い順。いちばん低い基準に届かなければ引き継がない）
+// handoff: 担当者に引き継ぐ（ボットの応答を止める）か。省略時は引き継ぐ
+const DEFAULT_LEVELS = [
+  { name: '緊急', minScore: 9, handoff: true },
+  { name: '高', minScore: 6, handoff: true },
+  { name: '通常', minScore: 4, handoff: false }
+];
+
+const DEFAULT_REPEAT_CONTACT_DAYS = 7;
+const DEFAULT_HIGH_VALUE_ORDER_AMOUNT = 30000;
+const DEFAULT_SHIPPING_DELAY_DAYS = 5;
+// これより前に発送した荷物は、配達完了の記録がなくても届いているとみなす
+const DEFAULT_MAX_SHIPPING_DELAY_DAYS = 30;
+
+// 不満を表す言葉（グループごとに1回だけ数える）
+// 丁寧な言葉づかいの強い不満（「大変困っております」「何度もお問い合わせしています」）も拾う
+const SENTIMENT_LEXICON = [
+  { points: 6, pattern: /クレーム|詐欺|訴訟|弁護士|消費者(?:センター|庁)|警察/g },
+  { points: 4, pattern: /最悪|怒|ふざけ|ありえな|あり得な|許せな|二度と(?:買|利用|頼)/g },
+  { points: 2, pattern: /困って|困りま|迷惑/g },
+  { points: 2, pattern: /不信|信用でき|がっかり|残念|失望|不愉快|不快/g },
+  { points: 2, pattern: /何度も|再三|何回も|一向に|いつまで待|いい加減|納得(?:でき|いか)|誠意/g },
+  { points: 2, pattern: /(?:返事|返信|連絡)が(?:ない|なく|来な|こな|ありませ)/g },
+  { points: 1, pattern: /[!！]{2,}|[?？]{2,}/g }
+];
+
+// ボットが答えられなかったときの聞き返しの返信（app.js の文言に合わせる）
+const CLARIFICATION_REPLY_PATTERN = /もう少し詳しくお聞かせ/;
+
+// 同じ内容の繰り返しとみなす似ている度合い（文字の2-gramの Dice 係数）と、対象にする最短の文字数
+const REPEAT_SIMILARITY = 0.8;
+const REPEAT_MIN_LENGTH = 4;
+
+// ショップ情報の引き継ぎの設定を検証して整える（issues に問題を追加する）
+function normalizeEscalationSettings(raw = {}, issues = []) {
+  const weights = {};
+  for (const signal of SIGNALS) {
+    weights[signal] = raw.weights?.[signal] === undefined ? 1 : Number(raw.weights[signal]);
+    if (!Number.isFinite(weights[signal]) || weights[signal] < 0) {
+      issues.push(`escalation.weights.${signal} は0以上の数値で指定してください`);
+    }
+  }
+
+  const levels = (Array.isArray(raw.levels) ? raw.levels : DEFAULT_LEVELS).map(level => ({
+    name: typeof level?.name === 'string' ? level.name.trim() : '',
+    minScore: Number(level?.minScore),
+    handoff: level?.handoff === undefined ? true : level.handoff
+  }));
+  if (levels.length === 0) {
+    issues.push('escalation.levels に優先度を1つ以上指定してください');
+  }
+  levels.forEach((level, index) => {
+    if (!level.name || !Number.isFinite(level.minScore) || level.minScore <= 0) {
+      issues.push(`escalation.levels[${index}] は名前と0より大きい minScore を指定してください`);
+    }
+    if (typeof level.handoff !== 'boolean') {
+      issues.push(`escalation.levels[${index}].handoff は true か false で指定してください`);
+    }
+  });
+
+  const settings = {
+    // 点数の高い順
+    levels: [...levels].sort((a, b) => b.minScore - a.minScore),
+    weights,
+    repeatContactDays: raw.repeatContactDays === undefined ? DEFAULT_REPEAT_CONTACT_DAYS : Number(raw.repeatContactDays),
+    highValueOrderAmount: raw.highValueOrderAmount === undefined ? DEFAULT_HIGH_VALUE_ORDER_AMOUNT : Number(raw.highValueOrderAmount),
+    shippingDelayDays: raw.shippingDelayDays === undefined ? DEFAULT_SHIPPING_DELAY_DAYS : Number(raw.shippingDelayDays),
+    maxShippingDelayDays: raw.maxShippingDelayDays === undefined ? DEFAULT_MAX_SHIPPING_DELAY_DAYS : Number(raw.maxShippingDelayDays)
+  };
+
+  for (const key of ['repeatContactDays', 'shippingDelayDays', 'maxShippingDelayDays']) {
+    if (!Number.isInteger(settings[key]) || settings[key] < 1) {
+      issues.push(`escalation.${key} は1以上の整数で指定してください`);
+    }
+  }
+  if (settings.maxShippingDelayDays < settings.shippingDelayDays) {
+    issues.push('escalation.maxShippingDelayDays は shippingDelayDays 以上で指定してください');
+  }
+  if (!Number.isFinite(settings.highValueOrderAmount) || settings.highValueOrderAmount <= 0) {
+    issues.push('escalation.highValueOrderAmount は0より大きい数値で指定してください');
+  }
+
+  return settings;
+}
+
+// メッセージの不満の強さ
+// 返り値: { points, words: 当てはまった言葉 }
+function analyzeSentiment(message) {
+  const text = String(message).normalize('NFKC');
+  let points = 0;
+  const words = [];
+
+  for (const entry of SENTIMENT_LEXICON) {
+    const matches = text.match(entry.pattern);
+    if (matches) {
+      points += entry.points;
+      words.push(...new Set(matches));
+    }
+  }
+
+  return { points, words };
+}
+
+function normalizeForComparison(text) {
+  return String(text).normalize('NFKC').toLowerCase().replace(/[\s、。,.!?！？「」『』（）()・…ー〜~]/g, '');
+}
+
+function bigrams(text) {
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    grams.push(text.slice(i, i + 2));
+  }
+  return grams;
+}
+
+// 2つのメッセージの似ている度合い（0〜1）
+function similarity(a, b) {
+  const x = normalizeForComparison(a);
+  const y = normalizeForComparison(b);
+  if (x === y) {
+    return 1;
+  }
+
+  const gramsX = bigrams(x);
+  const remaining = bigrams(y);
+  if (gramsX.length === 0 || remaining.length === 0) {
+    return 0;
+  }
+
+  const total = gramsX.length + remaining.length;
+  let shared = 0;
+  for (const gram of gramsX) {
+    const index = remaining.indexOf(gram);
+    if (index !== -1) {
+      shared += 1;
+      remaining.splice(index, 1);
+    }
+  }
+  return (2 * shared) / total;
+}
+
+// Notionの会話記録（新しい順）を、30分以上あいだが空いたところで区切った問い合わせにする
+// 今の会話（最後の記録から30分以内）は含めない
+// 返り値: [{ startedAt, orderNumbers }]（新しい順）
+function groupContacts(history, now) {
+  const records = history
+    .map(page => ({
+      at: new Date(page.created_time).getTime(),
+      orderNumber: page.properties?.['注文番号']?.number ?? null
+    }))
+    .filter(record => !Number.isNaN(record.at))
+    .sort((a, b) => b.at - a.at);
+
+  const contacts = [];
+  let previousAt = now.getTime();
+  let current = null;
+  for (const record of records) {
+    if (previousAt - record.at > SESSION_GAP_MS) {
+      current = { startedAt: new Date(record.at), orderNumbers: [] };
+      contacts.push(current);
+    }
+    if (current && record.orderNumber !== null) {
+      current.orderNumbers.push(String(record.orderNumber));
+    }
+    if (current) {
+      current.startedAt = new Date(record.at);
+    }
+    previousAt = record.at;
+  }
+
+  return contacts;
+}
+
+// 届いていないことが確かめられた荷物か
+// 配送業者の追跡結果があればそれを使い、なければShopifyの配送状況（業者から連携されている場合だけ値がある）を使う
+function isConfirmedUndelivered(fulfillment, trackingStatuses) {
+  const tracked = trackingStatuses[fulfillment.id];
+  if (tracked) {
+    return tracked !== 'delivered' && tracked !== 'unknown';
+  }
+  return Boolean(fulfillment.shipmentStatus) && fulfillment.shipmentStatus !== 'delivered';
+}
+
+// 発送から届いていない日数（届いた・未発送・届いていないか確かめられない場合はnull）
+// trackingStatuses: { 発送ID: 配送業者の追跡の状況 }
+function getDaysShippedWithoutDelivery(order, now, trackingStatuses = {}) {
+  const pending = getShippedFulfillments(order).filter(fulfillment => isConfirmedUndelivered(fulfillment, trackingStatuses));
+  if (pending.length === 0) {
+    return null;
+  }
+  const shippedAt = Math.min(...pending.map(fulfillment => new Date(fulfillment.createdAt).getTime()));
+  return Math.floor((now.getTime() - shippedAt) / DAY_MS);
+}
+
+// 引き継ぎの点数と優先度
+// signals:
+//   message: お客様のメッセージ
+//   history: Notionの会話記録（新しい順。今のメッセージは含まない）
+//   order: 問い合わせの対象の注文（注文モデル。お客様が指定した注文か、配送の問い合わせでの最新の注文。なければnull）
+//   trackingStatuses: 対象の注文の配送業者の追跡の状況（{ 発送ID: 状況 }）
+//   orderNumber: メッセージの注文番号（わからなければnull）
+//   recentMessages: 直近のお客様のメッセージ（古い順。今のメッセージは含まない）
+//   lastReply: 直前のボットの返信
+//   now: 現在時刻
+// 返り値: { score, level: 優先度の名前（どの基準にも届かない場合null）, handoff: 担当者に引き継ぐか, reasons: [{ signal, points, detail }] }
+// 繰り返しの問い合わせだけでは引き継がない（ほかの基準と合わさった場合だけ優先度を付ける）
+function scoreEscalation(signals, settings) {
+  const now = signals.now || new Date();
+  const reasons = [];
+  const add = (signal, points, detail) => {
+    const weighted = points * settings.weights[signal];
+    if (weighted > 0) {
+      reasons.push({ signal, points: weighted, detail });
+    }
+  };
+
+  // メッセージの感情
+  const sentiment = analyzeSentiment(signals.message);
+  add('sentiment', sentiment.points, `不満の表現（${sentiment.words.map(word => `「${word}」`).join('')}）`);
+
+  // 繰り返しの問い合わせ（期間内の以前の問い合わせ1回につき1点、同じ注文についてならさらに2点。最大4点）
+  const since = now.getTime() - settings.repeatContactDays * DAY_MS;
+  const contacts = groupContacts(signals.history || [], now).filter(contact => contact.startedAt.getTime() >= since);
+  const sameOrder = signals.orderNumber
+    ? contacts.filter(contact => contact.orderNumbers.includes(String(signals.orderNumber))).length
+    : 0;
+  add('repeatContact', Math.min(contacts.length + sameOrder * 2, 4),
+    `${settings.repeatContactDays}日以内に${contacts.length}回お問い合わせ` +
+    (sameOrder > 0 ? `（うち同じ注文 #${signals.orderNumber} について${sameOrder}回）` : ''));
+
+  if (signals.order) {
+    // 注文の金額
+    const total = parseFloat(signals.order.totalPrice || 0);
+    if (total >= settings.highValueOrderAmount) {
+      add('orderValue', 2, `注文 #${signals.order.orderNumber} の金額 ${total.toLocaleString('ja-JP')}円`);
+    }
+
+    // 発送から届いていない日数（発送から日がたちすぎた注文は数えない）
+    const days = getDaysShippedWithoutDelivery(signals.order, now, signals.trackingStatuses);
+    if (days !== null && days >= settings.shippingDelayDays && days <= settings.maxShippingDelayDays) {
+      add('shippingDelay', 3, `注文 #${signals.order.orderNumber} の発送から${days}日たっても配達完了になっていない`);
+    }
+  }
+
+  // ボットが答えられていない（同じ内容を繰り返している・直前の返信が聞き返し）
+  const message = normalizeForComparison(signals.message);
+  const repeats = message.length >= REPEAT_MIN_LENGTH
+    ? (signals.recentMessages || []).filter(previous => similarity(previous, signals.message) >= REPEAT_SIMILARITY).length
+    : 0;
+  const clarified = CLARIFICATION_REPLY_PATTERN.test(signals.lastReply || '');
+  if (repeats > 0 || clarified) {
+    const details = [];
+    if (repeats > 0) {
+      details.push(`同じ内容を${repeats + 1}回送信`);
+    }
+    if (clarified) {
+      details.push('直前の返信で聞き返している');
+    }
+    add('botFailure', repeats * 2 + (clarified ? 2 : 0), details.join('・'));
+  }
+
+  const score = reasons.reduce((sum, reason) => sum + reason.points, 0);
+  const onlyRepeatContact = reasons.every(reason => reason.signal === 'repeatContact');
+  const level = onlyRepeatContact ? null : settings.levels.find(candidate => score >= candidate.minScore);
+  return { score, level: level ? level.name : null, handoff: level ? level.handoff : false, reasons };
+}
+
+// 引き継ぎの理由（Notionに記録する文章）
+function formatEscalationReasons(result) {
+  return result.reasons.map(reason => reason.points > 0 ? `${reason.detail} +${reason.points}` : reason.detail).join(' / ');
+}
+
+module.exports = {
+  normalizeEscalationSettings,
+  analyzeSentiment,
+  similarity,
+  groupContacts,
+  scoreEscalation,
+  formatEscalationReasons
+};
@@ -0,0 +1,83 @@
+// =====================================
+// イベントキュー
+// =====================================
+// Webhookにはすぐ応答し、ChatGPT・Shopify・Notionを使う時間のかかる処理はキューで順に行う。
+// 同じキー（LINEのユーザー）のイベントは受け取った順に1つずつ処理し、会話の状態が前後しないようにする。
+// 別のキーのイベントは concurrency 件まで並行して処理する。
+// 1つのイベントが失敗しても onError に渡すだけで、ほかのイベントの処理は続ける。
+
+// handler: イベントを処理する関数 / keyOf: 順番をそろえる単位のキーを返す関数
+function createEventQueue({ handler, keyOf = () => 'default', concurrency = 4, onError = () => {} }) {
+  // キーごとの未処理のイベント（先頭が処理中）
+  const pending = new Map();
+  // 処理を始められるキー
+  const ready = [];
+  let running = 0;
+  let idleWaiters = [];
+
+  function push(item) {
+    const key = keyOf(item);
+    if (pending.has(key)) {
+      pending.get(key).push(item);
+      return;
+    }
+    pending.set(key, [item]);
+    ready.push(key);
+    pump();
+  }
+
+  function pump() {
+    while (running < concurrency && ready.length > 0) {
+      run(ready.shift());
+    }
+    if (running === 0 && ready.length === 0) {
+      idleWaiters.forEach(resolve => resolve());
+      idleWaiters = [];
+    }
+  }
+
+  async function run(key) {
+    running += 1;
+    const items = pending.get(key);
+
+    try {
+      await handler(items[0]);
+    } catch (error) {
+      try {
+        await onError(error, items[0]);
+      } catch (handlerError) {
+        console.error('イベントキューのエラー処理に失敗:', handlerError);
+      }
+    }
+
+    items.shift();
+    if (items.length > 0) {
+      ready.push(key);
+    } else {
+      pending.delete(key);
+    }
+    running -= 1;
+    pump();
+  }
+
+  // 処理中・待機中のイベントの数
+  function size() {
+    let count = 0;
+    for (const items of pending.values()) {
+      count += items.length;
+    }
+    return count;
+  }
+
+  // すべてのイベントの処理が終わったら解決する
+  function onIdle() {
+    if (running === 0 && ready.length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => idleWaiters.push(resolve));
+  }
+
+  return { push, size, onIdle };
+}
+
+module.exports = { createEventQueue };
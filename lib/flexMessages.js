@@ -0,0 +1,162 @@
+// =====================================
+// Flexメッセージ
+// =====================================
+// 注文カード・注文選択カルーセル・メニューのクイックリプライを組み立てる。
+// Flexを表示できない環境では altText が表示されるため、必ず本文と同じ内容のテキストを渡す。
+
+// altTextの上限は400文字
+const ALT_TEXT_MAX_LENGTH = 400;
+
+function toAltText(text) {
+  return text.length > ALT_TEXT_MAX_LENGTH ? text.slice(0, ALT_TEXT_MAX_LENGTH - 1) + '…' : text;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString('ja-JP') : '確認中';
+}
+
+// ラベルと値の1行
+function infoRow(label, value) {
+  return {
+    type: 'box',
+    layout: 'baseline',
+    spacing: 'sm',
+    contents: [
+      { type: 'text', text: label, size: 'sm', color: '#888888', flex: 2 },
+      { type: 'text', text: String(value), size: 'sm', color: '#333333', flex: 5, wrap: true }
+    ]
+  };
+}
+
+// 注文カード（注文モデル lib/orderModel から作成）
+function buildOrderBubble(order, options = {}) {
+  const fulfillment = options.fulfillment || order.fulfillments[0];
+  const items = fulfillment?.items.length ? fulfillment.items : order.items;
+
+  const body = [
+    { type: 'text', text: options.title || '📦 ご注文情報', weight: 'bold', size: 'md' },
+    { type: 'text', text: `注文番号 #${order.orderNumber}`, size: 'sm', color: '#888888', margin: 'sm' },
+    { type: 'separator', margin: 'md' },
+    {
+      type: 'box',
+      layout: 'vertical',
+      margin: 'md',
+      spacing: 'sm',
+      contents: [
+        infoRow('注文日', formatDate(order.createdAt)),
+        infoRow('状況', options.statusLabel || '確認中')
+      ]
+    },
+    { type: 'separator', margin: 'md' },
+    {
+      type: 'box',
+      layout: 'vertical',
+      margin: 'md',
+      spacing: 'xs',
+      contents: items.slice(0, 5).map(item => ({
+        type: 'text',
+        text: `・${item.name} × ${item.quantity}`,
+        size: 'sm',
+        wrap: true
+      })).concat(items.length > 5
+        ? [{ type: 'text', text: `他${items.length - 5}点`, size: 'xs', color: '#888888' }]
+        : [])
+    }
+  ];
+
+  if (fulfillment) {
+    body.push(
+      { type: 'separator', margin: 'md' },
+      {
+        type: 'box',
+        layout: 'vertical',
+        margin: 'md',
+        spacing: 'sm',
+        contents: [
+          infoRow('配送業者', fulfillment.trackingCompany || '確認中'),
+          infoRow('追跡番号', fulfillment.trackingNumber || '準備中')
+        ]
+      }
+    );
+  }
+
+  const bubble = {
+    type: 'bubble',
+    body: { type: 'box', layout: 'vertical', contents: body }
+  };
+
+  const buttons = [];
+  if (fulfillment?.trackingUrl) {
+    buttons.push({
+      type: 'button',
+      style: 'primary',
+      height: 'sm',
+      action: { type: 'uri', label: '配送状況を追跡する', uri: fulfillment.trackingUrl }
+    });
+  }
+  if (options.selectAction) {
+    buttons.push({
+      type: 'button',
+      style: buttons.length > 0 ? 'secondary' : 'primary',
+      height: 'sm',
+      action: options.selectAction
+    });
+  }
+  if (buttons.length > 0) {
+    bubble.footer = { type: 'box', layout: 'vertical', spacing: 'sm', contents: buttons };
+  }
+
+  return bubble;
+}
+
+// 注文カードのメッセージ
+function buildOrderCard(order, options = {}) {
+  return {
+    type: 'flex',
+    altText: toAltText(options.altText || `ご注文 #${order.orderNumber} の状況`),
+    contents: buildOrderBubble(order, options)
+  };
+}
+
+// 複数注文から選択してもらうカルーセル（選択すると番号のポストバックが送られる）
+function buildOrderSelectionCarousel(orders, options = {}) {
+  return {
+    type: 'flex',
+    altText: toAltText(options.altText || 'ご注文を選択してください'),
+    contents: {
+      type: 'carousel',
+      contents: orders.slice(0, 10).map((order, index) => buildOrderBubble(order, {
+        statusLabel: options.getStatusLabel ? options.getStatusLabel(order) : undefined,
+        selectAction: {
+          type: 'postback',
+          label: 'この注文を確認',
+          data: `action=select_order&index=${index + 1}`,
+          displayText: `#${order.orderNumber} を確認`
+        }
+      }))
+    }
+  };
+}
+
+// メニューのクイックリプライ
+function buildMenuQuickReply() {
+  const menu = [
+    { label: '注文確認', text: '注文内容を確認したい' },
+    { label: '商品', text: '商品について知りたい' },
+    { label: '発送状況', text: '発送状況を教えてください' },
+    { label: 'その他', text: 'その他のお問い合わせ' }
+  ];
+
+  return {
+    items: menu.map(item => ({
+      type: 'action',
+      action: { type: 'message', label: item.label, text: item.text }
+    }))
+  };
+}
+
+module.exports = {
+  buildOrderCard,
+  buildOrderSelectionCarousel,
+  buildMenuQuickReply
+};
@@ -0,0 +1,420 @@
+// =====================================
+// 問い合わせの意図の分類
+// =====================================
+// メッセージに含まれるキーワードの重みを合計し、点数の高い順にカテゴリー（意図）を決める。
+// 1つのメッセージに複数の意図があってもよい（「注文した商品がいつ届くか確認したい」→ 配送・発送 と 注文確認）。
+// ルールは設定ファイル（JSON）またはNotionのデータベースから読み込み、検証してから使う。
+// ChatGPTで分類する場合も、確信度が低いときや失敗したときはルールの結果を使う。
+const fs = require('fs');
+
+// キャッシュの有効期間（テンプレートと同じ5分）
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// どのカテゴリーにも当てはまらない場合のカテゴリー
+const FALLBACK_CATEGORY = 'その他';
+
+// 分類するカテゴリーとして扱う最低の点数（ルールで指定しない場合）
+const DEFAULT_MIN_SCORE = 2;
+
+class IntentRulesError extends Error {
+  constructor(issues) {
+    super(`意図の分類ルールが不正です: ${issues.join(' / ')}`);
+    this.name = 'IntentRulesError';
+    this.issues = issues;
+  }
+}
+
+function normalizeText(text) {
+  return String(text).normalize('NFKC').toLowerCase();
+}
+
+// キーワードの指定を [{ word, weight }] にする
+// { "発送": 3 } または "発送:3、届:3, いつ"（重みを省略した場合は defaultWeight）
+function parseKeywords(raw, defaultWeight) {
+  if (typeof raw === 'string') {
+    return raw.split(/[,、\n]/).map(item => item.trim()).filter(Boolean).map(item => {
+      const match = item.match(/^(.+?)\s*[:：]\s*(-?[\d.]+)$/);
+      return match
+        ? { word: match[1], weight: Number(match[2]) }
+        : { word: item, weight: defaultWeight };
+    });
+  }
+  return Object.entries(raw || {}).map(([word, weight]) => ({ word, weight: Number(weight) }));
+}
+
+// positive: 重みは0より大きい（省略時は0以上）
+function normalizeKeywords(raw, { label, defaultWeight, positive = false }, issues) {
+  if (raw !== undefined && typeof raw !== 'string' && (typeof raw !== 'object' || Array.isArray(raw))) {
+    issues.push(`${label} は { "キーワード": 重み } または "キーワード:重み、…" で指定してください`);
+    return [];
+  }
+
+  return parseKeywords(raw, defaultWeight).filter(keyword => {
+    if (!Number.isFinite(keyword.weight) || keyword.weight < 0 || (positive && keyword.weight === 0)) {
+      issues.push(`${label} の「${keyword.word}」の重みは${positive ? '0より大きい' : '0以上の'}数値で指定してください`);
+      return false;
+    }
+    return true;
+  }).map(keyword => ({ word: normalizeText(keyword.word), weight: keyword.weight }));
+}
+
+// ルールを検証して使える形にする（不正な項目があればすべてまとめて IntentRulesError を投げる）
+// keywords: 含まれていれば重みを加える（重みの省略は1）
+// negativeKeywords: この語の部分はそのカテゴリーのキーワードとして数えない。重みを指定した場合はさらに点数から引く
+// 同点の場合は並び順が先のカテゴリーを優先する
+function validateIntentRules(raw) {
+  const issues = [];
+
+  const minScore = raw?.minScore === undefined ? DEFAULT_MIN_SCORE : Number(raw.minScore);
+  if (!Number.isFinite(minScore) || minScore <= 0) {
+    issues.push('minScore は0より大きい数値で指定してください');
+  }
+
+  const names = new Set();
+  const categories = [];
+  if (!Array.isArray(raw?.categories) || raw.categories.length === 0) {
+    issues.push('categories にカテゴリーを1つ以上指定してください');
+  } else {
+    raw.categories.forEach((category, index) => {
+      const name = typeof category?.name === 'string' ? category.name.trim() : '';
+      const label = name ? `categories「${name}」` : `categories[${index}]`;
+      if (!name) {
+        issues.push(`${label}.name は必須です`);
+      } else if (name === FALLBACK_CATEGORY) {
+        issues.push(`「${FALLBACK_CATEGORY}」はどれにも当てはまらない場合のカテゴリーのため指定できません`);
+      } else if (names.has(name)) {
+        issues.push(`${label} が重複しています`);
+      }
+      names.add(name);
+
+      const keywords = normalizeKeywords(category?.keywords, { label: `${label}.keywords`, defaultWeight: 1, positive: true }, issues);
+      if (keywords.length === 0) {
+        issues.push(`${label}.keywords にキーワードを1つ以上指定してください`);
+      }
+
+      categories.push({
+        name,
+        description: typeof category?.description === 'string' ? category.description.trim() : '',
+        keywords,
+        negativeKeywords: normalizeKeywords(category?.negativeKeywords, { label: `${label}.negativeKeywords`, defaultWeight: 0 }, issues)
+      });
+    });
+  }
+
+  if (issues.length > 0) {
+    throw new IntentRulesError(issues);
+  }
+
+  return { minScore, categories };
+}
+
+// 除外キーワードの部分を伏せる（「いつもお世話に」の「いつ」を数えないため）
+function maskNegativeKeywords(text, negativeKeywords) {
+  let masked = text;
+  let penalty = 0;
+  for (const negative of negativeKeywords) {
+    if (masked.includes(negative.word)) {
+      masked = masked.split(negative.word).join('\u0000'.repeat(negative.word.length));
+      penalty += negative.weight;
+    }
+  }
+  return { masked, penalty };
+}
+
+// カテゴリーごとの点数（点数の高い順。minScore 未満のカテゴリーは含まない）
+// 返り値: [{ category, score, keywords: 当てはまったキーワード }]
+function scoreIntents(message, rules) {
+  const text = normalizeText(message);
+
+  return rules.categories.map((category, order) => {
+    const { masked, penalty } = maskNegativeKeywords(text, category.negativeKeywords);
+    const matched = category.keywords.filter(keyword => masked.includes(keyword.word));
+    const score = matched.reduce((sum, keyword) => sum + keyword.weight, 0) - penalty;
+    return { category: category.name, score, keywords: matched.map(keyword => keyword.word), order };
+  })
+    .filter(intent => intent.score >= rules.minScore)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(({ order, ...intent }) => intent);
+}
+
+// ルールで分類する
+// 返り値: { category, intents, confidence, source }
+//   category: いちばん点数の高いカテゴリー（なければ「その他」）
+//   intents: 当てはまったカテゴリー（点数の高い順）
+//   confidence: いちばん高い点数が、当てはまったカテゴリーの点数の合計に占める割合
+function classifyWithRules(message, rules) {
+  const intents = scoreIntents(message, rules);
+  if (intents.length === 0) {
+    return { category: FALLBACK_CATEGORY, intents: [], confidence: 0, source: 'rules' };
+  }
+
+  const total = intents.reduce((sum, intent) => sum + intent.score, 0);
+  return {
+    category: intents[0].category,
+    intents,
+    confidence: intents[0].score / total,
+    source: 'rules'
+  };
+}
+
+// ChatGPTに渡す分類の指示
+function buildIntentPrompt(rules) {
+  const categories = rules.categories
+    .map(category => `- ${category.name}${category.description ? `: ${category.description}` : ''}`)
+    .concat(`- ${FALLBACK_CATEGORY}: どれにも当てはまらない`)
+    .join('\n');
+
+  return `ネットショップのLINE窓口に届いたお客様のメッセージの意図を、次のカテゴリーから選んでください。
+
+${categories}
+
+次の形式のJSONだけを返してください。
+{"category": "最も当てはまるカテゴリー", "intents": ["当てはまるカテゴリー（複数可。最も当てはまるものから順に）"], "confidence": 0から1の確信度}`;
+}
+
+// ChatGPTの返答を分類の結果にする（形式が違う・知らないカテゴリーの場合はnull）
+function parseLlmClassification(text, rules) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(text).replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    return null;
+  }
+
+  const known = new Set([...rules.categories.map(category => category.name), FALLBACK_CATEGORY]);
+  const confidence = Number(parsed?.confidence);
+  if (!known.has(parsed?.category) || !Number.isFinite(confidence)) {
+    return null;
+  }
+
+  const names = [parsed.category, ...(Array.isArray(parsed.intents) ? parsed.intents : [])]
+    .filter(name => known.has(name) && name !== FALLBACK_CATEGORY);
+  return {
+    category: parsed.category,
+    intents: [...new Set(names)].map(name => ({ category: name, score: null, keywords: [] })),
+    confidence: Math.min(Math.max(confidence, 0), 1),
+    source: 'llm'
+  };
+}
+
+// ChatGPTで分類する
+// redact: 個人情報を伏せる関数（ChatGPTにはメッセージをそのまま送らない）
+async function classifyWithLlm(openai, message, rules, { model = 'gpt-3.5-turbo', redact = text => text } = {}) {
+  const completion = await openai.chat.completions.create({
+    model,
+    messages: [
+      { role: 'system', content: buildIntentPrompt(rules) },
+      { role: 'user', content: redact(message) }
+    ],
+    temperature: 0,
+    max_tokens: 150,
+    response_format: { type: 'json_object' }
+  });
+
+  return parseLlmClassification(completion.choices[0]?.message?.content || '', rules);
+}
+
+// 分類器を作成
+// getRules: 検証済みのルールを返す関数
+// llm: (message, rules) => 分類の結果 を返す関数（任意。指定しない場合はルールだけで分類）
+// confidenceThreshold: llm の確信度がこれ未満の場合はルールの結果を使う
+function createIntentClassifier({ getRules, llm = null, confidenceThreshold = 0.7 }) {
+  async function classify(message) {
+    let rules;
+    try {
+      rules = await getRules();
+    } catch (error) {
+      console.error('意図の分類ルールの読み込みエラー（「その他」として扱う）:', error.message);
+      return { category: FALLBACK_CATEGORY, intents: [], confidence: 0, source: 'none' };
+    }
+
+    const ruleResult = classifyWithRules(message, rules);
+    if (!llm) {
+      return ruleResult;
+    }
+
+    try {
+      const llmResult = await llm(message, rules);
+      if (llmResult && llmResult.confidence >= confidenceThreshold) {
+        return llmResult;
+      }
+    } catch (error) {
+      console.error('ChatGPTでの意図の分類エラー（ルールで分類）:', error.message);
+    }
+    return ruleResult;
+  }
+
+  return { classify };
+}
+
+// JSONファイルから読み込む
+function loadIntentRulesFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function richTextToPlain(richText = []) {
+  return richText.map(span => span.plain_text).join('').trim();
+}
+
+// Notionのデータベースからカテゴリーを読み込む（1ページ1カテゴリー。「順番」の小さい順）
+// 列: カテゴリー（タイトル）/ キーワード・除外キーワード（"発送:3、届:3" の形式）/ 説明 / 順番（数値）
+async function loadNotionIntentCategories(notion, databaseId) {
+  const rows = [];
+  let cursor;
+
+  do {
+    const response = await notion.databases.query({
+      database_id: databaseId,
+      start_cursor: cursor,
+      page_size: 100
+    });
+
+    for (const page of response.results) {
+      const props = page.properties;
+      const name = richTextToPlain(props['カテゴリー']?.title);
+      if (!name) {
+        continue;
+      }
+      rows.push({
+        order: props['順番']?.number ?? Infinity,
+        category: {
+          name,
+          description: richTextToPlain(props['説明']?.rich_text),
+          keywords: richTextToPlain(props['キーワード']?.rich_text),
+          negativeKeywords: richTextToPlain(props['除外キーワード']?.rich_text)
+        }
+      });
+    }
+
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return rows.sort((a, b) => a.order - b.order).map(row => row.category);
+}
+
+// load: ルールを読み込む関数 / fallback: load が失敗し、まだ一度も読み込めていない場合に使う関数
+function createIntentRulesProvider({ load, fallback = null }) {
+  let rules = null;
+  let loadedAt = 0;
+
+  // 読み込み直す（不正な内容の場合は例外を投げ、それまでのルールを使い続ける）
+  async function reload() {
+    const next = validateIntentRules(await load());
+    rules = next;
+    loadedAt = Date.now();
+    return rules;
+  }
+
+  async function get() {
+    if (rules && Date.now() - loadedAt < CACHE_TTL_MS) {
+      return rules;
+    }
+
+    try {
+      return await reload();
+    } catch (error) {
+      console.error('意図の分類ルールの読み込みエラー（直前のルールを使用）:', error.message);
+      if (!rules && fallback) {
+        rules = validateIntentRules(await fallback());
+      }
+      // 失敗してもしばらくは読み込み直さない
+      loadedAt = Date.now();
+      return rules;
+    }
+  }
+
+  return { get, reload };
+}
+
+// =====================================
+// 評価
+// =====================================
+// 正解付きの例文（JSON Lines。1行に { "text": "...", "category": "..." }。# で始まる行は無視）
+function loadEvaluationSet(text) {
+  const examples = [];
+  const issues = [];
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) {
+      return;
+    }
+    try {
+      const example = JSON.parse(line);
+      if (typeof example.text !== 'string' || typeof example.category !== 'string') {
+        throw new Error('text と category は必須です');
+      }
+      examples.push({ text: example.text, category: example.category });
+    } catch (error) {
+      issues.push(`${index + 1}行目: ${error.message}`);
+    }
+  });
+
+  if (issues.length > 0) {
+    throw new Error(`評価用の例文が不正です: ${issues.join(' / ')}`);
+  }
+  return examples;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+// 例文を分類し、カテゴリーごとの適合率（分類した中で正しかった割合）と再現率（正解のうち分類できた割合）を出す
+// classify: (text) => { category } を返す関数
+// 返り値: { total, correct, accuracy, categories: [{ category, support, predicted, truePositives, precision, recall }], errors }
+async function evaluateClassifier(examples, classify) {
+  const counts = new Map();
+  const countFor = category => {
+    if (!counts.has(category)) {
+      counts.set(category, { category, support: 0, predicted: 0, truePositives: 0 });
+    }
+    return counts.get(category);
+  };
+
+  const errors = [];
+  for (const example of examples) {
+    const result = await classify(example.text);
+    countFor(example.category).support += 1;
+    countFor(result.category).predicted += 1;
+    if (result.category === example.category) {
+      countFor(example.category).truePositives += 1;
+    } else {
+      errors.push({
+        text: example.text,
+        expected: example.category,
+        actual: result.category,
+        intents: result.intents.map(intent => intent.category)
+      });
+    }
+  }
+
+  const correct = examples.length - errors.length;
+  return {
+    total: examples.length,
+    correct,
+    accuracy: ratio(correct, examples.length),
+    categories: [...counts.values()].map(count => ({
+      ...count,
+      precision: ratio(count.truePositives, count.predicted),
+      recall: ratio(count.truePositives, count.support)
+    })),
+    errors
+  };
+}
+
+module.exports = {
+  FALLBACK_CATEGORY,
+  IntentRulesError,
+  validateIntentRules,
+  scoreIntents,
+  classifyWithRules,
+  buildIntentPrompt,
+  parseLlmClassification,
+  classifyWithLlm,
+  createIntentClassifier,
+  loadIntentRulesFile,
+  loadNotionIntentCategories,
+  createIntentRulesProvider,
+  loadEvaluationSet,
+  evaluateClassifier
+};
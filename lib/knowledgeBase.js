@@ -0,0 +1,253 @@
+// =====================================
+// FAQナレッジベース
+// =====================================
+// FAQをNotionのデータベースまたはローカルのMarkdownから読み込み、
+// 質問ごとにBM25（文字bigram）で関連する項目を探す。embed を渡すと埋め込みの類似度も加味する。
+const fs = require('fs');
+const path = require('path');
+
+// BM25のパラメータ
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// キャッシュの有効期間（テンプレートと同じ5分）
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// ひらがなだけのbigram（「です」「ます」など）は検索の邪魔になるので除く
+const HIRAGANA_ONLY = /^[ぁ-ゖー]+$/;
+
+// 日本語は文字bigram、英数字は単語単位に分割
+function tokenize(text) {
+  const normalized = text.normalize('NFKC').toLowerCase();
+  const tokens = [];
+
+  for (const word of normalized.match(/[a-z0-9]+/g) || []) {
+    tokens.push(word);
+  }
+
+  const japanese = normalized.replace(/[a-z0-9]+/g, ' ').replace(/[\s\p{P}\p{S}]+/gu, ' ');
+  for (const chunk of japanese.split(' ')) {
+    if (chunk.length === 1 && !HIRAGANA_ONLY.test(chunk)) {
+      tokens.push(chunk);
+    }
+    for (let i = 0; i < chunk.length - 1; i++) {
+      const bigram = chunk.slice(i, i + 2);
+      if (!HIRAGANA_ONLY.test(bigram)) {
+        tokens.push(bigram);
+      }
+    }
+  }
+
+  return tokens;
+}
+
+function countTokens(tokens) {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return counts;
+}
+
+// 検索対象の文章（質問を重視するため2回含める）
+function entryText(entry) {
+  return [entry.question, entry.question, (entry.keywords || []).join(' '), entry.answer].join('\n');
+}
+
+// BM25の索引を作成
+function createBm25Index(entries) {
+  const documents = entries.map(entry => {
+    const tokens = tokenize(entryText(entry));
+    return { entry, counts: countTokens(tokens), length: tokens.length };
+  });
+
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+  const documentFrequency = new Map();
+  for (const doc of documents) {
+    for (const token of doc.counts.keys()) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+  }
+
+  function idf(token) {
+    const df = documentFrequency.get(token) || 0;
+    return Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+  }
+
+  return {
+    search(query, limit = 3) {
+      const queryTokens = Array.from(new Set(tokenize(query)));
+
+      return documents
+        .map(doc => {
+          let score = 0;
+          for (const token of queryTokens) {
+            const tf = doc.counts.get(token) || 0;
+            if (tf === 0) {
+              continue;
+            }
+            score += idf(token) * (tf * (BM25_K1 + 1)) /
+              (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / (averageLength || 1)));
+          }
+          return { entry: doc.entry, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    }
+  };
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Markdownから読み込む（「## 質問」見出しの下が回答、「キーワード: 」行は検索用）
+function parseMarkdownEntries(markdown, source) {
+  const entries = [];
+  let current = null;
+
+  for (const line of markdown.split(/\r?\n/)) {
+    const heading = line.match(/^##\s+(.+)$/);
+    if (heading) {
+      current = { id: `${source}#${entries.length + 1}`, question: heading[1].trim(), answer: '', keywords: [], source };
+      entries.push(current);
+      continue;
+    }
+    if (!current) {
+      continue;
+    }
+    const keywords = line.match(/^キーワード[:：]\s*(.+)$/);
+    if (keywords) {
+      current.keywords = keywords[1].split(/[,、]/).map(keyword => keyword.trim()).filter(Boolean);
+      continue;
+    }
+    current.answer += `${line}\n`;
+  }
+
+  return entries
+    .map(entry => ({ ...entry, answer: entry.answer.trim() }))
+    .filter(entry => entry.answer);
+}
+
+function loadMarkdownEntries(directory) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.md'))
+    .sort()
+    .flatMap(file => parseMarkdownEntries(
+      fs.readFileSync(path.join(directory, file), 'utf8'),
+      path.basename(file, '.md')
+    ));
+}
+
+function richTextToPlain(richText = []) {
+  return richText.map(span => span.plain_text).join('');
+}
+
+// Notionのデータベースから読み込む（質問：タイトル、回答・キーワード：テキスト）
+async function loadNotionEntries(notion, databaseId) {
+  const entries = [];
+  let cursor;
+
+  do {
+    const response = await notion.databases.query({
+      database_id: databaseId,
+      start_cursor: cursor,
+      page_size: 100
+    });
+
+    for (const page of response.results) {
+      const props = page.properties;
+      const question = richTextToPlain(props['質問']?.title);
+      const answer = richTextToPlain(props['回答']?.rich_text);
+      if (!question || !answer) {
+        continue;
+      }
+      entries.push({
+        id: page.id,
+        question,
+        answer,
+        keywords: richTextToPlain(props['キーワード']?.rich_text).split(/[,、]/).map(keyword => keyword.trim()).filter(Boolean),
+        source: 'notion'
+      });
+    }
+
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return entries;
+}
+
+// ナレッジベースを作成
+// loadEntries: 項目を読み込む関数 / embed: 文章の配列を埋め込みベクトルの配列にする関数（任意）
+function createKnowledgeBase({ loadEntries, embed = null }) {
+  let cache = null;
+  let loadedAt = 0;
+
+  async function load() {
+    if (cache && Date.now() - loadedAt < CACHE_TTL_MS) {
+      return cache;
+    }
+
+    const entries = await loadEntries();
+    const vectors = embed && entries.length > 0
+      ? await embed(entries.map(entry => `${entry.question}\n${entry.answer}`))
+      : null;
+
+    cache = { entries, index: createBm25Index(entries), vectors };
+    loadedAt = Date.now();
+    console.log('FAQ読み込み完了:', entries.length, '件');
+    return cache;
+  }
+
+  return {
+    async reload() {
+      cache = null;
+      return (await load()).entries.length;
+    },
+
+    // 質問に関連する項目を返す（minScore未満は除外）
+    async retrieve(query, { limit = 3, minScore = 1 } = {}) {
+      const { entries, index, vectors } = await load();
+      const results = index.search(query, entries.length);
+
+      if (!vectors) {
+        return results.filter(result => result.score >= minScore).slice(0, limit);
+      }
+
+      // 埋め込みの類似度（0〜1）をBM25のスコアに加える（類似度0.5でminScoreに届く重み）
+      const [queryVector] = await embed([query]);
+      const bm25Scores = new Map(results.map(result => [result.entry.id, result.score]));
+
+      return entries
+        .map((entry, i) => ({
+          entry,
+          score: (bm25Scores.get(entry.id) || 0) + cosineSimilarity(queryVector, vectors[i]) * minScore * 2
+        }))
+        .filter(result => result.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    }
+  };
+}
+
+module.exports = {
+  tokenize,
+  createBm25Index,
+  parseMarkdownEntries,
+  loadMarkdownEntries,
+  loadNotionEntries,
+  createKnowledgeBase
+};
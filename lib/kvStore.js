@@ -0,0 +1,168 @@
+// =====================================
+// キー・バリューストア
+// =====================================
+// 会話の状態や通知済み記録などを保存する。
+// どの実装も get/set/has/delete/keys を持ち、set の ttlMs で有効期限を指定できる。
+// 有効期限は最後に set した時点から数える。
+//
+// 複数のプロセス・サーバーで動かす場合は file を使い、DATA_DIR に共有のディレクトリを指定する。
+const fs = require('fs');
+const path = require('path');
+
+function isExpired(entry, now = Date.now()) {
+  return entry.expiresAt !== null && entry.expiresAt <= now;
+}
+
+function toEntry(value, options = {}) {
+  return {
+    value,
+    expiresAt: options.ttlMs ? Date.now() + options.ttlMs : null
+  };
+}
+
+// メモリ上に保存（再起動で消える）
+function createMemoryStore() {
+  const data = new Map();
+
+  function read(key) {
+    const entry = data.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (isExpired(entry)) {
+      data.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    async get(key) {
+      const entry = read(key);
+      return entry ? entry.value : null;
+    },
+    async set(key, value, options) {
+      data.set(key, toEntry(value, options));
+    },
+    async has(key) {
+      return read(key) !== null;
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+    async keys(prefix = '') {
+      return Array.from(data.keys()).filter(key => key.startsWith(prefix) && read(key));
+    }
+  };
+}
+
+// ディレクトリに1キー1ファイルのJSONで保存（再起動しても残る）
+// set・delete はそのキーのファイルだけを書き換えるため、件数が増えても1回に書き込む量は変わらない。
+// メモリに持たず毎回ファイルを読むので、同じディレクトリ（共有ボリューム）を使えば
+// 複数のプロセス・サーバーで共有できる（同じキーに同時に書き込んだ場合は、後から書いた値が残る）
+function createFileStore(dirPath) {
+  let tmpCount = 0;
+  let ready = null;
+
+  function fileOf(key) {
+    return path.join(dirPath, `${encodeURIComponent(key)}.json`);
+  }
+
+  async function read(key) {
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(fileOf(key), 'utf8'));
+      return isExpired(entry) ? null : entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('ストア読み込みエラー:', fileOf(key), error.message);
+      }
+      return null;
+    }
+  }
+
+  // 書き込み途中で落ちても、ほかのプロセスが読んでも壊れた内容が見えないよう、一時ファイルに書いてから置き換える
+  async function write(key, entry) {
+    if (!ready) {
+      ready = fs.promises.mkdir(dirPath, { recursive: true });
+    }
+    await ready;
+    tmpCount += 1;
+    const tmpPath = `${fileOf(key)}.${process.pid}.${tmpCount}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(entry));
+    await fs.promises.rename(tmpPath, fileOf(key));
+  }
+
+  async function remove(key) {
+    try {
+      await fs.promises.unlink(fileOf(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  return {
+    async get(key) {
+      const entry = await read(key);
+      return entry ? entry.value : null;
+    },
+    async set(key, value, options) {
+      await write(key, toEntry(value, options));
+    },
+    async has(key) {
+      return (await read(key)) !== null;
+    },
+    async delete(key) {
+      await remove(key);
+    },
+    // 期限切れのファイルはこのタイミングで削除する
+    async keys(prefix = '') {
+      let names;
+      try {
+        names = await fs.promises.readdir(dirPath);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+
+      const keys = [];
+      for (const name of names.filter(name => name.endsWith('.json'))) {
+        const key = decodeURIComponent(name.slice(0, -'.json'.length));
+        if (!key.startsWith(prefix)) {
+          continue;
+        }
+        if (await read(key)) {
+          keys.push(key);
+        } else {
+          await remove(key);
+        }
+      }
+      return keys;
+    }
+  };
+}
+
+// 環境変数 STORE_TYPE（memory / file）に応じてストアを作成
+function createStore(name, env = process.env) {
+  const type = env.STORE_TYPE || 'file';
+
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file': {
+      const dataDir = env.DATA_DIR || path.join(__dirname, '..', 'data');
+      return createFileStore(path.join(dataDir, name));
+    }
+    default:
+      throw new Error(`未対応の STORE_TYPE です: ${type}`);
+  }
+}
+
+module.exports = {
+  createStore,
+  createMemoryStore,
+  createFileStore
+};
@@ -0,0 +1,175 @@
+// =====================================
+// 注文のお知らせ（ライフサイクル通知）
+// =====================================
+// 注文確認・入金のお願い・発送・配達・キャンセル・返金など、注文の節目ごとのお知らせの定義と判定。
+// 送信やNotionへの記録はアプリ側で行い、ここでは「どの通知を送るべきか」だけを扱う。
+// 同じ注文の同じ通知は一度だけ送る（キーは order:<注文ID>:<通知>）。
+
+// 通知の種類（label はお客様が停止・再開するときの名前、template は返信テンプレートの見出し）
+const LIFECYCLE_EVENTS = {
+  order_confirmed: { label: '注文確認', template: '注文確認通知' },
+  payment_pending: { label: '入金のお願い', template: '入金待ち通知' },
+  partially_shipped: { label: '一部発送', template: '一部発送通知' },
+  shipped: { label: '発送完了', template: '発送完了通知' },
+  out_for_delivery: { label: '配達中', template: '配達中通知' },
+  delivered: { label: '配達完了', template: '配達完了通知' },
+  cancelled: { label: 'キャンセル', template: 'キャンセル通知' },
+  refunded: { label: '返金', template: '返金通知' }
+};
+
+// すべての通知を止める場合の名前
+const ALL_EVENTS_LABEL = 'すべて';
+
+// 入金待ちのお知らせを送る決済方法（payment_gateway_names に含まれる文字列）
+const DEFAULT_PAYMENT_PENDING_GATEWAYS = ['銀行振込', 'コンビニ', 'bank', 'konbini', 'convenience'];
+const DEFAULT_PAYMENT_PENDING_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 設定を検証して整える（issues に問題を追加する）
+function normalizeEventSettings(raw = {}, issues = []) {
+  const settings = {};
+
+  for (const key of Object.keys(raw)) {
+    if (!LIFECYCLE_EVENTS[key]) {
+      issues.push(`notifications.events.${key} は不明な通知です`);
+    }
+  }
+
+  for (const event of Object.keys(LIFECYCLE_EVENTS)) {
+    const config = raw[event] || {};
+    settings[event] = { enabled: config.enabled !== false };
+
+    if (event === 'payment_pending') {
+      const afterDays = config.afterDays === undefined ? DEFAULT_PAYMENT_PENDING_DAYS : Number(config.afterDays);
+      if (!Number.isInteger(afterDays) || afterDays < 1) {
+        issues.push('notifications.events.payment_pending.afterDays は1以上の整数で指定してください');
+      }
+      const gateways = config.gateways === undefined ? DEFAULT_PAYMENT_PENDING_GATEWAYS : config.gateways;
+      if (!Array.isArray(gateways) || gateways.length === 0) {
+        issues.push('notifications.events.payment_pending.gateways には1つ以上の決済方法が必要です');
+      }
+      settings[event].afterDays = afterDays;
+      settings[event].gateways = Array.isArray(gateways) ? gateways.map(String) : [];
+    }
+  }
+
+  return settings;
+}
+
+function notificationKey(order, event) {
+  return `order:${order.id}:${event}`;
+}
+
+// 以前のバージョンが発送のお知らせを送った注文に付けていたShopifyのタグ
+const LEGACY_NOTIFIED_TAG = 'line_notified';
+
+// 以前のバージョンで送信済みか（発送のお知らせを送った注文には、ストアの記録の代わりにタグが付いている）
+function isNotifiedByLegacyTag(order, event) {
+  return (event === 'shipped' || event === 'partially_shipped') && (order.tags || []).includes(LEGACY_NOTIFIED_TAG);
+}
+
+// 以前の形式のキー（この形式で送信済みなら送らない）
+function legacyNotificationKeys(event, { fulfillment, refund } = {}) {
+  if ((event === 'shipped' || event === 'partially_shipped') && fulfillment) {
+    return [`fulfillment:${fulfillment.id}:shipped`];
+  }
+  if (event === 'refunded' && refund) {
+    return [`refund:${refund.id}`];
+  }
+  return [];
+}
+
+// 発送のお知らせの種類（一部だけ発送された場合は一部発送）
+function getShipmentEvent(order) {
+  return order.fulfillmentStatus === 'partial' ? 'partially_shipped' : 'shipped';
+}
+
+// 配送状況（Shopifyの配送状況 shipmentStatus または配送業者の追跡結果）から通知を選ぶ
+function getDeliveryEvent(status) {
+  if (status === 'out_for_delivery') {
+    return 'out_for_delivery';
+  }
+  if (status === 'delivered') {
+    return 'delivered';
+  }
+  return null;
+}
+
+// 銀行振込・コンビニ決済などで、注文から一定日数たっても入金がないか
+function isAwaitingPayment(order, settings, now = new Date()) {
+  if (order.cancelledAt || order.financialStatus !== 'pending') {
+    return false;
+  }
+
+  const gatewayNames = order.paymentGateways.map(name => name.toLowerCase());
+  const matchesGateway = settings.gateways.some(gateway =>
+    gatewayNames.some(name => name.includes(gateway.toLowerCase()))
+  );
+  if (!matchesGateway) {
+    return false;
+  }
+
+  return now - new Date(order.createdAt) >= settings.afterDays * DAY_MS;
+}
+
+function isOptedOut(optOuts, event) {
+  return optOuts.includes(ALL_EVENTS_LABEL) || optOuts.includes(LIFECYCLE_EVENTS[event].label);
+}
+
+// 「通知設定」「発送完了の通知を停止」「通知を再開」などのメッセージを読む（該当しなければnull）
+function parseNotificationCommand(text) {
+  const normalized = text.trim().replace(/\s+/g, '');
+
+  if (/^通知(の)?設定$/.test(normalized)) {
+    return { action: 'settings' };
+  }
+
+  const match = normalized.match(/^(?:(.+?)の)?通知を(停止|再開|止めて|オフ|オン)(?:する|して|ください)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const action = ['停止', '止めて', 'オフ'].includes(match[2]) ? 'stop' : 'resume';
+  const label = match[1];
+  if (!label || label === ALL_EVENTS_LABEL || label === '全て') {
+    return { action, label: ALL_EVENTS_LABEL };
+  }
+
+  const event = Object.keys(LIFECYCLE_EVENTS).find(key => LIFECYCLE_EVENTS[key].label === label);
+  return event ? { action, label: LIFECYCLE_EVENTS[event].label } : { action: 'unknown', label };
+}
+
+// 停止する通知の一覧を更新する
+function updateOptOuts(optOuts, { action, label }) {
+  if (action === 'stop') {
+    if (label === ALL_EVENTS_LABEL) {
+      return [ALL_EVENTS_LABEL];
+    }
+    return optOuts.includes(label) ? optOuts : [...optOuts, label];
+  }
+
+  if (label === ALL_EVENTS_LABEL) {
+    return [];
+  }
+  // 「すべて」停止中に1つだけ再開した場合は、それ以外を個別に停止する
+  const expanded = optOuts.includes(ALL_EVENTS_LABEL)
+    ? Object.values(LIFECYCLE_EVENTS).map(definition => definition.label)
+    : optOuts;
+  return expanded.filter(item => item !== label);
+}
+
+module.exports = {
+  LIFECYCLE_EVENTS,
+  ALL_EVENTS_LABEL,
+  normalizeEventSettings,
+  notificationKey,
+  legacyNotificationKeys,
+  isNotifiedByLegacyTag,
+  getShipmentEvent,
+  getDeliveryEvent,
+  isAwaitingPayment,
+  isOptedOut,
+  parseNotificationCommand,
+  updateOptOuts
+};
@@ -0,0 +1,59 @@
+// =====================================
+// メール送信（差し替え可能）
+// =====================================
+// mailer は send({ to, subject, text }) を持つオブジェクトであれば何でも良い。
+// MAILER_TYPE で実装を切り替える（http / console）。
+// 未設定の場合は null を返す（呼び出し側でメールを使う機能を止める。届かないメールを送ったことにしない）。
+// console は開発用で、明示的に MAILER_TYPE=console と指定した場合だけ使う。
+const axios = require('axios');
+
+// 開発用：送信内容をログに出すだけ（お客様には届かない）
+function createConsoleMailer() {
+  return {
+    async send({ to, subject, text }) {
+      console.log(`[メール送信] 宛先: ${to} 件名: ${subject}\n${text}`);
+    }
+  };
+}
+
+// 外部のメール送信APIにJSONでPOSTする
+function createHttpMailer({ url, apiKey, from }) {
+  if (!url) {
+    throw new Error('MAILER_HTTP_URL が設定されていません');
+  }
+
+  return {
+    async send({ to, subject, text }) {
+      await axios.post(url, { from, to, subject, text }, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+      });
+    }
+  };
+}
+
+// 環境変数から mailer を作成（MAILER_TYPE が未設定の場合は null）
+function createMailer(env = process.env) {
+  switch (env.MAILER_TYPE) {
+    case 'http':
+      return createHttpMailer({
+        url: env.MAILER_HTTP_URL,
+        apiKey: env.MAILER_API_KEY,
+        from: env.MAILER_FROM
+      });
+    case 'console':
+      console.warn('MAILER_TYPE=console のため、メールは送信せずログに出します（開発用）');
+      return createConsoleMailer();
+    case undefined:
+    case '':
+      console.warn('MAILER_TYPE が設定されていないため、メールでのアカウント連携は使えません（http を指定してください。開発中にログへ出す場合は console）');
+      return null;
+    default:
+      throw new Error(`未対応の MAILER_TYPE です: ${env.MAILER_TYPE}`);
+  }
+}
+
+module.exports = {
+  createMailer,
+  createConsoleMailer,
+  createHttpMailer
+};
@@ -0,0 +1,61 @@
+// =====================================
+// Notionのデータベースの項目
+// =====================================
+// ボットが書き込む項目のうち、最初のバージョンのデータベースにはない項目。
+// Notionは存在しない項目への書き込みを受け付けない（会話の記録や連携の保存が失敗する）ため、
+// 以前から使っているデータベースには npm run migrate:notion で追加する。
+//
+//   会話記録DB（NOTION_DATABASE_ID）
+//     FAQ            テキスト     ChatGPTの回答で参照したFAQ（FAQで答えられなかった質問は「FAQ未登録」）
+//     添付ファイル     ファイル     お客様が送った画像
+//     評価            数値        満足度アンケートの評価（1〜5）
+//     優先度          セレクト     担当者に引き継いだ問い合わせの優先度
+//     引き継ぎ理由     テキスト     担当者に引き継いだ理由と点数
+//   顧客マスターDB（NOTION_CUSTOMER_DB_ID）
+//     Shopify顧客ID   テキスト     LINE連携したShopifyの顧客
+//     通知停止        マルチセレクト 停止中の注文のお知らせ
+
+const DATABASE_SCHEMAS = {
+  conversations: {
+    label: '会話記録DB',
+    env: 'NOTION_DATABASE_ID',
+    properties: {
+      'FAQ': { rich_text: {} },
+      '添付ファイル': { files: {} },
+      '評価': { number: {} },
+      '優先度': { select: {} },
+      '引き継ぎ理由': { rich_text: {} }
+    }
+  },
+  customers: {
+    label: '顧客マスターDB',
+    env: 'NOTION_CUSTOMER_DB_ID',
+    properties: {
+      'Shopify顧客ID': { rich_text: {} },
+      '通知停止': { multi_select: {} }
+    }
+  }
+};
+
+// databases.retrieve の結果と比べ、足りない項目（追加する定義）と種類の違う項目を返す
+function compareDatabaseSchema(database, expected) {
+  const missing = {};
+  const mismatched = [];
+
+  for (const [name, definition] of Object.entries(expected)) {
+    const type = Object.keys(definition)[0];
+    const actual = database.properties?.[name];
+    if (!actual) {
+      missing[name] = definition;
+    } else if (actual.type !== type) {
+      mismatched.push({ name, expected: type, actual: actual.type });
+    }
+  }
+
+  return { missing, mismatched };
+}
+
+module.exports = {
+  DATABASE_SCHEMAS,
+  compareDatabaseSchema
+};
@@ -0,0 +1,131 @@
+// =====================================
+// 注文モデル
+// =====================================
+// Shopify（Admin API・Webhook）の注文を、アプリ内で共通に使う形にそろえる。
+// 注文の検索・返信・通知はすべてこの形を受け取り、Shopifyの項目名（snake_case）は
+// Shopifyとやり取りする箇所でだけ扱う。Shopifyへの書き込みに必要なIDは保持する。
+//
+//   { id, name, orderNumber, createdAt, updatedAt, cancelledAt,
+//     financialStatus, fulfillmentStatus, totalPrice, currency, paymentGateways,
+//     email, phone, customer, shippingAddress, billingAddress,
+//     items, fulfillments, refunds }
+
+function normalizeAddress(raw) {
+  if (!raw) {
+    return null;
+  }
+  return {
+    name: raw.name || `${raw.last_name || ''} ${raw.first_name || ''}`.trim(),
+    zip: raw.zip || null,
+    province: raw.province || null,
+    city: raw.city || null,
+    address1: raw.address1 || null,
+    address2: raw.address2 || null,
+    phone: raw.phone || null
+  };
+}
+
+function normalizeCustomer(raw) {
+  if (!raw) {
+    return null;
+  }
+  return {
+    id: raw.id,
+    firstName: raw.first_name || '',
+    lastName: raw.last_name || '',
+    email: raw.email || null,
+    phone: raw.phone || null
+  };
+}
+
+function normalizeLineItem(raw) {
+  return {
+    id: raw.id,
+    productId: raw.product_id || null,
+    variantId: raw.variant_id || null,
+    // name は「商品名 - バリエーション」、title は商品名のみ
+    name: raw.name || raw.title,
+    title: raw.title || raw.name,
+    quantity: raw.quantity,
+    price: raw.price
+  };
+}
+
+function normalizeFulfillment(raw) {
+  return {
+    id: raw.id,
+    orderId: raw.order_id || null,
+    status: raw.status || null,
+    shipmentStatus: raw.shipment_status || null,
+    trackingCompany: raw.tracking_company || null,
+    trackingNumber: raw.tracking_number || null,
+    trackingUrl: raw.tracking_url || null,
+    createdAt: raw.created_at,
+    updatedAt: raw.updated_at || raw.created_at,
+    items: (raw.line_items || []).map(normalizeLineItem)
+  };
+}
+
+// 返金額（失敗した取引は含めない）
+function getRefundAmount(raw) {
+  return (raw.transactions || [])
+    .filter(transaction => transaction.kind === 'refund' && transaction.status !== 'failure')
+    .reduce((sum, transaction) => sum + parseFloat(transaction.amount || 0), 0);
+}
+
+function normalizeRefund(raw) {
+  return {
+    id: raw.id,
+    orderId: raw.order_id || null,
+    createdAt: raw.created_at,
+    amount: getRefundAmount(raw)
+  };
+}
+
+function normalizeOrder(raw) {
+  if (!raw) {
+    return null;
+  }
+  return {
+    id: raw.id,
+    name: raw.name || `#${raw.order_number}`,
+    orderNumber: raw.order_number,
+    createdAt: raw.created_at,
+    updatedAt: raw.updated_at || raw.created_at,
+    cancelledAt: raw.cancelled_at || null,
+    financialStatus: raw.financial_status || null,
+    // 未発送は null
+    fulfillmentStatus: raw.fulfillment_status || null,
+    totalPrice: raw.total_price,
+    currency: raw.currency || 'JPY',
+    paymentGateways: raw.payment_gateway_names || [],
+    // Shopifyではカンマ区切りの文字列
+    tags: (raw.tags || '').split(',').map(tag => tag.trim()).filter(Boolean),
+    email: raw.email || raw.contact_email || null,
+    phone: raw.phone || null,
+    customer: normalizeCustomer(raw.customer),
+    shippingAddress: normalizeAddress(raw.shipping_address),
+    billingAddress: normalizeAddress(raw.billing_address),
+    items: (raw.line_items || []).map(normalizeLineItem),
+    fulfillments: (raw.fulfillments || []).map(normalizeFulfillment),
+    refunds: (raw.refunds || []).map(normalizeRefund)
+  };
+}
+
+// 注文のメールアドレス（注文時の入力、なければ顧客の登録）
+function getOrderEmail(order) {
+  return order.email || order.customer?.email || null;
+}
+
+// 発送済み（取り消されていない）の出荷
+function getShippedFulfillments(order) {
+  return order.fulfillments.filter(fulfillment => fulfillment.status === 'success');
+}
+
+module.exports = {
+  normalizeOrder,
+  normalizeFulfillment,
+  normalizeRefund,
+  getOrderEmail,
+  getShippedFulfillments
+};
@@ -0,0 +1,134 @@
+// =====================================
+// 注文番号の読み取り
+// =====================================
+// メッセージから注文番号を探す。ショップの注文番号の形式（接頭辞・接尾辞・番号の範囲）に
+// 合うものだけを注文番号とみなし、電話番号・郵便番号・年・金額などの数字は除く。
+// 「注文番号」「#」などが付いていない数字は、お客様に確認してから使う。
+
+// Shopifyの初期設定（"#1001" から始まる）
+const DEFAULT_PREFIX = '#';
+const DEFAULT_MIN_NUMBER = 1001;
+const DEFAULT_MAX_DIGITS = 6;
+
+// 注文番号であることがはっきりわかる書き方
+const LABEL_PATTERN = /(?:注文番号|注文No\.?|ご?注文|オーダー(?:番号)?|order\s*(?:no\.?|number)?)[\s:：は]*#?\s*$/i;
+
+// 数字の前後がこうなっている場合は注文番号ではない
+const EXCLUDED_BEFORE = [
+  /〒\s*$/,                              // 郵便番号
+  /郵便番号[\s:：は]*$/,
+  /(?:電話|TEL|携帯)(?:番号)?[\s:：は]*$/i,  // 電話番号
+  /[¥￥$]\s*$/,                          // 金額
+  /\d[-‐－ー−/.,\s]$/                     // 03-1234-5678、090 1234 5678、2026/10/19、1,234 の途中
+];
+const EXCLUDED_AFTER = [
+  /^\s*(?:年|月|日|時|分|秒|円|個|点|枚|本|名|件|歳|才|回|万|cm|mm|kg|g\b|%|％)/i,
+  /^[-‐－ー−/.,\s]\d/
+];
+
+// ショップ情報の注文番号の形式を検証して整える（issues に問題を追加する）
+function normalizeOrderNameFormat(raw = {}, issues = []) {
+  const format = {
+    prefix: typeof raw.prefix === 'string' ? raw.prefix : DEFAULT_PREFIX,
+    suffix: typeof raw.suffix === 'string' ? raw.suffix : '',
+    minNumber: raw.minNumber === undefined ? DEFAULT_MIN_NUMBER : Number(raw.minNumber),
+    maxDigits: raw.maxDigits === undefined ? DEFAULT_MAX_DIGITS : Number(raw.maxDigits)
+  };
+
+  if (!Number.isInteger(format.minNumber) || format.minNumber < 1) {
+    issues.push('orders.minNumber は1以上の整数で指定してください');
+  }
+  if (!Number.isInteger(format.maxDigits) || format.maxDigits < String(format.minNumber).length) {
+    issues.push('orders.maxDigits は minNumber の桁数以上の整数で指定してください');
+  }
+
+  return format;
+}
+
+// 注文番号 → Shopifyの注文名（"#1001" など）
+function formatOrderName(orderNumber, format) {
+  return `${format.prefix}${orderNumber}${format.suffix}`;
+}
+
+function isValidOrderNumber(digits, format) {
+  return !digits.startsWith('0') && digits.length <= format.maxDigits && Number(digits) >= format.minNumber;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 注文番号を探す
+// 返り値: { orderNumber, candidates }
+//   orderNumber: 注文番号と判断できたもの（なければnull）
+//   candidates: 注文番号かもしれない数字（orderNumber がない場合のみ。お客様に確認する）
+// expected: 注文番号を尋ねた直後の返信なら true（付記のない数字もそのまま使う）
+function extractOrderNumber(text, format, { expected = false } = {}) {
+  const input = text.normalize('NFKC');
+  const prefixes = [...new Set(['#', format.prefix].filter(Boolean))];
+  const explicit = [];
+  const candidates = [];
+
+  for (const match of input.matchAll(/\d+/g)) {
+    const digits = match[0];
+    const before = input.slice(0, match.index);
+    const after = input.slice(match.index + digits.length);
+
+    // 「注文は2025年10月」「ご注文 1500円」のように、付記があっても年・金額などは除く
+    if (EXCLUDED_AFTER.some(pattern => pattern.test(after))) {
+      continue;
+    }
+
+    const hasPrefix = prefixes.some(prefix => new RegExp(`${escapeRegExp(prefix)}\\s?$`).test(before));
+    if (hasPrefix || LABEL_PATTERN.test(before)) {
+      if (isValidOrderNumber(digits, format)) {
+        explicit.push(digits);
+      }
+      continue;
+    }
+
+    if (EXCLUDED_BEFORE.some(pattern => pattern.test(before))) {
+      continue;
+    }
+    if (isValidOrderNumber(digits, format) && !candidates.includes(digits)) {
+      candidates.push(digits);
+    }
+  }
+
+  if (explicit.length > 0) {
+    return { orderNumber: explicit[0], candidates: [] };
+  }
+
+  // 数字だけのメッセージ、または注文番号を尋ねた直後は、候補が1つならそれを使う
+  const onlyNumber = /^\s*\d+\s*$/.test(input);
+  if (candidates.length === 1 && (onlyNumber || expected)) {
+    return { orderNumber: candidates[0], candidates: [] };
+  }
+
+  return { orderNumber: null, candidates };
+}
+
+// 「#1234 でよろしいですか？」への返信を読む
+// 返り値: 選ばれた注文番号 / 注文番号ではない場合null / 確認への返信ではない場合undefined
+function resolveOrderNumberConfirmation(text, candidates) {
+  const input = text.normalize('NFKC').trim();
+
+  const chosen = candidates.find(candidate => new RegExp(`(?:^|\\D)${candidate}(?:\\D|$)`).test(input));
+  if (chosen) {
+    return chosen;
+  }
+  if (/^(?:いいえ|いえ|違|ちが|no\b)|注文番号ではありません/i.test(input)) {
+    return null;
+  }
+  if (candidates.length === 1 && /^(?:はい|うん|そう|合って|あって|yes\b|ok\b|お願い)/i.test(input)) {
+    return candidates[0];
+  }
+  return undefined;
+}
+
+module.exports = {
+  normalizeOrderNameFormat,
+  formatOrderName,
+  extractOrderNumber,
+  resolveOrderNumberConfirmation
+};
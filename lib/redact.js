@@ -0,0 +1,184 @@
+// =====================================
+// 個人情報のマスキング（OpenAIに送る前に置き換える）
+// =====================================
+// メールアドレス・電話番号・郵便番号・住所・カード番号らしき数字・既知のお名前を
+// [EMAIL_1] のようなプレースホルダーに置き換え、返答では必要なものだけ元に戻す。
+// 同じ値には同じプレースホルダーを使うので、複数の文章を同じセッションで置き換えられる。
+
+const ALL_TYPES = ['email', 'card', 'phone', 'postalCode', 'address', 'name'];
+
+// カード番号は返答にも戻さない
+const DEFAULT_RESTORE_TYPES = ['email', 'phone', 'postalCode', 'address', 'name'];
+
+const PLACEHOLDER_LABELS = {
+  email: 'EMAIL',
+  card: 'CARD',
+  phone: 'PHONE',
+  postalCode: 'POSTAL',
+  address: 'ADDRESS',
+  name: 'NAME'
+};
+
+// 戻さない値の代わりに表示する文字
+const MASK = '＊＊＊＊';
+
+const PREFECTURES = '北海道|青森県|岩手県|宮城県|秋田県|山形県|福島県|茨城県|栃木県|群馬県|埼玉県|千葉県|東京都|神奈川県|' +
+  '新潟県|富山県|石川県|福井県|山梨県|長野県|岐阜県|静岡県|愛知県|三重県|滋賀県|京都府|大阪府|兵庫県|奈良県|和歌山県|' +
+  '鳥取県|島根県|岡山県|広島県|山口県|徳島県|香川県|愛媛県|高知県|福岡県|佐賀県|長崎県|熊本県|大分県|宮崎県|鹿児島県|沖縄県';
+
+const DIGIT = '[0-9０-９]';
+const HYPHEN = '[-‐－−ー―]';
+
+const PATTERNS = {
+  email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  // 13〜19桁（空白・ハイフン区切りを含む）。Luhnで確認する
+  card: new RegExp(`${DIGIT}(?:[ 　]?${HYPHEN}?[ 　]?${DIGIT}){12,18}`, 'g'),
+  // 国内形式・+81形式。桁数で確認する
+  phone: new RegExp(`(?:\\+81[ 　]?${HYPHEN}?|[(（]?[0０])${DIGIT}{1,4}[)）]?[ 　]?${HYPHEN}?[ 　]?${DIGIT}{1,4}[ 　]?${HYPHEN}?[ 　]?${DIGIT}{3,4}`, 'g'),
+  // 〒付き、または3桁-4桁
+  postalCode: new RegExp(`〒[ 　]?${DIGIT}{3}${HYPHEN}?${DIGIT}{4}|(?<!${DIGIT})${DIGIT}{3}${HYPHEN}${DIGIT}{4}(?!${DIGIT})`, 'g'),
+  // 都道府県から始まる住所、または「〇〇区〇〇1-2-3」のような番地付きの住所
+  address: new RegExp(
+    `(?:${PREFECTURES})[一-龯々〇ヶケァ-ヴー0-9０-９‐－−―\\-]+` +
+    `|[一-龯ァ-ヴ]{1,6}[市区郡町村][一-龯々ァ-ヴ]{0,10}${DIGIT}+(?:${HYPHEN}${DIGIT}+){1,3}`,
+    'g'
+  )
+};
+
+function toDigits(text) {
+  return text.normalize('NFKC').replace(/\D/g, '');
+}
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// 一致した文字列が本当にその種類か確認
+const VALIDATORS = {
+  card: match => {
+    const digits = toDigits(match);
+    return digits.length >= 13 && digits.length <= 19 && passesLuhn(digits);
+  },
+  phone: match => {
+    const digits = toDigits(match);
+    return digits.startsWith('81') && match.includes('+')
+      ? digits.length === 11 || digits.length === 12
+      : digits.length === 10 || digits.length === 11;
+  },
+  address: match => /[市区町村郡]/.test(match) && /[0-9０-９一二三四五六七八九十丁番]/.test(match)
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 環境変数の「email,phone」形式を配列にする
+function parseTypeList(value, defaults) {
+  if (value === undefined || value === null || value === '') {
+    return defaults;
+  }
+  return value.split(',').map(type => type.trim()).filter(type => ALL_TYPES.includes(type));
+}
+
+// 置き換えのセッションを作成
+// options.types: 置き換える種類 / options.restoreTypes: 返答で元に戻す種類 / options.knownNames: お名前
+function createRedactionSession(options = {}) {
+  const types = options.types || ALL_TYPES;
+  const restoreTypes = options.restoreTypes || DEFAULT_RESTORE_TYPES;
+  const knownNames = (options.knownNames || []).filter(name => name && name.length >= 2);
+
+  const byValue = new Map();
+  const byPlaceholder = new Map();
+  const counters = {};
+
+  function placeholderFor(type, value) {
+    const key = `${type}:${value}`;
+    if (byValue.has(key)) {
+      return byValue.get(key);
+    }
+    counters[type] = (counters[type] || 0) + 1;
+    const placeholder = `[${PLACEHOLDER_LABELS[type]}_${counters[type]}]`;
+    byValue.set(key, placeholder);
+    byPlaceholder.set(placeholder, { type, value });
+    return placeholder;
+  }
+
+  function redact(text) {
+    if (!text) {
+      return text;
+    }
+
+    let result = text;
+
+    for (const type of ALL_TYPES) {
+      if (!types.includes(type)) {
+        continue;
+      }
+
+      if (type === 'name') {
+        // 長い名前から置き換える（姓だけの一致で先に崩れないように）
+        for (const name of [...knownNames].sort((a, b) => b.length - a.length)) {
+          result = result.replace(new RegExp(escapeRegExp(name), 'g'), match => placeholderFor('name', match));
+        }
+        continue;
+      }
+
+      result = result.replace(PATTERNS[type], match => {
+        if (VALIDATORS[type] && !VALIDATORS[type](match)) {
+          return match;
+        }
+        return placeholderFor(type, match);
+      });
+    }
+
+    return result;
+  }
+
+  function restore(text) {
+    if (!text) {
+      return text;
+    }
+
+    return text.replace(/\[(EMAIL|CARD|PHONE|POSTAL|ADDRESS|NAME)_\d+\]/g, placeholder => {
+      const entry = byPlaceholder.get(placeholder);
+      if (!entry) {
+        return placeholder;
+      }
+      return restoreTypes.includes(entry.type) ? entry.value : MASK;
+    });
+  }
+
+  return {
+    redact,
+    restore,
+    // 置き換えた内容（ログ用に種類と件数だけ返す）
+    summary() {
+      return { ...counters };
+    }
+  };
+}
+
+// 環境変数から設定を読み込む（PII_REDACT_TYPES / PII_RESTORE_TYPES）
+function getRedactionOptions(env = process.env) {
+  return {
+    types: parseTypeList(env.PII_REDACT_TYPES, ALL_TYPES),
+    restoreTypes: parseTypeList(env.PII_RESTORE_TYPES, DEFAULT_RESTORE_TYPES)
+  };
+}
+
+module.exports = {
+  createRedactionSession,
+  getRedactionOptions,
+  passesLuhn
+};
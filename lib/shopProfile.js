@@ -0,0 +1,251 @@
+// =====================================
+// ショップ情報
+// =====================================
+// 営業時間・連絡先・決済方法・お届け日数・返品期間など、返信で案内するショップの情報を
+// 設定ファイル（JSON）またはNotionのページから読み込み、検証してから使う。
+// 読み込みに失敗したり内容が不正な場合は、直前の正しい情報を使い続ける。
+const fs = require('fs');
+const { normalizeEventSettings } = require('./lifecycleNotifications');
+const { normalizeSurveySettings } = require('./survey');
+const { normalizeOrderNameFormat } = require('./orderNumber');
+const { normalizeEscalationSettings } = require('./escalation');
+
+// キャッシュの有効期間（テンプレートと同じ5分）
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d-]{10,13}$/;
+// 休業日は "MM-DD"（毎年）または "YYYY-MM-DD"（その日だけ）
+const HOLIDAY_DATE_PATTERN = /^(\d{4}-)?(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+class ShopProfileError extends Error {
+  constructor(issues) {
+    super(`ショップ情報が不正です: ${issues.join(' / ')}`);
+    this.name = 'ShopProfileError';
+    this.issues = issues;
+  }
+}
+
+function readString(raw, key, issues, { required = true } = {}) {
+  const value = raw?.[key];
+  if (typeof value === 'string' && value.trim()) {
+    return value.trim();
+  }
+  if (required) {
+    issues.push(`${key} は必須です`);
+  }
+  return null;
+}
+
+// 設定の内容を検証し、返信で使う形に整える
+function validateShopProfile(raw) {
+  const issues = [];
+  if (!raw || typeof raw !== 'object') {
+    throw new ShopProfileError(['設定がオブジェクトではありません']);
+  }
+
+  const name = readString(raw, 'name', issues);
+
+  const hours = {
+    open: readString(raw.hours, 'open', issues),
+    close: readString(raw.hours, 'close', issues),
+    closedDays: readString(raw.hours, 'closedDays', issues, { required: false }) || '',
+    // 営業する曜日（省略時は月〜金）。"月" などを 0=日曜 からの番号にする
+    businessDays: [].concat(raw.hours?.businessDays || ['月', '火', '水', '木', '金']).map(label => WEEKDAY_LABELS.indexOf(label)),
+    closedOnPublicHolidays: raw.hours?.closedOnPublicHolidays !== false
+  };
+  for (const key of ['open', 'close']) {
+    if (hours[key] && !TIME_PATTERN.test(hours[key])) {
+      issues.push(`hours.${key} は「9:00」の形式で指定してください`);
+    }
+  }
+  if (hours.businessDays.length === 0 || hours.businessDays.includes(-1)) {
+    issues.push('hours.businessDays は「月」〜「日」の配列で指定してください');
+  }
+
+  const holidays = [];
+  (raw.holidays || []).forEach((holiday, index) => {
+    const from = readString(holiday, 'from', []);
+    const to = readString(holiday, 'to', [], { required: false }) || from;
+    if (!from || !HOLIDAY_DATE_PATTERN.test(from) || !HOLIDAY_DATE_PATTERN.test(to) || from.length !== to.length) {
+      issues.push(`holidays[${index}] の from/to は "MM-DD" または "YYYY-MM-DD" でそろえて指定してください`);
+      return;
+    }
+    holidays.push({ name: readString(holiday, 'name', [], { required: false }) || '休業日', from, to });
+  });
+
+  // 通知を控える時間帯（省略時は控えない）
+  let quietHours = null;
+  if (raw.notifications?.quietHours) {
+    quietHours = {
+      start: readString(raw.notifications.quietHours, 'start', issues),
+      end: readString(raw.notifications.quietHours, 'end', issues)
+    };
+    for (const key of ['start', 'end']) {
+      if (quietHours[key] && !TIME_PATTERN.test(quietHours[key])) {
+        issues.push(`notifications.quietHours.${key} は「21:00」の形式で指定してください`);
+      }
+    }
+  }
+
+  // 注文のお知らせごとの設定（省略した通知は送る）
+  const events = normalizeEventSettings(raw.notifications?.events || {}, issues);
+
+  // 注文番号の形式（省略時はShopifyの初期設定 "#1001〜"）
+  const orders = normalizeOrderNameFormat(raw.orders || {}, issues);
+
+  // お届け後の満足度アンケート（省略時は送る）
+  const survey = normalizeSurveySettings(raw.survey || {}, issues);
+
+  // 担当者への引き継ぎの基準（省略時は lib/escalation の初期値）
+  const escalation = normalizeEscalationSettings(raw.escalation || {}, issues);
+
+  const contact = {
+    phone: readString(raw.contact, 'phone', issues),
+    email: readString(raw.contact, 'email', issues)
+  };
+  if (contact.phone && !PHONE_PATTERN.test(contact.phone)) {
+    issues.push('contact.phone が電話番号の形式ではありません');
+  }
+  if (contact.email && !EMAIL_PATTERN.test(contact.email)) {
+    issues.push('contact.email がメールアドレスの形式ではありません');
+  }
+
+  const methods = raw.payment?.methods;
+  const paymentMethods = [];
+  if (!Array.isArray(methods) || methods.length === 0) {
+    issues.push('payment.methods には1つ以上の決済方法が必要です');
+  } else {
+    methods.forEach((method, index) => {
+      const label = readString(method, 'name', []);
+      if (!label) {
+        issues.push(`payment.methods[${index}].name は必須です`);
+        return;
+      }
+      const fee = method.fee === undefined || method.fee === null ? null : Number(method.fee);
+      if (fee !== null && (!Number.isInteger(fee) || fee < 0)) {
+        issues.push(`payment.methods[${index}].fee は0以上の整数で指定してください`);
+      }
+      paymentMethods.push({
+        name: label,
+        detail: readString(method, 'detail', [], { required: false }),
+        fee
+      });
+    });
+  }
+
+  const deliveryEstimate = readString(raw.shipping, 'deliveryEstimate', issues);
+
+  // 送料と、送料無料になるご注文金額（どちらも省略できる。省略した場合、送料は注文画面で確認してもらう）
+  const shippingAmounts = {};
+  for (const key of ['fee', 'freeShippingThreshold']) {
+    const value = raw.shipping?.[key];
+    shippingAmounts[key] = value === undefined || value === null ? null : Number(value);
+    if (shippingAmounts[key] !== null && (!Number.isInteger(shippingAmounts[key]) || shippingAmounts[key] < 0)) {
+      issues.push(`shipping.${key} は0以上の整数で指定してください`);
+    }
+  }
+
+  const windowDays = Number(raw.returns?.windowDays);
+  if (!Number.isInteger(windowDays) || windowDays < 0) {
+    issues.push('returns.windowDays は0以上の整数で指定してください');
+  }
+
+  if (issues.length > 0) {
+    throw new ShopProfileError(issues);
+  }
+
+  return {
+    name,
+    hours,
+    holidays,
+    notifications: { quietHours, events },
+    contact,
+    payment: {
+      methods: paymentMethods,
+      summary: paymentMethods.map(method => method.name).join('、')
+    },
+    shipping: { deliveryEstimate, ...shippingAmounts },
+    returns: { windowDays },
+    orders,
+    survey,
+    escalation
+  };
+}
+
+// JSONファイルから読み込む
+function loadShopProfileFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Notionのページから読み込む（ページ内の最初のコードブロックにJSONで記述）
+async function loadNotionShopProfile(notion, pageId) {
+  let cursor;
+
+  do {
+    const response = await notion.blocks.children.list({
+      block_id: pageId,
+      start_cursor: cursor,
+      page_size: 100
+    });
+
+    const codeBlock = response.results.find(block => block.type === 'code');
+    if (codeBlock) {
+      return JSON.parse(codeBlock.code.rich_text.map(span => span.plain_text).join(''));
+    }
+
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  throw new Error('ショップ情報のページにコードブロックがありません');
+}
+
+// load: 設定を読み込む関数 / fallback: load が失敗し、まだ一度も読み込めていない場合に使う関数
+function createShopProfileProvider({ load, fallback = null }) {
+  let profile = null;
+  let loadedAt = 0;
+
+  // 読み込み直す（不正な内容の場合は例外を投げ、それまでの情報を使い続ける）
+  async function reload() {
+    const next = validateShopProfile(await load());
+    profile = next;
+    loadedAt = Date.now();
+    return profile;
+  }
+
+  async function get() {
+    if (profile && Date.now() - loadedAt < CACHE_TTL_MS) {
+      return profile;
+    }
+
+    try {
+      return await reload();
+    } catch (error) {
+      console.error('ショップ情報の読み込みエラー（直前の情報を使用）:', error.message);
+      if (!profile && fallback) {
+        profile = validateShopProfile(await fallback());
+      }
+      // 失敗してもしばらくは読み込み直さない
+      loadedAt = Date.now();
+      return profile;
+    }
+  }
+
+  // 最後に読み込んだ情報（同期的に使う場面向け）
+  function current() {
+    return profile;
+  }
+
+  return { get, reload, current };
+}
+
+module.exports = {
+  ShopProfileError,
+  validateShopProfile,
+  loadShopProfileFile,
+  loadNotionShopProfile,
+  createShopProfileProvider
+};
@@ -0,0 +1,169 @@
+// =====================================
+// 満足度アンケート
+// =====================================
+// お届けから数日後に送る満足度アンケートの設定・送る時期・回答の集計。
+// 回答はクイックリプライ（ポストバック action=survey&order=<注文ID>&rating=<1〜5>）で受け取る。
+const { FALLBACK_CATEGORY } = require('./intentClassifier');
+
+const RATINGS = [
+  { value: 5, label: 'とても満足' },
+  { value: 4, label: '満足' },
+  { value: 3, label: 'ふつう' },
+  { value: 2, label: '不満' },
+  { value: 1, label: 'とても不満' }
+];
+
+// この評価以上はレビューのお願い、以下はフォローアップ
+const GOOD_RATING = 4;
+const POOR_RATING = 2;
+
+// 低評価のあとにご意見を伺うとき、書くことがない場合に押してもらうボタン
+const NO_FEEDBACK_TEXT = '特にない';
+const NO_FEEDBACK_PATTERN = /^(?:特に(?:ない|なし|ありません)(?:です)?|なし|ありません|大丈夫です)[。！!\s]*$/;
+
+// ご意見ではなく新しいお問い合わせとみなす言い回し（質問・依頼）
+const QUESTION_PATTERN = /[?？]|(?:ます|です|でしょう)か|教えて|したい|ほしい|欲しい/;
+
+const DEFAULT_DAYS_AFTER_DELIVERY = 3;
+// 配達完了が確認できない場合は発送日から数える
+const DEFAULT_DAYS_AFTER_SHIPMENT = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 設定を検証して整える（issues に問題を追加する）
+function normalizeSurveySettings(raw = {}, issues = []) {
+  const settings = {
+    enabled: raw.enabled !== false,
+    daysAfterDelivery: raw.daysAfterDelivery === undefined ? DEFAULT_DAYS_AFTER_DELIVERY : Number(raw.daysAfterDelivery),
+    daysAfterShipment: raw.daysAfterShipment === undefined ? DEFAULT_DAYS_AFTER_SHIPMENT : Number(raw.daysAfterShipment),
+    reviewUrl: typeof raw.reviewUrl === 'string' && raw.reviewUrl.trim() ? raw.reviewUrl.trim() : null
+  };
+
+  for (const key of ['daysAfterDelivery', 'daysAfterShipment']) {
+    if (!Number.isInteger(settings[key]) || settings[key] < 0) {
+      issues.push(`survey.${key} は0以上の整数で指定してください`);
+    }
+  }
+  if (settings.reviewUrl && !settings.reviewUrl.includes('{handle}')) {
+    issues.push('survey.reviewUrl には商品を表す {handle} を含めてください');
+  }
+
+  return settings;
+}
+
+// アンケートを送る時期（配達完了日から、わからなければ発送日から数える）
+function getSurveyDueAt({ deliveredAt, shippedAt }, settings) {
+  if (deliveredAt) {
+    return new Date(new Date(deliveredAt).getTime() + settings.daysAfterDelivery * DAY_MS);
+  }
+  if (shippedAt) {
+    return new Date(new Date(shippedAt).getTime() + settings.daysAfterShipment * DAY_MS);
+  }
+  return null;
+}
+
+function classifyRating(rating) {
+  if (rating >= GOOD_RATING) {
+    return 'good';
+  }
+  if (rating <= POOR_RATING) {
+    return 'poor';
+  }
+  return 'neutral';
+}
+
+function getRatingLabel(rating) {
+  return RATINGS.find(item => item.value === rating)?.label || '';
+}
+
+// 低評価のあとの返信が「特にない」か
+function isNoFeedbackReply(message) {
+  return NO_FEEDBACK_PATTERN.test(message.normalize('NFKC').trim());
+}
+
+// 低評価のあとの返信が、ご意見ではなく新しいお問い合わせか
+// （分類できたカテゴリーがあり、質問・依頼の言い回しの場合だけ。不満の内容は分類されても言い切りが多い）
+function isNewRequestAfterSurvey(message, category) {
+  return category !== FALLBACK_CATEGORY && QUESTION_PATTERN.test(message);
+}
+
+// 低評価の回答へのお礼に付けるクイックリプライ
+function buildFeedbackQuickReply() {
+  return {
+    items: [{ type: 'action', action: { type: 'message', label: NO_FEEDBACK_TEXT, text: NO_FEEDBACK_TEXT } }]
+  };
+}
+
+// 評価を選ぶクイックリプライを付けたメッセージ
+function buildSurveyMessage(orderId, text) {
+  return {
+    type: 'text',
+    text,
+    quickReply: {
+      items: RATINGS.map(({ value, label }) => ({
+        type: 'action',
+        action: {
+          type: 'postback',
+          label: `${'★'.repeat(value)} ${label}`,
+          data: `action=survey&order=${orderId}&rating=${value}`,
+          displayText: `${'★'.repeat(value)}（${label}）`
+        }
+      }))
+    }
+  };
+}
+
+// 回答の集計（全体・月別・低評価の多い商品）
+function summarizeSurveys(surveys) {
+  const responded = surveys.filter(survey => survey.rating);
+  const distribution = Object.fromEntries(RATINGS.map(({ value }) => [value, 0]));
+  const byMonth = {};
+  const poorProducts = {};
+
+  for (const survey of responded) {
+    distribution[survey.rating] += 1;
+
+    const month = survey.respondedAt.slice(0, 7);
+    byMonth[month] = byMonth[month] || { responded: 0, total: 0 };
+    byMonth[month].responded += 1;
+    byMonth[month].total += survey.rating;
+
+    if (classifyRating(survey.rating) === 'poor') {
+      for (const { name } of survey.products || []) {
+        poorProducts[name] = (poorProducts[name] || 0) + 1;
+      }
+    }
+  }
+
+  const average = list => list.length > 0
+    ? Math.round(list.reduce((sum, survey) => sum + survey.rating, 0) / list.length * 100) / 100
+    : null;
+
+  return {
+    sent: surveys.length,
+    responded: responded.length,
+    responseRate: surveys.length > 0 ? Math.round(responded.length / surveys.length * 100) / 100 : null,
+    averageRating: average(responded),
+    distribution,
+    byMonth: Object.fromEntries(Object.entries(byMonth).sort().map(([month, { responded: count, total }]) => [
+      month,
+      { responded: count, averageRating: Math.round(total / count * 100) / 100 }
+    ])),
+    poorRatedProducts: Object.entries(poorProducts)
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count)
+  };
+}
+
+module.exports = {
+  RATINGS,
+  normalizeSurveySettings,
+  getSurveyDueAt,
+  classifyRating,
+  getRatingLabel,
+  isNoFeedbackReply,
+  isNewRequestAfterSurvey,
+  buildFeedbackQuickReply,
+  buildSurveyMessage,
+  summarizeSurveys
+};
@@ -0,0 +1,189 @@
+// =====================================
+// テンプレートの差し込み
+// =====================================
+// Notionで管理している返信テンプレートに値を差し込む。
+//
+//   {orderNumber}                 変数（{customer.name} のようにドットで辿れる）
+//   {#if trackingUrl}...{else}...{/if}   条件（{#unless x}...{/unless} も可）
+//   {#defined fee}...{else}...{/defined}  値があるか（0や空文字も「ある」とする。送料0円など）
+//   {#each items}・{name} × {quantity}{/each}   繰り返し（{@number} は1から数えた番号）
+//   \{ \}                         波かっこそのもの
+//
+// 行にブロックのタグだけが書かれている場合、その行は出力に残らない。
+// 存在しない変数は空文字にして missing に記録する。
+
+const TOKEN_PATTERN = /\\([{}])|\{(#if|#unless|#defined|#each)\s+([\w.@]+)\}|\{(else|\/if|\/unless|\/defined|\/each)\}|\{([\w.@]+)\}/g;
+
+// ブロックのタグだけの行は、行ごと取り除く
+const STANDALONE_TAG_PATTERN = /^[ \t]*(\{(?:#if|#unless|#defined|#each)\s+[\w.@]+\}|\{(?:else|\/if|\/unless|\/defined|\/each)\})[ \t]*(?:\r?\n|$)/gm;
+
+class TemplateSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateSyntaxError';
+  }
+}
+
+// 構文を解析してノードの木にする
+function parse(source) {
+  const normalized = source.replace(STANDALONE_TAG_PATTERN, '$1');
+  const root = { type: 'root', children: [] };
+  root.target = root.children;
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  function current() {
+    return stack[stack.length - 1];
+  }
+
+  function pushText(text) {
+    if (text) {
+      current().target.push({ type: 'text', value: text });
+    }
+  }
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(normalized)) !== null) {
+    pushText(normalized.slice(lastIndex, match.index));
+    lastIndex = TOKEN_PATTERN.lastIndex;
+
+    const [, escaped, openTag, openPath, closeTag, variable] = match;
+
+    if (escaped) {
+      pushText(escaped);
+    } else if (openTag) {
+      const node = { type: openTag.slice(1), path: openPath, children: [], elseChildren: [] };
+      node.target = node.children;
+      current().target.push(node);
+      stack.push(node);
+    } else if (closeTag === 'else') {
+      const node = current();
+      if (node.type !== 'if' && node.type !== 'unless' && node.type !== 'defined') {
+        throw new TemplateSyntaxError('{else} が {#if} の外にあります');
+      }
+      if (node.target === node.elseChildren) {
+        throw new TemplateSyntaxError('{else} が重複しています');
+      }
+      node.target = node.elseChildren;
+    } else if (closeTag) {
+      const type = closeTag.slice(1);
+      if (current().type !== type) {
+        throw new TemplateSyntaxError(`{/${type}} に対応する {#${type}} がありません`);
+      }
+      stack.pop();
+    } else {
+      current().target.push({ type: 'variable', path: variable });
+    }
+  }
+
+  pushText(normalized.slice(lastIndex));
+
+  if (stack.length > 1) {
+    throw new TemplateSyntaxError(`{#${current().type} ${current().path}} が閉じられていません`);
+  }
+
+  return root.children;
+}
+
+// 変数の値を内側のスコープから順に探す
+function resolve(path, scopes) {
+  const [head, ...rest] = path.split('.');
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope !== null && typeof scope === 'object' && head in scope) {
+      return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope[head]);
+    }
+  }
+
+  return undefined;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scopes, options, missing) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'variable': {
+        const value = resolve(node.path, scopes);
+        if (value === undefined || value === null) {
+          missing.add(node.path);
+        } else {
+          output += options.escape(String(value));
+        }
+        break;
+      }
+      case 'if':
+      case 'unless': {
+        const condition = isTruthy(resolve(node.path, scopes));
+        const show = node.type === 'if' ? condition : !condition;
+        output += renderNodes(show ? node.children : node.elseChildren, scopes, options, missing);
+        break;
+      }
+      case 'defined': {
+        const value = resolve(node.path, scopes);
+        const show = value !== undefined && value !== null;
+        output += renderNodes(show ? node.children : node.elseChildren, scopes, options, missing);
+        break;
+      }
+      case 'each': {
+        const list = resolve(node.path, scopes);
+        if (!Array.isArray(list)) {
+          if (list !== undefined && list !== null) {
+            missing.add(node.path);
+          }
+          break;
+        }
+        list.forEach((item, index) => {
+          const loopScope = { '@index': index, '@number': index + 1, '@first': index === 0, '@last': index === list.length - 1 };
+          output += renderNodes(node.children, [...scopes, loopScope, item], options, missing);
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return output;
+}
+
+const compiledCache = new Map();
+
+// テンプレートを解析（同じ文章は使い回す）
+function compileTemplate(source) {
+  if (compiledCache.has(source)) {
+    return compiledCache.get(source);
+  }
+
+  const nodes = parse(source);
+  const compiled = {
+    render(data = {}, options = {}) {
+      const missing = new Set();
+      const text = renderNodes(nodes, [data], { escape: options.escape || (value => value) }, missing);
+      return { text, missing: Array.from(missing) };
+    }
+  };
+
+  compiledCache.set(source, compiled);
+  return compiled;
+}
+
+// テンプレートに値を差し込む
+function renderTemplate(source, data, options) {
+  return compileTemplate(source).render(data, options);
+}
+
+module.exports = {
+  TemplateSyntaxError,
+  compileTemplate,
+  renderTemplate
+};
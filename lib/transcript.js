@@ -0,0 +1,107 @@
+// =====================================
+// 会話履歴（ChatGPTに渡す直近のやり取り）
+// =====================================
+// ユーザーごとに直近のやり取りをストアに保存し、トークン数の上限内に収めて返す。
+
+// 保存する最大ターン数（ユーザーとボットで1ターンずつ数える）
+const MAX_TURNS = 20;
+
+// 最後のやり取りから24時間で破棄
+const TRANSCRIPT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// 入力を待っている段階（本人確認の答え・連携のメールアドレスや確認コードなど）で届いたメッセージの
+// Notionの会話記録のステータス。保存した履歴と同じく、Notionから履歴を作る場合も含めない
+const INPUT_RECORD_STATUS = '入力内容';
+
+// Notionから履歴を作る場合に含めない記録（入力内容と本人確認失敗の記録）
+const EXCLUDED_RECORD_STATUSES = [INPUT_RECORD_STATUS, '本人確認失敗'];
+// 本人確認失敗でロックした記録は「要確認」のため、問い合わせの書き出しで見分ける
+const VERIFICATION_FAILURE_RECORD_PREFIX = '本人確認失敗';
+
+// おおよそのトークン数（日本語は1文字≒1トークン、英数字は4文字≒1トークン）
+function estimateTokens(text) {
+  let tokens = 0;
+  let asciiRun = 0;
+
+  for (const char of text) {
+    if (char.charCodeAt(0) < 128) {
+      asciiRun += 1;
+    } else {
+      tokens += 1;
+    }
+  }
+
+  return tokens + Math.ceil(asciiRun / 4);
+}
+
+// 新しい順に上限まで残し、古い順に並べ直して返す
+function truncateToBudget(turns, tokenBudget) {
+  const kept = [];
+  let used = 0;
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    // メッセージごとの固定コスト（role など）として4トークン加算
+    const cost = estimateTokens(turns[i].content) + 4;
+    if (used + cost > tokenBudget) {
+      break;
+    }
+    kept.unshift(turns[i]);
+    used += cost;
+  }
+
+  return kept;
+}
+
+// 1ターン追加
+async function appendTurn(store, userId, role, content) {
+  if (!content) {
+    return;
+  }
+
+  const turns = (await store.get(userId)) || [];
+  turns.push({ role, content, at: new Date().toISOString() });
+
+  await store.set(userId, turns.slice(-MAX_TURNS), { ttlMs: TRANSCRIPT_TTL_MS });
+}
+
+// ChatGPTに渡す形式で履歴を取得（保存がなければNotionの履歴から作る）
+async function getTranscript(store, userId, { tokenBudget, notionHistory = [] }) {
+  let turns = (await store.get(userId)) || [];
+
+  if (turns.length === 0) {
+    turns = notionHistoryToTurns(notionHistory);
+  }
+
+  return truncateToBudget(turns, tokenBudget).map(turn => ({ role: turn.role, content: turn.content }));
+}
+
+// Notionの会話記録（新しい順）をやり取りの形式に変換
+function notionHistoryToTurns(pages) {
+  const turns = [];
+
+  for (const page of [...pages].reverse()) {
+    const status = page.properties?.['ステータス']?.select?.name;
+    const question = page.properties?.['問い合わせ']?.rich_text?.[0]?.plain_text;
+    const answer = page.properties?.['作成文章']?.rich_text?.[0]?.plain_text;
+    if (EXCLUDED_RECORD_STATUSES.includes(status) || question?.startsWith(VERIFICATION_FAILURE_RECORD_PREFIX)) {
+      continue;
+    }
+    if (question) {
+      turns.push({ role: 'user', content: question });
+    }
+    if (answer) {
+      turns.push({ role: 'assistant', content: answer });
+    }
+  }
+
+  return turns;
+}
+
+module.exports = {
+  INPUT_RECORD_STATUS,
+  estimateTokens,
+  truncateToBudget,
+  appendTurn,
+  getTranscript,
+  notionHistoryToTurns
+};
@@ -0,0 +1,135 @@
+// =====================================
+// 意図の分類の評価
+// =====================================
+// 正解付きの例文（eval/intents.jsonl）を分類し、カテゴリーごとの適合率・再現率と誤分類を表示する。
+// ルールを変えたら実行して、ほかのカテゴリーの分類が悪くなっていないか確認する。
+//
+//   npm run eval:intents                                  config/intents.json のルールで評価
+//   npm run eval:intents -- --rules my-rules.json         別のルールのファイルで評価
+//   npm run eval:intents -- --notion                      Notionのルール（NOTION_INTENT_RULES_DB_ID）で評価
+//   npm run eval:intents -- --llm                         ChatGPTで分類（OPENAI_API_KEY が必要。確信度が低い場合はルール）
+//
+// オプション:
+//   --file <file>            例文のファイル（既定: eval/intents.jsonl）
+//   --rules <file>           ルールのファイル（既定: INTENT_RULES_PATH または config/intents.json）
+//   --min-accuracy <0〜1>    正解率がこれ未満なら終了コード1にする
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  validateIntentRules,
+  classifyWithRules,
+  classifyWithLlm,
+  createIntentClassifier,
+  loadIntentRulesFile,
+  loadNotionIntentCategories,
+  loadEvaluationSet,
+  evaluateClassifier
+} = require('../lib/intentClassifier');
+const { createRedactionSession, getRedactionOptions } = require('../lib/redact');
+
+const USAGE = '使い方: npm run eval:intents -- [--file 例文.jsonl] [--rules ルール.json] [--notion] [--llm] [--min-accuracy 0.9]';
+
+const print = console.log.bind(console);
+
+async function loadRules(options) {
+  const raw = loadIntentRulesFile(options.rules);
+  if (!options.notion) {
+    return validateIntentRules(raw);
+  }
+
+  if (!process.env.NOTION_INTENT_RULES_DB_ID) {
+    throw new Error('--notion には NOTION_INTENT_RULES_DB_ID が必要です');
+  }
+  const { Client } = require('@notionhq/client');
+  const notion = new Client({ auth: process.env.NOTION_TOKEN });
+  return validateIntentRules({ ...raw, categories: await loadNotionIntentCategories(notion, process.env.NOTION_INTENT_RULES_DB_ID) });
+}
+
+function createClassify(rules, options) {
+  if (!options.llm) {
+    return async text => classifyWithRules(text, rules);
+  }
+
+  const OpenAI = require('openai');
+  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  const classifier = createIntentClassifier({
+    getRules: async () => rules,
+    llm: (message, currentRules) => classifyWithLlm(openai, message, currentRules, {
+      model: process.env.INTENT_LLM_MODEL,
+      redact: text => createRedactionSession(getRedactionOptions()).redact(text)
+    }),
+    confidenceThreshold: Number(process.env.INTENT_LLM_CONFIDENCE) || 0.7
+  });
+  return text => classifier.classify(text);
+}
+
+function formatRatio(value) {
+  return value === null ? '   —' : value.toFixed(2);
+}
+
+// 全角の文字を2桁として右を埋める
+function padLabel(text, width) {
+  const length = [...text].reduce((sum, char) => sum + (/[ -~]/.test(char) ? 1 : 2), 0);
+  return text + ' '.repeat(Math.max(width - length, 0));
+}
+
+function printReport(report, rules) {
+  // ルールの並び順、続いて「その他」・ルールにないカテゴリー
+  const order = [...rules.categories.map(category => category.name), 'その他'];
+  const categories = [...report.categories].sort((a, b) => {
+    const indexA = order.includes(a.category) ? order.indexOf(a.category) : order.length;
+    const indexB = order.includes(b.category) ? order.indexOf(b.category) : order.length;
+    return indexA - indexB;
+  });
+
+  print(`${padLabel('カテゴリー', 18)}  正解  分類  適合率  再現率`);
+  for (const row of categories) {
+    print(`${padLabel(row.category, 18)}  ${String(row.support).padStart(4)}  ${String(row.predicted).padStart(4)}  ` +
+      `${formatRatio(row.precision).padStart(6)}  ${formatRatio(row.recall).padStart(6)}`);
+  }
+  print(`\n正解率: ${formatRatio(report.accuracy)}（${report.correct}/${report.total}）`);
+
+  if (report.errors.length > 0) {
+    print('\n誤分類:');
+    for (const error of report.errors) {
+      const intents = error.intents.length > 0 ? `（当てはまった意図: ${error.intents.join('、')}）` : '';
+      print(`  「${error.text}」 正解: ${error.expected} / 分類: ${error.actual}${intents}`);
+    }
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      file: { type: 'string', default: path.join(__dirname, '..', 'eval', 'intents.jsonl') },
+      rules: { type: 'string', default: process.env.INTENT_RULES_PATH || path.join(__dirname, '..', 'config', 'intents.json') },
+      notion: { type: 'boolean', default: false },
+      llm: { type: 'boolean', default: false },
+      'min-accuracy': { type: 'string' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help) {
+    print(USAGE);
+    return;
+  }
+
+  const rules = await loadRules(values);
+  const examples = loadEvaluationSet(fs.readFileSync(values.file, 'utf8'));
+  const report = await evaluateClassifier(examples, createClassify(rules, values));
+  printReport(report, rules);
+
+  const minAccuracy = values['min-accuracy'] === undefined ? null : Number(values['min-accuracy']);
+  if (minAccuracy !== null && report.accuracy < minAccuracy) {
+    print(`\n正解率が ${minAccuracy} 未満です`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('評価のエラー:', error.message);
+  process.exitCode = 1;
+});
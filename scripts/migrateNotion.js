@@ -0,0 +1,74 @@
+// =====================================
+// Notionのデータベースの項目の追加
+// =====================================
+// 会話記録DBなどに、ボットが書き込む項目（lib/notionSchema.js）がそろっているか確認し、
+// 足りない項目を追加する。すでにある項目は変更しない（何度実行してもよい）。
+//
+//   npm run migrate:notion              足りない項目を表示する（変更しない）
+//   npm run migrate:notion -- --apply   足りない項目を追加する
+//
+// 同じ名前で種類の違う項目がある場合は追加できないため、Notionで名前を変えるか種類を直してから実行する。
+require('dotenv').config();
+const { parseArgs } = require('util');
+const { Client } = require('@notionhq/client');
+const { DATABASE_SCHEMAS, compareDatabaseSchema } = require('../lib/notionSchema');
+
+const USAGE = '使い方: npm run migrate:notion -- [--apply]';
+
+const print = console.log.bind(console);
+
+async function migrateDatabase(notion, schema, apply) {
+  const databaseId = process.env[schema.env];
+  if (!databaseId) {
+    print(`${schema.label}: ${schema.env} が設定されていないため確認しません`);
+    return true;
+  }
+
+  const database = await notion.databases.retrieve({ database_id: databaseId });
+  const { missing, mismatched } = compareDatabaseSchema(database, schema.properties);
+
+  for (const item of mismatched) {
+    print(`${schema.label}: 「${item.name}」の種類が ${item.actual} です（${item.expected} にしてください）`);
+  }
+
+  const names = Object.keys(missing);
+  if (names.length === 0) {
+    print(`${schema.label}: 足りない項目はありません`);
+  } else if (!apply) {
+    print(`${schema.label}: 足りない項目 ${names.join('、')}（--apply で追加します）`);
+  } else {
+    await notion.databases.update({ database_id: databaseId, properties: missing });
+    print(`${schema.label}: ${names.join('、')} を追加しました`);
+  }
+
+  return mismatched.length === 0 && (apply || names.length === 0);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      apply: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help) {
+    print(USAGE);
+    return;
+  }
+
+  const notion = new Client({ auth: process.env.NOTION_TOKEN });
+  let ok = true;
+  for (const schema of Object.values(DATABASE_SCHEMAS)) {
+    ok = await migrateDatabase(notion, schema, values.apply) && ok;
+  }
+
+  if (!ok) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('Notionの項目の確認エラー:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,339 @@
+// =====================================
+// 会話シミュレーター
+// =====================================
+// LINEに送らずに、本番と同じWebhookの受付とキューを通してボットと会話する（テンプレートやカテゴリーのルールの確認用）。
+// ターンごとにカテゴリー・担当者への引き継ぎ（優先度と理由）・会話の段階・返信を表示する。
+// Shopify・Notion・ChatGPT・LINEはフェイク（test/fakes）を使い、外部には何も送らない。
+//
+//   npm run simulate                                              サンプルデータで会話
+//   npm run simulate -- --backend fixtures --fixtures data.json   用意したデータで会話
+//   npm run simulate -- --replay export.csv --user U1234          Notionの会話記録を再現
+//
+// オプション:
+//   --user <LINEユーザーID>    会話するお客様（既定: U-simulator）
+//   --backend fakes|fixtures   fakes: サンプルデータ（既定） / fixtures: --fixtures に用意したデータ
+//   --fixtures <file>          データのJSON { shopify, notion: { customers, conversations, templates }, tracking, profiles }
+//                              （記録する機能はないため、ShopifyやNotionのAPIの応答と同じ形で手で書くか、応答を貼り付けて作る）
+//   --templates <file>         応答テンプレート（「## テンプレート名」の行と本文）。Notionのテンプレートページの代わりに使う
+//   --intent-rules <file>      意図の分類ルール（config/intents.json と同じ形式）。変更したルールでの分類を確認する
+//   --replay <file>            Notionの会話記録DBのエクスポート（CSV、または databases.query の結果のJSON）
+//   --live-openai              ChatGPTは本物を使う（OPENAI_API_KEY が必要）
+//   --verbose                  ボットのログも表示する
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { NOTION_IDS, createSampleData, loadOfflineBot, createConversation, messageText } = require('../test/fakes');
+const { loadConversationExport } = require('../lib/conversationExport');
+const { formatEscalationReasons } = require('../lib/escalation');
+
+const USAGE = `使い方: npm run simulate -- [--user ID] [--backend fakes|fixtures] [--fixtures file] [--templates file] [--intent-rules file] [--replay file] [--live-openai] [--verbose]
+
+会話中のコマンド:
+  /postback <data>   ボタン操作（例: /postback action=select_order&index=1）
+  /follow            友だち追加
+  /user <ID>         会話するお客様を切り替える
+  /state             会話の状態を表示
+  /run <name>        定期実行を実行（reconcile-notifications, delivery-progress, pending-payments, survey-requests など）
+  /exit              終了`;
+
+const DEFAULT_USER_ID = 'U-simulator';
+
+const print = console.log.bind(console);
+
+// 用意したデータをフェイクのデータの形にする
+function fixturesToData(fixtures) {
+  return {
+    shopify: {
+      customers: [],
+      orders: [],
+      products: [],
+      inventoryLevels: [],
+      fulfillmentEvents: {},
+      ...fixtures.shopify
+    },
+    notion: {
+      databases: {
+        [NOTION_IDS.conversations]: fixtures.notion?.conversations || [],
+        [NOTION_IDS.customers]: fixtures.notion?.customers || []
+      },
+      blocks: {
+        [NOTION_IDS.templates]: fixtures.notion?.templates || []
+      }
+    },
+    tracking: fixtures.tracking || {},
+    profiles: fixtures.profiles || {}
+  };
+}
+
+// テンプレートのファイルを、Notionのテンプレートページと同じブロックにする
+function templatesToBlocks(text) {
+  const richText = content => [{ type: 'text', text: { content }, plain_text: content }];
+
+  return text.replace(/\r\n/g, '\n').split('\n').map(line => {
+    const heading = line.match(/^##\s+(.+)$/);
+    return heading
+      ? { type: 'heading_2', heading_2: { rich_text: richText(heading[1].trim()) } }
+      : { type: 'paragraph', paragraph: { rich_text: line ? richText(line) : [] } };
+  });
+}
+
+function loadData(options) {
+  let data;
+  if (options.backend === 'fixtures') {
+    if (!options.fixtures) {
+      throw new Error('--backend fixtures には --fixtures でデータのファイルを指定してください');
+    }
+    data = fixturesToData(JSON.parse(fs.readFileSync(options.fixtures, 'utf8')));
+  } else if (options.backend === 'fakes') {
+    data = createSampleData();
+  } else {
+    throw new Error(`未対応の --backend です: ${options.backend}`);
+  }
+
+  if (options.templates) {
+    data.notion.blocks[NOTION_IDS.templates] = templatesToBlocks(fs.readFileSync(options.templates, 'utf8'));
+  }
+  return data;
+}
+
+// ボットのログは --verbose の場合だけ表示する（エラーは常に表示）
+function silenceBotLogs() {
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+}
+
+function formatMessage(message) {
+  const lines = [message.type === 'flex' ? `[Flex] ${messageText(message)}` : messageText(message)];
+  const quickReplies = message.quickReply?.items.map(item => item.action.label) || [];
+  if (quickReplies.length > 0) {
+    lines.push(`[ボタン] ${quickReplies.join(' / ')}`);
+  }
+  return lines.join('\n');
+}
+
+function formatTurnSummary(turn, state) {
+  const stage = state.intent ? `${state.stage}（${state.intent}）` : state.stage;
+  if (!turn) {
+    return `  段階: ${stage}`;
+  }
+  const otherIntents = (turn.intents || []).filter(intent => intent !== turn.category);
+  const escalation = turn.escalation;
+  const handoff = turn.requiresHumanReview ? `引き継ぐ${escalation?.level ? `（${escalation.level}）` : ''}` : '引き継がない';
+  const lines = [
+    `  カテゴリー: ${turn.category || '—'}${otherIntents.length > 0 ? `（ほかに: ${otherIntents.join('、')}）` : ''} / 担当者へ: ${handoff}` +
+    `${turn.orderNumber ? ` / 注文番号: ${turn.orderNumber}` : ''} / 段階: ${stage}`
+  ];
+  // 引き継がない場合も、点数が付いていれば理由を表示する（基準の調整用）
+  if (escalation?.reasons.length > 0) {
+    lines.push(`  引き継ぎの点数: ${escalation.score ?? '—'}（${formatEscalationReasons(escalation)}）`);
+  }
+  return lines.join('\n');
+}
+
+function createSimulator(options) {
+  const { bot, clients } = loadOfflineBot({
+    data: loadData(options),
+    env: options['intent-rules'] ? { INTENT_RULES_PATH: path.resolve(options['intent-rules']) } : {},
+    respond: () => '（ChatGPTの応答：オフラインのため固定の文章です）'
+  });
+
+  // 本物のChatGPTを使う場合は、OpenAIのクライアントだけ環境変数から作る
+  if (options['live-openai']) {
+    bot.configure({ ...clients, openai: undefined });
+  }
+
+  let lastTurn = null;
+  bot.onConversationTurn(turn => {
+    lastTurn = turn;
+  });
+
+  const conversations = new Map();
+  function getConversation(userId) {
+    if (!conversations.has(userId)) {
+      conversations.set(userId, createConversation(bot, clients, userId));
+    }
+    return conversations.get(userId);
+  }
+
+  // イベントを1つ処理し、判定結果と送ったメッセージを返す
+  async function run(userId, send) {
+    const conversation = getConversation(userId);
+    const openaiCalls = clients.openai.calls.length;
+    lastTurn = null;
+
+    const messages = await send(conversation);
+    return {
+      messages,
+      turn: lastTurn,
+      state: await conversation.state(),
+      usedChatGpt: !options['live-openai'] && clients.openai.calls.length > openaiCalls
+    };
+  }
+
+  return {
+    bot,
+    clients,
+    say: (userId, text) => run(userId, conversation => conversation.say(text)),
+    postback: (userId, data) => run(userId, conversation => conversation.postback(data)),
+    follow: userId => run(userId, conversation => conversation.follow()),
+    state: userId => getConversation(userId).state()
+  };
+}
+
+function printResult(result) {
+  print(formatTurnSummary(result.turn, result.state));
+  if (result.messages.length === 0) {
+    print('ボット> （返信なし）');
+  }
+  for (const message of result.messages) {
+    print(`ボット> ${formatMessage(message)}`);
+  }
+  if (result.usedChatGpt) {
+    print('  ※ChatGPTの応答はフェイクです（--live-openai で本物を使います）');
+  }
+}
+
+// 対話モード
+async function runInteractive(simulator, options) {
+  let userId = options.user || DEFAULT_USER_ID;
+  print(`会話シミュレーター（お客様: ${userId}、データ: ${options.backend}）。/help でコマンド一覧`);
+
+  // パイプで渡した場合は、入力も表示して記録として読めるようにする
+  const interactive = Boolean(process.stdin.isTTY);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: interactive });
+  rl.setPrompt('あなた> ');
+  if (interactive) {
+    rl.prompt();
+  }
+
+  for await (const line of rl) {
+    const input = line.trim();
+    if (!interactive) {
+      print(`あなた> ${input}`);
+    }
+    const [command, ...args] = input.split(/\s+/);
+
+    try {
+      if (!input) {
+        // 何もしない
+      } else if (command === '/exit' || command === '/quit') {
+        break;
+      } else if (command === '/help') {
+        print(USAGE);
+      } else if (command === '/user') {
+        userId = args[0] || userId;
+        print(`お客様を ${userId} に切り替えました`);
+      } else if (command === '/state') {
+        print(JSON.stringify(await simulator.state(userId), null, 2));
+      } else if (command === '/follow') {
+        printResult(await simulator.follow(userId));
+      } else if (command === '/postback') {
+        printResult(await simulator.postback(userId, args.join(' ')));
+      } else if (command === '/run') {
+        const pushCount = simulator.clients.lineClient.pushes.length;
+        await simulator.bot.runScheduledJob(args[0]);
+        const pushes = simulator.clients.lineClient.pushes.slice(pushCount);
+        print(`  ${args[0]}: ${pushes.length}件のプッシュ通知`);
+        for (const push of pushes) {
+          for (const message of push.messages) {
+            print(`通知 → ${push.to}> ${formatMessage(message)}`);
+          }
+        }
+      } else if (command.startsWith('/')) {
+        print(`未対応のコマンドです: ${command}（/help でコマンド一覧）`);
+      } else {
+        printResult(await simulator.say(userId, input));
+      }
+    } catch (error) {
+      print(`エラー: ${error.message}`);
+    }
+
+    if (interactive) {
+      rl.prompt();
+    }
+  }
+
+  rl.close();
+}
+
+function normalizeReply(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Notionの会話記録を順に送り、記録した返信と今の返信を比べる
+async function runReplay(simulator, options) {
+  const turns = loadConversationExport(fs.readFileSync(options.replay, 'utf8'), {
+    format: path.extname(options.replay).toLowerCase() === '.json' ? 'json' : 'csv',
+    userId: options.user || null
+  });
+  let replayed = 0;
+  let changed = 0;
+
+  for (const [index, turn] of turns.entries()) {
+    const userId = turn.userId || options.user || DEFAULT_USER_ID;
+    print(`\n#${index + 1} ${userId}${turn.recordedAt ? ` ${turn.recordedAt}` : ''}`);
+
+    if (turn.type === 'skip') {
+      print(`  （ボットの操作の記録のため送らない: ${turn.message.split('\n')[0]}）`);
+      continue;
+    }
+
+    const result = turn.type === 'follow'
+      ? await simulator.follow(userId)
+      : await simulator.say(userId, turn.message);
+    replayed += 1;
+
+    print(turn.type === 'follow' ? 'お客様> （友だち追加）' : `お客様> ${turn.message}`);
+    printResult(result);
+
+    // 会話記録には最初のメッセージの本文だけを残している
+    const current = result.messages.length > 0 ? messageText(result.messages[0]) : '';
+    if (normalizeReply(current) === normalizeReply(turn.reply)) {
+      print('  記録との比較: 同じ');
+    } else {
+      changed += 1;
+      print(`  記録との比較: 異なる\n記録> ${turn.reply || '（返信なし）'}`);
+    }
+  }
+
+  print(`\n${replayed}件を再現しました（記録と異なる返信: ${changed}件）`);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      user: { type: 'string' },
+      backend: { type: 'string', default: 'fakes' },
+      fixtures: { type: 'string' },
+      templates: { type: 'string' },
+      'intent-rules': { type: 'string' },
+      replay: { type: 'string' },
+      'live-openai': { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help) {
+    print(USAGE);
+    return;
+  }
+
+  if (!values.verbose) {
+    silenceBotLogs();
+  }
+
+  const simulator = createSimulator(values);
+  if (values.replay) {
+    await runReplay(simulator, values);
+  } else {
+    await runInteractive(simulator, values);
+  }
+}
+
+main().catch(error => {
+  console.error('シミュレーターのエラー:', error.message);
+  process.exitCode = 1;
+});
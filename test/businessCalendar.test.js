@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getJapaneseHolidays, createBusinessCalendar } = require('../lib/businessCalendar');
+
+const calendar = createBusinessCalendar({
+  open: '9:00',
+  close: '18:00',
+  holidays: [
+    { name: 'お盆', from: '08-13', to: '08-16' },
+    { name: '年末年始', from: '12-29', to: '01-03' },
+    { name: '棚卸し', from: '2026-10-30', to: '2026-10-30' }
+  ],
+  quietHours: { start: '21:00', end: '8:00' }
+});
+
+// 日本時間で日時を作る
+function jst(text) {
+  return new Date(`${text}+09:00`);
+}
+
+test('祝日を計算する（ハッピーマンデー・春分・振替休日・国民の休日）', () => {
+  const holidays = getJapaneseHolidays(2026);
+
+  assert.equal(holidays.get('2026-01-12'), '成人の日');
+  assert.equal(holidays.get('2026-03-20'), '春分の日');
+  assert.equal(holidays.get('2026-05-06'), '振替休日');
+  assert.equal(holidays.get('2026-09-22'), '国民の休日');
+  assert.equal(getJapaneseHolidays(2025).get('2025-11-24'), '振替休日');
+  assert.equal(holidays.has('2026-10-19'), false);
+});
+
+test('営業時間内かどうか（サーバーのタイムゾーンに関係なく日本時間で判断）', () => {
+  assert.equal(calendar.isOpen(jst('2026-10-19T09:00:00')), true);
+  assert.equal(calendar.isOpen(jst('2026-10-19T18:00:00')), false);
+  assert.equal(calendar.isOpen(jst('2026-10-17T10:00:00')), false);
+  assert.equal(calendar.isOpen(jst('2026-10-12T10:00:00')), false);
+  assert.equal(calendar.getHolidayName(jst('2026-10-30T10:00:00')), '棚卸し');
+});
+
+test('担当者が対応する時期の案内', () => {
+  assert.equal(calendar.describeResponseTime(jst('2026-10-19T10:00:00')), '本日中に');
+  assert.equal(calendar.describeResponseTime(jst('2026-10-19T07:30:00')), '本日9:00以降に');
+  assert.equal(calendar.describeResponseTime(jst('2026-10-19T19:00:00')), '明日9:00以降に');
+  assert.equal(calendar.describeResponseTime(jst('2026-10-16T19:00:00')), '10月19日（月）9:00以降に');
+});
+
+test('年をまたぐ休業日（年末年始）を飛ばす', () => {
+  assert.deepEqual(calendar.nextOpening(jst('2026-12-28T18:30:00')), jst('2027-01-04T09:00:00'));
+  assert.deepEqual(calendar.nextOpening(jst('2026-08-12T20:00:00')), jst('2026-08-17T09:00:00'));
+});
+
+test('営業日を数えて期限を出す', () => {
+  assert.deepEqual(calendar.addBusinessDays(jst('2026-10-19T10:00:00'), 3), jst('2026-10-21T18:00:00'));
+  assert.deepEqual(calendar.addBusinessDays(jst('2026-10-16T19:00:00'), 1), jst('2026-10-19T18:00:00'));
+});
+
+test('通知を控える時間帯は翌朝まで', () => {
+  assert.equal(calendar.isQuietHours(jst('2026-10-19T20:59:00')), false);
+  assert.equal(calendar.isQuietHours(jst('2026-10-19T23:00:00')), true);
+  assert.deepEqual(calendar.quietHoursEnd(jst('2026-10-19T23:00:00')), jst('2026-10-20T08:00:00'));
+  assert.deepEqual(calendar.quietHoursEnd(jst('2026-10-20T06:00:00')), jst('2026-10-20T08:00:00'));
+  assert.deepEqual(calendar.quietHoursEnd(jst('2026-10-20T12:00:00')), jst('2026-10-20T12:00:00'));
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { normalizeStatus, findCarrierAdapter, createCarrierTracker } = require('../lib/carrierTracking');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'carriers');
+
+// 業者のページをまねて書いたHTMLを返す
+function createFixtureTracker(fixtureName, options = {}) {
+  const requested = [];
+  const tracker = createCarrierTracker({
+    httpGet: async url => {
+      requested.push(url);
+      return fs.readFileSync(path.join(FIXTURE_DIR, `${fixtureName}.html`), 'utf8');
+    },
+    now: () => new Date('2026-10-19T12:00:00+09:00'),
+    ...options
+  });
+  return { tracker, requested };
+}
+
+test('tracking_company から配送業者を選ぶ', () => {
+  assert.equal(findCarrierAdapter('Yamato (JA)').id, 'yamato');
+  assert.equal(findCarrierAdapter('ヤマト運輸').id, 'yamato');
+  assert.equal(findCarrierAdapter('Sagawa (JA)').id, 'sagawa');
+  assert.equal(findCarrierAdapter('Japan Post (JA)').id, 'japan_post');
+  assert.equal(findCarrierAdapter('ゆうパック').id, 'japan_post');
+  assert.equal(findCarrierAdapter('DHL Express'), null);
+  assert.equal(findCarrierAdapter(null), null);
+});
+
+test('業者の表記を共通の配送状況にそろえる', () => {
+  assert.equal(normalizeStatus('荷物受付'), 'in_transit');
+  assert.equal(normalizeStatus('持出中'), 'out_for_delivery');
+  assert.equal(normalizeStatus('お届け先にお届け済み'), 'delivered');
+  assert.equal(normalizeStatus('ご不在のため持ち戻り'), 'held_at_depot');
+  assert.equal(normalizeStatus('調査中'), 'unknown');
+});
+
+test('ヤマト運輸：配達完了（年のない日時は直近の年とみなす）', async () => {
+  const { tracker, requested } = createFixtureTracker('yamato-delivered');
+  const result = await tracker.track('Yamato (JA)', '4567-8901-2345');
+
+  assert.equal(requested[0], 'https://toi.kuronekoyamato.co.jp/cgi-bin/tneko?number01=456789012345');
+  assert.equal(result.status, 'delivered');
+  assert.equal(result.checkpoints.length, 5);
+  assert.deepEqual(result.latest, {
+    time: '2026-10-18T02:36:00.000Z',
+    description: '配達完了',
+    location: '世田谷桜新町センター',
+    status: 'delivered'
+  });
+  assert.equal(result.deliveredAt, '2026-10-18T02:36:00.000Z');
+});
+
+test('佐川急便：配達中', async () => {
+  const { tracker } = createFixtureTracker('sagawa-out-for-delivery');
+  const result = await tracker.track('佐川急便', '360123456789');
+
+  assert.equal(result.status, 'out_for_delivery');
+  assert.equal(result.statusLabel, '配達中');
+  assert.equal(result.latest.location, '横浜港北営業所');
+  assert.equal(result.checkpoints[1].description, '輸送中');
+  assert.equal(result.deliveredAt, null);
+});
+
+test('日本郵便：不在のため郵便局で保管中', async () => {
+  const { tracker } = createFixtureTracker('japanpost-held');
+  const result = await tracker.track('Japan Post (JA)', '123456789012');
+
+  assert.equal(result.status, 'held_at_depot');
+  assert.equal(result.latest.description, '保管（ご不在連絡票を投函しました）');
+  assert.equal(result.latest.location, '新大阪郵便局');
+  assert.equal(result.checkpoints[0].status, 'in_transit');
+});
+
+test('履歴がない場合は確認中、同じ荷物は取り直さない', async () => {
+  const { tracker, requested } = createFixtureTracker('yamato-not-found');
+
+  const result = await tracker.track('Yamato (JA)', '111122223333');
+  await tracker.track('Yamato (JA)', '1111-2222-3333');
+
+  assert.equal(result.status, 'unknown');
+  assert.equal(result.latest, null);
+  assert.equal(requested.length, 1);
+});
+
+test('キャッシュする荷物の数には上限があり、古く取得したものから取り直す', async () => {
+  const { tracker, requested } = createFixtureTracker('yamato-not-found', { maxCacheEntries: 2 });
+
+  for (const number of ['111100000001', '111100000002', '111100000003']) {
+    await tracker.track('Yamato (JA)', number);
+  }
+  await tracker.track('Yamato (JA)', '111100000003');
+  assert.equal(requested.length, 3);
+
+  await tracker.track('Yamato (JA)', '111100000001');
+  assert.equal(requested.length, 4);
+});
+
+test('対応していない業者や追跡番号がない場合はnull', async () => {
+  const { tracker, requested } = createFixtureTracker('yamato-delivered');
+
+  assert.equal(await tracker.track('DHL Express', '1234567890'), null);
+  assert.equal(await tracker.track('Yamato (JA)', null), null);
+  assert.equal(requested.length, 0);
+});
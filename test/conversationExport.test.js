@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, loadConversationExport } = require('../lib/conversationExport');
+
+const exportCsv = fs.readFileSync(path.join(__dirname, 'fixtures', 'notion-export.csv'), 'utf8');
+
+test('CSVのダブルクォート内の改行・カンマ・"" を読み取る', () => {
+  assert.deepEqual(parseCsv('\uFEFFa,b\r\n"1\n2","x,""y"""\n'), [['a', 'b'], ['1\n2', 'x,"y"']]);
+});
+
+test('NotionのCSVエクスポートを記録した順のやり取りにする', () => {
+  const turns = loadConversationExport(exportCsv);
+
+  assert.deepEqual(turns.map(turn => [turn.userId, turn.type, turn.message.split('\n')[0]]), [
+    ['U-taro', 'follow', '（友だち追加）'],
+    ['U-taro', 'message', '荷物が届きません'],
+    ['U-taro', 'message', '山田太郎'],
+    ['U-taro', 'skip', '本人確認失敗（1回目） 検索名: 山田太郎'],
+    ['U-taro', 'message', '0000'],
+    ['U-hanako', 'message', '送料は "無料" ですか？']
+  ]);
+  assert.match(turns[1].reply, /^発送状況を確認させていただきます📦\n\n/);
+  assert.equal(turns[5].recordedAt, '2025/10/19 14:00:09');
+});
+
+test('お客様を指定した場合はそのお客様のやり取りだけにする', () => {
+  const turns = loadConversationExport(exportCsv, { userId: 'U-hanako' });
+  assert.deepEqual(turns.map(turn => turn.reply), ['送料は全国一律550円です。']);
+});
+
+test('databases.query の結果のJSONも読み込める', () => {
+  const text = (content) => [{ type: 'text', plain_text: content }];
+  const json = JSON.stringify({
+    results: [
+      {
+        created_time: '2025-10-19T05:00:05.000Z',
+        properties: {
+          'ID': { type: 'title', title: text('abc') },
+          '顧客LINE_ID': { type: 'rich_text', rich_text: text('U-1') },
+          '問い合わせ': { type: 'rich_text', rich_text: text('2通目') },
+          'ステータス': { type: 'select', select: { name: '要確認' } },
+          '注文番号': { type: 'number', number: 1001 }
+        }
+      },
+      {
+        created_time: '2025-10-19T05:00:00.000Z',
+        properties: {
+          '顧客LINE_ID': { type: 'rich_text', rich_text: text('U-1') },
+          '問い合わせ': { type: 'rich_text', rich_text: text('1通目') },
+          '作成文章': { type: 'rich_text', rich_text: text('返信') }
+        }
+      }
+    ]
+  });
+
+  const turns = loadConversationExport(json);
+  assert.deepEqual(turns.map(turn => turn.message), ['1通目', '2通目']);
+  assert.equal(turns[0].reply, '返信');
+  assert.equal(turns[1].status, '要確認');
+  assert.equal(turns[1].orderNumber, '1001');
+});
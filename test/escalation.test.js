@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeEscalationSettings,
+  analyzeSentiment,
+  similarity,
+  groupContacts,
+  scoreEscalation,
+  formatEscalationReasons
+} = require('../lib/escalation');
+const { normalizeOrder } = require('../lib/orderModel');
+
+const settings = normalizeEscalationSettings();
+const now = new Date('2026-10-19T03:00:00Z');
+
+function hoursAgo(hours) {
+  return new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+}
+
+function historyPage(hours, orderNumber = null) {
+  return {
+    created_time: hoursAgo(hours),
+    properties: { '注文番号': { number: orderNumber } }
+  };
+}
+
+function shippedOrder({ total = '3300.00', shippedHoursAgo = 24, shipmentStatus = 'in_transit' } = {}) {
+  return normalizeOrder({
+    id: 1,
+    order_number: 1003,
+    total_price: total,
+    created_at: hoursAgo(shippedHoursAgo + 24),
+    fulfillments: [{ id: 11, status: 'success', shipment_status: shipmentStatus, created_at: hoursAgo(shippedHoursAgo) }]
+  });
+}
+
+test('丁寧な言葉づかいの強い不満も点数にする', () => {
+  assert.deepEqual(analyzeSentiment('ご確認よろしくお願いします'), { points: 0, words: [] });
+
+  const polite = analyzeSentiment('何度もご連絡しておりますが、一向に返事がなく大変困っております。');
+  assert.equal(polite.points, 6);
+  assert.deepEqual(polite.words, ['困って', '何度も', '一向に', '返事がなく']);
+
+  const result = scoreEscalation({ message: '何度もご連絡しておりますが、一向に返事がなく大変困っております。', now }, settings);
+  assert.equal(result.level, '高');
+  assert.equal(result.reasons[0].signal, 'sentiment');
+});
+
+test('以前の会話の記録は30分以上あいだが空いたところで1回の問い合わせとして数える', () => {
+  const history = [
+    historyPage(0.1, 1003),  // 今の会話
+    historyPage(20, 1003),
+    historyPage(20.2),
+    historyPage(50, 1001)
+  ];
+
+  const contacts = groupContacts(history, now);
+  assert.equal(contacts.length, 2);
+  assert.deepEqual(contacts[0].orderNumbers, ['1003']);
+  assert.deepEqual(contacts[1].orderNumbers, ['1001']);
+});
+
+test('同じ注文についての繰り返しの問い合わせ・高額・発送から日数がたった注文', () => {
+  const history = [historyPage(20, 1003), historyPage(50, 1003), historyPage(24 * 10, 1003)];
+
+  const repeated = scoreEscalation({ message: '#1003 はどうなっていますか', orderNumber: '1003', history, now }, settings);
+  assert.equal(repeated.score, 4);
+  assert.equal(repeated.reasons[0].detail, '7日以内に2回お問い合わせ（うち同じ注文 #1003 について2回）');
+  // 繰り返しの問い合わせだけでは引き継がない
+  assert.equal(repeated.level, null);
+  assert.equal(scoreEscalation({ message: '#1003 はどうなっていますか！！', orderNumber: '1003', history, now }, settings).level, '通常');
+
+  const delayed = scoreEscalation({
+    message: 'まだ届きません',
+    order: shippedOrder({ total: '45000.00', shippedHoursAgo: 24 * 6 }),
+    now
+  }, settings);
+  assert.deepEqual(delayed.reasons.map(reason => reason.signal), ['orderValue', 'shippingDelay']);
+  assert.equal(delayed.level, '通常');
+  // 通常は担当者の確認を求めるだけで、引き継がない
+  assert.equal(delayed.handoff, false);
+
+  // 届いている・発送からまだ日が浅い場合は数えない
+  assert.equal(scoreEscalation({ message: 'まだ届きません', order: shippedOrder({ shippedHoursAgo: 24 * 2 }), now }, settings).score, 0);
+  assert.equal(scoreEscalation({ message: 'まだ届きません', order: shippedOrder({ shippedHoursAgo: 24 * 8, shipmentStatus: 'delivered' }), now }, settings).score, 0);
+});
+
+test('発送から届いていない日数は、配送業者の追跡かShopifyの配送状況で届いていないと確かめられた最近の荷物だけ数える', () => {
+  const late = { message: 'まだ届きません', now };
+
+  // 配送業者の追跡では届いている
+  assert.equal(scoreEscalation({ ...late, order: shippedOrder({ shippedHoursAgo: 24 * 8 }), trackingStatuses: { 11: 'delivered' } }, settings).score, 0);
+  // Shopifyの配送状況がなくても、配送業者の追跡で届いていなければ数える
+  const tracked = scoreEscalation({ ...late, order: shippedOrder({ shippedHoursAgo: 24 * 8, shipmentStatus: null }), trackingStatuses: { 11: 'in_transit' } }, settings);
+  assert.deepEqual(tracked.reasons.map(reason => reason.signal), ['shippingDelay']);
+  // どちらでも確かめられない場合は数えない
+  assert.equal(scoreEscalation({ ...late, order: shippedOrder({ shippedHoursAgo: 24 * 8, shipmentStatus: null }) }, settings).score, 0);
+  // 発送から日がたちすぎた注文（届いた記録が残っていないだけとみなす）
+  assert.equal(scoreEscalation({ ...late, order: shippedOrder({ shippedHoursAgo: 24 * 139 }) }, settings).score, 0);
+});
+
+test('同じ内容を繰り返している・直前に聞き返している場合はボットが答えられていないとみなす', () => {
+  assert.equal(similarity('ギフト包装はできますか？', 'ギフト包装はできますか'), 1);
+  assert.ok(similarity('ギフト包装はできますか', 'ギフト包装できますか') >= 0.8);
+  assert.ok(similarity('ギフト包装はできますか', '在庫はありますか') < 0.5);
+
+  const result = scoreEscalation({
+    message: 'ギフト包装はできますか',
+    recentMessages: ['ギフト包装はできますか？', 'ギフト包装できますか'],
+    lastReply: 'もう少し詳しくお聞かせいただけますでしょうか？',
+    now
+  }, settings);
+  assert.equal(result.score, 6);
+  assert.equal(result.level, '高');
+  assert.equal(result.handoff, true);
+  assert.equal(formatEscalationReasons(result), '同じ内容を3回送信・直前の返信で聞き返している +6');
+
+  // 短い返事の繰り返しは数えない
+  assert.equal(scoreEscalation({ message: 'はい', recentMessages: ['はい'], now }, settings).score, 0);
+});
+
+test('重みと優先度の基準はショップ情報で変えられる', () => {
+  const custom = normalizeEscalationSettings({
+    weights: { sentiment: 0.5, shippingDelay: 2 },
+    levels: [{ name: '要確認', minScore: 3 }, { name: '至急', minScore: 10 }],
+    shippingDelayDays: 3
+  });
+  assert.deepEqual(custom.levels.map(level => level.name), ['至急', '要確認']);
+  // 引き継ぐかどうかを省略した優先度は引き継ぐ
+  assert.deepEqual(custom.levels.map(level => level.handoff), [true, true]);
+
+  const result = scoreEscalation({ message: '最悪です', order: shippedOrder({ shippedHoursAgo: 24 * 4 }), now }, custom);
+  assert.deepEqual(result.reasons.map(reason => reason.points), [2, 6]);
+  assert.equal(result.level, '要確認');
+
+  const issues = [];
+  normalizeEscalationSettings({ weights: { sentiment: -1 }, levels: [{ name: '', minScore: 0, handoff: 'はい' }], repeatContactDays: 0 }, issues);
+  assert.equal(issues.length, 4);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEventQueue } = require('../lib/eventQueue');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('同じキーのイベントは受け取った順に1つずつ処理する', async () => {
+  const log = [];
+  const queue = createEventQueue({
+    keyOf: event => event.userId,
+    handler: async event => {
+      log.push(`start:${event.id}`);
+      await wait(event.delay);
+      log.push(`end:${event.id}`);
+    }
+  });
+
+  queue.push({ id: 'a1', userId: 'A', delay: 20 });
+  queue.push({ id: 'a2', userId: 'A', delay: 0 });
+  queue.push({ id: 'b1', userId: 'B', delay: 5 });
+  assert.equal(queue.size(), 3);
+
+  await queue.onIdle();
+  assert.equal(queue.size(), 0);
+  assert.ok(log.indexOf('end:a1') < log.indexOf('start:a2'));
+  // 別のユーザーのイベントは待たずに処理する
+  assert.ok(log.indexOf('end:b1') < log.indexOf('end:a1'));
+});
+
+test('失敗したイベントはエラー処理に渡し、ほかのイベントの処理は続ける', async () => {
+  const handled = [];
+  const failed = [];
+  const queue = createEventQueue({
+    keyOf: event => event.userId,
+    handler: async event => {
+      if (event.fail) {
+        throw new Error('処理失敗');
+      }
+      handled.push(event.id);
+    },
+    onError: (error, event) => failed.push(`${event.id}:${error.message}`)
+  });
+
+  queue.push({ id: 1, userId: 'A', fail: true });
+  queue.push({ id: 2, userId: 'A' });
+  queue.push({ id: 3, userId: 'B' });
+  await queue.onIdle();
+
+  assert.deepEqual(failed, ['1:処理失敗']);
+  assert.deepEqual(handled.sort(), [2, 3]);
+});
+
+test('同時に処理するのは concurrency 件まで', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  const queue = createEventQueue({
+    keyOf: event => event.userId,
+    concurrency: 2,
+    handler: async () => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await wait(5);
+      running -= 1;
+    }
+  });
+
+  for (const userId of ['A', 'B', 'C', 'D', 'E']) {
+    queue.push({ userId });
+  }
+  await queue.onIdle();
+
+  assert.equal(maxRunning, 2);
+});
@@ -0,0 +1,35 @@
+// =====================================
+// 配送業者の追跡のフェイク
+// =====================================
+// 追跡番号ごとに決めた状況を、lib/carrierTracking の track() と同じ形で返す（ない番号はnull）。
+//
+//   statuses: { [trackingNumber]: { status, latest, deliveredAt } }
+const { STATUS_LABELS } = require('../../lib/carrierTracking');
+
+function createFakeCarrierTracker(statuses = {}) {
+  const calls = [];
+
+  return {
+    calls,
+
+    async track(company, trackingNumber) {
+      calls.push({ company, trackingNumber });
+      const tracking = statuses[trackingNumber];
+      if (!tracking) {
+        return null;
+      }
+      return {
+        carrier: company,
+        carrierName: company,
+        trackingNumber,
+        trackingUrl: null,
+        status: tracking.status,
+        statusLabel: STATUS_LABELS[tracking.status],
+        latest: tracking.latest || null,
+        deliveredAt: tracking.deliveredAt || null
+      };
+    }
+  };
+}
+
+module.exports = { createFakeCarrierTracker };
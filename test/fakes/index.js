@@ -0,0 +1,131 @@
+// =====================================
+// オフライン実行用のフェイク
+// =====================================
+// Shopify・Notion・OpenAI・LINE・配送追跡のフェイクをまとめて作り、app.js をネットワークなしで動かす。
+//
+//   const { bot, clients } = loadOfflineBot();
+//   const conversation = createConversation(bot, clients, 'U-taro');
+//   const messages = await conversation.say('発送状況を教えてください');
+const path = require('path');
+const { createFakeShopify } = require('./shopify');
+const { createFakeNotion } = require('./notion');
+const { createFakeOpenAI } = require('./openai');
+const { createFakeLine } = require('./line');
+const { createFakeCarrierTracker } = require('./carrierTracking');
+const { NOTION_IDS, createSampleData } = require('./sampleData');
+
+// app.js を読み込む前に設定する環境変数（.env の値より優先する）
+const OFFLINE_ENV = {
+  STORE_TYPE: 'memory',
+  NOTION_DATABASE_ID: NOTION_IDS.conversations,
+  NOTION_CUSTOMER_DB_ID: NOTION_IDS.customers,
+  NOTION_TEMPLATE_PAGE_ID: NOTION_IDS.templates,
+  NOTION_FAQ_DB_ID: '',
+  NOTION_SHOP_PROFILE_PAGE_ID: '',
+  NOTION_INTENT_RULES_DB_ID: '',
+  INTENT_CLASSIFIER: 'rules',
+  // 通知を控える時間帯のない設定（いつ実行しても通知をすぐ送る）
+  SHOP_PROFILE_PATH: path.join(__dirname, '..', 'fixtures', 'shop.json'),
+  FAQ_EMBEDDINGS: 'false',
+  LINE_CHANNEL_SECRET: 'offline-channel-secret',
+  SHOPIFY_WEBHOOK_SECRET: 'offline-webhook-secret'
+};
+
+function createFakeMailer() {
+  const sent = [];
+  return {
+    sent,
+    async send(mail) {
+      sent.push(mail);
+    }
+  };
+}
+
+// app.js の configure() に渡すクライアント一式
+function createFakeClients(data = createSampleData(), { respond } = {}) {
+  const line = createFakeLine({ profiles: data.profiles });
+  return {
+    notion: createFakeNotion(data.notion),
+    openai: createFakeOpenAI({ respond }),
+    lineClient: line,
+    lineBlobClient: line,
+    shopifyAxios: createFakeShopify(data.shopify),
+    mailer: createFakeMailer(),
+    carrierTracker: createFakeCarrierTracker(data.tracking)
+  };
+}
+
+// 環境変数を設定して app.js を読み込み、フェイクのクライアントで動かす
+// （app.js は1つのプロセスで1度しか読み込まれないため、会話の状態などのストアは呼び出し間で共有される）
+function loadOfflineBot({ data = createSampleData(), env = {}, respond } = {}) {
+  Object.assign(process.env, OFFLINE_ENV, env);
+  const bot = require('../../app');
+  const clients = createFakeClients(data, { respond });
+  bot.configure(clients);
+  return { bot, clients, data };
+}
+
+// イベントID（同じお客様の会話を作り直しても重複として除外されないよう、全体で通し番号にする）
+let eventCount = 0;
+
+// 1人のお客様とのやり取り（イベントを順に処理し、そのイベントで送られたメッセージを返す）
+// Webhookと同じく、受付の記録（重複の除外）とキューを通して処理する
+function createConversation(bot, clients, userId) {
+  const line = clients.lineClient;
+  let sequence = 0;
+
+  async function send(event) {
+    sequence += 1;
+    const replyToken = `reply-${userId}-${sequence}`;
+    const pushCount = line.pushes.length;
+
+    await bot.receiveWebhookEvents([{
+      replyToken,
+      webhookEventId: `event-${userId}-${++eventCount}`,
+      deliveryContext: { isRedelivery: false },
+      source: { type: 'user', userId },
+      timestamp: Date.now(),
+      mode: 'active',
+      ...event
+    }]);
+    await bot.waitForQueuedEvents();
+
+    const replied = line.replies.filter(reply => reply.replyToken === replyToken).flatMap(reply => reply.messages);
+    const pushed = line.pushes.slice(pushCount).filter(push => push.to === userId).flatMap(push => push.messages);
+    return replied.concat(pushed);
+  }
+
+  return {
+    userId,
+    say: text => send({ type: 'message', message: { id: `message-${userId}-${sequence + 1}`, type: 'text', text } }),
+    image: (contentType = 'image/jpeg') => {
+      const id = `message-${userId}-${sequence + 1}`;
+      line.contentTypes[id] = contentType;
+      return send({ type: 'message', message: { id, type: 'image', contentProvider: { type: 'line' } } });
+    },
+    postback: data => send({ type: 'postback', postback: { data } }),
+    follow: () => send({ type: 'follow' }),
+    state: () => bot.getConversationState(userId)
+  };
+}
+
+// メッセージの本文（Flexは代替テキスト）
+function messageText(message) {
+  return typeof message === 'string' ? message : message.text || message.altText || '';
+}
+
+module.exports = {
+  NOTION_IDS,
+  OFFLINE_ENV,
+  createSampleData,
+  createFakeClients,
+  createFakeShopify,
+  createFakeNotion,
+  createFakeOpenAI,
+  createFakeLine,
+  createFakeCarrierTracker,
+  createFakeMailer,
+  loadOfflineBot,
+  createConversation,
+  messageText
+};
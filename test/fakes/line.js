@@ -0,0 +1,65 @@
+// =====================================
+// LINE Messaging APIのフェイク
+// =====================================
+// replyMessage / pushMessage で送ったメッセージを replies / pushes に残す。
+// 返信トークンは本物と同じく一度しか使えず、使い回すと「Invalid reply token」のエラーになる。
+// 画像などのコンテンツは contentTypes[メッセージID] の種類（なければJPEG）で返す。
+const { Readable } = require('stream');
+
+function toArray(messages) {
+  return Array.isArray(messages) ? messages : [messages];
+}
+
+// @line/bot-sdk の HTTPError と同じ形
+function invalidReplyTokenError() {
+  return Object.assign(new Error('Request failed with status code 400'), {
+    statusCode: 400,
+    originalError: { response: { data: { message: 'Invalid reply token' } } }
+  });
+}
+
+function createFakeLine({ profiles = {} } = {}) {
+  const replies = [];
+  const pushes = [];
+  const usedReplyTokens = new Set();
+  const contentTypes = {};
+
+  return {
+    replies,
+    pushes,
+    contentTypes,
+
+    // 指定したユーザーにプッシュしたメッセージ
+    pushedTo(userId) {
+      return pushes.filter(push => push.to === userId).flatMap(push => push.messages);
+    },
+
+    async replyMessage(replyToken, messages) {
+      if (!replyToken || usedReplyTokens.has(replyToken)) {
+        throw invalidReplyTokenError();
+      }
+      usedReplyTokens.add(replyToken);
+      replies.push({ replyToken, messages: toArray(messages) });
+      return {};
+    },
+
+    async pushMessage(to, messages) {
+      pushes.push({ to, messages: toArray(messages) });
+      return {};
+    },
+
+    async getProfile(userId) {
+      return { userId, displayName: profiles[userId] || 'テストユーザー' };
+    },
+
+    // MessagingApiBlobClient と同じ形（httpResponse は fetch の Response）
+    async getMessageContentWithHttpInfo(messageId) {
+      return {
+        httpResponse: new Response(null, { headers: { 'content-type': contentTypes[messageId] || 'image/jpeg' } }),
+        body: Readable.from([Buffer.from(`content:${messageId}`)])
+      };
+    }
+  };
+}
+
+module.exports = { createFakeLine };
@@ -0,0 +1,254 @@
+// =====================================
+// Notion APIのフェイク
+// =====================================
+// databases.query / pages.create / pages.update / blocks.children.list / blocks.children.append を
+// メモリ上のデータで再現する。ページのプロパティはAPIの応答と同じ形（plain_text 付き）で保持する。
+//
+//   databases: { [databaseId]: [{ id, properties }] }  properties は pages.create と同じ書き方でよい
+//   blocks: { [blockId]: [block] }
+
+let nextId = 1;
+
+function generateId(prefix) {
+  return `${prefix}-${nextId++}`;
+}
+
+// 書き込み用の rich_text（{ text: { content } }）を応答の形にする
+function toResponseRichText(spans = []) {
+  return spans.map(span => {
+    const content = span.text?.content ?? span.plain_text ?? '';
+    return { type: 'text', text: { content, link: null }, plain_text: content };
+  });
+}
+
+function toResponseProperties(properties = {}) {
+  const result = {};
+  for (const [name, value] of Object.entries(properties)) {
+    if (value.title) {
+      result[name] = { type: 'title', title: toResponseRichText(value.title) };
+    } else if (value.rich_text) {
+      result[name] = { type: 'rich_text', rich_text: toResponseRichText(value.rich_text) };
+    } else {
+      result[name] = { type: Object.keys(value)[0], ...value };
+    }
+  }
+  return result;
+}
+
+function toPage(databaseId, page) {
+  const now = new Date().toISOString();
+  return {
+    object: 'page',
+    id: page.id || generateId('page'),
+    created_time: page.created_time || now,
+    last_edited_time: page.last_edited_time || now,
+    parent: { type: 'database_id', database_id: databaseId },
+    properties: toResponseProperties(page.properties)
+  };
+}
+
+// フィルター・並べ替えで比べる値
+function getPropertyValue(property) {
+  if (!property) {
+    return null;
+  }
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return property[property.type].map(span => span.plain_text).join('');
+    case 'select':
+      return property.select?.name ?? null;
+    case 'multi_select':
+      return property.multi_select.map(option => option.name);
+    case 'date':
+      return property.date?.start ?? null;
+    default:
+      return property[property.type] ?? null;
+  }
+}
+
+function matchesCondition(value, condition) {
+  const [operator, expected] = Object.entries(condition)[0];
+  const isEmpty = value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+  switch (operator) {
+    case 'equals':
+      return value === expected;
+    case 'does_not_equal':
+      return value !== expected;
+    case 'contains':
+      return !isEmpty && value.includes(expected);
+    case 'does_not_contain':
+      return isEmpty || !value.includes(expected);
+    case 'starts_with':
+      return !isEmpty && value.startsWith(expected);
+    case 'ends_with':
+      return !isEmpty && value.endsWith(expected);
+    case 'is_empty':
+      return isEmpty;
+    case 'is_not_empty':
+      return !isEmpty;
+    case 'greater_than':
+    case 'after':
+      return !isEmpty && value > expected;
+    case 'less_than':
+    case 'before':
+      return !isEmpty && value < expected;
+    case 'greater_than_or_equal_to':
+    case 'on_or_after':
+      return !isEmpty && value >= expected;
+    case 'less_than_or_equal_to':
+    case 'on_or_before':
+      return !isEmpty && value <= expected;
+    default:
+      throw new Error(`フェイクのNotionが対応していないフィルターです: ${operator}`);
+  }
+}
+
+function matchesFilter(page, filter) {
+  if (!filter) {
+    return true;
+  }
+  if (filter.and) {
+    return filter.and.every(child => matchesFilter(page, child));
+  }
+  if (filter.or) {
+    return filter.or.some(child => matchesFilter(page, child));
+  }
+  if (filter.timestamp) {
+    return matchesCondition(page[filter.timestamp], filter[filter.timestamp]);
+  }
+
+  const { property, ...rest } = filter;
+  const condition = Object.values(rest)[0];
+  return matchesCondition(getPropertyValue(page.properties[property]), condition);
+}
+
+function compareBy(sorts = []) {
+  return (a, b) => {
+    for (const sort of sorts) {
+      const valueA = sort.timestamp ? a[sort.timestamp] : getPropertyValue(a.properties[sort.property]);
+      const valueB = sort.timestamp ? b[sort.timestamp] : getPropertyValue(b.properties[sort.property]);
+      if (valueA === valueB) {
+        continue;
+      }
+      const order = valueA < valueB ? -1 : 1;
+      return sort.direction === 'descending' ? -order : order;
+    }
+    return 0;
+  };
+}
+
+// start_cursor はリストの位置
+function paginate(items, { start_cursor: cursor, page_size: pageSize = 100 }) {
+  const start = cursor ? Number(cursor) : 0;
+  const end = start + pageSize;
+  return {
+    object: 'list',
+    results: items.slice(start, end),
+    has_more: end < items.length,
+    next_cursor: end < items.length ? String(end) : null
+  };
+}
+
+function createFakeNotion({ databases = {}, blocks = {} } = {}) {
+  const pages = new Map();
+  const children = new Map(Object.entries(blocks).map(([blockId, list]) => [blockId, [...list]]));
+  // 呼び出しの記録（テストで副作用を確認する）
+  const calls = [];
+
+  for (const [databaseId, list] of Object.entries(databases)) {
+    for (const page of list) {
+      const created = toPage(databaseId, page);
+      pages.set(created.id, created);
+    }
+  }
+
+  function findPage(pageId) {
+    const page = pages.get(pageId);
+    if (!page) {
+      throw Object.assign(new Error(`Could not find page with ID: ${pageId}`), { status: 404, code: 'object_not_found' });
+    }
+    return page;
+  }
+
+  return {
+    calls,
+
+    // データベースのページ一覧（テストで確認する用）
+    getPages(databaseId) {
+      return [...pages.values()].filter(page => page.parent.database_id === databaseId);
+    },
+
+    getChildren(blockId) {
+      return children.get(blockId) || [];
+    },
+
+    databases: {
+      async query(params) {
+        calls.push({ method: 'databases.query', params });
+        const results = [...pages.values()]
+          .filter(page => page.parent.database_id === params.database_id)
+          .filter(page => matchesFilter(page, params.filter))
+          .sort(compareBy(params.sorts));
+        return paginate(results, params);
+      }
+    },
+
+    pages: {
+      async create(params) {
+        calls.push({ method: 'pages.create', params });
+        const page = toPage(params.parent.database_id, { properties: params.properties });
+        pages.set(page.id, page);
+        if (params.children) {
+          children.set(page.id, [...params.children]);
+        }
+        return page;
+      },
+
+      async update(params) {
+        calls.push({ method: 'pages.update', params });
+        const page = findPage(params.page_id);
+        Object.assign(page.properties, toResponseProperties(params.properties));
+        page.last_edited_time = new Date().toISOString();
+        return page;
+      },
+
+      async retrieve(params) {
+        calls.push({ method: 'pages.retrieve', params });
+        return findPage(params.page_id);
+      }
+    },
+
+    blocks: {
+      children: {
+        async list(params) {
+          calls.push({ method: 'blocks.children.list', params });
+          return paginate(children.get(params.block_id) || [], params);
+        },
+
+        async append(params) {
+          calls.push({ method: 'blocks.children.append', params });
+          const list = children.get(params.block_id) || [];
+          const appended = params.children.map(block => ({ id: generateId('block'), ...block }));
+          children.set(params.block_id, list.concat(appended));
+          return { object: 'list', results: appended };
+        }
+      }
+    },
+
+    fileUploads: {
+      async create(params) {
+        calls.push({ method: 'fileUploads.create', params });
+        return { id: generateId('file-upload'), status: 'pending' };
+      },
+
+      async send(params) {
+        calls.push({ method: 'fileUploads.send', params: { file_upload_id: params.file_upload_id } });
+        return { id: params.file_upload_id, status: 'uploaded' };
+      }
+    }
+  };
+}
+
+module.exports = { createFakeNotion };
@@ -0,0 +1,50 @@
+// =====================================
+// OpenAI APIのフェイク
+// =====================================
+// chat.completions.create は queueReply() で登録した返答を順に返し、なければ respond(params) の結果を返す。
+// 送られたプロンプトは calls に残す（個人情報が伏せられているかなどをテストで確認する）。
+
+function createFakeOpenAI({ respond = () => 'お問い合わせありがとうございます。詳しくお聞かせいただけますでしょうか？' } = {}) {
+  const calls = [];
+  const queued = [];
+
+  return {
+    calls,
+
+    queueReply(content) {
+      queued.push(content);
+    },
+
+    chat: {
+      completions: {
+        async create(params) {
+          calls.push(params);
+          const content = queued.length > 0 ? queued.shift() : await respond(params);
+          return {
+            id: `chatcmpl-fake-${calls.length}`,
+            object: 'chat.completion',
+            model: params.model,
+            choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+          };
+        }
+      }
+    },
+
+    // 文字の出現回数による簡易ベクトル（FAQ_EMBEDDINGS=true の場合）
+    embeddings: {
+      async create({ input }) {
+        const texts = Array.isArray(input) ? input : [input];
+        return {
+          data: texts.map((text, index) => ({
+            index,
+            embedding: Array.from({ length: 16 }, (_, dimension) =>
+              [...text].filter(char => char.codePointAt(0) % 16 === dimension).length)
+          }))
+        };
+      }
+    }
+  };
+}
+
+module.exports = { createFakeOpenAI };
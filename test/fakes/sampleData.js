@@ -0,0 +1,204 @@
+// =====================================
+// オフライン用のサンプルデータ
+// =====================================
+// フェイクのShopify・Notion・配送追跡に入れるデータ。日時は呼び出した時点からの相対で作るため、
+// 取りこぼし確認（過去24時間）などの定期実行もそのまま試せる。呼び出すたびに新しいデータを返す。
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const NOTION_IDS = {
+  conversations: 'notion-conversations',
+  customers: 'notion-customers',
+  templates: 'notion-templates'
+};
+
+function hoursAgo(hours, now) {
+  return new Date(now - hours * HOUR_MS).toISOString();
+}
+
+function createSampleData(now = Date.now()) {
+  const taro = {
+    id: 501,
+    first_name: '太郎',
+    last_name: '山田',
+    email: 'taro@example.com',
+    phone: '+819011112222'
+  };
+  const hanako = {
+    id: 502,
+    first_name: '花子',
+    last_name: '佐藤',
+    email: 'hanako@example.com',
+    phone: '+818033334444'
+  };
+
+  const taroAddress = {
+    first_name: '太郎', last_name: '山田', zip: '150-0001', province: '東京都', city: '渋谷区',
+    address1: '神宮前1-1-1', phone: '090-1111-2222'
+  };
+  const hanakoAddress = {
+    first_name: '花子', last_name: '佐藤', zip: '530-0001', province: '大阪府', city: '大阪市北区',
+    address1: '梅田1-1-1', phone: '080-3333-4444'
+  };
+
+  const makura = { id: 11, product_id: 701, variant_id: 7011, title: 'お昼寝まくら', name: 'お昼寝まくら - ブルー', quantity: 1, price: '3300.00' };
+  const blanket = { id: 12, product_id: 702, variant_id: 7021, title: 'ひざ掛けブランケット', name: 'ひざ掛けブランケット', quantity: 2, price: '2200.00' };
+  const eyeMask = { id: 13, product_id: 703, variant_id: 7031, title: 'アイマスク', name: 'アイマスク', quantity: 1, price: '1100.00' };
+
+  const orders = [
+    {
+      id: 1001001,
+      name: '#1001',
+      order_number: 1001,
+      created_at: hoursAgo(10 * 24, now),
+      updated_at: hoursAgo(9 * 24, now),
+      cancelled_at: null,
+      closed_at: null,
+      financial_status: 'paid',
+      fulfillment_status: 'fulfilled',
+      total_price: '3300.00',
+      currency: 'JPY',
+      payment_gateway_names: ['shopify_payments'],
+      email: taro.email,
+      phone: null,
+      customer: taro,
+      shipping_address: taroAddress,
+      billing_address: taroAddress,
+      line_items: [makura],
+      fulfillments: [{
+        id: 3001,
+        order_id: 1001001,
+        status: 'success',
+        shipment_status: 'delivered',
+        tracking_company: 'Yamato',
+        tracking_number: '123456789012',
+        tracking_url: 'https://jizen.kuronekoyamato.co.jp/jizen/servlet/crjz.b.NQ0010?id=123456789012',
+        created_at: hoursAgo(9 * 24, now),
+        updated_at: hoursAgo(8 * 24, now),
+        line_items: [makura]
+      }],
+      refunds: []
+    },
+    {
+      id: 1002001,
+      name: '#1002',
+      order_number: 1002,
+      created_at: hoursAgo(2 * 24, now),
+      updated_at: hoursAgo(2 * 24, now),
+      cancelled_at: null,
+      closed_at: null,
+      financial_status: 'paid',
+      fulfillment_status: null,
+      total_price: '4400.00',
+      currency: 'JPY',
+      payment_gateway_names: ['shopify_payments'],
+      email: taro.email,
+      phone: null,
+      customer: taro,
+      shipping_address: taroAddress,
+      billing_address: taroAddress,
+      line_items: [blanket],
+      fulfillments: [],
+      refunds: []
+    },
+    {
+      id: 1003001,
+      name: '#1003',
+      order_number: 1003,
+      created_at: hoursAgo(3 * 24, now),
+      updated_at: hoursAgo(2, now),
+      cancelled_at: null,
+      closed_at: null,
+      financial_status: 'paid',
+      fulfillment_status: 'fulfilled',
+      total_price: '1100.00',
+      currency: 'JPY',
+      payment_gateway_names: ['shopify_payments'],
+      email: hanako.email,
+      phone: null,
+      customer: hanako,
+      shipping_address: hanakoAddress,
+      billing_address: hanakoAddress,
+      line_items: [eyeMask],
+      fulfillments: [{
+        id: 3003,
+        order_id: 1003001,
+        status: 'success',
+        shipment_status: null,
+        tracking_company: 'Sagawa',
+        tracking_number: '400012345678',
+        tracking_url: null,
+        created_at: hoursAgo(2, now),
+        updated_at: hoursAgo(2, now),
+        line_items: [eyeMask]
+      }],
+      refunds: []
+    }
+  ];
+
+  const products = [
+    {
+      id: 701,
+      title: 'お昼寝まくら',
+      handle: 'hirune-makura',
+      status: 'active',
+      variants: [
+        { id: 7011, product_id: 701, title: 'ブルー', price: '3300.00', inventory_item_id: 8011, inventory_quantity: 3, inventory_management: 'shopify', inventory_policy: 'deny' },
+        { id: 7012, product_id: 701, title: 'グレー', price: '3300.00', inventory_item_id: 8012, inventory_quantity: 0, inventory_management: 'shopify', inventory_policy: 'deny' }
+      ]
+    },
+    {
+      id: 702,
+      title: 'ひざ掛けブランケット',
+      handle: 'hizakake-blanket',
+      status: 'active',
+      variants: [
+        { id: 7021, product_id: 702, title: 'Default Title', price: '2200.00', inventory_item_id: 8021, inventory_quantity: 12 }
+      ]
+    }
+  ];
+
+  return {
+    shopify: {
+      customers: [taro, hanako],
+      orders,
+      products,
+      inventoryLevels: [
+        { inventory_item_id: 8011, location_id: 1, available: 3 },
+        { inventory_item_id: 8012, location_id: 1, available: 0 },
+        { inventory_item_id: 8021, location_id: 1, available: 12 }
+      ],
+      fulfillmentEvents: {}
+    },
+    notion: {
+      databases: {
+        [NOTION_IDS.conversations]: [],
+        // 佐藤花子様はLINE連携済み
+        [NOTION_IDS.customers]: [{
+          id: 'customer-hanako',
+          properties: {
+            '顧客名': { title: [{ text: { content: '佐藤花子' } }] },
+            'メールアドレス': { email: hanako.email },
+            'LINE_ID': { rich_text: [{ text: { content: 'U-hanako' } }] },
+            'Shopify顧客ID': { rich_text: [{ text: { content: String(hanako.id) } }] },
+            '通知停止': { multi_select: [] }
+          }
+        }]
+      },
+      // 応答テンプレートのページ（空ならデフォルトのテンプレートを使う）
+      blocks: {
+        [NOTION_IDS.templates]: []
+      }
+    },
+    tracking: {
+      '123456789012': { status: 'delivered', deliveredAt: hoursAgo(8 * 24, now) },
+      '400012345678': { status: 'in_transit' }
+    },
+    profiles: {
+      'U-hanako': '花子',
+      'U-taro': 'たろう'
+    }
+  };
+}
+
+module.exports = { NOTION_IDS, createSampleData };
@@ -0,0 +1,229 @@
+// =====================================
+// Shopify Admin APIのフェイク
+// =====================================
+// app.js が使うエンドポイントだけを、メモリ上のデータ（Shopify REST 2024-01 の形）で再現する。
+// shopifyAxios と同じく get(url) / post(url, body) が { data, headers } を返し、
+// 見つからない場合はaxiosと同じ形のエラー（error.response.status）を投げる。
+// 商品と在庫数の一覧は、pageSize 件ずつ（limit の方が小さければ limit 件ずつ）Linkヘッダーでページを分けて返す。
+//
+//   { customers, orders, products, inventoryLevels, fulfillmentEvents: { [fulfillmentId]: [event] } }
+
+function httpError(status, message) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    isAxiosError: true,
+    response: { status, data: { errors: message } }
+  });
+}
+
+function matchesCustomerQuery(customer, query) {
+  const email = query.match(/^email:(.+)$/);
+  if (email) {
+    return (customer.email || '').toLowerCase() === email[1].trim().toLowerCase();
+  }
+
+  const names = [
+    customer.first_name,
+    customer.last_name,
+    `${customer.last_name || ''}${customer.first_name || ''}`,
+    `${customer.first_name || ''}${customer.last_name || ''}`,
+    customer.email
+  ].filter(Boolean);
+  return query.length > 0 && names.some(name => name.includes(query));
+}
+
+function matchesOrderParams(order, params) {
+  const status = params.get('status') || 'open';
+  if (status === 'open' && (order.cancelled_at || order.closed_at)) {
+    return false;
+  }
+  if (status === 'closed' && !order.closed_at) {
+    return false;
+  }
+  if (status === 'cancelled' && !order.cancelled_at) {
+    return false;
+  }
+
+  if (params.has('name') && order.name !== params.get('name')) {
+    return false;
+  }
+  if (params.has('customer_id') && String(order.customer?.id) !== params.get('customer_id')) {
+    return false;
+  }
+
+  const financialStatus = params.get('financial_status');
+  if (financialStatus && financialStatus !== 'any' && order.financial_status !== financialStatus) {
+    return false;
+  }
+
+  // shipped は発送済み（fulfilled）、unshipped は未発送
+  const fulfillmentStatus = params.get('fulfillment_status');
+  if (fulfillmentStatus === 'shipped' && order.fulfillment_status !== 'fulfilled') {
+    return false;
+  }
+  if (fulfillmentStatus === 'unshipped' && order.fulfillment_status) {
+    return false;
+  }
+  if (fulfillmentStatus === 'partial' && order.fulfillment_status !== 'partial') {
+    return false;
+  }
+
+  if (params.has('created_at_min') && new Date(order.created_at) < new Date(params.get('created_at_min'))) {
+    return false;
+  }
+  if (params.has('updated_at_min') && new Date(order.updated_at || order.created_at) < new Date(params.get('updated_at_min'))) {
+    return false;
+  }
+
+  return true;
+}
+
+function matchesProductParams(product, params) {
+  if (params.has('handle') && product.handle !== params.get('handle')) {
+    return false;
+  }
+  if (params.has('title') && !product.title.includes(params.get('title'))) {
+    return false;
+  }
+  if (params.has('ids') && !params.get('ids').split(',').includes(String(product.id))) {
+    return false;
+  }
+  if (params.has('status') && (product.status || 'active') !== params.get('status')) {
+    return false;
+  }
+  return true;
+}
+
+// 一覧の1ページ分と、次のページがあればそのLinkヘッダー（page_info は何件目からかを表す）
+function paginate(items, params, pathname, pageSize) {
+  const limit = Math.min(Number(params.get('limit')) || 50, pageSize);
+  const offset = Number(params.get('page_info')) || 0;
+  if (offset + limit >= items.length) {
+    return { items: items.slice(offset), link: null };
+  }
+
+  const next = new URLSearchParams(params);
+  next.set('page_info', String(offset + limit));
+  return {
+    items: items.slice(offset, offset + limit),
+    link: `<https://fake-shop.myshopify.com/admin/api/2024-01${pathname}?${next}>; rel="next"`
+  };
+}
+
+function getLineItemTotal(order, refundLineItems) {
+  return refundLineItems.reduce((sum, refundItem) => {
+    const item = order.line_items.find(lineItem => lineItem.id === refundItem.line_item_id);
+    return sum + (item ? parseFloat(item.price) * refundItem.quantity : 0);
+  }, 0);
+}
+
+function createFakeShopify({ customers = [], orders = [], products = [], inventoryLevels = [], fulfillmentEvents = {} } = {}) {
+  // 呼び出しの記録（テストで副作用を確認する）
+  const requests = [];
+  let nextId = 9000;
+
+  function findOrder(orderId) {
+    const order = orders.find(candidate => String(candidate.id) === String(orderId));
+    if (!order) {
+      throw httpError(404, 'Not Found');
+    }
+    return order;
+  }
+
+  const routes = {
+    get: [
+      [/^\/customers\/search\.json$/, (match, params) => ({
+        customers: customers.filter(customer => matchesCustomerQuery(customer, params.get('query') || ''))
+      })],
+      [/^\/orders\.json$/, (match, params) => {
+        const found = orders
+          .filter(order => matchesOrderParams(order, params))
+          .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        return { orders: found.slice(0, Number(params.get('limit')) || 50) };
+      }],
+      [/^\/orders\/(\d+)\.json$/, match => ({ order: findOrder(match[1]) })],
+      [/^\/orders\/(\d+)\/fulfillments\/(\d+)\/events\.json$/, match => {
+        findOrder(match[1]);
+        return { fulfillment_events: fulfillmentEvents[match[2]] || [] };
+      }],
+      [/^\/products\.json$/, (match, params) => ({
+        products: products.filter(product => matchesProductParams(product, params))
+      }), 'products'],
+      [/^\/inventory_levels\.json$/, (match, params) => {
+        const ids = (params.get('inventory_item_ids') || '').split(',');
+        return { inventory_levels: inventoryLevels.filter(level => ids.includes(String(level.inventory_item_id))) };
+      }, 'inventory_levels']
+    ],
+    post: [
+      [/^\/orders\/(\d+)\/cancel\.json$/, match => {
+        const order = findOrder(match[1]);
+        order.cancelled_at = new Date().toISOString();
+        order.updated_at = order.cancelled_at;
+        return { order };
+      }],
+      [/^\/orders\/(\d+)\/refunds\/calculate\.json$/, (match, params, body) => {
+        const order = findOrder(match[1]);
+        const amount = getLineItemTotal(order, body.refund.refund_line_items || []);
+        return {
+          refund: {
+            refund_line_items: body.refund.refund_line_items,
+            transactions: [{
+              parent_id: order.id * 10,
+              amount: amount.toFixed(2),
+              kind: 'suggested_refund',
+              gateway: order.payment_gateway_names?.[0] || 'manual'
+            }]
+          }
+        };
+      }],
+      [/^\/orders\/(\d+)\/refunds\.json$/, (match, params, body) => {
+        const order = findOrder(match[1]);
+        const now = new Date().toISOString();
+        const refund = {
+          id: nextId++,
+          order_id: order.id,
+          created_at: now,
+          refund_line_items: body.refund.refund_line_items,
+          transactions: body.refund.transactions.map(transaction => ({
+            ...transaction,
+            id: nextId++,
+            status: 'success'
+          }))
+        };
+        order.refunds = [...(order.refunds || []), refund];
+        order.updated_at = now;
+        return { refund };
+      }]
+    ]
+  };
+
+  async function request(method, url, body) {
+    requests.push({ method, url, body });
+    const parsed = new URL(url, 'https://fake-shop.myshopify.com');
+
+    for (const [pattern, handler, pagedKey] of routes[method]) {
+      const match = parsed.pathname.match(pattern);
+      if (match) {
+        // 呼び出し側でデータを書き換えても影響しないようにコピーを返す
+        const data = structuredClone(handler(match, parsed.searchParams, body));
+        if (!pagedKey) {
+          return { status: 200, data, headers: {} };
+        }
+        const page = paginate(data[pagedKey], parsed.searchParams, parsed.pathname, fake.pageSize);
+        return { status: 200, data: { [pagedKey]: page.items }, headers: page.link ? { link: page.link } : {} };
+      }
+    }
+    throw httpError(404, `フェイクのShopifyが対応していないエンドポイントです: ${method.toUpperCase()} ${parsed.pathname}`);
+  }
+
+  const fake = {
+    requests,
+    data: { customers, orders, products, inventoryLevels, fulfillmentEvents },
+    // 1ページの最大件数（ページングを確かめるテストでは小さくする）
+    pageSize: 250,
+    get: url => request('get', url),
+    post: (url, body) => request('post', url, body)
+  };
+  return fake;
+}
+
+module.exports = { createFakeShopify };
@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  IntentRulesError,
+  validateIntentRules,
+  classifyWithRules,
+  parseLlmClassification,
+  createIntentClassifier,
+  loadIntentRulesFile,
+  loadNotionIntentCategories,
+  createIntentRulesProvider,
+  loadEvaluationSet,
+  evaluateClassifier
+} = require('../lib/intentClassifier');
+
+const rulesJson = loadIntentRulesFile(path.join(__dirname, '..', 'config', 'intents.json'));
+const rules = validateIntentRules(rulesJson);
+
+test('複数の意図は点数の高い順に並び、いちばん高いものをカテゴリーにする', () => {
+  const result = classifyWithRules('注文した商品がいつ届くか確認したい', rules);
+
+  assert.equal(result.category, '配送・発送');
+  assert.deepEqual(result.intents.map(intent => intent.category), ['配送・発送', '注文確認', '商品']);
+  assert.deepEqual(result.intents[0].keywords, ['届', 'いつ']);
+  assert.equal(result.source, 'rules');
+});
+
+test('除外キーワードの部分はキーワードとして数えない', () => {
+  assert.equal(classifyWithRules('いつもありがとうございます！色々助かりました', rules).category, 'その他');
+  assert.equal(classifyWithRules('いつもお世話になっております。まだ届いていないのですが', rules).category, '配送・発送');
+  assert.equal(classifyWithRules('ほかの色はありますか', rules).category, '商品');
+});
+
+test('最低の点数に届かない場合と同点の場合', () => {
+  const custom = validateIntentRules({
+    minScore: 2,
+    categories: [
+      { name: 'A', keywords: 'りんご:2, いつ' },
+      { name: 'B', keywords: { 'みかん': 2 }, negativeKeywords: 'みかん箱:1' }
+    ]
+  });
+
+  assert.deepEqual(classifyWithRules('いつですか', custom), { category: 'その他', intents: [], confidence: 0, source: 'rules' });
+  // 同点なら並び順が先のカテゴリー
+  assert.equal(classifyWithRules('みかんとりんご', custom).category, 'A');
+  assert.equal(classifyWithRules('みかんとりんご', custom).confidence, 0.5);
+  // 除外キーワードに重みがある場合は点数から引く
+  assert.equal(classifyWithRules('みかん箱とみかん', custom).category, 'その他');
+});
+
+test('不正なルールはすべてまとめて報告する', () => {
+  const raw = {
+    minScore: 0,
+    categories: [
+      { name: 'その他', keywords: { 'こんにちは': 1 } },
+      { name: '配送', keywords: { '発送': 0 } },
+      { name: '配送', keywords: ['届'] }
+    ]
+  };
+
+  assert.throws(() => validateIntentRules(raw), error => {
+    assert.ok(error instanceof IntentRulesError);
+    assert.deepEqual(error.issues, [
+      'minScore は0より大きい数値で指定してください',
+      '「その他」はどれにも当てはまらない場合のカテゴリーのため指定できません',
+      'categories「配送」.keywords の「発送」の重みは0より大きい数値で指定してください',
+      'categories「配送」.keywords にキーワードを1つ以上指定してください',
+      'categories「配送」 が重複しています',
+      'categories「配送」.keywords は { "キーワード": 重み } または "キーワード:重み、…" で指定してください',
+      'categories「配送」.keywords にキーワードを1つ以上指定してください'
+    ]);
+    return true;
+  });
+});
+
+test('Notionのデータベースのカテゴリーを「順番」の順に読み込む', async () => {
+  const page = (name, keywords, order) => ({
+    properties: {
+      'カテゴリー': { title: [{ plain_text: name }] },
+      'キーワード': { rich_text: [{ plain_text: keywords }] },
+      '除外キーワード': { rich_text: [] },
+      '説明': { rich_text: [{ plain_text: `${name}の問い合わせ` }] },
+      '順番': { number: order }
+    }
+  });
+  const notion = {
+    databases: {
+      query: async () => ({
+        results: [page('在庫', '在庫:4、入荷:3', 2), page('配送・発送', '発送:3、届', 1), page('', '', null)],
+        has_more: false
+      })
+    }
+  };
+
+  const categories = await loadNotionIntentCategories(notion, 'db-id');
+  assert.deepEqual(categories.map(category => category.name), ['配送・発送', '在庫']);
+
+  const notionRules = validateIntentRules({ ...rulesJson, categories });
+  assert.deepEqual(notionRules.categories[0].keywords, [{ word: '発送', weight: 3 }, { word: '届', weight: 1 }]);
+  assert.equal(classifyWithRules('入荷はいつですか', notionRules).category, '在庫');
+});
+
+test('ChatGPTの分類は確信度が基準以上の場合だけ使う', async () => {
+  const replies = [
+    '{"category": "注文確認", "intents": ["注文確認", "配送・発送"], "confidence": 0.9}',
+    '{"category": "支払い", "confidence": 0.4}',
+    '{"category": "雑談", "confidence": 0.99}'
+  ];
+  const classifier = createIntentClassifier({
+    getRules: async () => rules,
+    llm: async (message, currentRules) => parseLlmClassification(replies.shift(), currentRules),
+    confidenceThreshold: 0.7
+  });
+
+  const confident = await classifier.classify('発送状況を教えてください');
+  assert.equal(confident.source, 'llm');
+  assert.deepEqual(confident.intents.map(intent => intent.category), ['注文確認', '配送・発送']);
+
+  // 確信度が低い・知らないカテゴリーの場合はルール
+  assert.equal((await classifier.classify('発送状況を教えてください')).category, '配送・発送');
+  assert.equal((await classifier.classify('発送状況を教えてください')).source, 'rules');
+});
+
+test('ChatGPTのエラーやルールの読み込みエラーでも分類を返す', async () => {
+  const failingLlm = createIntentClassifier({
+    getRules: async () => rules,
+    llm: async () => { throw new Error('timeout'); }
+  });
+  assert.equal((await failingLlm.classify('在庫はありますか')).category, '在庫');
+
+  const noRules = createIntentClassifier({
+    getRules: async () => { throw new Error('ファイルがありません'); }
+  });
+  assert.equal((await noRules.classify('在庫はありますか')).category, 'その他');
+});
+
+test('読み込み直したルールが不正なら、直前のルールを使い続ける', async () => {
+  let raw = rulesJson;
+  const provider = createIntentRulesProvider({ load: async () => raw });
+
+  assert.equal((await provider.get()).categories.length, rulesJson.categories.length);
+
+  raw = { categories: [] };
+  await assert.rejects(provider.reload(), IntentRulesError);
+  assert.equal((await provider.get()).categories.length, rulesJson.categories.length);
+});
+
+test('カテゴリーごとの適合率と再現率', async () => {
+  const examples = loadEvaluationSet([
+    '# コメント',
+    '{"text": "a", "category": "X"}',
+    '{"text": "b", "category": "X"}',
+    '',
+    '{"text": "c", "category": "Y"}'
+  ].join('\n'));
+  const predictions = { a: 'X', b: 'Y', c: 'Y' };
+
+  const report = await evaluateClassifier(examples, async text => ({ category: predictions[text], intents: [] }));
+
+  assert.equal(report.accuracy, 2 / 3);
+  assert.deepEqual(report.categories, [
+    { category: 'X', support: 2, predicted: 1, truePositives: 1, precision: 1, recall: 0.5 },
+    { category: 'Y', support: 1, predicted: 2, truePositives: 1, precision: 0.5, recall: 1 }
+  ]);
+  assert.deepEqual(report.errors, [{ text: 'b', expected: 'X', actual: 'Y', intents: [] }]);
+
+  assert.throws(() => loadEvaluationSet('{"text": "a"}'), /1行目/);
+});
+
+test('同梱のルールは評価用の例文を9割以上正しく分類する', async () => {
+  const examples = loadEvaluationSet(fs.readFileSync(path.join(__dirname, '..', 'eval', 'intents.jsonl'), 'utf8'));
+  const report = await evaluateClassifier(examples, async text => classifyWithRules(text, rules));
+
+  assert.ok(report.accuracy >= 0.9, `正解率 ${report.accuracy}: ${JSON.stringify(report.errors)}`);
+  assert.equal(classifyWithRules('送料は無料ですか', rules).category, '送料');
+  // 送料・届いたという言葉があっても、返品や破損の連絡は配送・発送にしない
+  assert.equal(classifyWithRules('イメージと違ったので返したいのですが送料はどちら負担ですか', rules).category, 'キャンセル・返品');
+  assert.equal(classifyWithRules('届いたマグカップが割れてました', rules).category, 'キャンセル・返品');
+  assert.equal(classifyWithRules('PayPay使えますか', rules).category, '支払い');
+});
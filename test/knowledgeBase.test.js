@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+  tokenize,
+  parseMarkdownEntries,
+  loadMarkdownEntries,
+  createKnowledgeBase
+} = require('../lib/knowledgeBase');
+
+const faqDir = path.join(__dirname, '..', 'faq');
+
+function createMarkdownKnowledgeBase() {
+  return createKnowledgeBase({ loadEntries: async () => loadMarkdownEntries(faqDir) });
+}
+
+test('日本語はbigram、英数字は単語に分割し、ひらがなだけのbigramは除く', () => {
+  assert.deepEqual(tokenize('返品できますか VISA'), ['visa', '返品', '品で']);
+});
+
+test('Markdownの見出しを質問、本文を回答として読み込む', () => {
+  const entries = parseMarkdownEntries(`## 送料はいくらですか？
+キーワード: 送料, 配送料
+全国一律です。
+
+## 本文のない見出し
+`, 'shipping');
+
+  assert.equal(entries.length, 1);
+  assert.deepEqual(entries[0], {
+    id: 'shipping#1',
+    question: '送料はいくらですか？',
+    answer: '全国一律です。',
+    keywords: ['送料', '配送料'],
+    source: 'shipping'
+  });
+});
+
+test('質問に関連するFAQを返す', async () => {
+  const knowledgeBase = createMarkdownKnowledgeBase();
+
+  const [payment] = await knowledgeBase.retrieve('支払い方法を教えてください');
+  assert.equal(payment.entry.question, '支払い方法は何がありますか？');
+
+  const [returns] = await knowledgeBase.retrieve('返品できますか？');
+  assert.equal(returns.entry.question, '返品・交換はできますか？');
+});
+
+test('FAQにない質問は何も返さない', async () => {
+  const knowledgeBase = createMarkdownKnowledgeBase();
+
+  assert.deepEqual(await knowledgeBase.retrieve('今日は天気がいいですね'), []);
+});
+
+test('埋め込みを使う場合は類似度も加味する', async () => {
+  const entries = [
+    { id: 'a', question: '送料について', answer: '全国一律です。', keywords: [] },
+    { id: 'b', question: 'お手入れ方法', answer: '手洗いしてください。', keywords: [] }
+  ];
+  // 「洗濯」を含む文章だけ b と同じ向きのベクトルにする
+  const embed = async texts => texts.map(text => (/洗|手入れ/.test(text) ? [0, 1] : [1, 0]));
+  const knowledgeBase = createKnowledgeBase({ loadEntries: async () => entries, embed });
+
+  const [result] = await knowledgeBase.retrieve('洗濯機で洗えますか');
+  assert.equal(result.entry.id, 'b');
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, createMemoryStore, createFileStore } = require('../lib/kvStore');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+for (const [name, create] of [
+  ['メモリ', () => createMemoryStore()],
+  ['ファイル', t => createFileStore(createTempDir(t))]
+]) {
+  test(`${name}：有効期限を過ぎた値は get・has・keys で見えなくなる`, async t => {
+    const store = create(t);
+    await store.set('a', { count: 1 }, { ttlMs: 20 });
+    await store.set('b', 'no-ttl');
+
+    assert.deepEqual(await store.get('a'), { count: 1 });
+    assert.deepEqual((await store.keys()).sort(), ['a', 'b']);
+
+    await wait(40);
+    assert.equal(await store.get('a'), null);
+    assert.equal(await store.has('a'), false);
+    assert.deepEqual(await store.keys(), ['b']);
+  });
+
+  test(`${name}：有効期限は最後に set した時点から数える`, async t => {
+    const store = create(t);
+    await store.set('a', 1, { ttlMs: 60 });
+    await wait(40);
+    await store.set('a', 2, { ttlMs: 60 });
+    await wait(40);
+
+    assert.equal(await store.get('a'), 2);
+  });
+}
+
+test('ファイル：キーごとのファイルに書き出し、作り直したストアから読める', async t => {
+  const dir = createTempDir(t);
+  const store = createFileStore(dir);
+
+  await Promise.all([store.set('event:1', 'queued'), store.set('event:2', 'done')]);
+  await store.delete('event:1');
+  await store.set('prefix:1', true, { ttlMs: 60 * 1000 });
+
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['event%3A2.json', 'prefix%3A1.json']);
+  const reopened = createFileStore(dir);
+  assert.equal(await reopened.get('event:1'), null);
+  assert.equal(await reopened.get('event:2'), 'done');
+  assert.deepEqual(await reopened.keys('prefix:'), ['prefix:1']);
+});
+
+test('ファイル：同じディレクトリを使うストア同士（別のプロセス）で、書き込んだ値がすぐに見える', async t => {
+  const dir = createTempDir(t);
+  const first = createFileStore(dir);
+  const second = createFileStore(dir);
+
+  await first.set('U1', { stage: 'waiting_for_name' });
+  assert.deepEqual(await second.get('U1'), { stage: 'waiting_for_name' });
+
+  await second.set('U1', { stage: 'initial' });
+  await second.set('U2', { stage: 'initial' });
+  assert.deepEqual(await first.get('U1'), { stage: 'initial' });
+  assert.deepEqual((await first.keys()).sort(), ['U1', 'U2']);
+
+  await first.delete('U2');
+  assert.equal(await second.has('U2'), false);
+});
+
+test('ファイル：期限切れの値は keys で一覧するときにファイルを消す', async t => {
+  const dir = createTempDir(t);
+  const store = createFileStore(dir);
+
+  await store.set('old', 1, { ttlMs: 10 });
+  await store.set('new', 2);
+  await wait(20);
+
+  assert.deepEqual(await store.keys(), ['new']);
+  assert.deepEqual(fs.readdirSync(dir), ['new.json']);
+});
+
+test('STORE_TYPE と DATA_DIR でストアを選ぶ', async t => {
+  const dir = createTempDir(t);
+  const store = createStore('conversations', { STORE_TYPE: 'file', DATA_DIR: dir });
+  await store.set('U1', { stage: 'initial' });
+  assert.ok(fs.existsSync(path.join(dir, 'conversations', 'U1.json')));
+
+  assert.throws(() => createStore('conversations', { STORE_TYPE: 'redis' }), /未対応の STORE_TYPE/);
+});
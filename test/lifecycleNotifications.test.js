@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ALL_EVENTS_LABEL,
+  normalizeEventSettings,
+  notificationKey,
+  legacyNotificationKeys,
+  isNotifiedByLegacyTag,
+  getShipmentEvent,
+  getDeliveryEvent,
+  isAwaitingPayment,
+  isOptedOut,
+  parseNotificationCommand,
+  updateOptOuts
+} = require('../lib/lifecycleNotifications');
+
+test('設定を省略した通知は送る、不明な通知や不正な日数は報告する', () => {
+  const settings = normalizeEventSettings({ delivered: { enabled: false } });
+  assert.equal(settings.order_confirmed.enabled, true);
+  assert.equal(settings.delivered.enabled, false);
+  assert.equal(settings.payment_pending.afterDays, 3);
+
+  const issues = [];
+  normalizeEventSettings({ shipped_late: {}, payment_pending: { afterDays: 0 } }, issues);
+  assert.equal(issues.length, 2);
+});
+
+test('同じ注文の同じ通知は同じキー、以前の形式のキーも確認する', () => {
+  assert.equal(notificationKey({ id: 42 }, 'delivered'), 'order:42:delivered');
+  assert.deepEqual(legacyNotificationKeys('shipped', { fulfillment: { id: 7 } }), ['fulfillment:7:shipped']);
+  assert.deepEqual(legacyNotificationKeys('refunded', { refund: { id: 9 } }), ['refund:9']);
+  assert.deepEqual(legacyNotificationKeys('delivered', {}), []);
+
+  // 以前のバージョンは発送のお知らせを送った注文にタグを付けていた
+  const tagged = { id: 42, tags: ['line_notified'] };
+  assert.equal(isNotifiedByLegacyTag(tagged, 'shipped'), true);
+  assert.equal(isNotifiedByLegacyTag(tagged, 'partially_shipped'), true);
+  assert.equal(isNotifiedByLegacyTag(tagged, 'delivered'), false);
+  assert.equal(isNotifiedByLegacyTag({ id: 42, tags: [] }, 'shipped'), false);
+});
+
+test('一部発送と配達状況の判定', () => {
+  assert.equal(getShipmentEvent({ fulfillmentStatus: 'partial' }), 'partially_shipped');
+  assert.equal(getShipmentEvent({ fulfillmentStatus: 'fulfilled' }), 'shipped');
+  assert.equal(getDeliveryEvent('out_for_delivery'), 'out_for_delivery');
+  assert.equal(getDeliveryEvent('delivered'), 'delivered');
+  assert.equal(getDeliveryEvent('in_transit'), null);
+  assert.equal(getDeliveryEvent('held_at_depot'), null);
+});
+
+test('銀行振込・コンビニ決済で一定日数入金がない注文', () => {
+  const settings = normalizeEventSettings({}).payment_pending;
+  const now = new Date('2026-10-19T10:00:00+09:00');
+  const order = {
+    financialStatus: 'pending',
+    paymentGateways: ['銀行振込'],
+    createdAt: '2026-10-15T09:00:00+09:00',
+    cancelledAt: null
+  };
+
+  assert.equal(isAwaitingPayment(order, settings, now), true);
+  assert.equal(isAwaitingPayment({ ...order, createdAt: '2026-10-17T12:00:00+09:00' }, settings, now), false);
+  assert.equal(isAwaitingPayment({ ...order, paymentGateways: ['shopify_payments'] }, settings, now), false);
+  assert.equal(isAwaitingPayment({ ...order, financialStatus: 'paid' }, settings, now), false);
+  assert.equal(isAwaitingPayment({ ...order, cancelledAt: '2026-10-18T00:00:00+09:00' }, settings, now), false);
+});
+
+test('通知の停止・再開のメッセージを読む', () => {
+  assert.deepEqual(parseNotificationCommand('通知設定'), { action: 'settings' });
+  assert.deepEqual(parseNotificationCommand('配達完了の通知を停止'), { action: 'stop', label: '配達完了' });
+  assert.deepEqual(parseNotificationCommand('通知を止めてください'), { action: 'stop', label: ALL_EVENTS_LABEL });
+  assert.deepEqual(parseNotificationCommand('すべての通知を再開'), { action: 'resume', label: ALL_EVENTS_LABEL });
+  assert.deepEqual(parseNotificationCommand('セールの通知を停止'), { action: 'unknown', label: 'セール' });
+  assert.equal(parseNotificationCommand('通知が届きません'), null);
+});
+
+test('停止中の通知の一覧を更新する', () => {
+  assert.deepEqual(updateOptOuts([], { action: 'stop', label: '配達中' }), ['配達中']);
+  assert.deepEqual(updateOptOuts(['配達中'], { action: 'resume', label: '配達中' }), []);
+  assert.deepEqual(updateOptOuts(['配達中'], { action: 'stop', label: ALL_EVENTS_LABEL }), [ALL_EVENTS_LABEL]);
+
+  const resumedOne = updateOptOuts([ALL_EVENTS_LABEL], { action: 'resume', label: '発送完了' });
+  assert.equal(isOptedOut(resumedOne, 'shipped'), false);
+  assert.equal(isOptedOut(resumedOne, 'delivered'), true);
+});
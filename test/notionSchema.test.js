@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DATABASE_SCHEMAS, compareDatabaseSchema } = require('../lib/notionSchema');
+
+test('足りない項目は追加する定義を、種類の違う項目は報告だけを返す', () => {
+  const database = {
+    properties: {
+      'ID': { type: 'title' },
+      'FAQ': { type: 'rich_text' },
+      '優先度': { type: 'rich_text' }
+    }
+  };
+  const expected = {
+    'FAQ': { rich_text: {} },
+    '優先度': { select: {} },
+    '評価': { number: {} }
+  };
+
+  const { missing, mismatched } = compareDatabaseSchema(database, expected);
+  assert.deepEqual(missing, { '評価': { number: {} } });
+  assert.deepEqual(mismatched, [{ name: '優先度', expected: 'select', actual: 'rich_text' }]);
+});
+
+test('各データベースの項目は1つの種類で定義する', () => {
+  for (const schema of Object.values(DATABASE_SCHEMAS)) {
+    assert.match(schema.env, /^NOTION_/);
+    for (const definition of Object.values(schema.properties)) {
+      assert.equal(Object.keys(definition).length, 1);
+    }
+  }
+});
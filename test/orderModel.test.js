@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeOrder, normalizeRefund, getOrderEmail, getShippedFulfillments } = require('../lib/orderModel');
+
+const rawOrder = {
+  id: 1,
+  name: '#1001',
+  order_number: 1001,
+  created_at: '2026-10-01T10:00:00+09:00',
+  financial_status: 'paid',
+  fulfillment_status: null,
+  total_price: '3300.00',
+  payment_gateway_names: ['shopify_payments'],
+  tags: 'gift, line_notified',
+  contact_email: 'taro@example.com',
+  customer: { id: 10, first_name: '太郎', last_name: '山田', email: 'old@example.com' },
+  shipping_address: { first_name: '太郎', last_name: '山田', zip: '150-0001', province: '東京都' },
+  line_items: [{ id: 100, product_id: 7, variant_id: 8, title: 'Tシャツ', name: 'Tシャツ - M', quantity: 2, price: '1500.00' }],
+  fulfillments: [
+    { id: 200, status: 'cancelled', created_at: '2026-10-02T10:00:00+09:00', line_items: [] },
+    { id: 201, status: 'success', shipment_status: 'in_transit', tracking_company: 'Yamato', tracking_number: '123456789012', created_at: '2026-10-03T10:00:00+09:00' }
+  ]
+};
+
+test('Shopifyの注文を注文モデルにそろえる', () => {
+  const order = normalizeOrder(rawOrder);
+
+  assert.equal(order.orderNumber, 1001);
+  assert.equal(order.createdAt, '2026-10-01T10:00:00+09:00');
+  assert.equal(order.updatedAt, order.createdAt);
+  assert.equal(order.cancelledAt, null);
+  assert.equal(order.fulfillmentStatus, null);
+  assert.deepEqual(order.paymentGateways, ['shopify_payments']);
+  assert.deepEqual(order.tags, ['gift', 'line_notified']);
+  assert.equal(order.customer.lastName, '山田');
+  assert.equal(order.shippingAddress.name, '山田 太郎');
+  assert.deepEqual(order.items[0], {
+    id: 100, productId: 7, variantId: 8, name: 'Tシャツ - M', title: 'Tシャツ', quantity: 2, price: '1500.00'
+  });
+  assert.equal(order.fulfillments[1].trackingCompany, 'Yamato');
+  assert.deepEqual(order.refunds, []);
+});
+
+test('項目がない注文も配列は空でそろえる', () => {
+  const order = normalizeOrder({ id: 2, order_number: 1002, created_at: '2026-10-01T10:00:00+09:00' });
+
+  assert.equal(order.name, '#1002');
+  assert.deepEqual(order.items, []);
+  assert.deepEqual(order.fulfillments, []);
+  assert.equal(order.customer, null);
+  assert.equal(normalizeOrder(null), null);
+});
+
+test('返金額は成功した返金取引だけを合計する', () => {
+  const refund = normalizeRefund({
+    id: 300,
+    order_id: 1,
+    created_at: '2026-10-05T10:00:00+09:00',
+    transactions: [
+      { kind: 'refund', status: 'success', amount: '1500.00' },
+      { kind: 'refund', status: 'failure', amount: '1500.00' },
+      { kind: 'sale', status: 'success', amount: '3300.00' }
+    ]
+  });
+
+  assert.equal(refund.amount, 1500);
+});
+
+test('メールアドレスと発送済みの出荷を取り出す', () => {
+  const order = normalizeOrder(rawOrder);
+
+  assert.equal(getOrderEmail(order), 'taro@example.com');
+  assert.equal(getOrderEmail({ ...order, email: null }), 'old@example.com');
+  assert.deepEqual(getShippedFulfillments(order).map(fulfillment => fulfillment.id), [201]);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeOrderNameFormat,
+  formatOrderName,
+  extractOrderNumber,
+  resolveOrderNumberConfirmation
+} = require('../lib/orderNumber');
+
+const format = normalizeOrderNameFormat({});
+
+test('「#」や「注文番号」が付いた番号、数字だけのメッセージは注文番号とみなす', () => {
+  assert.deepEqual(extractOrderNumber('#1234 の発送状況を教えてください', format), { orderNumber: '1234', candidates: [] });
+  assert.equal(extractOrderNumber('注文番号：１２３４です', format).orderNumber, '1234');
+  assert.equal(extractOrderNumber('1234', format).orderNumber, '1234');
+});
+
+test('付記のない数字は確認用の候補にし、注文番号を尋ねた直後はそのまま使う', () => {
+  assert.deepEqual(extractOrderNumber('1234の荷物はいつ届きますか', format), { orderNumber: null, candidates: ['1234'] });
+  assert.equal(extractOrderNumber('1234の荷物はいつ届きますか', format, { expected: true }).orderNumber, '1234');
+  assert.deepEqual(extractOrderNumber('1234と5678を注文しました', format).candidates, ['1234', '5678']);
+});
+
+test('電話番号・郵便番号・日付・金額・形式に合わない数字は注文番号にしない', () => {
+  for (const text of [
+    '電話番号は 090-1234-5678 です',
+    '090 1234 5678 に連絡ください',
+    '〒1500001 に届けてください',
+    '2025年に購入しました',
+    '2026/10/19 に届く予定です',
+    '3000円の商品です',
+    '01234 です',
+    '123 です',
+    // 「注文」が付いていても年・日付・金額は除く
+    '注文は2025年10月です',
+    '注文は2025/10/19',
+    'ご注文 1500円の商品',
+    '#2025年の福袋'
+  ]) {
+    const result = extractOrderNumber(text, format);
+    assert.equal(result.orderNumber, null, text);
+    assert.deepEqual(result.candidates, [], text);
+  }
+});
+
+test('ショップの接頭辞を使った注文名を読み取り、組み立てる', () => {
+  const shopFormat = normalizeOrderNameFormat({ prefix: 'HG-', minNumber: 1 });
+  assert.equal(extractOrderNumber('HG-1234 が届きません', shopFormat).orderNumber, '1234');
+  assert.equal(formatOrderName('1234', shopFormat), 'HG-1234');
+  assert.equal(formatOrderName(1001, format), '#1001');
+});
+
+test('形式の設定が不正なら issues に追加する', () => {
+  const issues = [];
+  normalizeOrderNameFormat({ minNumber: 0 }, issues);
+  normalizeOrderNameFormat({ minNumber: 1001, maxDigits: 3 }, issues);
+  assert.equal(issues.length, 2);
+});
+
+test('確認への返信から注文番号を決める', () => {
+  assert.equal(resolveOrderNumberConfirmation('はい', ['1234']), '1234');
+  assert.equal(resolveOrderNumberConfirmation('#5678 です', ['1234', '5678']), '5678');
+  assert.equal(resolveOrderNumberConfirmation('注文番号ではありません', ['1234', '5678']), null);
+  assert.equal(resolveOrderNumberConfirmation('いいえ', ['1234']), null);
+  assert.equal(resolveOrderNumberConfirmation('送料はいくらですか', ['1234']), undefined);
+});
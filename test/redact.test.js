@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRedactionSession, getRedactionOptions, passesLuhn } = require('../lib/redact');
+
+test('メールアドレスを置き換えて元に戻せる', () => {
+  const session = createRedactionSession();
+  const redacted = session.redact('登録メールは yamada.taro+shop@example.co.jp です');
+
+  assert.equal(redacted, '登録メールは [EMAIL_1] です');
+  assert.equal(session.restore('[EMAIL_1] 宛にお送りしました'), 'yamada.taro+shop@example.co.jp 宛にお送りしました');
+});
+
+test('国内形式・+81形式・全角の電話番号を置き換える', () => {
+  const session = createRedactionSession();
+
+  assert.equal(session.redact('携帯は090-1234-5678です'), '携帯は[PHONE_1]です');
+  assert.equal(session.redact('自宅 03-1234-5678'), '自宅 [PHONE_2]');
+  assert.equal(session.redact('連絡先：０８０１２３４５６７８'), '連絡先：[PHONE_3]');
+  assert.equal(session.redact('+81 90-1234-5678 までお願いします'), '[PHONE_4] までお願いします');
+});
+
+test('同じ値には同じプレースホルダーを使う', () => {
+  const session = createRedactionSession();
+
+  assert.equal(session.redact('090-1234-5678'), '[PHONE_1]');
+  assert.equal(session.redact('もう一度 090-1234-5678'), 'もう一度 [PHONE_1]');
+});
+
+test('郵便番号を置き換える（〒付き・ハイフン区切り）', () => {
+  const session = createRedactionSession();
+
+  assert.equal(session.redact('〒150-0001 に送ってください'), '[POSTAL_1] に送ってください');
+  assert.equal(session.redact('郵便番号は530-0001です'), '郵便番号は[POSTAL_2]です');
+  assert.equal(session.redact('〒１００００１４'), '[POSTAL_3]');
+});
+
+test('住所を置き換える', () => {
+  const session = createRedactionSession();
+
+  assert.equal(
+    session.redact('東京都渋谷区神宮前1-2-3に住んでいます'),
+    '[ADDRESS_1]に住んでいます'
+  );
+  assert.equal(
+    session.redact('大阪府大阪市北区梅田３丁目１－１まで'),
+    '[ADDRESS_2]まで'
+  );
+  assert.equal(session.redact('届け先は世田谷区三軒茶屋2-11-22です'), '届け先は[ADDRESS_3]です');
+});
+
+test('住所ではない地名はそのまま', () => {
+  const session = createRedactionSession();
+
+  assert.equal(session.redact('東京都内でも送料は同じですか？'), '東京都内でも送料は同じですか？');
+  assert.equal(session.redact('北海道への配送は何日かかりますか'), '北海道への配送は何日かかりますか');
+});
+
+test('カード番号らしき数字はLuhnで確認し、返答では戻さない', () => {
+  const session = createRedactionSession();
+
+  assert.equal(session.redact('カードは4111 1111 1111 1111です'), 'カードは[CARD_1]です');
+  assert.equal(session.restore('[CARD_1] は登録できません'), '＊＊＊＊ は登録できません');
+  assert.equal(passesLuhn('4111111111111112'), false);
+  // Luhnを満たさない長い数字（追跡番号など）は置き換えない
+  assert.equal(session.redact('追跡番号 4111111111111112'), '追跡番号 4111111111111112');
+});
+
+test('注文番号や金額は置き換えない', () => {
+  const session = createRedactionSession();
+  const text = '注文番号 #1001 の合計は¥12,800、2024年に注文しました';
+
+  assert.equal(session.redact(text), text);
+});
+
+test('既知のお名前を置き換える', () => {
+  const session = createRedactionSession({ knownNames: ['山田太郎', '山田'] });
+
+  assert.equal(session.redact('山田太郎です。山田宛に送ってください'), '[NAME_1]です。[NAME_2]宛に送ってください');
+  assert.equal(session.restore('[NAME_1]様、ありがとうございます'), '山田太郎様、ありがとうございます');
+});
+
+test('種類ごとに置き換えの有無を設定できる', () => {
+  const session = createRedactionSession({ types: ['email'] });
+
+  assert.equal(
+    session.redact('090-1234-5678 / taro@example.com'),
+    '090-1234-5678 / [EMAIL_1]'
+  );
+});
+
+test('環境変数から設定を読み込む', () => {
+  const options = getRedactionOptions({ PII_REDACT_TYPES: 'email, phone, unknown', PII_RESTORE_TYPES: 'email' });
+
+  assert.deepEqual(options.types, ['email', 'phone']);
+  assert.deepEqual(options.restoreTypes, ['email']);
+});
+
+test('知らないプレースホルダーはそのまま残す', () => {
+  const session = createRedactionSession();
+
+  assert.equal(session.restore('[PHONE_9] にお電話ください'), '[PHONE_9] にお電話ください');
+});
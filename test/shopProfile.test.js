@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+  ShopProfileError,
+  validateShopProfile,
+  loadShopProfileFile,
+  loadNotionShopProfile,
+  createShopProfileProvider
+} = require('../lib/shopProfile');
+
+const shopJson = loadShopProfileFile(path.join(__dirname, '..', 'config', 'shop.json'));
+
+test('同梱の config/shop.json は検証を通る', () => {
+  const shop = validateShopProfile(shopJson);
+
+  assert.equal(shop.contact.phone, '03-1234-5678');
+  assert.equal(shop.returns.windowDays, 7);
+  assert.equal(shop.shipping.deliveryEstimate, '2-3営業日');
+  assert.equal(shop.shipping.fee, null);
+  assert.equal(shop.payment.summary, 'クレジットカード、銀行振込、代金引換、コンビニ決済');
+  assert.equal(shop.payment.methods.find(method => method.name === '代金引換').fee, 330);
+});
+
+test('不正な項目はすべてまとめて報告する', () => {
+  const raw = {
+    ...shopJson,
+    hours: { open: '9時', close: '18:00' },
+    contact: { phone: '03-1234-5678', email: 'support' },
+    shipping: { deliveryEstimate: '2-3営業日', fee: '無料' },
+    returns: { windowDays: -1 }
+  };
+
+  assert.throws(() => validateShopProfile(raw), error => {
+    assert.ok(error instanceof ShopProfileError);
+    assert.equal(error.issues.length, 4);
+    return true;
+  });
+});
+
+test('Notionのページのコードブロックから読み込む', async () => {
+  const notion = {
+    blocks: {
+      children: {
+        list: async () => ({
+          results: [
+            { type: 'paragraph', paragraph: { rich_text: [] } },
+            { type: 'code', code: { rich_text: [{ plain_text: '{"name":' }, { plain_text: '"第二店舗"}' }] } }
+          ],
+          has_more: false
+        })
+      }
+    }
+  };
+
+  assert.deepEqual(await loadNotionShopProfile(notion, 'page-id'), { name: '第二店舗' });
+});
+
+test('読み込み直した内容が不正なら、直前の情報を使い続ける', async () => {
+  let raw = shopJson;
+  const provider = createShopProfileProvider({ load: async () => raw });
+
+  assert.equal((await provider.get()).name, '昼寝のソムリエshop HIRUNEGAO');
+
+  raw = { ...shopJson, contact: {} };
+  await assert.rejects(provider.reload(), ShopProfileError);
+  assert.equal(provider.current().contact.email, 'support@hirunegao.com');
+
+  raw = { ...shopJson, name: '第二店舗' };
+  assert.equal((await provider.reload()).name, '第二店舗');
+});
+
+test('読み込めない場合は fallback を使う', async () => {
+  const provider = createShopProfileProvider({
+    load: async () => { throw new Error('Notionに接続できません'); },
+    fallback: async () => shopJson
+  });
+
+  assert.equal((await provider.get()).contact.phone, '03-1234-5678');
+});
+
+test('営業曜日と休業日を検証する', () => {
+  const shop = validateShopProfile(shopJson);
+  assert.deepEqual(shop.hours.businessDays, [1, 2, 3, 4, 5]);
+  assert.deepEqual(shop.holidays.map(holiday => holiday.name), ['お盆', '年末年始']);
+
+  assert.throws(() => validateShopProfile({
+    ...shopJson,
+    hours: { ...shopJson.hours, businessDays: ['平日'] },
+    holidays: [{ name: '年末年始', from: '12/29', to: '01/03' }]
+  }), error => error.issues.length === 2);
+});
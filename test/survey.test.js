@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeSurveySettings,
+  getSurveyDueAt,
+  classifyRating,
+  isNoFeedbackReply,
+  isNewRequestAfterSurvey,
+  buildFeedbackQuickReply,
+  buildSurveyMessage,
+  summarizeSurveys
+} = require('../lib/survey');
+
+test('設定を省略した場合はお届け3日後・発送7日後、不正な値は報告する', () => {
+  const settings = normalizeSurveySettings({});
+  assert.equal(settings.enabled, true);
+  assert.equal(settings.daysAfterDelivery, 3);
+  assert.equal(settings.daysAfterShipment, 7);
+  assert.equal(settings.reviewUrl, null);
+
+  const issues = [];
+  normalizeSurveySettings({ daysAfterDelivery: -1, reviewUrl: 'https://example.com/reviews' }, issues);
+  assert.equal(issues.length, 2);
+});
+
+test('配達完了日があればそこから、なければ発送日から数える', () => {
+  const settings = normalizeSurveySettings({});
+  assert.equal(
+    getSurveyDueAt({ deliveredAt: '2026-10-15T03:00:00.000Z', shippedAt: '2026-10-13T03:00:00.000Z' }, settings).toISOString(),
+    '2026-10-18T03:00:00.000Z'
+  );
+  assert.equal(
+    getSurveyDueAt({ deliveredAt: null, shippedAt: '2026-10-13T03:00:00.000Z' }, settings).toISOString(),
+    '2026-10-20T03:00:00.000Z'
+  );
+  assert.equal(getSurveyDueAt({ deliveredAt: null, shippedAt: null }, settings), null);
+});
+
+test('評価の分類と、評価ボタンのポストバック', () => {
+  assert.equal(classifyRating(5), 'good');
+  assert.equal(classifyRating(4), 'good');
+  assert.equal(classifyRating(3), 'neutral');
+  assert.equal(classifyRating(2), 'poor');
+  assert.equal(classifyRating(1), 'poor');
+
+  const message = buildSurveyMessage(42, 'いかがでしたか？');
+  assert.equal(message.quickReply.items.length, 5);
+  assert.equal(message.quickReply.items[0].action.data, 'action=survey&order=42&rating=5');
+  assert.ok(message.quickReply.items.every(item => item.action.label.length <= 20));
+});
+
+test('低評価のあとの返信が「特にない」か、新しいお問い合わせかを見分ける', () => {
+  const button = buildFeedbackQuickReply().items[0].action.text;
+  assert.equal(isNoFeedbackReply(button), true);
+  assert.equal(isNoFeedbackReply('特にありません。'), true);
+  assert.equal(isNoFeedbackReply('特にないですが、梱包が少し雑でした'), false);
+
+  // 不満の内容は分類されても言い切りならご意見として扱う
+  assert.equal(isNewRequestAfterSurvey('届くのが遅かったです', '配送・発送'), false);
+  assert.equal(isNewRequestAfterSurvey('別の注文の発送状況を教えてください', '配送・発送'), true);
+  assert.equal(isNewRequestAfterSurvey('どうしてですか？', 'その他'), false);
+});
+
+test('回答率・平均・月別の推移と、低評価の多い商品を集計する', () => {
+  const summary = summarizeSurveys([
+    { rating: 5, respondedAt: '2026-09-20T01:00:00.000Z', products: [{ name: '枕' }] },
+    { rating: 2, respondedAt: '2026-10-02T01:00:00.000Z', products: [{ name: '枕' }, { name: 'アイマスク' }] },
+    { rating: 1, respondedAt: '2026-10-05T01:00:00.000Z', products: [{ name: '枕' }] },
+    { rating: null, respondedAt: null, products: [{ name: 'アイマスク' }] }
+  ]);
+
+  assert.equal(summary.sent, 4);
+  assert.equal(summary.responded, 3);
+  assert.equal(summary.responseRate, 0.75);
+  assert.equal(summary.averageRating, 2.67);
+  assert.deepEqual(summary.byMonth, {
+    '2026-09': { responded: 1, averageRating: 5 },
+    '2026-10': { responded: 2, averageRating: 1.5 }
+  });
+  assert.deepEqual(summary.poorRatedProducts, [{ name: '枕', count: 2 }, { name: 'アイマスク', count: 1 }]);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, TemplateSyntaxError } = require('../lib/templateEngine');
+
+test('変数を差し込み、ドットで辿れる', () => {
+  const result = renderTemplate('注文番号: #{orderNumber}\n配送業者: {fulfillment.trackingCompany}', {
+    orderNumber: 1001,
+    fulfillment: { trackingCompany: 'ヤマト運輸' }
+  });
+
+  assert.equal(result.text, '注文番号: #1001\n配送業者: ヤマト運輸');
+  assert.deepEqual(result.missing, []);
+});
+
+test('存在しない変数は空にして記録する', () => {
+  const result = renderTemplate('お届け予定日：{deliveryDate}', {});
+
+  assert.equal(result.text, 'お届け予定日：');
+  assert.deepEqual(result.missing, ['deliveryDate']);
+});
+
+test('条件で表示を切り替え、タグだけの行は残さない', () => {
+  const source = [
+    '【配送状況】',
+    '{#if trackingUrl}',
+    '追跡URL: {trackingUrl}',
+    '{else}',
+    '発送準備中です。',
+    '{/if}',
+    '以上です。'
+  ].join('\n');
+
+  assert.equal(renderTemplate(source, { trackingUrl: 'https://example.com/t/1' }).text,
+    '【配送状況】\n追跡URL: https://example.com/t/1\n以上です。');
+  assert.equal(renderTemplate(source, {}).text, '【配送状況】\n発送準備中です。\n以上です。');
+});
+
+test('unless と空の配列', () => {
+  assert.equal(renderTemplate('{#unless items}商品がありません{/unless}', { items: [] }).text, '商品がありません');
+});
+
+test('defined は0や空文字も値があるものとして扱う', () => {
+  const source = '{#defined fee}送料{fee}円{else}送料は別途{/defined}';
+
+  assert.equal(renderTemplate(source, { fee: 0 }).text, '送料0円');
+  assert.equal(renderTemplate(source, { fee: null }).text, '送料は別途');
+  assert.equal(renderTemplate(source, {}).text, '送料は別途');
+});
+
+test('繰り返しでは項目の変数と外側の変数の両方を使える', () => {
+  const source = '{#each items}\n{@number}. {name} × {quantity}（#{orderNumber}）\n{/each}';
+  const result = renderTemplate(source, {
+    orderNumber: 1001,
+    items: [{ name: 'お昼寝まくら', quantity: 1 }, { name: 'ブランケット', quantity: 2 }]
+  });
+
+  assert.equal(result.text, '1. お昼寝まくら × 1（#1001）\n2. ブランケット × 2（#1001）\n');
+});
+
+test('波かっこはエスケープでき、値の中の波かっこは差し込まれない', () => {
+  const result = renderTemplate('\\{orderNumber\\} は {note}', { note: '{orderNumber}' });
+
+  assert.equal(result.text, '{orderNumber} は {orderNumber}');
+});
+
+test('変数名ではない波かっこはそのまま残す', () => {
+  assert.equal(renderTemplate('{ 例：山田太郎 }', {}).text, '{ 例：山田太郎 }');
+});
+
+test('出力のエスケープ関数を指定できる', () => {
+  const result = renderTemplate('{name}', { name: '"枕"' }, { escape: value => value.replace(/"/g, '\\"') });
+
+  assert.equal(result.text, '\\"枕\\"');
+});
+
+test('ブロックの対応が取れていない場合はエラー', () => {
+  assert.throws(() => renderTemplate('{#if a}開始のみ', {}), TemplateSyntaxError);
+  assert.throws(() => renderTemplate('終了のみ{/each}', {}), TemplateSyntaxError);
+  assert.throws(() => renderTemplate('{#each items}{else}{/each}', {}), TemplateSyntaxError);
+});
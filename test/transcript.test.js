@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../lib/kvStore');
+const { INPUT_RECORD_STATUS, estimateTokens, truncateToBudget, appendTurn, getTranscript, notionHistoryToTurns } = require('../lib/transcript');
+
+function notionPage(question, answer, status = '対応済み') {
+  return {
+    properties: {
+      '問い合わせ': { rich_text: question ? [{ plain_text: question }] : [] },
+      '作成文章': { rich_text: answer ? [{ plain_text: answer }] : [] },
+      'ステータス': { select: { name: status } }
+    }
+  };
+}
+
+test('日本語は1文字、英数字は4文字を1トークンと数える', () => {
+  assert.equal(estimateTokens('こんにちは'), 5);
+  assert.equal(estimateTokens('abcdefgh'), 2);
+  assert.equal(estimateTokens('#1001 の件'), 4);
+});
+
+test('上限に収まるように新しいやり取りから残し、古い順に並べる', () => {
+  const turns = [
+    { role: 'user', content: 'あいうえお' },
+    { role: 'assistant', content: 'かきく' },
+    { role: 'user', content: 'さしすせ' }
+  ];
+
+  // 1件ごとに4トークン加える（さしすせ 8 + かきく 7 = 15）
+  assert.deepEqual(truncateToBudget(turns, 15).map(turn => turn.content), ['かきく', 'さしすせ']);
+  assert.deepEqual(truncateToBudget(turns, 24).map(turn => turn.content), ['あいうえお', 'かきく', 'さしすせ']);
+  // いちばん新しいものが入らなければ何も残さない
+  assert.deepEqual(truncateToBudget(turns, 7), []);
+});
+
+test('やり取りを保存し、最大20件まで残す（空のメッセージは保存しない）', async () => {
+  const store = createMemoryStore();
+  for (let i = 1; i <= 12; i++) {
+    await appendTurn(store, 'U1', 'user', `質問${i}`);
+    await appendTurn(store, 'U1', 'assistant', `回答${i}`);
+  }
+  await appendTurn(store, 'U1', 'assistant', '');
+
+  const turns = await store.get('U1');
+  assert.equal(turns.length, 20);
+  assert.equal(turns[0].content, '質問3');
+  assert.equal(turns[19].content, '回答12');
+  assert.ok(turns.every(turn => turn.at));
+});
+
+test('保存がなければNotionの会話記録（新しい順）から履歴を作る', async () => {
+  const pages = [notionPage('まだ届きません', '確認いたします'), notionPage('こんにちは', null)];
+  assert.deepEqual(notionHistoryToTurns(pages), [
+    { role: 'user', content: 'こんにちは' },
+    { role: 'user', content: 'まだ届きません' },
+    { role: 'assistant', content: '確認いたします' }
+  ]);
+
+  const store = createMemoryStore();
+  assert.deepEqual(await getTranscript(store, 'U1', { tokenBudget: 100, notionHistory: pages }), notionHistoryToTurns(pages));
+
+  await appendTurn(store, 'U1', 'user', '在庫はありますか');
+  assert.deepEqual(await getTranscript(store, 'U1', { tokenBudget: 100, notionHistory: pages }), [
+    { role: 'user', content: '在庫はありますか' }
+  ]);
+});
+
+test('Notionから履歴を作る場合も、入力内容と本人確認失敗の記録は含めない', async () => {
+  const pages = [
+    notionPage('ギフト包装はできますか', '承っております'),
+    notionPage('本人確認失敗（5回目） 検索名: 山田太郎', '試行回数の上限に達したためロックしました', '要確認'),
+    notionPage('本人確認失敗（1回目） 検索名: 山田太郎', '', '本人確認失敗'),
+    notionPage('2222', 'ご注文が2件見つかりました', INPUT_RECORD_STATUS),
+    notionPage('山田太郎', 'ご本人様確認のため…')
+  ];
+
+  const store = createMemoryStore();
+  const turns = await getTranscript(store, 'U1', { tokenBudget: 1000, notionHistory: pages });
+  assert.deepEqual(turns.map(turn => turn.content), ['山田太郎', 'ご本人様確認のため…', 'ギフト包装はできますか', '承っております']);
+});